@@ -3,9 +3,57 @@
 
 // Plugin state
 const state = {
+  serverHost: "localhost", // Relay host, must be listed in manifest.json
   serverPort: 3055, // Default port
+  useTls: false, // Connect with wss:// when the relay terminates TLS
+  transaction: null, // Open begin_transaction batch, if any
+  endedTransaction: null, // Last transaction rolled back without being asked, and why
 };
 
+// Error carrying a machine-readable code for the MCP server
+class CommandError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = "CommandError";
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Classify plain errors thrown by command handlers from their message
+function inferErrorCode(message) {
+  if (/^Unknown command/.test(message)) return "unknown_command";
+  if (/not found/i.test(message)) return "not_found";
+  if (/please select|no selection/i.test(message)) return "selection_required";
+  if (/does not support|is not a |only valid on/i.test(message)) {
+    return "unsupported_node";
+  }
+  if (/^Missing\b|must be|invalid|no types specified/i.test(message)) {
+    return "invalid_params";
+  }
+  return "command_failed";
+}
+
+/**
+ * Build the structured error envelope sent back for a failed command
+ * @param {Error} error - The error thrown by the command handler
+ * @param {string} command - The command that failed
+ * @param {Object} params - The command parameters
+ * @returns {{code: string, message: string, command: string, nodeId?: string, details?: any}}
+ */
+function toCommandErrorEnvelope(error, command, params) {
+  const message =
+    (error && error.message) || String(error) || "Error executing command";
+
+  return {
+    code: (error && error.code) || inferErrorCode(message),
+    message,
+    command,
+    nodeId: (params && (params.nodeId || params.parentId)) || undefined,
+    details: (error && error.details) || undefined,
+  };
+}
+
 // Helper function for progress updates
 function sendProgressUpdate(
   commandId,
@@ -166,10 +214,22 @@ figma.ui.onmessage = async (msg) => {
     case "close-plugin":
       figma.closePlugin();
       break;
+    case "client-left":
+      // The relay reports a client that disconnected
+      if (state.transaction && msg.clientId && state.transaction.clientId === msg.clientId) {
+        await abandonTransaction(state.transaction, "the client that opened it disconnected");
+      }
+      break;
+    case "relay-disconnected":
+      // Relay clients can no longer reach a transaction they opened
+      if (state.transaction && state.transaction.clientId) {
+        await abandonTransaction(state.transaction, "the plugin lost its relay connection");
+      }
+      break;
     case "execute-command":
       // Execute commands received from UI (which gets them from WebSocket)
       try {
-        const result = await handleCommand(msg.command, msg.params);
+        const result = await handleCommand(msg.command, msg.params, { clientId: msg.clientId });
         // Send result back to UI
         figma.ui.postMessage({
           type: "command-result",
@@ -180,7 +240,7 @@ figma.ui.onmessage = async (msg) => {
         figma.ui.postMessage({
           type: "command-error",
           id: msg.id,
-          error: error.message || "Error executing command",
+          error: toCommandErrorEnvelope(error, msg.command, msg.params),
         });
       }
       break;
@@ -234,48 +294,120 @@ figma.on("run", ({ command }) => {
   figma.ui.postMessage({ type: "auto-connect" });
 });
 
+// Figma doesn't wait for async work on close: show the nodes deleted in an
+// open transaction again right away, then try to roll the rest back
+figma.on("close", () => {
+  const transaction = state.transaction;
+  if (!transaction) {
+    return;
+  }
+  for (const { node, visible } of transaction.hiddenNodes) {
+    if (!node.removed) {
+      node.visible = visible;
+    }
+  }
+  abandonTransaction(transaction, "the plugin was closed").catch((error) => {
+    console.error("Error rolling back transaction on close:", error);
+  });
+});
+
 // Update plugin settings
 function updateSettings(settings) {
+  if (settings.serverHost) {
+    state.serverHost = settings.serverHost;
+  }
   if (settings.serverPort) {
     state.serverPort = settings.serverPort;
   }
+  if (settings.useTls !== undefined) {
+    state.useTls = Boolean(settings.useTls);
+  }
 
   figma.clientStorage.setAsync("settings", {
+    serverHost: state.serverHost,
     serverPort: state.serverPort,
+    useTls: state.useTls,
   });
 }
 
-// Handle commands from UI
-async function handleCommand(command, params) {
+// Handle commands from UI. origin.clientId identifies the relay client
+// that sent the command, so that an open transaction stays with its client
+async function handleCommand(command, params, origin = {}) {
   console.log("Handling command:", command, "with params:", params);
-  
+
+  const transaction = state.transaction;
+  if (transaction) {
+    if (transaction.clientId !== (origin.clientId || null)) {
+      throw new CommandError(
+        "transaction_active",
+        `Transaction ${transaction.id} was opened by another client; wait until it is committed or rolled back`,
+        { transactionId: transaction.id }
+      );
+    }
+    // No expiry while a command runs
+    transaction.activeCommands++;
+    clearTimeout(transaction.expiryTimer);
+  }
+
+  try {
+    if (transaction && !TRANSACTION_COMMANDS.includes(command)) {
+      await recordTransactionStep(params);
+    }
+    return await runCommand(command, params, origin);
+  } finally {
+    if (transaction) {
+      transaction.activeCommands--;
+    }
+    if (state.transaction && state.transaction.activeCommands === 0) {
+      scheduleTransactionExpiry(state.transaction);
+    }
+  }
+}
+
+async function runCommand(command, params, origin) {
   switch (command) {
+    case "begin_transaction":
+      return await beginTransaction(params, origin);
+    case "commit_transaction":
+      return await commitTransaction();
+    case "rollback_transaction":
+      return await rollbackTransaction();
+    case "execute_batch":
+      return await executeBatch(params, origin);
     case "get_document_info":
-      return await getDocumentInfo();
+      return await getDocumentInfo(params);
+    case "get_page":
+      return await getPageInfo(params);
+    case "set_current_page":
+      return await setCurrentPage(params);
     case "get_selection":
       return await getSelection();
     case "get_node_info":
       if (!params || !params.nodeId) {
         throw new Error("Missing nodeId parameter");
       }
-      return await getNodeInfo(params.nodeId);
+      return await getNodeInfo(params.nodeId, params);
     case "get_nodes_info":
       if (!params || !params.nodeIds || !Array.isArray(params.nodeIds)) {
         throw new Error("Missing or invalid nodeIds parameter");
       }
-      return await getNodesInfo(params.nodeIds);
+      return await getNodesInfo(params.nodeIds, params);
     case "read_my_design":
-      return await readMyDesign();
+      return await readMyDesign(params);
     case "create_rectangle":
       return await createRectangle(params);
     case "create_frame":
       return await createFrame(params);
     case "create_text":
       return await createText(params);
+    case "create_from_spec":
+      return await createFromSpec(params);
     case "set_fill_color":
       return await setFillColor(params);
     case "set_stroke_color":
       return await setStrokeColor(params);
+    case "set_paints":
+      return await setPaints(params);
     case "move_node":
       return await moveNode(params);
     case "resize_node":
@@ -286,41 +418,64 @@ async function handleCommand(command, params) {
       return await deleteMultipleNodes(params);
     case "get_styles":
       return await getStyles();
+    case "apply_style":
+      return await applyStyle(params);
+    case "create_style":
+      return await createStyle(params);
+    case "export_design_tokens":
+      return await exportDesignTokens();
+    case "get_variables":
+      return await getVariables(params);
+    case "create_variable_collection":
+      return await createVariableCollection(params);
+    case "create_variable":
+      return await createVariable(params);
+    case "update_variable":
+      return await updateVariable(params);
+    case "bind_variable":
+      return await bindVariable(params);
+    case "set_variable_mode":
+      return await setVariableMode(params);
     case "get_local_components":
-      return await getLocalComponents();
+      return await getLocalComponents(params);
     case "create_component_instance":
       return await createComponentInstance(params);
+    case "create_component":
+      return await createComponent(params);
+    case "combine_as_variants":
+      return await combineAsVariants(params);
+    case "add_component_property":
+      return await addComponentProperty(params);
+    case "set_instance_properties":
+      return await setInstanceProperties(params);
+    case "swap_component":
+      return await swapComponent(params);
+    case "reset_overrides":
+      return await resetOverrides(params);
+    case "detach_instance":
+      return await detachInstance(params);
     case "export_node_as_image":
-      try {
-        const { nodeId, format = 'PNG', scale = 2 } = params;
-        console.log(`Exporting node ${nodeId} as ${format} with scale ${scale}`);
-        
-        const node = figma.getNodeById(nodeId);
-        if (!node) {
-          throw new Error('Node not found');
-        }
-
-        const settings = {
-          format: format,
-          constraint: { type: 'SCALE', value: scale }
-        };
-
-        const bytes = await node.exportAsync(settings);
-        console.log('Export successful, size:', bytes.length, 'bytes');
-        
-        sendCommandResult('export_node_as_image', { success: true });
-      } catch (error) {
-        console.error('Export failed:', error);
-        sendCommandResult('export_node_as_image', { 
-          success: false, 
-          error: error.message 
-        });
-      }
-      break;
+      return await exportNodeAsImage(params);
+    case "serialize_node":
+      return await serializeNode(params);
+    case "deserialize_node":
+      return await deserializeNode(params);
     case "set_corner_radius":
       return await setCornerRadius(params);
+    case "set_effects":
+      return await setEffects(params);
     case "set_text_content":
       return await setTextContent(params);
+    case "set_text_style":
+      return await setTextStyle(params);
+    case "set_text_markdown":
+      return await setTextMarkdown(params);
+    case "list_available_fonts":
+      return await listAvailableFonts(params);
+    case "find_missing_fonts":
+      return await findMissingFonts(params);
+    case "replace_fonts":
+      return await replaceFonts(params);
     case "clone_node":
       return await cloneNode(params);
     case "scan_text_nodes":
@@ -358,649 +513,4789 @@ async function handleCommand(command, params) {
     case "export_phaser_map":
       return await exportPhaserMap(params);
     case "generate-tiles":
-      const { tileWidth, tileHeight, columns, rows, spacing } = params;
-      const frame = figma.createFrame();
-      frame.name = 'Tile Grid';
-      frame.layoutMode = 'HORIZONTAL';
-      frame.counterAxisSizingMode = 'AUTO';
-      frame.primaryAxisSizingMode = 'AUTO';
-      frame.layoutWrap = 'WRAP';
-      frame.itemSpacing = spacing;
-      frame.counterAxisSpacing = spacing;
-
-      // Generate tiles
-      for (let row = 0; row < rows; row++) {
-        for (let col = 0; col < columns; col++) {
-          const tile = figma.createRectangle();
-          tile.name = `Tile ${row + 1}-${col + 1}`;
-          tile.resize(tileWidth, tileHeight);
-          frame.appendChild(tile);
-        }
-      }
-
-      // Position the frame in the center of the viewport
-      const { x, y } = figma.viewport.center;
-      frame.x = x - (frame.width / 2);
-      frame.y = y - (frame.height / 2);
-
-      // Select the frame and zoom to it
-      figma.currentPage.selection = [frame];
-      figma.viewport.scrollAndZoomIntoView([frame]);
-
-      return {
-        success: true,
-        frame: {
-          id: frame.id,
-          name: frame.name,
-          width: frame.width,
-          height: frame.height
-        }
-      };
+      return await generateTiles(params);
     case "convert_to_basic_frame":
       return await convertToBasicFrame(params);
     case "frame-up":
       return await frameUp();
     case "export-tile-map":
       return await exportTileMap(params);
+    case "create-centered-tile":
+      return await createCenteredTile(params);
     default:
-      throw new Error(`Unknown command: ${command}`);
+      throw new CommandError("unknown_command", `Unknown command: ${command}`);
   }
 }
 
-// Command implementations
+// Transactions
+//
+// While a transaction is open, every command first snapshots the nodes it
+// names (nodeId, nodeIds, componentIds, parentId, per-item nodeIds and the
+// selection). Commands that change other nodes, such as descendants found
+// by walking a subtree, snapshot those through trackTouchedNodes before
+// changing them.
+// Nodes created by commands are recorded through trackCreatedNode, and
+// deletions are deferred to commit so that rollback can restore the very
+// same nodes. Commands that replace a node with a new one go through
+// replaceNode, and rollback rebuilds the original under a new id.
+// Variables, collections and styles are recorded the same way
+// through trackCreatedResource and trackChangedVariable. Whatever rollback cannot
+// put back is listed in its errors.
+// figma.commitUndo() at both ends makes the batch one undo step.
+// A transaction belongs to the relay client that opened it, and is rolled
+// back when that client disconnects, when the plugin closes, or after
+// timeoutSeconds without a command.
+
+const TRANSACTION_COMMANDS = [
+  "begin_transaction",
+  "commit_transaction",
+  "rollback_transaction",
+];
+
+const DEFAULT_TRANSACTION_TIMEOUT_SECONDS = 300;
+
+// Restored in this order: layout mode before size and sizing modes, the
+// stroke weight before the per-side weights it overwrites, and font before
+// characters. "size" stands for width/height via resize()
+const SNAPSHOT_PROPERTIES = [
+  "name",
+  "visible",
+  "locked",
+  "opacity",
+  "rotation",
+  "layoutMode",
+  "layoutWrap",
+  "size",
+  "primaryAxisSizingMode",
+  "counterAxisSizingMode",
+  "primaryAxisAlignItems",
+  "counterAxisAlignItems",
+  "paddingTop",
+  "paddingRight",
+  "paddingBottom",
+  "paddingLeft",
+  "itemSpacing",
+  "counterAxisSpacing",
+  "layoutSizingHorizontal",
+  "layoutSizingVertical",
+  "x",
+  "y",
+  "fills",
+  "strokes",
+  "strokeWeight",
+  "strokeTopWeight",
+  "strokeRightWeight",
+  "strokeBottomWeight",
+  "strokeLeftWeight",
+  "strokeAlign",
+  "strokeCap",
+  "strokeJoin",
+  "dashPattern",
+  "effects",
+  "cornerRadius",
+  "topLeftRadius",
+  "topRightRadius",
+  "bottomRightRadius",
+  "bottomLeftRadius",
+  "constraints",
+  "constrainProportions",
+  "annotations",
+  "componentPropertyReferences",
+  "fontName",
+  "fontSize",
+  "characters",
+  "paragraphSpacing",
+  "paragraphIndent",
+  "textAlignHorizontal",
+  "textAlignVertical",
+  "textAutoResize",
+  "textTruncation",
+  "maxLines",
+];
+
+// Record a node created by the current command so rollback can remove it
+function trackCreatedNode(node) {
+  if (state.transaction) {
+    state.transaction.createdIds.push(node.id);
+  }
+}
 
-async function getDocumentInfo() {
-  await figma.currentPage.loadAsync();
-  const page = figma.currentPage;
-  return {
-    name: page.name,
-    id: page.id,
-    type: page.type,
-    children: page.children.map((node) => ({
-      id: node.id,
-      name: node.name,
-      type: node.type,
-    })),
-    currentPage: {
-      id: page.id,
-      name: page.name,
-      childCount: page.children.length,
-    },
-    pages: [
-      {
-        id: page.id,
-        name: page.name,
-        childCount: page.children.length,
-      },
-    ],
-  };
+// Record a variable, variable collection or style created by the current
+// command so rollback can remove it
+function trackCreatedResource(type, resource) {
+  if (state.transaction) {
+    state.transaction.createdResources.push({ type, id: resource.id });
+  }
 }
 
-async function getSelection() {
-  return {
-    selectionCount: figma.currentPage.selection.length,
-    selection: figma.currentPage.selection.map((node) => ({
-      id: node.id,
-      name: node.name,
-      type: node.type,
-      visible: node.visible,
-    })),
-  };
+// Record a variable's name, description, scopes and values before the
+// current command changes them
+function trackChangedVariable(variable) {
+  const transaction = state.transaction;
+  if (!transaction || transaction.variables[variable.id]) return;
+  if (transaction.createdResources.some((resource) => resource.id === variable.id)) return;
+
+  transaction.variables[variable.id] = JSON.parse(
+    JSON.stringify({
+      name: variable.name,
+      description: variable.description,
+      scopes: variable.scopes,
+      valuesByMode: variable.valuesByMode,
+    })
+  );
 }
 
-function rgbaToHex(color) {
-  var r = Math.round(color.r * 255);
-  var g = Math.round(color.g * 255);
-  var b = Math.round(color.b * 255);
-  var a = color.a !== undefined ? Math.round(color.a * 255) : 255;
+// How rollback finds created resources again to remove them
+const RESOURCE_LOOKUPS = {
+  VARIABLE: (id) => figma.variables.getVariableByIdAsync(id),
+  VARIABLE_COLLECTION: (id) => figma.variables.getVariableCollectionByIdAsync(id),
+  STYLE: (id) => figma.getStyleByIdAsync(id),
+};
 
-  if (a === 255) {
-    return (
-      "#" +
-      [r, g, b]
-        .map((x) => {
-          return x.toString(16).padStart(2, "0");
-        })
-        .join("")
-    );
+// Style ids restored through their setters; an empty id detaches the style
+const SNAPSHOT_STYLE_SETTERS = {
+  fillStyleId: "setFillStyleIdAsync",
+  strokeStyleId: "setStrokeStyleIdAsync",
+  effectStyleId: "setEffectStyleIdAsync",
+  gridStyleId: "setGridStyleIdAsync",
+  textStyleId: "setTextStyleIdAsync",
+};
+
+// Remove a node, or hide it until commit when a transaction is open
+function removeNode(node) {
+  if (state.transaction) {
+    state.transaction.deletedIds.push(node.id);
+    state.transaction.hiddenNodes.push({ node, visible: node.visible });
+    node.visible = false;
+    return;
   }
+  node.remove();
+}
 
-  return (
-    "#" +
-    [r, g, b, a]
-      .map((x) => {
-        return x.toString(16).padStart(2, "0");
-      })
-      .join("")
-  );
+// Run `replace`, which turns a node into a new one and removes the original
+// (a frame made into a component, for example). In a transaction the
+// original is serialized first so that rollback can rebuild it
+async function replaceNode(node, replace) {
+  const transaction = state.transaction;
+  if (!transaction || transaction.createdIds.includes(node.id)) {
+    const replacement = replace();
+    trackCreatedNode(replacement);
+    return replacement;
+  }
+
+  // An instance's layers come back from its component; keep their
+  // overrides. Other nodes get their children back from the replacement
+  const data = await serializeForRollback(node, { children: node.type === "INSTANCE" });
+  const replacement = replace();
+  transaction.replacedNodes.push({ originalId: node.id, replacementId: replacement.id, data });
+  return replacement;
 }
 
-function filterFigmaNode(node) {
-  console.log(`🔍 Filtering node: ${node.name} (${node.id})`);
-  if (node.type === "VECTOR") {
-    console.log(`⏭️ Skipping VECTOR node: ${node.name}`);
-    return null;
+// Record an instance's main component, property values and overrides
+// before the current command swaps, sets or resets them
+async function trackInstanceState(instance) {
+  const transaction = state.transaction;
+  if (!transaction || transaction.instances[instance.id] || transaction.createdIds.includes(instance.id)) {
+    return;
   }
+  transaction.instances[instance.id] = await serializeForRollback(instance);
+}
 
-  var filtered = {
-    id: node.id,
-    name: node.name,
-    type: node.type,
-    visible: node.visible, // Add visible property
+function serializeForRollback(node, options) {
+  const context = { includeImages: false, nodeCount: 0, images: {}, variables: {}, styles: {} };
+  return serializeNodeData(node, context, options);
+}
+
+// Context for the deserialize helpers when rollback rebuilds nodes
+function createRollbackContext() {
+  return {
+    document: {},
+    nodeCount: 0,
+    idMap: {},
+    warnings: [],
+    imageHashes: {},
+    variableCache: {},
+    styleCache: {},
   };
-  console.log(`📝 Basic node info: ${JSON.stringify({ id: filtered.id, name: filtered.name, type: filtered.type, visible: filtered.visible })}`);
+}
 
-  if (node.fills && node.fills.length > 0) {
-    filtered.fills = node.fills.map((fill) => {
-      var processedFill = Object.assign({}, fill);
-      delete processedFill.boundVariables;
-      delete processedFill.imageRef;
+function reportRollbackWarnings(context, nodeId, errors) {
+  for (const warning of context.warnings) {
+    errors.push({ nodeId: warning.nodeId || nodeId, property: warning.property, message: warning.message });
+  }
+}
 
-      if (processedFill.gradientStops) {
-        processedFill.gradientStops = processedFill.gradientStops.map(
-          (stop) => {
-            var processedStop = Object.assign({}, stop);
-            if (processedStop.color) {
-              processedStop.color = rgbaToHex(processedStop.color);
-            }
-            delete processedStop.boundVariables;
-            return processedStop;
-          }
-        );
-      }
+function collectTouchedNodeIds(params) {
+  const ids = new Set();
+  const add = (id) => {
+    if (typeof id === "string" && id) ids.add(id);
+  };
 
-      if (processedFill.color) {
-        processedFill.color = rgbaToHex(processedFill.color);
+  if (params && typeof params === "object") {
+    add(params.nodeId);
+    add(params.parentId);
+    for (const key of ["nodeIds", "componentIds", "targetNodeIds"]) {
+      if (Array.isArray(params[key])) {
+        params[key].forEach(add);
       }
-
-      return processedFill;
-    });
+    }
+    // Per-item ids, e.g. set_multiple_text_contents' text[].nodeId
+    for (const value of Object.values(params)) {
+      if (!Array.isArray(value)) continue;
+      for (const item of value) {
+        if (item && typeof item === "object") add(item.nodeId);
+      }
+    }
+  }
+  for (const node of figma.currentPage.selection) {
+    add(node.id);
   }
 
-  if (node.strokes && node.strokes.length > 0) {
-    filtered.strokes = node.strokes.map((stroke) => {
-      var processedStroke = Object.assign({}, stroke);
-      delete processedStroke.boundVariables;
-      if (processedStroke.color) {
-        processedStroke.color = rgbaToHex(processedStroke.color);
+  return [...ids];
+}
+
+function snapshotNode(node) {
+  const parent = node.parent;
+  const snapshot = {
+    parentId: parent ? parent.id : null,
+    index: parent ? parent.children.indexOf(node) : -1,
+    properties: {},
+    fonts: [],
+  };
+
+  for (const key of SNAPSHOT_PROPERTIES) {
+    if (key === "size") {
+      if ("resize" in node) {
+        snapshot.properties.size = { width: node.width, height: node.height };
       }
-      return processedStroke;
-    });
+      continue;
+    }
+    if (!(key in node) || node[key] === figma.mixed) continue;
+    snapshot.properties[key] = JSON.parse(JSON.stringify(node[key]));
   }
 
-  if (node.cornerRadius !== undefined) {
-    filtered.cornerRadius = node.cornerRadius;
+  for (const key of Object.keys(SNAPSHOT_STYLE_SETTERS)) {
+    if (key in node && typeof node[key] === "string") {
+      snapshot.styles = snapshot.styles || {};
+      snapshot.styles[key] = node[key];
+    }
   }
 
-  if (node.absoluteBoundingBox) {
-    filtered.absoluteBoundingBox = node.absoluteBoundingBox;
+  // Variable ids bound to single fields; paint bindings travel with the paints
+  if ("boundVariables" in node && node.boundVariables) {
+    snapshot.boundVariables = readBoundVariableIds(node);
   }
-
-  if (node.characters) {
-    filtered.characters = node.characters;
+  if ("explicitVariableModes" in node) {
+    snapshot.explicitVariableModes = Object.assign({}, node.explicitVariableModes);
   }
-
-  if (node.style) {
-    filtered.style = {
-      fontFamily: node.style.fontFamily,
-      fontStyle: node.style.fontStyle,
-      fontWeight: node.style.fontWeight,
-      fontSize: node.style.fontSize,
-      textAlignHorizontal: node.style.textAlignHorizontal,
-      letterSpacing: node.style.letterSpacing,
-      lineHeightPx: node.style.lineHeightPx,
-    };
+  if (ownsComponentProperties(node)) {
+    snapshot.componentPropertyNames = Object.keys(node.componentPropertyDefinitions);
   }
 
-  if (node.children) {
-    console.log(`👶 Processing ${node.children.length} children of node ${node.name}`);
-    filtered.children = node.children
-      .map((child) => {
-        const filteredChild = filterFigmaNode(child);
-        if (filteredChild) {
-          console.log(`✅ Processed child: ${child.name}, visible: ${filteredChild.visible}`);
-        }
-        return filteredChild;
-      })
-      .filter((child) => {
-        if (child === null) {
-          console.log(`⏭️ Filtered out null child`);
-        }
-        return child !== null;
-      });
+  // Every font in the text must be loaded before characters can be
+  // restored; the text itself is restored range by range
+  if (node.type === "TEXT") {
+    snapshot.fonts = uniqBy(
+      node.getStyledTextSegments(["fontName"]).map((s) => s.fontName),
+      (font) => `${font.family}::${font.style}`
+    );
+    snapshot.text = readTextContent(node);
   }
 
-  console.log(`✅ Completed filtering node: ${node.name}, visible: ${filtered.visible}`);
-  return filtered;
+  return snapshot;
 }
 
-async function getNodeInfo(nodeId) {
-  const node = await figma.getNodeByIdAsync(nodeId);
+// Snapshot nodes the current command is about to change, unless they were
+// snapshotted, created or put in place of a replaced node earlier in the
+// transaction
+async function trackTouchedNodes(nodes) {
+  const transaction = state.transaction;
+  if (!transaction) return;
 
-  if (!node) {
-    throw new Error(`Node not found with ID: ${nodeId}`);
+  for (const node of nodes) {
+    if (!node || node.type === "PAGE" || node.type === "DOCUMENT") continue;
+    if (
+      transaction.snapshots[node.id] ||
+      transaction.createdIds.includes(node.id) ||
+      transaction.replacedNodes.some((record) => record.replacementId === node.id) ||
+      isInsideDetachedFrame(node, transaction)
+    ) {
+      continue;
+    }
+    transaction.snapshots[node.id] = snapshotNode(node);
   }
+}
 
-  const response = await node.exportAsync({
-    format: "JSON_REST_V1",
-  });
-
-  return filterFigmaNode(response.document);
+// Layers of a detached instance's frame are dropped when rollback rebuilds
+// the instance, so there is nothing to snapshot
+function isInsideDetachedFrame(node, transaction) {
+  const frameIds = transaction.replacedNodes
+    .filter((record) => record.data.type === "INSTANCE")
+    .map((record) => record.replacementId);
+  for (let ancestor = node.parent; ancestor; ancestor = ancestor.parent) {
+    if (frameIds.includes(ancestor.id)) return true;
+  }
+  return false;
 }
 
-async function getNodesInfo(nodeIds) {
-  try {
-    // Load all nodes in parallel
-    const nodes = await Promise.all(
-      nodeIds.map((id) => figma.getNodeByIdAsync(id))
-    );
+async function recordTransactionStep(params) {
+  state.transaction.commandCount++;
 
-    // Filter out any null values (nodes that weren't found)
-    const validNodes = nodes.filter((node) => node !== null);
+  const nodes = [];
+  for (const id of collectTouchedNodeIds(params)) {
+    nodes.push(await figma.getNodeByIdAsync(id));
+  }
+  await trackTouchedNodes(nodes);
+}
 
-    // Export all valid nodes in parallel
-    const responses = await Promise.all(
-      validNodes.map(async (node) => {
-        const response = await node.exportAsync({
-          format: "JSON_REST_V1",
-        });
-        return {
-          nodeId: node.id,
-          document: filterFigmaNode(response.document),
-        };
-      })
-    );
+function readBoundVariableIds(node) {
+  const ids = {};
+  for (const [field, alias] of Object.entries(node.boundVariables || {})) {
+    if (!alias || Array.isArray(alias) || field === "componentProperties") continue;
+    ids[field] = alias.id;
+  }
+  return ids;
+}
 
-    return responses;
-  } catch (error) {
-    throw new Error(`Error getting nodes info: ${error.message}`);
+// Rebind, or unbind, fields whose variable changed since the snapshot
+async function restoreBoundVariables(node, bindings, errors) {
+  const current = readBoundVariableIds(node);
+  const fields = new Set(Object.keys(bindings).concat(Object.keys(current)));
+  for (const field of fields) {
+    if (bindings[field] === current[field]) continue;
+    try {
+      const variable = bindings[field]
+        ? await figma.variables.getVariableByIdAsync(bindings[field])
+        : null;
+      if (bindings[field] && !variable) {
+        throw new Error(`Variable not found with ID: ${bindings[field]}`);
+      }
+      node.setBoundVariable(field, variable);
+    } catch (error) {
+      errors.push({ nodeId: node.id, property: field, message: error.message });
+    }
   }
 }
 
-async function readMyDesign() {
-  try {
-    // Load all selected nodes in parallel
-    const nodes = await Promise.all(
-      figma.currentPage.selection.map((node) => figma.getNodeByIdAsync(node.id))
-    );
+async function restoreVariableModes(node, modes, errors) {
+  const current = node.explicitVariableModes;
+  const collectionIds = new Set(Object.keys(modes).concat(Object.keys(current)));
+  for (const collectionId of collectionIds) {
+    if (modes[collectionId] === current[collectionId]) continue;
+    try {
+      const collection = await requireVariableCollection(collectionId);
+      if (modes[collectionId]) {
+        node.setExplicitVariableModeForCollection(collection, modes[collectionId]);
+      } else {
+        node.clearExplicitVariableModeForCollection(collection);
+      }
+    } catch (error) {
+      errors.push({ nodeId: node.id, property: "explicitVariableModes", message: error.message });
+    }
+  }
+}
 
-    // Filter out any null values (nodes that weren't found)
-    const validNodes = nodes.filter((node) => node !== null);
-
-    // Export all valid nodes in parallel
-    const responses = await Promise.all(
-      validNodes.map(async (node) => {
-        const response = await node.exportAsync({
-          format: "JSON_REST_V1",
-        });
-        return {
-          nodeId: node.id,
-          document: filterFigmaNode(response.document),
-        };
-      })
-    );
+// Variants share their set's definitions
+function ownsComponentProperties(node) {
+  return (
+    node.type === "COMPONENT_SET" ||
+    (node.type === "COMPONENT" && !(node.parent && node.parent.type === "COMPONENT_SET"))
+  );
+}
 
-    return responses;
+// Delete property definitions added since the snapshot. VARIANT properties
+// live in the variant names, which the variants' own snapshots restore
+function restoreComponentProperties(node, names, errors) {
+  try {
+    for (const [name, definition] of Object.entries(node.componentPropertyDefinitions)) {
+      if (definition.type !== "VARIANT" && !names.includes(name)) {
+        node.deleteComponentProperty(name);
+      }
+    }
   } catch (error) {
-    throw new Error(`Error getting nodes info: ${error.message}`);
+    errors.push({ nodeId: node.id, property: "componentPropertyDefinitions", message: error.message });
   }
 }
 
-async function createRectangle(params) {
-  const {
-    x = 0,
-    y = 0,
-    width = 100,
-    height = 100,
-    name = "Rectangle",
-    parentId,
-  } = params || {};
+// Recreate a node removed by replaceNode in its replacement's place. A
+// frame takes the replacement's children back; an instance gets fresh
+// layers from its component with the serialized overrides. Both ids, and
+// those of the instance's layers, then map to the rebuilt nodes in `idMap`
+async function rebuildReplacedNode(record, transaction, idMap, errors) {
+  const { data } = record;
+  const resolve = (id) => idMap[id] || id;
+  const replacement = await figma.getNodeByIdAsync(resolve(record.replacementId));
+  if (!replacement || replacement.removed) {
+    errors.push({ nodeId: record.originalId, message: `Cannot rebuild ${data.name}: the node that replaced it no longer exists` });
+    return;
+  }
 
-  const rect = figma.createRectangle();
-  rect.x = x;
-  rect.y = y;
-  rect.resize(width, height);
-  rect.name = name;
+  const snapshot = transaction.snapshots[record.originalId];
+  const snapshotParent = snapshot && snapshot.parentId
+    ? await figma.getNodeByIdAsync(resolve(snapshot.parentId))
+    : null;
+  const parent = snapshotParent || replacement.parent;
+  const index = snapshotParent
+    ? Math.min(snapshot.index, parent.children.length)
+    : parent.children.indexOf(replacement);
+
+  const context = createRollbackContext();
+  const node = data.type === "INSTANCE"
+    ? await createSerializedInstance(data, context)
+    : figma.createFrame();
+  if (!node) {
+    reportRollbackWarnings(context, record.originalId, errors);
+    return;
+  }
+  parent.insertChild(index, node);
+  node.name = data.name;
+  if (node.type === "INSTANCE") {
+    await applySerializedOverrides(node, data, context);
+  } else {
+    for (const child of [...replacement.children]) {
+      node.appendChild(child);
+    }
+  }
+  await applySerializedProperties(node, data, context);
+  applySerializedParentProperties(node, data, context);
+  replacement.remove();
+
+  Object.assign(idMap, context.idMap);
+  idMap[record.originalId] = node.id;
+  idMap[record.replacementId] = node.id;
+  reportRollbackWarnings(context, record.originalId, errors);
+}
 
-  // If parentId is provided, append to that node, otherwise append to current page
-  if (parentId) {
-    const parentNode = await figma.getNodeByIdAsync(parentId);
-    if (!parentNode) {
-      throw new Error(`Parent node not found with ID: ${parentId}`);
+// Swap an instance back to its main component, then reapply its property
+// values and overrides. Swapping rebuilds the layers, so their new ids go
+// into `idMap`
+async function restoreInstanceState(node, data, idMap, errors) {
+  const context = createRollbackContext();
+  const mainComponent = await node.getMainComponentAsync();
+  if (data.component && (!mainComponent || mainComponent.id !== data.component.id)) {
+    const component = await resolveSerializedComponent(data.component);
+    if (!component) {
+      errors.push({
+        nodeId: node.id,
+        property: "mainComponent",
+        message: `Component ${data.component.name} is not available; kept the swapped component`,
+      });
+      return;
     }
-    if (!("appendChild" in parentNode)) {
-      throw new Error(`Parent node does not support children: ${parentId}`);
+    node.swapComponent(component);
+  }
+  if (data.componentProperties) {
+    try {
+      node.setProperties(data.componentProperties);
+    } catch (error) {
+      errors.push({ nodeId: node.id, property: "componentProperties", message: error.message });
     }
-    parentNode.appendChild(rect);
-  } else {
-    figma.currentPage.appendChild(rect);
   }
+  await applySerializedOverrides(node, data, context);
 
-  return {
-    id: rect.id,
-    name: rect.name,
-    x: rect.x,
-    y: rect.y,
-    width: rect.width,
-    height: rect.height,
-    parentId: rect.parent ? rect.parent.id : undefined,
-  };
+  Object.assign(idMap, context.idMap);
+  reportRollbackWarnings(context, node.id, errors);
 }
 
-async function createFrame(params) {
-  console.log('🎨 Creating frame with params:', params);
+async function restoreVariable(id, snapshot, errors) {
+  const variable = await figma.variables.getVariableByIdAsync(id);
+  if (!variable) {
+    errors.push({ variableId: id, message: "Variable no longer exists; its changes cannot be rolled back" });
+    return;
+  }
+  try {
+    variable.name = snapshot.name;
+    variable.description = snapshot.description;
+    variable.scopes = snapshot.scopes;
+    for (const [modeId, value] of Object.entries(snapshot.valuesByMode)) {
+      if (JSON.stringify(variable.valuesByMode[modeId]) !== JSON.stringify(value)) {
+        variable.setValueForMode(modeId, value);
+      }
+    }
+  } catch (error) {
+    errors.push({ variableId: id, message: error.message });
+  }
+}
 
+async function restoreNodeProperties(node, snapshot, errors) {
   try {
-    // Get current selection
-    const selection = figma.currentPage.selection;
-    if (!selection || selection.length === 0) {
-      throw new Error('No selection found');
+    await Promise.all(snapshot.fonts.map((font) => figma.loadFontAsync(font)));
+  } catch (error) {
+    errors.push({ nodeId: node.id, property: "fontName", message: error.message });
+  }
+
+  // Styles and bindings first: both also set the values they control
+  for (const [key, styleId] of Object.entries(snapshot.styles || {})) {
+    if (node[key] === styleId) continue;
+    try {
+      await node[SNAPSHOT_STYLE_SETTERS[key]](styleId);
+    } catch (error) {
+      errors.push({ nodeId: node.id, property: key, message: error.message });
     }
+  }
+  if (snapshot.boundVariables) {
+    await restoreBoundVariables(node, snapshot.boundVariables, errors);
+  }
+  if (snapshot.explicitVariableModes) {
+    await restoreVariableModes(node, snapshot.explicitVariableModes, errors);
+  }
+  if (snapshot.componentPropertyNames) {
+    restoreComponentProperties(node, snapshot.componentPropertyNames, errors);
+  }
+  if (snapshot.text) {
+    const context = createRollbackContext();
+    await applySerializedText(node, snapshot.text, context);
+    reportRollbackWarnings(context, node.id, errors);
+  }
 
-    // Calculate center position of selection
-    const bounds = selection.reduce((acc, node) => {
-      if (!acc) {
-        return {
-          left: node.x,
-          right: node.x + node.width,
-          top: node.y,
-          bottom: node.y + node.height
-        };
+  for (const [key, value] of Object.entries(snapshot.properties)) {
+    try {
+      if (key === "size") {
+        if (node.width !== value.width || node.height !== value.height) {
+          node.resize(value.width, value.height);
+        }
+      } else if (JSON.stringify(node[key]) !== JSON.stringify(value)) {
+        node[key] = value;
       }
-      return {
-        left: Math.min(acc.left, node.x),
-        right: Math.max(acc.right, node.x + node.width),
-        top: Math.min(acc.top, node.y),
-        bottom: Math.max(acc.bottom, node.y + node.height)
-      };
-    }, null);
-
-    if (!bounds) {
-      throw new Error('Could not calculate bounds');
+    } catch (error) {
+      errors.push({ nodeId: node.id, property: key, message: error.message });
     }
+  }
+}
 
-    const centerX = bounds.left + (bounds.right - bounds.left) / 2 - params.width / 2;
-    const centerY = bounds.top + (bounds.bottom - bounds.top) / 2 - params.height / 2;
+/**
+ * Open a transaction; following commands can be undone as a whole with
+ * rollback_transaction until commit_transaction is called
+ * @param {Object} params
+ * @param {string} [params.name] - Label reported back on commit/rollback
+ * @param {number} [params.timeoutSeconds=300] - Roll back after this long without a command
+ * @param {Object} [origin] - The command's origin; its clientId owns the transaction
+ */
+async function beginTransaction(params, origin = {}) {
+  const { name, timeoutSeconds = DEFAULT_TRANSACTION_TIMEOUT_SECONDS } = params || {};
 
-    // Create frame
-    const frame = figma.createFrame();
-    frame.x = centerX;
-    frame.y = centerY;
-    frame.resize(params.width, params.height);
-    frame.name = params.name || 'New Frame';
-
-    // Set layout properties
-    if (params.layoutMode) {
-      frame.layoutMode = params.layoutMode;
-      frame.primaryAxisAlignItems = params.primaryAxisAlignItems || 'CENTER';
-      frame.counterAxisAlignItems = params.counterAxisAlignItems || 'CENTER';
-      frame.layoutSizingHorizontal = params.layoutSizingHorizontal || 'FIXED';
-      frame.layoutSizingVertical = params.layoutSizingVertical || 'FIXED';
-    }
-
-    // Set fill color if provided
-    if (params.fillColor) {
-      frame.fills = [{
-        type: 'SOLID',
-        color: {
-          r: params.fillColor.r,
-          g: params.fillColor.g,
-          b: params.fillColor.b
-        },
-        opacity: params.fillColor.a || 1
-      }];
+  if (typeof timeoutSeconds !== "number" || !(timeoutSeconds > 0)) {
+    throw new CommandError("invalid_params", "timeoutSeconds must be a positive number");
+  }
+
+  if (state.transaction) {
+    throw new CommandError(
+      "transaction_active",
+      `Transaction ${state.transaction.id} is already open; commit or roll it back first`,
+      { transactionId: state.transaction.id }
+    );
+  }
+
+  // Close the undo step for anything done before the transaction
+  figma.commitUndo();
+
+  state.endedTransaction = null;
+  state.transaction = {
+    id: generateCommandId(),
+    name: name || null,
+    clientId: origin.clientId || null,
+    timeoutSeconds,
+    expiryTimer: null,
+    activeCommands: 0,
+    startedAt: Date.now(),
+    commandCount: 0,
+    snapshots: {},
+    createdIds: [],
+    deletedIds: [],
+    hiddenNodes: [],
+    createdResources: [],
+    variables: {},
+    replacedNodes: [],
+    instances: {},
+  };
+
+  return {
+    transactionId: state.transaction.id,
+    name: state.transaction.name,
+    timeoutSeconds,
+  };
+}
+
+function requireTransaction() {
+  if (!state.transaction) {
+    const ended = state.endedTransaction;
+    if (ended) {
+      throw new CommandError(
+        "no_transaction",
+        `No transaction is open; transaction ${ended.transactionId} was rolled back because ${ended.reason}`,
+        ended
+      );
     }
+    throw new CommandError("no_transaction", "No transaction is open");
+  }
+  return state.transaction;
+}
 
-    console.log('✅ Frame created successfully:', frame.id);
-    figma.notify('Frame created successfully');
+// Restart the countdown after which an idle transaction is rolled back
+function scheduleTransactionExpiry(transaction) {
+  clearTimeout(transaction.expiryTimer);
+  transaction.expiryTimer = setTimeout(() => {
+    abandonTransaction(
+      transaction,
+      `no command arrived for ${transaction.timeoutSeconds} seconds`
+    ).catch((error) => {
+      console.error("Error rolling back expired transaction:", error);
+    });
+  }, transaction.timeoutSeconds * 1000);
+}
 
-  } catch (error) {
-    console.error('❌ Error creating frame:', error);
-    figma.notify('Error creating frame: ' + error.message, { error: true });
+// Roll back a transaction its client can no longer finish, and remember
+// why so the next commit or rollback can say so
+async function abandonTransaction(transaction, reason) {
+  if (state.transaction !== transaction) {
+    return;
   }
+  const result = await rollbackTransaction();
+  state.endedTransaction = {
+    transactionId: transaction.id,
+    reason,
+    errors: result.errors,
+  };
+  figma.notify(`Transaction rolled back: ${reason}`);
 }
 
-async function createText(params) {
-  const {
-    x = 0,
-    y = 0,
-    text = "Text",
-    fontSize = 14,
-    fontWeight = 400,
-    fontColor = { r: 0, g: 0, b: 0, a: 1 }, // Default to black
-    name = "",
-    parentId,
-  } = params || {};
+async function commitTransaction() {
+  const transaction = requireTransaction();
 
-  // Map common font weights to Figma font styles
-  const getFontStyle = (weight) => {
-    switch (weight) {
-      case 100:
-        return "Thin";
-      case 200:
-        return "Extra Light";
-      case 300:
-        return "Light";
-      case 400:
-        return "Regular";
-      case 500:
-        return "Medium";
-      case 600:
-        return "Semi Bold";
-      case 700:
-        return "Bold";
-      case 800:
-        return "Extra Bold";
-      case 900:
-        return "Black";
-      default:
-        return "Regular";
+  for (const id of transaction.deletedIds) {
+    const node = await figma.getNodeByIdAsync(id);
+    if (node && !node.removed) {
+      node.remove();
     }
+  }
+
+  figma.commitUndo();
+  clearTimeout(transaction.expiryTimer);
+  state.transaction = null;
+
+  return {
+    transactionId: transaction.id,
+    name: transaction.name,
+    commandCount: transaction.commandCount,
+    touchedNodeCount: Object.keys(transaction.snapshots).length,
+    createdNodeIds: transaction.createdIds,
+    deletedNodeIds: transaction.deletedIds,
   };
+}
 
-  const textNode = figma.createText();
-  textNode.x = x;
-  textNode.y = y;
-  textNode.name = name || text;
-  try {
-    await figma.loadFontAsync({
-      family: "Inter",
-      style: getFontStyle(fontWeight),
-    });
-    textNode.fontName = { family: "Inter", style: getFontStyle(fontWeight) };
-    textNode.fontSize = parseInt(fontSize);
-  } catch (error) {
-    console.error("Error setting font size", error);
+async function rollbackTransaction() {
+  const transaction = requireTransaction();
+  const errors = [];
+  const entries = Object.entries(transaction.snapshots);
+
+  // Rebuild replaced nodes first, newest first so a node replaced twice
+  // comes back in the right order; later steps use the new ids
+  const idMap = {};
+  const rebuiltNodeIds = {};
+  for (const record of [...transaction.replacedNodes].reverse()) {
+    try {
+      await rebuildReplacedNode(record, transaction, idMap, errors);
+      if (idMap[record.originalId]) {
+        rebuiltNodeIds[record.originalId] = idMap[record.originalId];
+      }
+    } catch (error) {
+      errors.push({ nodeId: record.originalId, message: error.message });
+    }
   }
-  setCharacters(textNode, text);
+  const resolve = (id) => idMap[id] || id;
 
-  // Set text color
-  const paintStyle = {
-    type: "SOLID",
-    color: {
-      r: parseFloat(fontColor.r) || 0,
-      g: parseFloat(fontColor.g) || 0,
-      b: parseFloat(fontColor.b) || 0,
-    },
-    opacity: parseFloat(fontColor.a) || 1,
-  };
-  textNode.fills = [paintStyle];
+  // Newest first, so that the state from before the transaction wins
+  for (const [id, data] of Object.entries(transaction.instances).reverse()) {
+    const node = await figma.getNodeByIdAsync(resolve(id));
+    if (!node || node.removed) continue;
+    try {
+      await restoreInstanceState(node, data, idMap, errors);
+    } catch (error) {
+      errors.push({ nodeId: id, message: error.message });
+    }
+  }
 
-  // If parentId is provided, append to that node, otherwise append to current page
-  if (parentId) {
-    const parentNode = await figma.getNodeByIdAsync(parentId);
-    if (!parentNode) {
-      throw new Error(`Parent node not found with ID: ${parentId}`);
+  // Put nodes back under their original parents first, lowest index first,
+  // so nodes moved into created frames survive the removal below
+  const byIndex = [...entries].sort((a, b) => a[1].index - b[1].index);
+  for (const [id, snapshot] of byIndex) {
+    const node = await figma.getNodeByIdAsync(resolve(id));
+    if (!node || !snapshot.parentId) continue;
+    const parent = await figma.getNodeByIdAsync(resolve(snapshot.parentId));
+    if (!parent || !("insertChild" in parent)) {
+      errors.push({ nodeId: id, message: `Original parent not found: ${snapshot.parentId}` });
+      continue;
     }
-    if (!("appendChild" in parentNode)) {
-      throw new Error(`Parent node does not support children: ${parentId}`);
+    if (node.parent !== parent || parent.children.indexOf(node) !== snapshot.index) {
+      try {
+        parent.insertChild(snapshot.index, node);
+      } catch (error) {
+        errors.push({ nodeId: id, message: error.message });
+      }
+    }
+  }
+
+  let removedNodeCount = 0;
+  for (const id of [...transaction.createdIds].reverse()) {
+    const node = await figma.getNodeByIdAsync(id);
+    if (node && !node.removed) {
+      node.remove();
+      removedNodeCount++;
+    }
+  }
+
+  // Variable values before nodes, so rebound fields pick up the old values
+  for (const [id, snapshot] of Object.entries(transaction.variables)) {
+    await restoreVariable(id, snapshot, errors);
+  }
+
+  for (const [id, snapshot] of entries) {
+    const node = await figma.getNodeByIdAsync(resolve(id));
+    if (!node || node.removed) {
+      errors.push({ nodeId: id, message: "Node no longer exists; its changes cannot be rolled back" });
+      continue;
+    }
+    await restoreNodeProperties(node, snapshot, errors);
+  }
+
+  // Created resources last, once no restored node uses them
+  let removedResourceCount = 0;
+  for (const { type, id } of [...transaction.createdResources].reverse()) {
+    const resource = await RESOURCE_LOOKUPS[type](id);
+    if (resource) {
+      resource.remove();
+      removedResourceCount++;
     }
-    parentNode.appendChild(textNode);
-  } else {
-    figma.currentPage.appendChild(textNode);
   }
 
+  figma.commitUndo();
+  clearTimeout(transaction.expiryTimer);
+  state.transaction = null;
+
   return {
-    id: textNode.id,
-    name: textNode.name,
-    x: textNode.x,
-    y: textNode.y,
-    width: textNode.width,
-    height: textNode.height,
-    characters: textNode.characters,
-    fontSize: textNode.fontSize,
-    fontWeight: fontWeight,
-    fontColor: fontColor,
-    fontName: textNode.fontName,
-    fills: textNode.fills,
-    parentId: textNode.parent ? textNode.parent.id : undefined,
+    transactionId: transaction.id,
+    name: transaction.name,
+    commandCount: transaction.commandCount,
+    restoredNodeCount: entries.length,
+    removedNodeCount,
+    removedResourceCount,
+    rebuiltNodeIds,
+    errors,
   };
 }
 
-async function setFillColor(params) {
-  console.log("setFillColor", params);
-  const {
-    nodeId,
-    color: { r, g, b, a },
-  } = params || {};
+// Batches
 
-  if (!nodeId) {
-    throw new Error("Missing nodeId parameter");
+// "$step2.id" or "$step1.nodes.0.id": a value from an earlier step's result
+const STEP_REFERENCE = /^\$step(\d+)((?:\.[\w-]+)*)$/;
+
+// Replace "$stepN.path" strings anywhere in params with earlier step results
+function resolveStepReferences(value, results) {
+  if (Array.isArray(value)) {
+    return value.map((item) => resolveStepReferences(item, results));
+  }
+  if (value && typeof value === "object") {
+    const resolved = {};
+    for (const [key, item] of Object.entries(value)) {
+      resolved[key] = resolveStepReferences(item, results);
+    }
+    return resolved;
+  }
+  if (typeof value !== "string") {
+    return value;
+  }
+
+  const match = STEP_REFERENCE.exec(value);
+  if (!match) {
+    return value;
+  }
+
+  const step = Number(match[1]);
+  const previous = results[step - 1];
+  if (!previous) {
+    throw new CommandError(
+      "invalid_reference",
+      `${value} refers to step ${step}, which has not run yet`
+    );
+  }
+  if (previous.status !== "success") {
+    throw new CommandError(
+      "invalid_reference",
+      `${value} refers to step ${step}, which failed`
+    );
   }
 
-  const node = await figma.getNodeByIdAsync(nodeId);
-  if (!node) {
-    throw new Error(`Node not found with ID: ${nodeId}`);
+  let resolved = previous.result;
+  for (const key of match[2].split(".").slice(1)) {
+    if (resolved === null || typeof resolved !== "object" || !(key in resolved)) {
+      throw new CommandError(
+        "invalid_reference",
+        `${value} does not resolve: no "${key}" in the result of step ${step}`
+      );
+    }
+    resolved = resolved[key];
+  }
+  return resolved;
+}
+
+/**
+ * Run several commands in order in one round trip
+ * @param {Object} params
+ * @param {Array<{command: string, params?: Object}>} params.steps - Steps to run; params may reference
+ *   earlier results as "$stepN.path" (steps are numbered from 1)
+ * @param {"stop"|"continue"} [params.onError="stop"] - Stop at the first failed step or run the rest
+ * @param {Object} [origin] - The batch's origin, passed on to each step
+ * @returns {Object} Per-step results and errors, with steps after a stop reported as skipped
+ */
+async function executeBatch(params, origin) {
+  const { steps, onError = "stop", commandId = generateCommandId() } = params || {};
+
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new Error("Missing or invalid steps parameter");
+  }
+  if (onError !== "stop" && onError !== "continue") {
+    throw new Error(`Invalid onError value: ${onError}. Must be "stop" or "continue"`);
+  }
+
+  sendProgressUpdate(
+    commandId,
+    "execute_batch",
+    "started",
+    0,
+    steps.length,
+    0,
+    `Starting batch of ${steps.length} steps`
+  );
+
+  const results = [];
+  let failedSteps = 0;
+
+  for (let index = 0; index < steps.length; index++) {
+    const step = index + 1;
+    const { command, params: stepParams = {} } = steps[index] || {};
+    let resolvedParams = stepParams;
+
+    try {
+      if (!command || typeof command !== "string") {
+        throw new CommandError("invalid_params", `Step ${step} is missing a command`);
+      }
+      if (command === "execute_batch") {
+        throw new CommandError("invalid_params", "execute_batch cannot be nested");
+      }
+      resolvedParams = resolveStepReferences(stepParams, results);
+      // Nested progress updates carry the batch's id so they keep it alive
+      const result = await handleCommand(command, { ...resolvedParams, commandId }, origin);
+      results.push({ step, command, status: "success", result });
+    } catch (error) {
+      failedSteps++;
+      results.push({
+        step,
+        command,
+        status: "error",
+        error: toCommandErrorEnvelope(error, command, resolvedParams),
+      });
+    }
+
+    sendProgressUpdate(
+      commandId,
+      "execute_batch",
+      "in_progress",
+      Math.round((step / steps.length) * 100),
+      steps.length,
+      step,
+      `Step ${step}/${steps.length} (${command}) ${results[index].status === "success" ? "succeeded" : "failed"}`
+    );
+
+    if (results[index].status === "error" && onError === "stop") {
+      break;
+    }
+  }
+
+  for (let index = results.length; index < steps.length; index++) {
+    results.push({ step: index + 1, command: steps[index] && steps[index].command, status: "skipped" });
+  }
+
+  const skippedSteps = results.filter((result) => result.status === "skipped").length;
+  const succeededSteps = steps.length - failedSteps - skippedSteps;
+
+  sendProgressUpdate(
+    commandId,
+    "execute_batch",
+    "completed",
+    100,
+    steps.length,
+    steps.length,
+    `Batch finished: ${succeededSteps} succeeded, ${failedSteps} failed, ${skippedSteps} skipped`
+  );
+
+  return {
+    success: failedSteps === 0,
+    onError,
+    totalSteps: steps.length,
+    succeededSteps,
+    failedSteps,
+    skippedSteps,
+    results,
+  };
+}
+
+// Command implementations
+
+/**
+ * Describe the current page and list every page in the document
+ * @param {Object} [params]
+ * @param {boolean} [params.includeChildCounts] - Load every page to report its
+ *   child count; otherwise other pages report a childCount of null
+ */
+async function getDocumentInfo(params) {
+  const { includeChildCounts = false } = params || {};
+
+  await figma.currentPage.loadAsync();
+  const page = figma.currentPage;
+
+  // Other pages are only loaded on request: loadAsync() is costly in large
+  // files that use dynamic page loading
+  const pages = [];
+  for (const documentPage of figma.root.children) {
+    const isCurrent = documentPage.id === page.id;
+    if (includeChildCounts && !isCurrent) {
+      await documentPage.loadAsync();
+    }
+    pages.push({
+      id: documentPage.id,
+      name: documentPage.name,
+      childCount: isCurrent || includeChildCounts ? documentPage.children.length : null,
+      isCurrent,
+    });
+  }
+
+  return {
+    name: page.name,
+    id: page.id,
+    type: page.type,
+    children: page.children.map((node) => ({
+      id: node.id,
+      name: node.name,
+      type: node.type,
+    })),
+    currentPage: {
+      id: page.id,
+      name: page.name,
+      childCount: page.children.length,
+    },
+    document: {
+      id: figma.root.id,
+      name: figma.root.name,
+      type: figma.root.type,
+    },
+    pageCount: pages.length,
+    pages,
+  };
+}
+
+/**
+ * Resolve a page by ID, loading its contents
+ * @param {string} [pageId] - ID of the page; defaults to the current page
+ * @returns {PageNode} - The loaded page
+ */
+async function resolvePage(pageId) {
+  if (!pageId) {
+    await figma.currentPage.loadAsync();
+    return figma.currentPage;
+  }
+
+  const page = await figma.getNodeByIdAsync(pageId);
+  if (!page || page.type !== "PAGE") {
+    throw new Error(`Page not found with ID: ${pageId}`);
+  }
+
+  await page.loadAsync();
+  return page;
+}
+
+async function getPageInfo(params) {
+  const { pageId } = params || {};
+  const page = await resolvePage(pageId);
+
+  return {
+    id: page.id,
+    name: page.name,
+    type: page.type,
+    isCurrent: page.id === figma.currentPage.id,
+    childCount: page.children.length,
+    children: page.children.map((node) => ({
+      id: node.id,
+      name: node.name,
+      type: node.type,
+    })),
+  };
+}
+
+async function setCurrentPage(params) {
+  const { pageId } = params || {};
+
+  if (!pageId) {
+    throw new Error("Missing pageId parameter");
+  }
+
+  const page = await resolvePage(pageId);
+  await figma.setCurrentPageAsync(page);
+
+  return {
+    id: page.id,
+    name: page.name,
+    childCount: page.children.length,
+  };
+}
+
+async function getSelection() {
+  return {
+    selectionCount: figma.currentPage.selection.length,
+    selection: figma.currentPage.selection.map((node) => ({
+      id: node.id,
+      name: node.name,
+      type: node.type,
+      visible: node.visible,
+    })),
+  };
+}
+
+function rgbaToHex(color) {
+  var r = Math.round(color.r * 255);
+  var g = Math.round(color.g * 255);
+  var b = Math.round(color.b * 255);
+  var a = color.a !== undefined ? Math.round(color.a * 255) : 255;
+
+  if (a === 255) {
+    return (
+      "#" +
+      [r, g, b]
+        .map((x) => {
+          return x.toString(16).padStart(2, "0");
+        })
+        .join("")
+    );
+  }
+
+  return (
+    "#" +
+    [r, g, b, a]
+      .map((x) => {
+        return x.toString(16).padStart(2, "0");
+      })
+      .join("")
+  );
+}
+
+// Properties every node summary keeps, whatever `fields` asks for
+const NODE_INFO_REQUIRED_FIELDS = ["id", "name", "type"];
+// Page size used when a cursor is passed without maxNodes
+const DEFAULT_NODE_INFO_PAGE_SIZE = 200;
+
+function readNodeInfoOptions(params) {
+  const { depth, fields, maxNodes, cursor } = params || {};
+
+  if (depth !== undefined && (!Number.isInteger(depth) || depth < 0)) {
+    throw new CommandError("invalid_params", "depth must be a non-negative integer");
+  }
+  if (maxNodes !== undefined && (!Number.isInteger(maxNodes) || maxNodes < 1)) {
+    throw new CommandError("invalid_params", "maxNodes must be a positive integer");
+  }
+  if (cursor !== undefined && typeof cursor !== "string") {
+    throw new CommandError("invalid_params", "cursor must be a string");
+  }
+
+  const readFieldList = (key) => {
+    const list = fields ? fields[key] : undefined;
+    if (list === undefined) return undefined;
+    if (!Array.isArray(list) || list.some((field) => typeof field !== "string")) {
+      throw new CommandError("invalid_params", `fields.${key} must be an array of property names`);
+    }
+    return list;
+  };
+
+  return {
+    depth: depth === undefined ? Infinity : depth,
+    include: readFieldList("include"),
+    exclude: readFieldList("exclude"),
+    paged: maxNodes !== undefined || cursor !== undefined,
+    maxNodes: maxNodes === undefined ? DEFAULT_NODE_INFO_PAGE_SIZE : maxNodes,
+    cursor,
+  };
+}
+
+// Auto-layout properties with the values the export leaves out
+const AUTO_LAYOUT_DEFAULTS = {
+  layoutWrap: "NO_WRAP",
+  paddingTop: 0,
+  paddingRight: 0,
+  paddingBottom: 0,
+  paddingLeft: 0,
+  itemSpacing: 0,
+  counterAxisSpacing: 0,
+  primaryAxisSizingMode: "AUTO",
+  counterAxisSizingMode: "AUTO",
+  primaryAxisAlignItems: "MIN",
+  counterAxisAlignItems: "MIN",
+};
+
+// Only exported for children of auto-layout frames
+const LAYOUT_CHILD_PROPERTIES = [
+  "layoutAlign",
+  "layoutGrow",
+  "layoutPositioning",
+  "layoutSizingHorizontal",
+  "layoutSizingVertical",
+];
+
+// "Size=Large, State=Hover" names the variant of a component in a set
+const VARIANT_NAME = /^\s*[^=,]+=[^,]*(,\s*[^=,]+=[^,]*)*$/;
+
+function readVariantProperties(node) {
+  if (node.type === "INSTANCE" && node.componentProperties) {
+    const variant = {};
+    for (const [name, property] of Object.entries(node.componentProperties)) {
+      if (property.type === "VARIANT") variant[name] = property.value;
+    }
+    return Object.keys(variant).length > 0 ? variant : null;
+  }
+  if (node.type === "COMPONENT" && VARIANT_NAME.test(node.name)) {
+    const variant = {};
+    for (const pair of node.name.split(",")) {
+      const [name, value] = pair.split("=");
+      variant[name.trim()] = value.trim();
+    }
+    return variant;
+  }
+  return null;
+}
+
+// { fills: [alias], itemSpacing: alias } -> { fills: [id], itemSpacing: id }
+function summarizeBoundVariables(boundVariables) {
+  const summary = {};
+  for (const [field, binding] of Object.entries(boundVariables || {})) {
+    if (Array.isArray(binding)) {
+      summary[field] = binding.map((alias) => alias.id);
+    } else if (binding && binding.type === "VARIABLE_ALIAS") {
+      summary[field] = binding.id;
+    } else if (binding && typeof binding === "object") {
+      summary[field] = summarizeBoundVariables(binding);
+    }
+  }
+  return summary;
+}
+
+// Summarize a single JSON_REST_V1 node, without its children
+function filterNodeProperties(node, options) {
+  var filtered = {
+    id: node.id,
+    name: node.name,
+    type: node.type,
+    visible: node.visible, // Add visible property
+  };
+
+  if (node.type !== "DOCUMENT" && node.type !== "CANVAS") {
+    filtered.opacity = node.opacity !== undefined ? node.opacity : 1;
+    filtered.blendMode = node.blendMode || "PASS_THROUGH";
+    filtered.rotation = node.rotation || 0;
+  }
+
+  if (node.fills && node.fills.length > 0) {
+    filtered.fills = node.fills.map((fill) => {
+      var processedFill = Object.assign({}, fill);
+      delete processedFill.boundVariables;
+      delete processedFill.imageRef;
+
+      if (processedFill.gradientStops) {
+        processedFill.gradientStops = processedFill.gradientStops.map(
+          (stop) => {
+            var processedStop = Object.assign({}, stop);
+            if (processedStop.color) {
+              processedStop.color = rgbaToHex(processedStop.color);
+            }
+            delete processedStop.boundVariables;
+            return processedStop;
+          }
+        );
+      }
+
+      if (processedFill.color) {
+        processedFill.color = rgbaToHex(processedFill.color);
+      }
+
+      return processedFill;
+    });
+  }
+
+  if (node.strokes && node.strokes.length > 0) {
+    filtered.strokes = node.strokes.map((stroke) => {
+      var processedStroke = Object.assign({}, stroke);
+      delete processedStroke.boundVariables;
+      if (processedStroke.color) {
+        processedStroke.color = rgbaToHex(processedStroke.color);
+      }
+      return processedStroke;
+    });
+  }
+
+  if (node.cornerRadius !== undefined) {
+    filtered.cornerRadius = node.cornerRadius;
+  }
+
+  if (node.effects && node.effects.length > 0) {
+    filtered.effects = node.effects.map((effect) => {
+      var processedEffect = Object.assign({}, effect);
+      delete processedEffect.boundVariables;
+      if (processedEffect.color) {
+        processedEffect.color = rgbaToHex(processedEffect.color);
+      }
+      return processedEffect;
+    });
+  }
+
+  if (node.absoluteBoundingBox) {
+    filtered.absoluteBoundingBox = node.absoluteBoundingBox;
+  }
+
+  if (node.constraints) {
+    filtered.constraints = node.constraints;
+  }
+
+  if (node.layoutMode && node.layoutMode !== "NONE") {
+    filtered.layoutMode = node.layoutMode;
+    for (const [property, defaultValue] of Object.entries(AUTO_LAYOUT_DEFAULTS)) {
+      filtered[property] = node[property] !== undefined ? node[property] : defaultValue;
+    }
+  }
+
+  for (const property of LAYOUT_CHILD_PROPERTIES) {
+    if (node[property] !== undefined) {
+      filtered[property] = node[property];
+    }
+  }
+
+  if (node.characters) {
+    filtered.characters = node.characters;
+  }
+
+  if (node.style) {
+    filtered.style = {
+      fontFamily: node.style.fontFamily,
+      fontStyle: node.style.fontStyle,
+      fontWeight: node.style.fontWeight,
+      fontSize: node.style.fontSize,
+      textAlignHorizontal: node.style.textAlignHorizontal,
+      letterSpacing: node.style.letterSpacing,
+      lineHeightPx: node.style.lineHeightPx,
+    };
+  }
+
+  if (node.boundVariables && Object.keys(node.boundVariables).length > 0) {
+    filtered.boundVariables = summarizeBoundVariables(node.boundVariables);
+  }
+
+  if (node.explicitVariableModes && Object.keys(node.explicitVariableModes).length > 0) {
+    filtered.explicitVariableModes = node.explicitVariableModes;
+  }
+
+  if (node.componentId) {
+    filtered.componentId = node.componentId;
+  }
+
+  if (node.componentProperties) {
+    filtered.componentProperties = {};
+    for (const [name, property] of Object.entries(node.componentProperties)) {
+      filtered.componentProperties[name] = { type: property.type, value: property.value };
+    }
+  }
+
+  if (node.componentPropertyDefinitions) {
+    filtered.componentPropertyDefinitions = node.componentPropertyDefinitions;
+  }
+
+  const variantProperties = readVariantProperties(node);
+  if (variantProperties) {
+    filtered.variantProperties = variantProperties;
+  }
+
+  if (node.instance) {
+    filtered.instance = node.instance;
+  }
+
+  const { include, exclude } = options || {};
+  for (const field of Object.keys(filtered)) {
+    if (NODE_INFO_REQUIRED_FIELDS.includes(field)) continue;
+    if ((include && !include.includes(field)) || (exclude && exclude.includes(field))) {
+      delete filtered[field];
+    }
+  }
+
+  return filtered;
+}
+
+// Nodes below the depth limit are replaced by a childCount on their parent
+function filterFigmaNode(node, options = {}, depth = 0) {
+  if (node.type === "VECTOR") {
+    return null;
+  }
+
+  const filtered = filterNodeProperties(node, options);
+
+  if (node.children) {
+    if (options.depth !== undefined && depth >= options.depth) {
+      filtered.childCount = node.children.length;
+    } else {
+      filtered.children = node.children
+        .map((child) => filterFigmaNode(child, options, depth + 1))
+        .filter((child) => child !== null);
+    }
+  }
+
+  return filtered;
+}
+
+// Cursors point at the next node to return: the root's id and the child
+// index path from that root, e.g. "12:34@0.3"
+function encodeNodeInfoCursor(entry) {
+  return `${entry.rootId}@${entry.path.join(".")}`;
+}
+
+function decodeNodeInfoCursor(cursor) {
+  const separator = cursor.lastIndexOf("@");
+  const path = separator === -1 ? null : cursor.slice(separator + 1);
+  if (path === null || (path !== "" && !/^\d+(\.\d+)*$/.test(path))) {
+    throw new CommandError("invalid_params", `Invalid cursor: ${cursor}`);
+  }
+  return {
+    rootId: cursor.slice(0, separator),
+    path: path === "" ? [] : path.split(".").map(Number),
+  };
+}
+
+// Pre-order list of the nodes a paged walk visits, honouring the depth limit
+function flattenNodeTree(document, options) {
+  const entries = [];
+  const visit = (node, path, depth, parent) => {
+    if (node.type === "VECTOR") return;
+    const entry = { node, rootId: document.id, path, depth, parent };
+    entries.push(entry);
+    if (node.children && depth < options.depth) {
+      node.children.forEach((child, index) =>
+        visit(child, path.concat(index), depth + 1, entry)
+      );
+    }
+  };
+  visit(document, [], 0, null);
+  return entries;
+}
+
+// Return up to maxNodes nodes starting at the cursor. Nodes whose parent is
+// on the same page are nested under it; the others are returned at the top
+// level with the parentId and index needed to stitch pages back together.
+function paginateNodeTrees(documents, options) {
+  const entries = [].concat(...documents.map((document) => flattenNodeTree(document, options)));
+
+  let start = 0;
+  if (options.cursor !== undefined) {
+    const { rootId, path } = decodeNodeInfoCursor(options.cursor);
+    start = entries.findIndex(
+      (entry) => entry.rootId === rootId && entry.path.join(".") === path.join(".")
+    );
+    if (start === -1) {
+      throw new CommandError(
+        "invalid_params",
+        `Cursor ${options.cursor} no longer matches the document; start again without a cursor`
+      );
+    }
+  }
+
+  const page = entries.slice(start, start + options.maxNodes);
+  const summaries = new Map();
+  const nodes = [];
+
+  for (const entry of page) {
+    const summary = filterNodeProperties(entry.node, options);
+    if (entry.node.children) {
+      if (entry.depth >= options.depth) {
+        summary.childCount = entry.node.children.length;
+      } else {
+        summary.children = [];
+      }
+    }
+    summaries.set(entry, summary);
+
+    const parentSummary = entry.parent ? summaries.get(entry.parent) : undefined;
+    if (parentSummary) {
+      parentSummary.children.push(summary);
+    } else if (entry.parent) {
+      nodes.push(
+        Object.assign(summary, {
+          parentId: entry.parent.node.id,
+          index: entry.path[entry.path.length - 1],
+        })
+      );
+    } else {
+      nodes.push(summary);
+    }
+  }
+
+  const next = entries[start + page.length];
+  return {
+    nodes,
+    nodeCount: page.length,
+    nextCursor: next ? encodeNodeInfoCursor(next) : null,
+  };
+}
+
+// Requested instances also get an `instance` section read from the live node
+async function exportNodeDocuments(nodes) {
+  return await Promise.all(
+    nodes.map(async (node) => {
+      const response = await node.exportAsync({
+        format: "JSON_REST_V1",
+      });
+      if (node.type === "INSTANCE") {
+        response.document.instance = await describeInstance(node);
+      }
+      return response.document;
+    })
+  );
+}
+
+async function getNodeInfo(nodeId, params) {
+  const options = readNodeInfoOptions(params);
+  const node = await figma.getNodeByIdAsync(nodeId);
+
+  if (!node) {
+    throw new Error(`Node not found with ID: ${nodeId}`);
+  }
+
+  const [document] = await exportNodeDocuments([node]);
+
+  if (options.paged) {
+    return paginateNodeTrees([document], options);
+  }
+  return filterFigmaNode(document, options);
+}
+
+async function getNodesInfo(nodeIds, params) {
+  const options = readNodeInfoOptions(params);
+  try {
+    // Load all nodes in parallel
+    const nodes = await Promise.all(
+      nodeIds.map((id) => figma.getNodeByIdAsync(id))
+    );
+
+    // Filter out any null values (nodes that weren't found)
+    const validNodes = nodes.filter((node) => node !== null);
+
+    // Export all valid nodes in parallel
+    const documents = await exportNodeDocuments(validNodes);
+
+    if (options.paged) {
+      return paginateNodeTrees(documents, options);
+    }
+    return documents.map((document, index) => ({
+      nodeId: validNodes[index].id,
+      document: filterFigmaNode(document, options),
+    }));
+  } catch (error) {
+    if (error instanceof CommandError) throw error;
+    throw new Error(`Error getting nodes info: ${error.message}`);
+  }
+}
+
+async function readMyDesign(params) {
+  const options = readNodeInfoOptions(params);
+  try {
+    // Load all selected nodes in parallel
+    const nodes = await Promise.all(
+      figma.currentPage.selection.map((node) => figma.getNodeByIdAsync(node.id))
+    );
+
+    // Filter out any null values (nodes that weren't found)
+    const validNodes = nodes.filter((node) => node !== null);
+
+    // Export all valid nodes in parallel
+    const documents = await exportNodeDocuments(validNodes);
+
+    if (options.paged) {
+      return paginateNodeTrees(documents, options);
+    }
+    return documents.map((document, index) => ({
+      nodeId: validNodes[index].id,
+      document: filterFigmaNode(document, options),
+    }));
+  } catch (error) {
+    if (error instanceof CommandError) throw error;
+    throw new Error(`Error getting nodes info: ${error.message}`);
+  }
+}
+
+async function createRectangle(params) {
+  const {
+    x = 0,
+    y = 0,
+    width = 100,
+    height = 100,
+    name = "Rectangle",
+    parentId,
+  } = params || {};
+
+  const rect = figma.createRectangle();
+  trackCreatedNode(rect);
+  rect.x = x;
+  rect.y = y;
+  rect.resize(width, height);
+  rect.name = name;
+
+  // If parentId is provided, append to that node, otherwise append to current page
+  if (parentId) {
+    const parentNode = await figma.getNodeByIdAsync(parentId);
+    if (!parentNode) {
+      throw new Error(`Parent node not found with ID: ${parentId}`);
+    }
+    if (!("appendChild" in parentNode)) {
+      throw new Error(`Parent node does not support children: ${parentId}`);
+    }
+    parentNode.appendChild(rect);
+  } else {
+    figma.currentPage.appendChild(rect);
+  }
+
+  return {
+    id: rect.id,
+    name: rect.name,
+    x: rect.x,
+    y: rect.y,
+    width: rect.width,
+    height: rect.height,
+    parentId: rect.parent ? rect.parent.id : undefined,
+  };
+}
+
+async function createFrame(params) {
+  const {
+    x = 0,
+    y = 0,
+    width = 100,
+    height = 100,
+    name = "Frame",
+    parentId,
+    fillColor,
+    strokeColor,
+    strokeWeight,
+    layoutMode = "NONE",
+    layoutWrap = "NO_WRAP",
+    paddingTop,
+    paddingRight,
+    paddingBottom,
+    paddingLeft,
+    primaryAxisAlignItems,
+    counterAxisAlignItems,
+    layoutSizingHorizontal,
+    layoutSizingVertical,
+    itemSpacing,
+  } = params || {};
+
+  const frame = figma.createFrame();
+  trackCreatedNode(frame);
+  frame.x = x;
+  frame.y = y;
+  frame.resize(width, height);
+  frame.name = name;
+
+  // Set auto-layout properties
+  if (layoutMode !== "NONE") {
+    frame.layoutMode = layoutMode;
+    frame.layoutWrap = layoutWrap;
+    if (paddingTop !== undefined) frame.paddingTop = paddingTop;
+    if (paddingRight !== undefined) frame.paddingRight = paddingRight;
+    if (paddingBottom !== undefined) frame.paddingBottom = paddingBottom;
+    if (paddingLeft !== undefined) frame.paddingLeft = paddingLeft;
+    if (primaryAxisAlignItems !== undefined) {
+      frame.primaryAxisAlignItems = primaryAxisAlignItems;
+    }
+    if (counterAxisAlignItems !== undefined) {
+      frame.counterAxisAlignItems = counterAxisAlignItems;
+    }
+    if (itemSpacing !== undefined) frame.itemSpacing = itemSpacing;
+  }
+
+  // Set fill color if provided
+  if (fillColor) {
+    frame.fills = [
+      {
+        type: "SOLID",
+        color: {
+          r: parseFloat(fillColor.r) || 0,
+          g: parseFloat(fillColor.g) || 0,
+          b: parseFloat(fillColor.b) || 0,
+        },
+        opacity: fillColor.a !== undefined ? parseFloat(fillColor.a) : 1,
+      },
+    ];
+  }
+
+  // Set stroke color and weight if provided
+  if (strokeColor) {
+    frame.strokes = [
+      {
+        type: "SOLID",
+        color: {
+          r: parseFloat(strokeColor.r) || 0,
+          g: parseFloat(strokeColor.g) || 0,
+          b: parseFloat(strokeColor.b) || 0,
+        },
+        opacity: strokeColor.a !== undefined ? parseFloat(strokeColor.a) : 1,
+      },
+    ];
+  }
+  if (strokeWeight !== undefined) {
+    frame.strokeWeight = strokeWeight;
+  }
+
+  // If parentId is provided, append to that node, otherwise append to current page
+  if (parentId) {
+    const parentNode = await figma.getNodeByIdAsync(parentId);
+    if (!parentNode) {
+      throw new Error(`Parent node not found with ID: ${parentId}`);
+    }
+    if (!("appendChild" in parentNode)) {
+      throw new Error(`Parent node does not support children: ${parentId}`);
+    }
+    parentNode.appendChild(frame);
+  } else {
+    figma.currentPage.appendChild(frame);
+  }
+
+  // Sizing modes depend on the parent, so apply them after appending
+  if (layoutSizingHorizontal !== undefined) {
+    frame.layoutSizingHorizontal = layoutSizingHorizontal;
+  }
+  if (layoutSizingVertical !== undefined) {
+    frame.layoutSizingVertical = layoutSizingVertical;
+  }
+
+  return {
+    id: frame.id,
+    name: frame.name,
+    x: frame.x,
+    y: frame.y,
+    width: frame.width,
+    height: frame.height,
+    fills: frame.fills,
+    strokes: frame.strokes,
+    strokeWeight: frame.strokeWeight,
+    layoutMode: frame.layoutMode,
+    layoutWrap: frame.layoutWrap,
+    parentId: frame.parent ? frame.parent.id : undefined,
+  };
+}
+
+async function createText(params) {
+  const {
+    x = 0,
+    y = 0,
+    text = "Text",
+    fontSize = 14,
+    fontWeight = 400,
+    fontColor = { r: 0, g: 0, b: 0, a: 1 }, // Default to black
+    name = "",
+    parentId,
+  } = params || {};
+
+  // Map common font weights to Figma font styles
+  const getFontStyle = (weight) => {
+    switch (weight) {
+      case 100:
+        return "Thin";
+      case 200:
+        return "Extra Light";
+      case 300:
+        return "Light";
+      case 400:
+        return "Regular";
+      case 500:
+        return "Medium";
+      case 600:
+        return "Semi Bold";
+      case 700:
+        return "Bold";
+      case 800:
+        return "Extra Bold";
+      case 900:
+        return "Black";
+      default:
+        return "Regular";
+    }
+  };
+
+  const textNode = figma.createText();
+  trackCreatedNode(textNode);
+  textNode.x = x;
+  textNode.y = y;
+  textNode.name = name || text;
+  try {
+    await figma.loadFontAsync({
+      family: "Inter",
+      style: getFontStyle(fontWeight),
+    });
+    textNode.fontName = { family: "Inter", style: getFontStyle(fontWeight) };
+    textNode.fontSize = parseInt(fontSize);
+  } catch (error) {
+    console.error("Error setting font size", error);
+  }
+  await setCharacters(textNode, text);
+
+  // Set text color
+  const paintStyle = {
+    type: "SOLID",
+    color: {
+      r: parseFloat(fontColor.r) || 0,
+      g: parseFloat(fontColor.g) || 0,
+      b: parseFloat(fontColor.b) || 0,
+    },
+    opacity: parseFloat(fontColor.a) || 1,
+  };
+  textNode.fills = [paintStyle];
+
+  // If parentId is provided, append to that node, otherwise append to current page
+  if (parentId) {
+    const parentNode = await figma.getNodeByIdAsync(parentId);
+    if (!parentNode) {
+      throw new Error(`Parent node not found with ID: ${parentId}`);
+    }
+    if (!("appendChild" in parentNode)) {
+      throw new Error(`Parent node does not support children: ${parentId}`);
+    }
+    parentNode.appendChild(textNode);
+  } else {
+    figma.currentPage.appendChild(textNode);
+  }
+
+  return {
+    id: textNode.id,
+    name: textNode.name,
+    x: textNode.x,
+    y: textNode.y,
+    width: textNode.width,
+    height: textNode.height,
+    characters: textNode.characters,
+    fontSize: textNode.fontSize,
+    fontWeight: fontWeight,
+    fontColor: fontColor,
+    fontName: textNode.fontName,
+    fills: textNode.fills,
+    parentId: textNode.parent ? textNode.parent.id : undefined,
+  };
+}
+
+// Node types create_from_spec can build
+const SPEC_NODE_TYPES = ["FRAME", "TEXT", "RECTANGLE"];
+
+// Typography a TEXT spec can set on top of create_text's, through set_text_style
+const SPEC_TEXT_STYLE_PROPERTIES = [
+  "fontFamily",
+  "fontStyle",
+  "lineHeight",
+  "letterSpacing",
+  "textAlignHorizontal",
+];
+
+// Padding in a spec is a number for all sides or a { top, right, bottom, left } object
+function specPadding(padding) {
+  if (padding === undefined) return {};
+  if (typeof padding === "number") {
+    return {
+      paddingTop: padding,
+      paddingRight: padding,
+      paddingBottom: padding,
+      paddingLeft: padding,
+    };
+  }
+  return {
+    paddingTop: padding.top,
+    paddingRight: padding.right,
+    paddingBottom: padding.bottom,
+    paddingLeft: padding.left,
+  };
+}
+
+function countSpecNodes(spec) {
+  const children = Array.isArray(spec.children) ? spec.children : [];
+  return children.reduce((count, child) => count + countSpecNodes(child), 1);
+}
+
+async function createSpecNode(spec, parentId, path, context) {
+  if (!spec || typeof spec !== "object") {
+    throw new CommandError("invalid_params", `Spec at ${path} must be an object`);
+  }
+  const type = String(spec.type || "").toUpperCase();
+  if (!SPEC_NODE_TYPES.includes(type)) {
+    throw new CommandError(
+      "invalid_params",
+      `Invalid spec type at ${path}: ${spec.type}. Must be one of ${SPEC_NODE_TYPES.join(", ")}`
+    );
+  }
+  const key = spec.key || path;
+  if (context.nodeIds[key]) {
+    throw new CommandError("invalid_params", `Duplicate spec key: ${key}`);
+  }
+  if (spec.children && type !== "FRAME") {
+    throw new CommandError("invalid_params", `Only FRAME specs can have children (at ${key})`);
+  }
+
+  let node;
+  try {
+    let result;
+    if (type === "FRAME") {
+      result = await createFrame({
+        ...spec,
+        ...specPadding(spec.padding),
+        name: spec.name || "Frame",
+        parentId,
+      });
+    } else if (type === "TEXT") {
+      result = await createText({ ...spec, parentId });
+    } else {
+      result = await createRectangle({ ...spec, parentId });
+      if (spec.fillColor) {
+        await setFillColor({ nodeId: result.id, color: spec.fillColor });
+      }
+      if (spec.strokeColor) {
+        await setStrokeColor({
+          nodeId: result.id,
+          color: spec.strokeColor,
+          weight: spec.strokeWeight,
+        });
+      }
+    }
+    if (!context.rootId) {
+      context.rootId = result.id;
+    }
+    node = await figma.getNodeByIdAsync(result.id);
+
+    if (spec.cornerRadius !== undefined) {
+      await setCornerRadius({ nodeId: node.id, radius: spec.cornerRadius });
+    }
+    if (spec.fills !== undefined) {
+      await setPaints({ nodeId: node.id, paints: spec.fills });
+    }
+    if (type === "TEXT" && SPEC_TEXT_STYLE_PROPERTIES.some((property) => spec[property] !== undefined)) {
+      const style = { nodeId: node.id };
+      for (const property of SPEC_TEXT_STYLE_PROPERTIES) {
+        style[property] = spec[property];
+      }
+      const { missingFonts } = await setTextStyle(style);
+      for (const font of missingFonts) {
+        if (!context.missingFonts.some((missing) => fontLabel(missing) === fontLabel(font))) {
+          context.missingFonts.push(font);
+        }
+      }
+    }
+    // Fixed-width text wraps and grows in height
+    if (type === "TEXT" && spec.width !== undefined) {
+      node.resize(spec.width, node.height);
+      node.textAutoResize = "HEIGHT";
+    }
+    // createFrame applies sizing modes itself
+    if (type !== "FRAME") {
+      if (spec.layoutSizingHorizontal !== undefined) {
+        node.layoutSizingHorizontal = spec.layoutSizingHorizontal;
+      }
+      if (spec.layoutSizingVertical !== undefined) {
+        node.layoutSizingVertical = spec.layoutSizingVertical;
+      }
+    }
+  } catch (error) {
+    if (error instanceof CommandError) throw error;
+    throw new CommandError(
+      inferErrorCode(error.message),
+      `Error creating ${key}: ${error.message}`,
+      { key }
+    );
+  }
+
+  context.nodeIds[key] = node.id;
+  context.createdCount++;
+  if (context.createdCount % 10 === 0) {
+    sendProgressUpdate(
+      context.commandId,
+      "create_from_spec",
+      "in_progress",
+      Math.round((context.createdCount / context.totalNodes) * 100),
+      context.totalNodes,
+      context.createdCount,
+      `Created ${context.createdCount} of ${context.totalNodes} nodes`
+    );
+  }
+
+  const children = spec.children || [];
+  for (let index = 0; index < children.length; index++) {
+    await createSpecNode(children[index], node.id, `${path}.${index}`, context);
+  }
+}
+
+/**
+ * Build a node tree from a nested JSON spec in one pass
+ * @param {Object} params
+ * @param {Object} params.spec - Root node spec: type (FRAME, TEXT or RECTANGLE), an optional key,
+ *   the create_frame / create_text / create_rectangle parameters, padding, cornerRadius, fills
+ *   (set_paints paints) and children. TEXT specs also take fontFamily, fontStyle, lineHeight,
+ *   letterSpacing and textAlignHorizontal
+ * @param {string} [params.parentId] - Node to build the tree in (defaults to the current page)
+ * @returns {Object} The root node id, a map from spec keys to created node ids and the fonts that
+ *   could not be loaded. Specs without a key are keyed by their path: "root", "root.0", "root.0.1", ...
+ */
+async function createFromSpec(params) {
+  const { spec, parentId, commandId = generateCommandId() } = params || {};
+
+  if (!spec || typeof spec !== "object") {
+    throw new Error("Missing spec parameter");
+  }
+
+  const context = {
+    commandId,
+    totalNodes: countSpecNodes(spec),
+    createdCount: 0,
+    rootId: null,
+    nodeIds: {},
+    missingFonts: [],
+  };
+
+  sendProgressUpdate(
+    commandId,
+    "create_from_spec",
+    "started",
+    0,
+    context.totalNodes,
+    0,
+    `Creating ${context.totalNodes} nodes from spec`
+  );
+
+  try {
+    await createSpecNode(spec, parentId, "root", context);
+  } catch (error) {
+    // Don't leave a half-built tree behind
+    const root = context.rootId && (await figma.getNodeByIdAsync(context.rootId));
+    if (root) {
+      root.remove();
+    }
+    throw error;
+  }
+
+  sendProgressUpdate(
+    commandId,
+    "create_from_spec",
+    "completed",
+    100,
+    context.totalNodes,
+    context.createdCount,
+    `Created ${context.createdCount} nodes from spec`
+  );
+
+  const root = await figma.getNodeByIdAsync(context.rootId);
+  return {
+    id: root.id,
+    name: root.name,
+    nodeCount: context.createdCount,
+    nodeIds: context.nodeIds,
+    missingFonts: context.missingFonts,
+  };
+}
+
+async function setFillColor(params) {
+  console.log("setFillColor", params);
+  const {
+    nodeId,
+    color: { r, g, b, a },
+  } = params || {};
+
+  if (!nodeId) {
+    throw new Error("Missing nodeId parameter");
+  }
+
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node) {
+    throw new Error(`Node not found with ID: ${nodeId}`);
+  }
+
+  if (!("fills" in node)) {
+    throw new Error(`Node does not support fills: ${nodeId}`);
+  }
+
+  // Create RGBA color
+  const rgbColor = {
+    r: parseFloat(r) || 0,
+    g: parseFloat(g) || 0,
+    b: parseFloat(b) || 0,
+    a: parseFloat(a) || 1,
+  };
+
+  // Set fill
+  const paintStyle = {
+    type: "SOLID",
+    color: {
+      r: parseFloat(rgbColor.r),
+      g: parseFloat(rgbColor.g),
+      b: parseFloat(rgbColor.b),
+    },
+    opacity: parseFloat(rgbColor.a),
+  };
+
+  console.log("paintStyle", paintStyle);
+
+  node.fills = [paintStyle];
+
+  return {
+    id: node.id,
+    name: node.name,
+    fills: [paintStyle],
+  };
+}
+
+async function setStrokeColor(params) {
+  const {
+    nodeId,
+    color: { r, g, b, a },
+    weight = 1,
+  } = params || {};
+
+  if (!nodeId) {
+    throw new Error("Missing nodeId parameter");
+  }
+
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node) {
+    throw new Error(`Node not found with ID: ${nodeId}`);
+  }
+
+  if (!("strokes" in node)) {
+    throw new Error(`Node does not support strokes: ${nodeId}`);
+  }
+
+  // Create RGBA color
+  const rgbColor = {
+    r: r !== undefined ? r : 0,
+    g: g !== undefined ? g : 0,
+    b: b !== undefined ? b : 0,
+    a: a !== undefined ? a : 1,
+  };
+
+  // Set stroke
+  const paintStyle = {
+    type: "SOLID",
+    color: {
+      r: rgbColor.r,
+      g: rgbColor.g,
+      b: rgbColor.b,
+    },
+    opacity: rgbColor.a,
+  };
+
+  node.strokes = [paintStyle];
+
+  // Set stroke weight if available
+  if ("strokeWeight" in node) {
+    node.strokeWeight = weight;
+  }
+
+  return {
+    id: node.id,
+    name: node.name,
+    strokes: node.strokes,
+    strokeWeight: "strokeWeight" in node ? node.strokeWeight : undefined,
+  };
+}
+
+// Paints
+
+const GRADIENT_PAINT_TYPES = ["GRADIENT_LINEAR", "GRADIENT_RADIAL", "GRADIENT_ANGULAR", "GRADIENT_DIAMOND"];
+const IMAGE_SCALE_MODES = ["FILL", "FIT", "CROP", "TILE"];
+const STROKE_ALIGNS = ["INSIDE", "OUTSIDE", "CENTER"];
+const STROKE_CAPS = ["NONE", "ROUND", "SQUARE", "ARROW_LINES", "ARROW_EQUILATERAL"];
+const STROKE_JOINS = ["MITER", "BEVEL", "ROUND"];
+
+// Inverse of linearGradientAngle: a transform whose gradient runs through the
+// node's center at the given CSS angle (0 = bottom to top, 90 = left to right)
+function linearGradientTransform(angle) {
+  const radians = (angle * Math.PI) / 180;
+  const round = (value) => Math.round(value * 1e6) / 1e6;
+  const [dx, dy] = [Math.sin(radians), -Math.cos(radians)];
+  const [px, py] = [Math.cos(radians), Math.sin(radians)];
+  return [
+    [round(dx), round(dy), round(0.5 - 0.5 * dx - 0.5 * dy)],
+    [round(px), round(py), round(0.5 - 0.5 * px - 0.5 * py)],
+  ];
+}
+
+function readPaintColor(color, label) {
+  if (!color || [color.r, color.g, color.b].some((channel) => typeof channel !== "number")) {
+    throw new Error(`${label} must have numeric r, g and b`);
+  }
+  return { r: color.r, g: color.g, b: color.b, a: color.a !== undefined ? color.a : 1 };
+}
+
+function buildPaint(spec, index) {
+  const label = `paints[${index}]`;
+  const paint = { type: spec && spec.type };
+  if (spec.visible !== undefined) paint.visible = spec.visible;
+  if (spec.blendMode !== undefined) paint.blendMode = spec.blendMode;
+
+  if (paint.type === "SOLID") {
+    const { r, g, b, a } = readPaintColor(spec.color, `${label}.color`);
+    paint.color = { r, g, b };
+    paint.opacity = spec.opacity !== undefined ? spec.opacity : a;
+    return paint;
+  }
+
+  if (spec.opacity !== undefined) paint.opacity = spec.opacity;
+
+  if (GRADIENT_PAINT_TYPES.includes(paint.type)) {
+    if (!Array.isArray(spec.gradientStops) || spec.gradientStops.length < 2) {
+      throw new Error(`${label}.gradientStops must have at least two stops`);
+    }
+    paint.gradientStops = spec.gradientStops.map((stop, stopIndex) => {
+      if (typeof stop.position !== "number" || stop.position < 0 || stop.position > 1) {
+        throw new Error(`${label}.gradientStops[${stopIndex}].position must be between 0 and 1`);
+      }
+      return { position: stop.position, color: readPaintColor(stop.color, `${label}.gradientStops[${stopIndex}].color`) };
+    });
+    if (spec.gradientTransform) {
+      paint.gradientTransform = spec.gradientTransform;
+    } else if (spec.angle !== undefined && paint.type === "GRADIENT_LINEAR") {
+      paint.gradientTransform = linearGradientTransform(spec.angle);
+    } else {
+      paint.gradientTransform = [
+        [1, 0, 0],
+        [0, 1, 0],
+      ];
+    }
+    return paint;
+  }
+
+  if (paint.type === "IMAGE") {
+    if (spec.imageBytes) {
+      paint.imageHash = figma.createImage(figma.base64Decode(spec.imageBytes)).hash;
+    } else if (spec.imageHash && figma.getImageByHash(spec.imageHash)) {
+      paint.imageHash = spec.imageHash;
+    } else {
+      throw new Error(`${label} needs imageBytes (base64) or the imageHash of an image in this file`);
+    }
+    paint.scaleMode = spec.scaleMode || "FILL";
+    if (!IMAGE_SCALE_MODES.includes(paint.scaleMode)) {
+      throw new Error(`${label}.scaleMode must be one of ${IMAGE_SCALE_MODES.join(", ")}`);
+    }
+    if (spec.scalingFactor !== undefined) paint.scalingFactor = spec.scalingFactor;
+    if (spec.rotation !== undefined) paint.rotation = spec.rotation;
+    if (spec.imageTransform !== undefined) paint.imageTransform = spec.imageTransform;
+    return paint;
+  }
+
+  throw new Error(`${label}.type must be one of SOLID, ${GRADIENT_PAINT_TYPES.join(", ")}, IMAGE`);
+}
+
+function summarizePaint(paint) {
+  const summary = Object.assign({}, paint);
+  delete summary.boundVariables;
+  if (summary.color) {
+    summary.color = rgbaToHex(summary.color);
+  }
+  if (summary.gradientStops) {
+    summary.gradientStops = summary.gradientStops.map((stop) => ({
+      position: stop.position,
+      color: rgbaToHex(stop.color),
+    }));
+  }
+  return summary;
+}
+
+/**
+ * Set a node's fills or strokes to a stack of solid, gradient and image
+ * paints, and optionally its stroke weight, alignment, dashes, caps and joins
+ * @param {Object} params
+ * @param {string} params.nodeId
+ * @param {string} [params.target="fill"] - "fill" or "stroke"
+ * @param {Array<Object>} [params.paints] - Bottom to top; an empty array clears them
+ */
+async function setPaints(params) {
+  const { nodeId, target = "fill", paints, strokeWeight, strokeAlign, dashPattern, strokeCap, strokeJoin } =
+    params || {};
+
+  if (!nodeId) {
+    throw new Error("Missing nodeId parameter");
+  }
+  if (target !== "fill" && target !== "stroke") {
+    throw new Error("target must be fill or stroke");
+  }
+  if (paints !== undefined && !Array.isArray(paints)) {
+    throw new Error("paints must be an array");
+  }
+  if (strokeAlign !== undefined && !STROKE_ALIGNS.includes(strokeAlign)) {
+    throw new Error(`strokeAlign must be one of ${STROKE_ALIGNS.join(", ")}`);
+  }
+  if (strokeCap !== undefined && !STROKE_CAPS.includes(strokeCap)) {
+    throw new Error(`strokeCap must be one of ${STROKE_CAPS.join(", ")}`);
+  }
+  if (strokeJoin !== undefined && !STROKE_JOINS.includes(strokeJoin)) {
+    throw new Error(`strokeJoin must be one of ${STROKE_JOINS.join(", ")}`);
+  }
+
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node) {
+    throw new Error(`Node not found with ID: ${nodeId}`);
+  }
+  const property = target === "fill" ? "fills" : "strokes";
+  if (!(property in node)) {
+    throw new Error(`Node does not support ${property}: ${nodeId}`);
+  }
+
+  // Build every paint before touching the node, so a bad one changes nothing
+  const built = paints ? paints.map(buildPaint) : null;
+  const strokeProperties = { strokeWeight, strokeAlign, dashPattern, strokeCap, strokeJoin };
+  for (const [key, value] of Object.entries(strokeProperties)) {
+    if (value !== undefined && !(key in node)) {
+      throw new Error(`Node does not support ${key}: ${nodeId}`);
+    }
+  }
+
+  if (built) {
+    node[property] = built;
+  }
+  for (const [key, value] of Object.entries(strokeProperties)) {
+    if (value !== undefined) {
+      node[key] = value;
+    }
+  }
+
+  const result = { id: node.id, name: node.name };
+  result[property] = node[property].map(summarizePaint);
+  if ("strokeWeight" in node && (target === "stroke" || Object.values(strokeProperties).some((value) => value !== undefined))) {
+    for (const key of Object.keys(strokeProperties)) {
+      if (key in node) result[key] = node[key];
+    }
+  }
+  return result;
+}
+
+async function moveNode(params) {
+  const { nodeId, x, y } = params || {};
+
+  if (!nodeId) {
+    throw new Error("Missing nodeId parameter");
+  }
+
+  if (x === undefined || y === undefined) {
+    throw new Error("Missing x or y parameters");
+  }
+
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node) {
+    throw new Error(`Node not found with ID: ${nodeId}`);
+  }
+
+  if (!("x" in node) || !("y" in node)) {
+    throw new Error(`Node does not support position: ${nodeId}`);
+  }
+
+  node.x = x;
+  node.y = y;
+
+  return {
+    id: node.id,
+    name: node.name,
+    x: node.x,
+    y: node.y,
+  };
+}
+
+async function resizeNode(params) {
+  const { nodeId, width, height } = params || {};
+
+  if (!nodeId) {
+    throw new Error("Missing nodeId parameter");
+  }
+
+  if (width === undefined || height === undefined) {
+    throw new Error("Missing width or height parameters");
+  }
+
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node) {
+    throw new Error(`Node not found with ID: ${nodeId}`);
+  }
+
+  if (!("resize" in node)) {
+    throw new Error(`Node does not support resizing: ${nodeId}`);
+  }
+
+  node.resize(width, height);
+
+  return {
+    id: node.id,
+    name: node.name,
+    width: node.width,
+    height: node.height,
+  };
+}
+
+async function deleteNode(params) {
+  const { nodeId } = params || {};
+
+  if (!nodeId) {
+    throw new Error("Missing nodeId parameter");
+  }
+
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node) {
+    throw new Error(`Node not found with ID: ${nodeId}`);
+  }
+
+  // Save node info before deleting
+  const nodeInfo = {
+    id: node.id,
+    name: node.name,
+    type: node.type,
+  };
+
+  removeNode(node);
+
+  return nodeInfo;
+}
+
+async function loadLocalStyles() {
+  return {
+    colors: await figma.getLocalPaintStylesAsync(),
+    texts: await figma.getLocalTextStylesAsync(),
+    effects: await figma.getLocalEffectStylesAsync(),
+    grids: await figma.getLocalGridStylesAsync(),
+  };
+}
+
+async function getStyles() {
+  const styles = await loadLocalStyles();
+
+  return {
+    colors: styles.colors.map((style) => ({
+      id: style.id,
+      name: style.name,
+      key: style.key,
+      paint: style.paints[0],
+    })),
+    texts: styles.texts.map((style) => ({
+      id: style.id,
+      name: style.name,
+      key: style.key,
+      fontSize: style.fontSize,
+      fontName: style.fontName,
+    })),
+    effects: styles.effects.map((style) => ({
+      id: style.id,
+      name: style.name,
+      key: style.key,
+    })),
+    grids: styles.grids.map((style) => ({
+      id: style.id,
+      name: style.name,
+      key: style.key,
+    })),
+  };
+}
+
+// Styles
+
+// What apply_style and create_style can target: the style type each takes,
+// the node property a style of that type sets and the node's style setter
+const STYLE_TARGETS = {
+  fill: { styleType: "PAINT", property: "fills", setter: "setFillStyleIdAsync" },
+  stroke: { styleType: "PAINT", property: "strokes", setter: "setStrokeStyleIdAsync" },
+  text: { styleType: "TEXT", property: "fontName", setter: "setTextStyleIdAsync" },
+  effect: { styleType: "EFFECT", property: "effects", setter: "setEffectStyleIdAsync" },
+  grid: { styleType: "GRID", property: "layoutGrids", setter: "setGridStyleIdAsync" },
+};
+
+// Text properties a text style captures, when the node has them
+const TEXT_STYLE_PROPERTIES = [
+  "fontName",
+  "fontSize",
+  "letterSpacing",
+  "lineHeight",
+  "textCase",
+  "textDecoration",
+  "paragraphSpacing",
+  "paragraphIndent",
+];
+
+function requireStyleTarget(target) {
+  if (!STYLE_TARGETS[target]) {
+    throw new Error(`target must be one of ${Object.keys(STYLE_TARGETS).join(", ")}`);
+  }
+  return STYLE_TARGETS[target];
+}
+
+// Find a local style by ID or by name; a name must match one style only
+async function findStyle({ styleId, styleName, target }) {
+  const styleType = target ? requireStyleTarget(target).styleType : null;
+
+  if (styleId) {
+    const style = await figma.getStyleByIdAsync(styleId);
+    if (!style) {
+      throw new Error(`Style not found with ID: ${styleId}`);
+    }
+    return style;
+  }
+  if (!styleName) {
+    throw new Error("Missing styleId or styleName parameter");
+  }
+
+  const styles = await loadLocalStyles();
+  const matches = []
+    .concat(styles.colors, styles.texts, styles.effects, styles.grids)
+    .filter((style) => style.name === styleName && (!styleType || style.type === styleType));
+  if (matches.length === 0) {
+    throw new Error(`Style not found with name: ${styleName}`);
+  }
+  if (matches.length > 1) {
+    throw new Error(
+      `Several styles are named ${styleName} (${matches.map((style) => style.type).join(", ")}); pass a target or the styleId`
+    );
+  }
+  return matches[0];
+}
+
+// Text styles and text nodes need their fonts loaded before they change
+async function loadTextStyleFonts(node, style) {
+  const fonts = node.getRangeAllFontNames(0, node.characters.length);
+  if (style && style.fontName) {
+    fonts.push(style.fontName);
+  }
+  await Promise.all(
+    uniqBy(fonts, (font) => `${font.family}:${font.style}`).map((font) => figma.loadFontAsync(font))
+  );
+}
+
+async function applyStyle(params) {
+  const { nodeId, styleId, styleName, target } = params || {};
+  if (!nodeId) {
+    throw new Error("Missing nodeId parameter");
+  }
+
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node) {
+    throw new Error(`Node not found with ID: ${nodeId}`);
+  }
+
+  const style = await findStyle({ styleId, styleName, target });
+  const targetName =
+    target ||
+    Object.keys(STYLE_TARGETS).find((name) => STYLE_TARGETS[name].styleType === style.type);
+  const { styleType, setter } = requireStyleTarget(targetName);
+  if (style.type !== styleType) {
+    throw new Error(`Style ${style.name} has type ${style.type} and cannot be applied as ${targetName}`);
+  }
+  if (typeof node[setter] !== "function") {
+    throw new Error(`Node does not support ${targetName} styles: ${nodeId}`);
+  }
+
+  if (node.type === "TEXT") {
+    await loadTextStyleFonts(node, style);
+  }
+  await node[setter](style.id);
+
+  return {
+    id: node.id,
+    name: node.name,
+    target: targetName,
+    styleId: style.id,
+    styleName: style.name,
+  };
+}
+
+async function createStyle(params) {
+  const { nodeId, target, name, description, link = true } = params || {};
+  if (!nodeId) {
+    throw new Error("Missing nodeId parameter");
+  }
+  if (!name) {
+    throw new Error("Missing name parameter");
+  }
+  const { styleType, property, setter } = requireStyleTarget(target);
+
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node) {
+    throw new Error(`Node not found with ID: ${nodeId}`);
+  }
+  if (target === "text" ? node.type !== "TEXT" : !(property in node)) {
+    throw new Error(`Node does not support ${target} styles: ${nodeId}`);
+  }
+
+  const properties = target === "text" ? TEXT_STYLE_PROPERTIES.filter((key) => key in node) : [property];
+  const mixed = properties.find((key) => node[key] === figma.mixed);
+  if (mixed) {
+    throw new Error(`Node has mixed ${mixed} values; cannot create a ${target} style from it`);
+  }
+
+  const existing = await loadLocalStyles();
+  const sameType = [].concat(existing.colors, existing.texts, existing.effects, existing.grids)
+    .filter((style) => style.type === styleType && style.name === name);
+  if (sameType.length > 0) {
+    throw new Error(`A ${styleType} style named ${name} already exists (${sameType[0].id})`);
+  }
+
+  const style = {
+    PAINT: () => figma.createPaintStyle(),
+    TEXT: () => figma.createTextStyle(),
+    EFFECT: () => figma.createEffectStyle(),
+    GRID: () => figma.createGridStyle(),
+  }[styleType]();
+
+  try {
+    style.name = name;
+    if (description !== undefined) style.description = description;
+
+    if (target === "text") {
+      await loadTextStyleFonts(node, null);
+      properties.forEach((key) => (style[key] = node[key]));
+    } else if (styleType === "PAINT") {
+      style.paints = node[property];
+    } else {
+      style[property] = node[property];
+    }
+
+    if (link) {
+      await node[setter](style.id);
+    }
+  } catch (error) {
+    style.remove();
+    throw error;
+  }
+  trackCreatedResource("STYLE", style);
+
+  return {
+    id: style.id,
+    key: style.key,
+    name: style.name,
+    type: style.type,
+    target,
+    nodeId: node.id,
+    linked: Boolean(link),
+  };
+}
+
+// Design tokens
+//
+// export_design_tokens turns local paint, text and effect styles and local
+// variables into W3C Design Tokens JSON, CSS custom properties and a
+// Tailwind theme. Token paths come from the "/"-separated names, with
+// variables nested under their collection; CSS and Tailwind names join the
+// same path with dashes. Modes other than a collection's default are kept
+// in the token's com.figma extension and as [data-<collection>="<mode>"]
+// CSS blocks. Grid styles have no token type and are left out.
+
+// Font style names to CSS font weights, compared without spaces or case
+const TOKEN_FONT_WEIGHTS = {
+  thin: 100,
+  hairline: 100,
+  extralight: 200,
+  ultralight: 200,
+  light: 300,
+  regular: 400,
+  normal: 400,
+  book: 400,
+  medium: 500,
+  semibold: 600,
+  demibold: 600,
+  bold: 700,
+  extrabold: 800,
+  ultrabold: 800,
+  black: 900,
+  heavy: 900,
+};
+
+// Variable scopes whose FLOAT values are lengths in pixels
+const DIMENSION_SCOPES = [
+  "ALL_SCOPES",
+  "CORNER_RADIUS",
+  "WIDTH_HEIGHT",
+  "GAP",
+  "STROKE_FLOAT",
+  "EFFECT_FLOAT",
+  "FONT_SIZE",
+  "LINE_HEIGHT",
+  "LETTER_SPACING",
+  "PARAGRAPH_SPACING",
+  "PARAGRAPH_INDENT",
+];
+
+function tokenPath(name) {
+  return name
+    .split("/")
+    .map((segment) => segment.trim())
+    .filter((segment) => segment.length > 0);
+}
+
+function tokenSlug(path) {
+  return path
+    .map((segment) => segment.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, ""))
+    .filter((segment) => segment.length > 0)
+    .join("-");
+}
+
+function formatPx(value) {
+  return `${Math.round(value * 100) / 100}px`;
+}
+
+function fontWeightFromStyle(style) {
+  const key = style.toLowerCase().replace(/italic|oblique|[\s_-]/g, "");
+  return TOKEN_FONT_WEIGHTS[key] || 400;
+}
+
+// Fold a paint's opacity into its color's alpha
+function paintColorHex(color, opacity) {
+  const alpha = color.a !== undefined ? color.a : 1;
+  return rgbaToHex({
+    r: color.r,
+    g: color.g,
+    b: color.b,
+    a: alpha * (opacity !== undefined ? opacity : 1),
+  });
+}
+
+// CSS angle of a linear gradient. The transform maps the node's unit square
+// to gradient space, where the gradient runs from (0, 0.5) to (1, 0.5); the
+// node's aspect ratio is ignored.
+function linearGradientAngle(transform) {
+  if (!transform) return 90;
+  const [[a, b, c], [d, e, f]] = transform;
+  const det = a * e - b * d;
+  if (det === 0) return 90;
+  const toNode = (x, y) => [
+    (e * (x - c) - b * (y - f)) / det,
+    (-d * (x - c) + a * (y - f)) / det,
+  ];
+  const [x0, y0] = toNode(0, 0.5);
+  const [x1, y1] = toNode(1, 0.5);
+  const angle = (Math.atan2(x1 - x0, -(y1 - y0)) * 180) / Math.PI;
+  return Math.round((angle + 360) % 360);
+}
+
+function cssGradient(paint) {
+  const stops = paint.gradientStops
+    .map((stop) => `${paintColorHex(stop.color, paint.opacity)} ${Math.round(stop.position * 100)}%`)
+    .join(", ");
+  switch (paint.type) {
+    case "GRADIENT_LINEAR":
+      return `linear-gradient(${linearGradientAngle(paint.gradientTransform)}deg, ${stops})`;
+    case "GRADIENT_ANGULAR":
+      return `conic-gradient(${stops})`;
+    default:
+      return `radial-gradient(${stops})`;
+  }
+}
+
+function paintStyleToken(style) {
+  const paints = style.paints.filter((paint) => paint.visible !== false);
+  if (paints.length !== 1) {
+    return null;
+  }
+  const [paint] = paints;
+  if (paint.type === "SOLID") {
+    const color = paintColorHex(paint.color, paint.opacity);
+    return { type: "color", value: color, css: color, tailwind: "colors" };
+  }
+  if (paint.type.startsWith("GRADIENT_")) {
+    return {
+      type: "gradient",
+      value: paint.gradientStops.map((stop) => ({
+        color: paintColorHex(stop.color, paint.opacity),
+        position: stop.position,
+      })),
+      css: cssGradient(paint),
+      tailwind: "backgroundImage",
+    };
+  }
+  return null;
+}
+
+function textStyleToken(style) {
+  const fontWeight = fontWeightFromStyle(style.fontName.style);
+  const value = {
+    fontFamily: style.fontName.family,
+    fontWeight,
+    fontSize: formatPx(style.fontSize),
+  };
+  const css = {
+    "font-family": JSON.stringify(style.fontName.family),
+    "font-size": formatPx(style.fontSize),
+    "font-weight": String(fontWeight),
+  };
+
+  const { letterSpacing, lineHeight } = style;
+  if (letterSpacing && letterSpacing.value !== 0) {
+    value.letterSpacing =
+      letterSpacing.unit === "PERCENT"
+        ? `${Math.round(letterSpacing.value * 100) / 10000}em`
+        : formatPx(letterSpacing.value);
+    css["letter-spacing"] = value.letterSpacing;
+  }
+  if (lineHeight && lineHeight.unit !== "AUTO") {
+    // W3C line heights are ratios of the font size
+    const ratio =
+      lineHeight.unit === "PERCENT" ? lineHeight.value / 100 : lineHeight.value / style.fontSize;
+    value.lineHeight = Math.round(ratio * 1000) / 1000;
+    css["line-height"] = String(value.lineHeight);
+  }
+
+  return { type: "typography", value, css, tailwind: "typography" };
+}
+
+function effectStyleToken(style) {
+  const shadows = style.effects.filter(
+    (effect) =>
+      effect.visible !== false && (effect.type === "DROP_SHADOW" || effect.type === "INNER_SHADOW")
+  );
+  if (shadows.length === 0) {
+    return null;
+  }
+
+  const values = shadows.map((shadow) => {
+    const value = {
+      color: paintColorHex(shadow.color),
+      offsetX: formatPx(shadow.offset.x),
+      offsetY: formatPx(shadow.offset.y),
+      blur: formatPx(shadow.radius),
+      spread: formatPx(shadow.spread || 0),
+    };
+    if (shadow.type === "INNER_SHADOW") value.inset = true;
+    return value;
+  });
+  const css = values
+    .map((value) =>
+      [value.inset ? "inset" : null, value.offsetX, value.offsetY, value.blur, value.spread, value.color]
+        .filter((part) => part !== null)
+        .join(" ")
+    )
+    .join(", ");
+
+  return {
+    type: "shadow",
+    value: values.length === 1 ? values[0] : values,
+    css,
+    tailwind: "boxShadow",
+  };
+}
+
+function variableTokenType(variable) {
+  switch (variable.resolvedType) {
+    case "COLOR":
+      return "color";
+    case "FLOAT":
+      return variable.scopes.some((scope) => DIMENSION_SCOPES.includes(scope)) ? "dimension" : "number";
+    case "STRING":
+      return variable.scopes.includes("FONT_FAMILY") ? "fontFamily" : "string";
+    default:
+      return "boolean";
+  }
+}
+
+// Tailwind theme key for a variable token, or null when it has no place there
+function variableTailwindGroup(variable, type) {
+  if (type === "color") return "colors";
+  if (type === "fontFamily") return "fontFamily";
+  if (type !== "dimension") return null;
+  if (variable.scopes.includes("CORNER_RADIUS") || /radius|radii|rounded/i.test(variable.name)) {
+    return "borderRadius";
+  }
+  if (variable.scopes.includes("FONT_SIZE")) return "fontSize";
+  return "spacing";
+}
+
+// W3C and CSS values of one mode's value; aliases become references
+function variableModeValue(value, type, variablePaths) {
+  if (value && value.type === "VARIABLE_ALIAS") {
+    const path = variablePaths.get(value.id);
+    if (!path) return null;
+    return { value: `{${path.join(".")}}`, css: `var(--${tokenSlug(path)})` };
+  }
+  switch (type) {
+    case "color": {
+      const color = rgbaToHex(value);
+      return { value: color, css: color };
+    }
+    case "dimension":
+      return { value: formatPx(value), css: formatPx(value) };
+    case "string":
+    case "fontFamily":
+      return { value, css: JSON.stringify(value) };
+    default:
+      return { value, css: String(value) };
+  }
+}
+
+async function collectStyleTokens(warnings) {
+  const styles = await loadLocalStyles();
+  const tokens = [];
+  const add = (style, token, kind) => {
+    if (!token) {
+      warnings.push(`Skipped ${kind} style "${style.name}": no token type matches its contents`);
+      return;
+    }
+    tokens.push(
+      Object.assign(token, {
+        path: tokenPath(style.name),
+        description: style.description,
+        extensions: { styleId: style.id, styleKey: style.key },
+        modes: [],
+      })
+    );
+  };
+
+  styles.colors.forEach((style) => add(style, paintStyleToken(style), "paint"));
+  styles.texts.forEach((style) => add(style, textStyleToken(style), "text"));
+  styles.effects.forEach((style) => add(style, effectStyleToken(style), "effect"));
+  return tokens;
+}
+
+async function collectVariableTokens(warnings) {
+  const collections = await figma.variables.getLocalVariableCollectionsAsync();
+  const entries = [];
+  const variablePaths = new Map();
+
+  for (const collection of collections) {
+    for (const variableId of collection.variableIds) {
+      const variable = await figma.variables.getVariableByIdAsync(variableId);
+      if (!variable) continue;
+      const path = [collection.name].concat(tokenPath(variable.name));
+      variablePaths.set(variable.id, path);
+      entries.push({ collection, variable, path });
+    }
+  }
+
+  const tokens = [];
+  for (const { collection, variable, path } of entries) {
+    const type = variableTokenType(variable);
+    const modes = collection.modes.map((mode) => ({
+      mode,
+      resolved: variableModeValue(variable.valuesByMode[mode.modeId], type, variablePaths),
+    }));
+    const missing = modes.find(({ resolved }) => resolved === null);
+    if (missing) {
+      warnings.push(
+        `Skipped variable "${path.join("/")}": its ${missing.mode.name} value aliases a variable outside this file or is unset`
+      );
+      continue;
+    }
+
+    const [defaultMode] = modes.filter(({ mode }) => mode.modeId === collection.defaultModeId);
+    const extensions = {
+      variableId: variable.id,
+      variableKey: variable.key,
+      collection: collection.name,
+    };
+    if (collection.modes.length > 1) {
+      extensions.modes = {};
+      modes.forEach(({ mode, resolved }) => {
+        extensions.modes[mode.name] = resolved.value;
+      });
+    }
+
+    tokens.push({
+      path,
+      type,
+      value: defaultMode.resolved.value,
+      css: defaultMode.resolved.css,
+      description: variable.description,
+      extensions,
+      tailwind: variableTailwindGroup(variable, type),
+      modes: modes
+        .filter(({ mode }) => mode.modeId !== collection.defaultModeId)
+        .map(({ mode, resolved }) => ({
+          selector: `[data-${tokenSlug([collection.name])}="${tokenSlug([mode.name])}"]`,
+          css: resolved.css,
+        })),
+    });
+  }
+  return tokens;
+}
+
+// CSS declarations of a token: one per value, or one per typography property
+function cssDeclarations(name, css) {
+  if (typeof css === "string") {
+    return [[name, css]];
+  }
+  return Object.entries(css).map(([property, value]) => [`${name}-${property}`, value]);
+}
+
+function renderCssBlock(selector, declarations) {
+  const lines = declarations.map(([name, value]) => `  ${name}: ${value};`);
+  return `${selector} {\n${lines.join("\n")}\n}`;
+}
+
+function addTailwindToken(theme, token, slug, name) {
+  const group = (key) => (theme[key] = theme[key] || {});
+  if (token.tailwind === "typography") {
+    const options = { fontWeight: `var(${name}-font-weight)` };
+    if (token.css["line-height"]) options.lineHeight = `var(${name}-line-height)`;
+    if (token.css["letter-spacing"]) options.letterSpacing = `var(${name}-letter-spacing)`;
+    group("fontFamily")[slug] = `var(${name}-font-family)`;
+    group("fontSize")[slug] = [`var(${name}-font-size)`, options];
+  } else if (token.tailwind) {
+    group(token.tailwind)[slug] = `var(${name})`;
+  }
+}
+
+async function exportDesignTokens() {
+  const warnings = [];
+  const tokens = (await collectStyleTokens(warnings)).concat(
+    await collectVariableTokens(warnings)
+  );
+
+  const w3c = {};
+  const rootDeclarations = [];
+  const modeBlocks = new Map();
+  const theme = {};
+  const cssNames = new Set();
+  let tokenCount = 0;
+
+  for (const token of tokens) {
+    const slug = tokenSlug(token.path);
+    const name = `--${slug}`;
+    if (!slug || cssNames.has(name)) {
+      warnings.push(`Skipped "${token.path.join("/")}": its name clashes with another token`);
+      continue;
+    }
+
+    // A token cannot nest under another token or replace a group. Check
+    // before creating groups so a skipped token leaves none behind
+    const parents = token.path.slice(0, -1);
+    const leaf = token.path[token.path.length - 1];
+    let existing = w3c;
+    for (const segment of parents) {
+      if (!existing || existing.$value !== undefined) break;
+      existing = existing[segment];
+    }
+    if (existing && (existing.$value !== undefined || existing[leaf] !== undefined)) {
+      warnings.push(`Skipped "${token.path.join("/")}": its path clashes with another token`);
+      continue;
+    }
+
+    let group = w3c;
+    for (const segment of parents) {
+      group[segment] = group[segment] || {};
+      group = group[segment];
+    }
+    group[leaf] = { $type: token.type, $value: token.value };
+    if (token.description) group[leaf].$description = token.description;
+    group[leaf].$extensions = { "com.figma": token.extensions };
+
+    cssNames.add(name);
+    rootDeclarations.push(...cssDeclarations(name, token.css));
+    token.modes.forEach((mode) => {
+      if (!modeBlocks.has(mode.selector)) modeBlocks.set(mode.selector, []);
+      modeBlocks.get(mode.selector).push(...cssDeclarations(name, mode.css));
+    });
+    addTailwindToken(theme, token, slug, name);
+    tokenCount++;
+  }
+
+  const css = [renderCssBlock(":root", rootDeclarations)]
+    .concat(Array.from(modeBlocks, ([selector, declarations]) => renderCssBlock(selector, declarations)))
+    .join("\n\n");
+
+  return {
+    tokenCount,
+    tokens: w3c,
+    css: `${css}\n`,
+    tailwind: { theme: { extend: theme } },
+    warnings,
+  };
+}
+
+// Variables
+
+const VARIABLE_TYPES = ["COLOR", "FLOAT", "STRING", "BOOLEAN"];
+
+// Node properties bind_variable accepts and the variable type each needs.
+// fill and stroke bind the color of one paint; cornerRadius and padding
+// bind all four corners or sides at once.
+const BINDABLE_PROPERTIES = {
+  fill: "COLOR",
+  stroke: "COLOR",
+  width: "FLOAT",
+  height: "FLOAT",
+  minWidth: "FLOAT",
+  maxWidth: "FLOAT",
+  minHeight: "FLOAT",
+  maxHeight: "FLOAT",
+  itemSpacing: "FLOAT",
+  counterAxisSpacing: "FLOAT",
+  padding: "FLOAT",
+  paddingTop: "FLOAT",
+  paddingRight: "FLOAT",
+  paddingBottom: "FLOAT",
+  paddingLeft: "FLOAT",
+  cornerRadius: "FLOAT",
+  topLeftRadius: "FLOAT",
+  topRightRadius: "FLOAT",
+  bottomLeftRadius: "FLOAT",
+  bottomRightRadius: "FLOAT",
+  strokeWeight: "FLOAT",
+  opacity: "FLOAT",
+  characters: "STRING",
+  visible: "BOOLEAN",
+};
+
+const BINDABLE_PROPERTY_GROUPS = {
+  padding: ["paddingTop", "paddingRight", "paddingBottom", "paddingLeft"],
+  cornerRadius: ["topLeftRadius", "topRightRadius", "bottomLeftRadius", "bottomRightRadius"],
+};
+
+async function requireVariable(variableId) {
+  const variable = await figma.variables.getVariableByIdAsync(variableId);
+  if (!variable) {
+    throw new Error(`Variable not found with ID: ${variableId}`);
+  }
+  return variable;
+}
+
+async function requireVariableCollection(collectionId) {
+  const collection = await figma.variables.getVariableCollectionByIdAsync(collectionId);
+  if (!collection) {
+    throw new Error(`Variable collection not found with ID: ${collectionId}`);
+  }
+  return collection;
+}
+
+// Modes can be named by id or by name
+function findVariableMode(collection, mode) {
+  const match = collection.modes.find(
+    (candidate) => candidate.modeId === mode || candidate.name === mode
+  );
+  if (!match) {
+    throw new Error(`Mode not found in collection ${collection.name}: ${mode}`);
+  }
+  return match;
+}
+
+function serializeVariableCollection(collection) {
+  return {
+    id: collection.id,
+    name: collection.name,
+    key: collection.key,
+    defaultModeId: collection.defaultModeId,
+    modes: collection.modes.map((mode) => ({ modeId: mode.modeId, name: mode.name })),
+    variableCount: collection.variableIds.length,
+  };
+}
+
+// Values are keyed by mode name; aliases keep Figma's { type, id } shape
+function serializeVariable(variable, collection) {
+  const valuesByMode = {};
+  for (const mode of collection.modes) {
+    if (variable.valuesByMode[mode.modeId] !== undefined) {
+      valuesByMode[mode.name] = variable.valuesByMode[mode.modeId];
+    }
+  }
+  return {
+    id: variable.id,
+    name: variable.name,
+    key: variable.key,
+    collectionId: collection.id,
+    resolvedType: variable.resolvedType,
+    description: variable.description,
+    scopes: variable.scopes,
+    valuesByMode,
+  };
+}
+
+function checkVariableValue(variable, value, modeName) {
+  if (value && value.type === "VARIABLE_ALIAS") {
+    if (typeof value.id !== "string") {
+      throw new Error(`Alias for ${modeName} must have a variable id`);
+    }
+    return;
+  }
+  const valid = {
+    COLOR: () =>
+      value !== null &&
+      typeof value === "object" &&
+      ["r", "g", "b"].every((channel) => typeof value[channel] === "number"),
+    FLOAT: () => typeof value === "number",
+    STRING: () => typeof value === "string",
+    BOOLEAN: () => typeof value === "boolean",
+  }[variable.resolvedType];
+  if (!valid()) {
+    throw new Error(
+      `Value for ${modeName} must be a ${variable.resolvedType.toLowerCase()} value or a variable alias`
+    );
+  }
+}
+
+// Apply { <mode name or id>: value } to a variable, validating every value first
+async function setVariableValues(variable, collection, values) {
+  if (values === undefined) return;
+  if (values === null || typeof values !== "object" || Array.isArray(values)) {
+    throw new Error("values must be an object keyed by mode name or ID");
+  }
+
+  const updates = [];
+  for (const [modeKey, value] of Object.entries(values)) {
+    const mode = findVariableMode(collection, modeKey);
+    checkVariableValue(variable, value, mode.name);
+    if (value && value.type === "VARIABLE_ALIAS") {
+      const target = await requireVariable(value.id);
+      if (target.id === variable.id) {
+        throw new Error("A variable cannot alias itself");
+      }
+      if (target.resolvedType !== variable.resolvedType) {
+        throw new Error(
+          `Cannot alias ${variable.resolvedType} variable ${variable.name} to ${target.resolvedType} variable ${target.name}`
+        );
+      }
+      updates.push([mode.modeId, figma.variables.createVariableAlias(target)]);
+    } else if (variable.resolvedType === "COLOR") {
+      updates.push([
+        mode.modeId,
+        { r: value.r, g: value.g, b: value.b, a: value.a !== undefined ? value.a : 1 },
+      ]);
+    } else {
+      updates.push([mode.modeId, value]);
+    }
+  }
+  updates.forEach(([modeId, value]) => variable.setValueForMode(modeId, value));
+}
+
+async function getVariables(params) {
+  const { collectionId, resolvedType } = params || {};
+
+  const collections = collectionId
+    ? [await requireVariableCollection(collectionId)]
+    : await figma.variables.getLocalVariableCollectionsAsync();
+
+  const variables = [];
+  for (const collection of collections) {
+    for (const variableId of collection.variableIds) {
+      const variable = await figma.variables.getVariableByIdAsync(variableId);
+      if (variable && (!resolvedType || variable.resolvedType === resolvedType)) {
+        variables.push(serializeVariable(variable, collection));
+      }
+    }
+  }
+
+  return {
+    collections: collections.map(serializeVariableCollection),
+    variables,
+  };
+}
+
+async function createVariableCollection(params) {
+  const { name, modes = [] } = params || {};
+  if (!name) {
+    throw new Error("Missing name parameter");
+  }
+  if (!Array.isArray(modes) || modes.some((mode) => typeof mode !== "string" || !mode)) {
+    throw new Error("modes must be an array of mode names");
+  }
+  if (new Set(modes).size !== modes.length) {
+    throw new Error("Mode names must be unique");
+  }
+
+  const collection = figma.variables.createVariableCollection(name);
+  trackCreatedResource("VARIABLE_COLLECTION", collection);
+  // The collection starts with one mode; the first name renames it
+  modes.forEach((mode, index) => {
+    if (index === 0) {
+      collection.renameMode(collection.defaultModeId, mode);
+    } else {
+      collection.addMode(mode);
+    }
+  });
+
+  return serializeVariableCollection(collection);
+}
+
+async function createVariable(params) {
+  const { collectionId, name, resolvedType, values, description, scopes } = params || {};
+  if (!collectionId) {
+    throw new Error("Missing collectionId parameter");
+  }
+  if (!name) {
+    throw new Error("Missing name parameter");
+  }
+  if (!VARIABLE_TYPES.includes(resolvedType)) {
+    throw new Error(`resolvedType must be one of ${VARIABLE_TYPES.join(", ")}`);
+  }
+
+  const collection = await requireVariableCollection(collectionId);
+  const variable = figma.variables.createVariable(name, collection, resolvedType);
+  try {
+    if (description !== undefined) variable.description = description;
+    if (scopes !== undefined) variable.scopes = scopes;
+    await setVariableValues(variable, collection, values);
+  } catch (error) {
+    variable.remove();
+    throw error;
+  }
+  trackCreatedResource("VARIABLE", variable);
+
+  return serializeVariable(variable, collection);
+}
+
+async function updateVariable(params) {
+  const { variableId, name, values, description, scopes } = params || {};
+  if (!variableId) {
+    throw new Error("Missing variableId parameter");
+  }
+
+  const variable = await requireVariable(variableId);
+  const collection = await requireVariableCollection(variable.variableCollectionId);
+
+  trackChangedVariable(variable);
+  await setVariableValues(variable, collection, values);
+  if (name !== undefined) variable.name = name;
+  if (description !== undefined) variable.description = description;
+  if (scopes !== undefined) variable.scopes = scopes;
+
+  return serializeVariable(variable, collection);
+}
+
+// Bind (or with variableId null, unbind) a variable to a node property
+async function bindVariable(params) {
+  const { nodeId, property, variableId, paintIndex = 0 } = params || {};
+  if (!nodeId) {
+    throw new Error("Missing nodeId parameter");
+  }
+  const expectedType = BINDABLE_PROPERTIES[property];
+  if (!expectedType) {
+    throw new Error(
+      `property must be one of ${Object.keys(BINDABLE_PROPERTIES).join(", ")}`
+    );
+  }
+  if (variableId === undefined) {
+    throw new Error("Missing variableId parameter (use null to unbind)");
+  }
+
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node) {
+    throw new Error(`Node not found with ID: ${nodeId}`);
+  }
+
+  const variable = variableId === null ? null : await requireVariable(variableId);
+  if (variable && variable.resolvedType !== expectedType) {
+    throw new Error(
+      `${property} needs a ${expectedType} variable, but ${variable.name} is ${variable.resolvedType}`
+    );
+  }
+
+  if (property === "fill" || property === "stroke") {
+    const field = property === "fill" ? "fills" : "strokes";
+    if (!(field in node)) {
+      throw new Error(`Node does not support ${field}: ${nodeId}`);
+    }
+    const paints = node[field].slice();
+    if (!Number.isInteger(paintIndex) || paintIndex < 0 || paintIndex > paints.length) {
+      throw new Error(`paintIndex must be between 0 and ${paints.length}`);
+    }
+    if (!paints[paintIndex]) {
+      if (!variable) {
+        throw new Error(`Node has no ${property} at index ${paintIndex}`);
+      }
+      paints[paintIndex] = { type: "SOLID", color: { r: 0, g: 0, b: 0 } };
+    }
+    if (paints[paintIndex].type !== "SOLID") {
+      throw new Error(`Only solid paints can be bound to a variable; ${property} ${paintIndex} is ${paints[paintIndex].type}`);
+    }
+    paints[paintIndex] = figma.variables.setBoundVariableForPaint(paints[paintIndex], "color", variable);
+    node[field] = paints;
+  } else {
+    const fields = BINDABLE_PROPERTY_GROUPS[property] || [property];
+    const unsupported = fields.find((field) => !(field in node));
+    if (unsupported || !("setBoundVariable" in node)) {
+      throw new Error(`Node does not support ${property}: ${nodeId}`);
+    }
+    if (property === "characters") {
+      await Promise.all(
+        uniqBy(node.getRangeAllFontNames(0, node.characters.length), (font) => `${font.family}:${font.style}`)
+          .map((font) => figma.loadFontAsync(font))
+      );
+    }
+    fields.forEach((field) => node.setBoundVariable(field, variable));
+  }
+
+  return {
+    id: node.id,
+    name: node.name,
+    property,
+    variableId: variable ? variable.id : null,
+    boundVariables: summarizeBoundVariables(node.boundVariables),
+  };
+}
+
+async function setVariableMode(params) {
+  const { nodeId, collectionId, mode } = params || {};
+  if (!nodeId) {
+    throw new Error("Missing nodeId parameter");
+  }
+  if (!collectionId) {
+    throw new Error("Missing collectionId parameter");
+  }
+  if (mode === undefined) {
+    throw new Error("Missing mode parameter (use null to inherit the parent's mode)");
+  }
+
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node) {
+    throw new Error(`Node not found with ID: ${nodeId}`);
+  }
+  if (!("setExplicitVariableModeForCollection" in node)) {
+    throw new Error(`Node does not support variable modes: ${nodeId}`);
+  }
+
+  const collection = await requireVariableCollection(collectionId);
+  if (mode === null) {
+    node.clearExplicitVariableModeForCollection(collection);
+  } else {
+    node.setExplicitVariableModeForCollection(collection, findVariableMode(collection, mode).modeId);
+  }
+
+  return {
+    id: node.id,
+    name: node.name,
+    collectionId: collection.id,
+    explicitVariableModes: node.explicitVariableModes,
+  };
+}
+
+async function getLocalComponents(params) {
+  const { pageId } = params || {};
+
+  // Search a single page when requested, otherwise the whole document
+  let scope;
+  if (pageId) {
+    scope = await resolvePage(pageId);
+  } else {
+    await figma.loadAllPagesAsync();
+    scope = figma.root;
+  }
+
+  const components = scope.findAllWithCriteria({
+    types: ["COMPONENT"],
+  });
+
+  return {
+    pageId: pageId || null,
+    count: components.length,
+    components: components.map((component) => ({
+      id: component.id,
+      name: component.name,
+      key: "key" in component ? component.key : null,
+    })),
+  };
+}
+
+async function createComponentInstance(params) {
+  const { componentKey, x = 0, y = 0 } = params || {};
+
+  if (!componentKey) {
+    throw new Error("Missing componentKey parameter");
+  }
+
+  try {
+    const component = await figma.importComponentByKeyAsync(componentKey);
+    const instance = component.createInstance();
+    trackCreatedNode(instance);
+
+    instance.x = x;
+    instance.y = y;
+
+    figma.currentPage.appendChild(instance);
+
+    return {
+      id: instance.id,
+      name: instance.name,
+      x: instance.x,
+      y: instance.y,
+      width: instance.width,
+      height: instance.height,
+      componentId: instance.componentId,
+    };
+  } catch (error) {
+    throw new Error(`Error creating component instance: ${error.message}`);
+  }
+}
+
+// Component property types and the layer field a property of that type drives
+const COMPONENT_PROPERTY_REFERENCES = {
+  BOOLEAN: "visible",
+  TEXT: "characters",
+  INSTANCE_SWAP: "mainComponent",
+};
+
+function serializeComponentNode(node) {
+  const result = {
+    id: node.id,
+    name: node.name,
+    type: node.type,
+    key: node.key,
+  };
+
+  if (node.type === "COMPONENT_SET") {
+    result.variantGroupProperties = node.variantGroupProperties;
+    result.componentPropertyDefinitions = node.componentPropertyDefinitions;
+    result.variants = node.children.map((variant) => ({
+      id: variant.id,
+      name: variant.name,
+      key: variant.key,
+      variantProperties: variant.variantProperties,
+    }));
+  } else if (node.parent && node.parent.type === "COMPONENT_SET") {
+    result.componentSetId = node.parent.id;
+    result.variantProperties = node.variantProperties;
+  } else {
+    result.componentPropertyDefinitions = node.componentPropertyDefinitions;
+  }
+
+  return result;
+}
+
+async function requireComponentNode(nodeId, types) {
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node) {
+    throw new Error(`Node not found with ID: ${nodeId}`);
+  }
+  if (!types.includes(node.type)) {
+    throw new Error(`Node ${nodeId} is a ${node.type}; expected ${types.join(" or ")}`);
+  }
+  return node;
+}
+
+async function createComponent(params) {
+  const { nodeId, name } = params || {};
+  if (!nodeId) {
+    throw new Error("Missing nodeId parameter");
+  }
+
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node) {
+    throw new Error(`Node not found with ID: ${nodeId}`);
+  }
+  if (node.type !== "FRAME") {
+    throw new Error(`Only frames can be converted to components; ${nodeId} is a ${node.type}`);
+  }
+
+  const component = await replaceNode(node, () => figma.createComponentFromNode(node));
+  if (name) {
+    component.name = name;
+  }
+
+  return serializeComponentNode(component);
+}
+
+// Name each component after its variant properties, then combine them
+async function combineAsVariants(params) {
+  const { componentIds, variantProperties = {}, name, parentId } = params || {};
+  if (!Array.isArray(componentIds) || componentIds.length === 0) {
+    throw new Error("Missing or invalid componentIds parameter");
+  }
+
+  const components = [];
+  for (const id of componentIds) {
+    const component = await requireComponentNode(id, ["COMPONENT"]);
+    if (component.parent && component.parent.type === "COMPONENT_SET") {
+      throw new Error(`Component ${id} is already a variant of ${component.parent.name}`);
+    }
+    components.push(component);
+  }
+
+  const names = components.map((component) => {
+    const properties = variantProperties[component.id];
+    if (!properties) return component.name;
+    const pairs = Object.entries(properties);
+    if (pairs.length === 0 || pairs.some(([key, value]) => !key || /[=,]/.test(key + value))) {
+      throw new Error(`Variant properties for ${component.id} must be non-empty names and values without "=" or ","`);
+    }
+    return pairs.map(([key, value]) => `${key}=${value}`).join(", ");
+  });
+  const duplicate = names.find((variantName, index) => names.indexOf(variantName) !== index);
+  if (duplicate) {
+    throw new Error(`Two variants would both be named ${duplicate}; give them different variant properties`);
+  }
+
+  const parent = parentId ? await figma.getNodeByIdAsync(parentId) : components[0].parent;
+  if (!parent || !("appendChild" in parent)) {
+    throw new Error(`Parent node not found or cannot have children: ${parentId}`);
+  }
+
+  components.forEach((component, index) => (component.name = names[index]));
+  const index = parent === components[0].parent ? parent.children.indexOf(components[0]) : undefined;
+  const componentSet = figma.combineAsVariants(components, parent, index);
+  trackCreatedNode(componentSet);
+  if (name) {
+    componentSet.name = name;
+  }
+
+  return serializeComponentNode(componentSet);
+}
+
+async function addComponentProperty(params) {
+  const { nodeId, name, type, defaultValue, preferredValues, targetNodeIds = [] } = params || {};
+  if (!nodeId) {
+    throw new Error("Missing nodeId parameter");
+  }
+  if (!name) {
+    throw new Error("Missing name parameter");
+  }
+  if (!["BOOLEAN", "TEXT", "INSTANCE_SWAP", "VARIANT"].includes(type)) {
+    throw new Error("type must be one of BOOLEAN, TEXT, INSTANCE_SWAP, VARIANT");
+  }
+
+  const node = await requireComponentNode(nodeId, ["COMPONENT", "COMPONENT_SET"]);
+  if (node.type === "COMPONENT" && node.parent && node.parent.type === "COMPONENT_SET") {
+    throw new Error(`Add properties to the component set ${node.parent.id}, not to its variant ${nodeId}`);
+  }
+  if (type === "VARIANT" && node.type !== "COMPONENT_SET") {
+    throw new Error("VARIANT properties can only be added to component sets");
+  }
+  if (type === "VARIANT" && targetNodeIds.length > 0) {
+    throw new Error("VARIANT properties are not linked to layers");
+  }
+
+  // Layers the property drives must sit inside the component and suit the type
+  const field = COMPONENT_PROPERTY_REFERENCES[type];
+  const targets = [];
+  for (const targetId of targetNodeIds) {
+    const target = await figma.getNodeByIdAsync(targetId);
+    let ancestor = target ? target.parent : null;
+    while (ancestor && ancestor !== node) {
+      ancestor = ancestor.parent;
+    }
+    if (!ancestor) {
+      throw new Error(`Layer ${targetId} is not inside ${node.name}`);
+    }
+    if ((type === "TEXT" && target.type !== "TEXT") || (type === "INSTANCE_SWAP" && target.type !== "INSTANCE")) {
+      throw new Error(`${type} properties can only drive ${type === "TEXT" ? "text layers" : "instances"}; ${targetId} is a ${target.type}`);
+    }
+    targets.push(target);
+  }
+
+  const options = {};
+  if (preferredValues) {
+    options.preferredValues = [];
+    for (const id of preferredValues) {
+      const preferred = await requireComponentNode(id, ["COMPONENT", "COMPONENT_SET"]);
+      options.preferredValues.push({ type: preferred.type, key: preferred.key });
+    }
+  }
+
+  // Adding a VARIANT property renames every variant
+  if (type === "VARIANT") {
+    await trackTouchedNodes(node.children);
+  }
+  const propertyName = node.addComponentProperty(name, type, defaultValue, options);
+  targets.forEach((target) => {
+    target.componentPropertyReferences = Object.assign(
+      {},
+      target.componentPropertyReferences,
+      { [field]: propertyName }
+    );
+  });
+
+  return Object.assign(serializeComponentNode(node), {
+    propertyName,
+    linkedNodeIds: targets.map((target) => target.id),
+  });
+}
+
+async function requireInstance(nodeId) {
+  if (!nodeId) {
+    throw new Error("Missing nodeId parameter");
+  }
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node) {
+    throw new Error(`Node not found with ID: ${nodeId}`);
+  }
+  if (node.type !== "INSTANCE") {
+    throw new Error(`Node ${nodeId} is a ${node.type}, not an instance`);
+  }
+  return node;
+}
+
+// Main component, available properties with their current values, and
+// which layers differ from the component
+async function describeInstance(instance) {
+  const mainComponent = await instance.getMainComponentAsync();
+  const componentSet =
+    mainComponent && mainComponent.parent && mainComponent.parent.type === "COMPONENT_SET"
+      ? mainComponent.parent
+      : null;
+  const definitions = mainComponent ? (componentSet || mainComponent).componentPropertyDefinitions : {};
+
+  const properties = {};
+  for (const [name, property] of Object.entries(instance.componentProperties)) {
+    const definition = definitions[name] || {};
+    properties[name] = { type: property.type, value: property.value, defaultValue: definition.defaultValue };
+    if (definition.variantOptions) {
+      properties[name].variantOptions = definition.variantOptions;
+    }
+    if (definition.preferredValues) {
+      properties[name].preferredValues = definition.preferredValues;
+    }
+  }
+
+  return {
+    mainComponent: mainComponent ? { id: mainComponent.id, name: mainComponent.name, key: mainComponent.key } : null,
+    componentSet: componentSet ? { id: componentSet.id, name: componentSet.name, key: componentSet.key } : null,
+    properties,
+    overrides: instance.overrides.map((override) => ({
+      id: override.id,
+      overriddenFields: override.overriddenFields,
+    })),
+  };
+}
+
+// Accept "Label" for "Label#12:0" as long as only one property has that name
+function resolveInstanceProperty(instance, name) {
+  const properties = instance.componentProperties;
+  if (properties[name]) {
+    return name;
+  }
+  const matches = Object.keys(properties).filter((key) => key.split("#")[0] === name);
+  if (matches.length > 1) {
+    throw new Error(`Property name ${name} is ambiguous; use one of ${matches.join(", ")}`);
+  }
+  if (matches.length === 0) {
+    const available = Object.keys(properties);
+    throw new Error(
+      `Instance ${instance.id} has no property ${name}` +
+        (available.length > 0 ? `; available: ${available.join(", ")}` : "")
+    );
+  }
+  return matches[0];
+}
+
+async function setInstanceProperties(params) {
+  const { nodeId, properties } = params || {};
+  if (!properties || typeof properties !== "object" || Object.keys(properties).length === 0) {
+    throw new Error("Missing properties parameter");
+  }
+  const instance = await requireInstance(nodeId);
+  const current = instance.componentProperties;
+
+  const values = {};
+  for (const [name, value] of Object.entries(properties)) {
+    const key = resolveInstanceProperty(instance, name);
+    const type = current[key].type;
+    if (type === "BOOLEAN" && typeof value !== "boolean") {
+      throw new Error(`${key} is a BOOLEAN property; value must be true or false`);
+    }
+    if (type !== "BOOLEAN" && typeof value !== "string") {
+      throw new Error(`${key} is a ${type} property; value must be a string`);
+    }
+    if (type === "INSTANCE_SWAP") {
+      const component = await figma.getNodeByIdAsync(value);
+      if (!component || component.type !== "COMPONENT") {
+        throw new Error(`${key} is an INSTANCE_SWAP property; value must be a component ID, got ${value}`);
+      }
+    }
+    values[key] = value;
+  }
+
+  // Check variant combinations up front for a clearer error than Figma's
+  const variant = {};
+  for (const [key, property] of Object.entries(current)) {
+    if (property.type === "VARIANT") {
+      variant[key] = key in values ? values[key] : property.value;
+    }
+  }
+  const changesVariant = Object.keys(values).some((key) => current[key].type === "VARIANT");
+  if (changesVariant) {
+    const mainComponent = await instance.getMainComponentAsync();
+    const exists = mainComponent.parent.children.some((child) =>
+      Object.keys(variant).every((key) => child.variantProperties && child.variantProperties[key] === variant[key])
+    );
+    if (!exists) {
+      const wanted = Object.entries(variant).map(([key, value]) => `${key}=${value}`).join(", ");
+      throw new Error(`No variant of ${mainComponent.parent.name} has ${wanted}`);
+    }
+  }
+
+  await trackInstanceState(instance);
+  instance.setProperties(values);
+
+  return Object.assign({ id: instance.id, name: instance.name }, await describeInstance(instance));
+}
+
+async function swapComponent(params) {
+  const { nodeId, componentId, componentKey } = params || {};
+  if (!componentId && !componentKey) {
+    throw new Error("Missing componentId or componentKey parameter");
+  }
+  const instance = await requireInstance(nodeId);
+
+  let component = componentKey
+    ? await figma.importComponentByKeyAsync(componentKey).catch(() => null)
+    : await figma.getNodeByIdAsync(componentId);
+  if (component && component.type === "COMPONENT_SET") {
+    component = component.defaultVariant;
+  }
+  if (!component || component.type !== "COMPONENT") {
+    throw new Error(`Component not found: ${componentKey || componentId}`);
+  }
+
+  await trackInstanceState(instance);
+  instance.swapComponent(component);
+
+  return Object.assign({ id: instance.id, name: instance.name }, await describeInstance(instance));
+}
+
+async function resetOverrides(params) {
+  const { nodeId } = params || {};
+  const instance = await requireInstance(nodeId);
+  await trackInstanceState(instance);
+  instance.resetOverrides();
+  return Object.assign({ id: instance.id, name: instance.name }, await describeInstance(instance));
+}
+
+// Detaching replaces the instance with a frame that has a new ID
+async function detachInstance(params) {
+  const { nodeId } = params || {};
+  const instance = await requireInstance(nodeId);
+  const mainComponent = await instance.getMainComponentAsync();
+  const frame = await replaceNode(instance, () => instance.detachInstance());
+  return {
+    id: frame.id,
+    name: frame.name,
+    type: frame.type,
+    detachedFromComponentId: mainComponent ? mainComponent.id : null,
+  };
+}
+
+const EXPORT_MIME_TYPES = {
+  PNG: "image/png",
+  JPG: "image/jpeg",
+  SVG: "image/svg+xml",
+  PDF: "application/pdf",
+};
+
+async function exportNodeAsImage(params) {
+  const { nodeId, format = "PNG", scale = 2 } = params || {};
+
+  if (!nodeId) {
+    throw new Error("Missing nodeId parameter");
+  }
+
+  if (!EXPORT_MIME_TYPES[format]) {
+    throw new Error(
+      `Unsupported export format: ${format}. Must be one of: ${Object.keys(
+        EXPORT_MIME_TYPES
+      ).join(", ")}`
+    );
+  }
+
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node) {
+    throw new Error(`Node not found with ID: ${nodeId}`);
+  }
+
+  if (!("exportAsync" in node)) {
+    throw new Error(`Node does not support exporting: ${nodeId}`);
+  }
+
+  // Only raster formats accept a scale constraint
+  const isRaster = format === "PNG" || format === "JPG";
+  const settings = isRaster
+    ? { format, constraint: { type: "SCALE", value: scale } }
+    : { format };
+
+  console.log(`Exporting node ${nodeId} as ${format} with scale ${scale}`);
+  const bytes = await node.exportAsync(settings);
+  console.log("Export successful, size:", bytes.length, "bytes");
+
+  return {
+    nodeId: node.id,
+    name: node.name,
+    format,
+    mimeType: EXPORT_MIME_TYPES[format],
+    scale: isRaster ? scale : 1,
+    width: Math.round(node.width * (isRaster ? scale : 1)),
+    height: Math.round(node.height * (isRaster ? scale : 1)),
+    byteLength: bytes.length,
+    imageData: figma.base64Encode(bytes),
+  };
+}
+
+// Serialization
+//
+// serialize_node writes a versioned description of a subtree that
+// deserialize_node can rebuild, in this file or another one. Unlike
+// filterFigmaNode it keeps everything needed to recreate the nodes: vector
+// paths, per-range text styles, bound variables, style and component
+// references, and optionally the image bytes behind image fills.
+
+const SERIALIZATION_FORMAT = "talk-to-figma/node";
+const SERIALIZATION_VERSION = 1;
+
+// Applied before resizing; sizing modes come after, since resizing an
+// auto-layout frame fixes its size
+const SERIALIZED_LAYOUT_PROPERTIES = [
+  "layoutMode",
+  "layoutWrap",
+  "primaryAxisAlignItems",
+  "counterAxisAlignItems",
+  "counterAxisAlignContent",
+  "paddingTop",
+  "paddingRight",
+  "paddingBottom",
+  "paddingLeft",
+  "itemSpacing",
+  "counterAxisSpacing",
+  "itemReverseZIndex",
+  "strokesIncludedInLayout",
+];
+
+const SERIALIZED_PROPERTIES = [
+  "primaryAxisSizingMode",
+  "counterAxisSizingMode",
+  "visible",
+  "locked",
+  "opacity",
+  "blendMode",
+  "isMask",
+  "clipsContent",
+  "fills",
+  "strokes",
+  "strokeWeight",
+  "strokeAlign",
+  "strokeCap",
+  "strokeJoin",
+  "strokeMiterLimit",
+  "dashPattern",
+  "strokeTopWeight",
+  "strokeRightWeight",
+  "strokeBottomWeight",
+  "strokeLeftWeight",
+  "effects",
+  "layoutGrids",
+  "cornerRadius",
+  "topLeftRadius",
+  "topRightRadius",
+  "bottomRightRadius",
+  "bottomLeftRadius",
+  "cornerSmoothing",
+  "constraints",
+  "layoutAlign",
+  "layoutGrow",
+  "layoutPositioning",
+  "minWidth",
+  "maxWidth",
+  "minHeight",
+  "maxHeight",
+  "arcData",
+  "pointCount",
+  "innerRadius",
+  "vectorPaths",
+  "booleanOperation",
+  "textAlignHorizontal",
+  "textAlignVertical",
+  "textAutoResize",
+  "textTruncation",
+  "maxLines",
+  "paragraphIndent",
+  "paragraphSpacing",
+  "listSpacing",
+  "hangingPunctuation",
+  "leadingTrim",
+  "description",
+];
+
+// Sizing against an auto-layout parent, applied once children are in place
+const SERIALIZED_PARENT_PROPERTIES = [
+  "layoutSizingHorizontal",
+  "layoutSizingVertical",
+];
+
+const STYLE_ID_SETTERS = {
+  fillStyleId: "setFillStyleIdAsync",
+  strokeStyleId: "setStrokeStyleIdAsync",
+  effectStyleId: "setEffectStyleIdAsync",
+  gridStyleId: "setGridStyleIdAsync",
+};
+
+// Per-range text properties and their setters, in the order they are applied:
+// a text style first so explicit values can override it
+const TEXT_RANGE_SETTERS = {
+  textStyleId: "setRangeTextStyleIdAsync",
+  fontName: "setRangeFontName",
+  fontSize: "setRangeFontSize",
+  textDecoration: "setRangeTextDecoration",
+  textCase: "setRangeTextCase",
+  letterSpacing: "setRangeLetterSpacing",
+  lineHeight: "setRangeLineHeight",
+  hyperlink: "setRangeHyperlink",
+  listOptions: "setRangeListOptions",
+  indentation: "setRangeIndentation",
+  fills: "setRangeFills",
+  fillStyleId: "setRangeFillStyleIdAsync",
+};
+
+const BOOLEAN_OPERATIONS = {
+  UNION: "union",
+  SUBTRACT: "subtract",
+  INTERSECT: "intersect",
+  EXCLUDE: "exclude",
+};
+
+const toPlain = (value) => JSON.parse(JSON.stringify(value));
+
+async function recordSerializedPaints(paints, context) {
+  if (!Array.isArray(paints)) return;
+  for (const paint of paints) {
+    if (paint.boundVariables && paint.boundVariables.color) {
+      await recordSerializedVariable(paint.boundVariables.color.id, context);
+    }
+    if (paint.type === "IMAGE" && paint.imageHash && context.includeImages) {
+      if (context.images[paint.imageHash]) continue;
+      const image = figma.getImageByHash(paint.imageHash);
+      if (image) {
+        context.images[paint.imageHash] = figma.base64Encode(await image.getBytesAsync());
+      }
+    }
+  }
+}
+
+async function recordSerializedVariable(id, context) {
+  if (context.variables[id]) return;
+  const variable = await figma.variables.getVariableByIdAsync(id);
+  context.variables[id] = variable
+    ? { name: variable.name, key: variable.key, resolvedType: variable.resolvedType }
+    : {};
+}
+
+async function recordSerializedStyle(id, context) {
+  if (context.styles[id]) return;
+  const style = await figma.getStyleByIdAsync(id);
+  context.styles[id] = style ? { name: style.name, key: style.key, type: style.type } : {};
+}
+
+// Characters and every run of per-range styles
+function readTextContent(node) {
+  const fields = Object.keys(TEXT_RANGE_SETTERS).filter(
+    (field) => typeof node[TEXT_RANGE_SETTERS[field]] === "function"
+  );
+  const segments = node.characters.length > 0 ? node.getStyledTextSegments(fields) : [];
+  return {
+    characters: node.characters,
+    segments: segments.map(({ characters, ...segment }) => toPlain(segment)),
+  };
+}
+
+async function serializeNodeData(node, context, { children = true } = {}) {
+  const data = { id: node.id, type: node.type, name: node.name, properties: {} };
+
+  if ("x" in node) {
+    data.geometry = {
+      x: node.x,
+      y: node.y,
+      width: node.width,
+      height: node.height,
+      rotation: "rotation" in node ? node.rotation : 0,
+    };
+  }
+
+  for (const key of [
+    ...SERIALIZED_LAYOUT_PROPERTIES,
+    ...SERIALIZED_PROPERTIES,
+    ...SERIALIZED_PARENT_PROPERTIES,
+  ]) {
+    // Text fills travel with the per-range styles
+    if (node.type === "TEXT" && key === "fills") continue;
+    if (!(key in node) || node[key] === figma.mixed || node[key] === undefined) continue;
+    data.properties[key] = toPlain(node[key]);
+  }
+  await recordSerializedPaints(data.properties.fills, context);
+  await recordSerializedPaints(data.properties.strokes, context);
+
+  for (const key of Object.keys(STYLE_ID_SETTERS)) {
+    if (node.type === "TEXT" && key === "fillStyleId") continue;
+    if (key in node && typeof node[key] === "string" && node[key]) {
+      data.styles = data.styles || {};
+      data.styles[key] = node[key];
+      await recordSerializedStyle(node[key], context);
+    }
+  }
+
+  // Paint bindings are kept on the paints themselves
+  if ("boundVariables" in node && node.boundVariables) {
+    for (const [field, alias] of Object.entries(node.boundVariables)) {
+      if (!alias || Array.isArray(alias) || field === "componentProperties") continue;
+      data.boundVariables = data.boundVariables || {};
+      data.boundVariables[field] = alias.id;
+      await recordSerializedVariable(alias.id, context);
+    }
+  }
+
+  // VARIANT properties travel in the variant names
+  if (ownsComponentProperties(node)) {
+    for (const [name, definition] of Object.entries(node.componentPropertyDefinitions)) {
+      if (definition.type === "VARIANT") continue;
+      data.componentPropertyDefinitions = data.componentPropertyDefinitions || {};
+      data.componentPropertyDefinitions[name] = toPlain(definition);
+    }
+  }
+  if ("componentPropertyReferences" in node && node.componentPropertyReferences) {
+    data.componentPropertyReferences = toPlain(node.componentPropertyReferences);
+  }
+
+  if (node.type === "TEXT") {
+    data.text = readTextContent(node);
+    for (const segment of data.text.segments) {
+      await recordSerializedPaints(segment.fills, context);
+      if (segment.textStyleId) await recordSerializedStyle(segment.textStyleId, context);
+      if (segment.fillStyleId) await recordSerializedStyle(segment.fillStyleId, context);
+    }
+  }
+
+  if (node.type === "INSTANCE") {
+    const mainComponent = await node.getMainComponentAsync();
+    data.component = mainComponent
+      ? { id: mainComponent.id, key: mainComponent.key, name: mainComponent.name }
+      : null;
+    if (node.componentProperties) {
+      data.componentProperties = {};
+      for (const [name, property] of Object.entries(node.componentProperties)) {
+        data.componentProperties[name] = property.value;
+      }
+    }
+  }
+
+  context.nodeCount++;
+  if (children && "children" in node) {
+    data.children = [];
+    for (const child of node.children) {
+      data.children.push(await serializeNodeData(child, context));
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Serialize a subtree to a versioned JSON document deserialize_node can rebuild
+ * @param {Object} params
+ * @param {string} params.nodeId - Root of the subtree
+ * @param {boolean} [params.includeImages=true] - Embed image fill bytes (base64) so the
+ *   document can be imported into another file
+ */
+async function serializeNode(params) {
+  const { nodeId, includeImages = true } = params || {};
+
+  if (!nodeId) {
+    throw new Error("Missing nodeId parameter");
+  }
+
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node) {
+    throw new Error(`Node not found with ID: ${nodeId}`);
+  }
+  if (node.type === "DOCUMENT" || node.type === "PAGE") {
+    throw new CommandError(
+      "unsupported_node",
+      `Cannot serialize a ${node.type} node; serialize its children instead`
+    );
+  }
+
+  const context = { includeImages, nodeCount: 0, images: {}, variables: {}, styles: {} };
+  const root = await serializeNodeData(node, context);
+
+  return {
+    format: SERIALIZATION_FORMAT,
+    version: SERIALIZATION_VERSION,
+    nodeCount: context.nodeCount,
+    root,
+    variables: context.variables,
+    styles: context.styles,
+    images: context.images,
+  };
+}
+
+async function resolveSerializedVariable(id, context) {
+  if (!(id in context.variableCache)) {
+    const info = (context.document.variables || {})[id] || {};
+    let variable = await figma.variables.getVariableByIdAsync(id);
+    if (!variable && info.key) {
+      variable = await figma.variables.importVariableByKeyAsync(info.key).catch(() => null);
+    }
+    if (!variable) {
+      context.warnings.push({
+        message: `Variable ${info.name || id} is not available; kept its resolved value`,
+      });
+    }
+    context.variableCache[id] = variable;
+  }
+  return context.variableCache[id];
+}
+
+async function resolveSerializedStyle(id, context) {
+  if (!(id in context.styleCache)) {
+    const info = (context.document.styles || {})[id] || {};
+    let style = await figma.getStyleByIdAsync(id);
+    if (!style && info.key) {
+      style = await figma.importStyleByKeyAsync(info.key).catch(() => null);
+    }
+    if (!style) {
+      context.warnings.push({
+        message: `Style ${info.name || id} is not available; kept its resolved values`,
+      });
+    }
+    context.styleCache[id] = style;
+  }
+  return context.styleCache[id];
+}
+
+// Point image fills at the imported images and rebind paint variables
+async function restoreSerializedPaints(paints, context) {
+  const restored = [];
+  for (const { boundVariables, ...paint } of paints) {
+    if (paint.type === "IMAGE" && context.imageHashes[paint.imageHash]) {
+      paint.imageHash = context.imageHashes[paint.imageHash];
+    }
+    const alias = boundVariables && boundVariables.color;
+    const variable = alias && (await resolveSerializedVariable(alias.id, context));
+    restored.push(
+      variable ? figma.variables.setBoundVariableForPaint(paint, "color", variable) : paint
+    );
+  }
+  return restored;
+}
+
+function setSerializedProperty(node, key, value, context) {
+  if (!(key in node) || JSON.stringify(node[key]) === JSON.stringify(value)) return;
+  try {
+    node[key] = value;
+  } catch (error) {
+    context.warnings.push({ nodeId: node.id, property: key, message: error.message });
+  }
+}
+
+async function applySerializedText(node, text, context) {
+  const fonts = uniqBy(
+    text.segments.map((segment) => segment.fontName).filter(Boolean),
+    (font) => `${font.family}::${font.style}`
+  );
+  const missing = new Set();
+  for (const font of fonts) {
+    try {
+      await figma.loadFontAsync(font);
+    } catch (error) {
+      missing.add(`${font.family}::${font.style}`);
+      context.warnings.push({
+        nodeId: node.id,
+        message: `Font ${font.family} ${font.style} is not available; kept ${node.name}'s current font`,
+      });
+    }
+  }
+
+  // Replacing characters needs the fonts already in the node
+  const current = node.characters.length > 0
+    ? node.getStyledTextSegments(["fontName"]).map((segment) => segment.fontName)
+    : [node.fontName];
+  await Promise.all(current.map((font) => figma.loadFontAsync(font)));
+  if (node.characters !== text.characters) {
+    node.characters = text.characters;
+  }
+
+  for (const segment of text.segments) {
+    for (const [field, setter] of Object.entries(TEXT_RANGE_SETTERS)) {
+      let value = segment[field];
+      if (value === undefined || typeof node[setter] !== "function") continue;
+      if (field === "fontName" && missing.has(`${value.family}::${value.style}`)) continue;
+      try {
+        // An empty id detaches whatever style the range has now
+        if (field === "textStyleId" || field === "fillStyleId") {
+          const style = value && (await resolveSerializedStyle(value, context));
+          if (style || !value) await node[setter](segment.start, segment.end, style ? style.id : "");
+          continue;
+        }
+        if (field === "fills") {
+          value = await restoreSerializedPaints(value, context);
+        }
+        node[setter](segment.start, segment.end, value);
+      } catch (error) {
+        context.warnings.push({ nodeId: node.id, property: field, message: error.message });
+      }
+    }
+  }
+}
+
+async function applySerializedProperties(node, data, context, { geometry = true } = {}) {
+  const properties = data.properties || {};
+
+  for (const key of SERIALIZED_LAYOUT_PROPERTIES) {
+    if (key in properties) setSerializedProperty(node, key, properties[key], context);
+  }
+
+  if (geometry && data.geometry && "resize" in node) {
+    const { width, height } = data.geometry;
+    if (node.width !== width || node.height !== height) {
+      try {
+        node.resize(width, height);
+      } catch (error) {
+        context.warnings.push({ nodeId: node.id, property: "size", message: error.message });
+      }
+    }
+  }
+
+  for (const key of SERIALIZED_PROPERTIES) {
+    if (!(key in properties)) continue;
+    const value =
+      key === "fills" || key === "strokes"
+        ? await restoreSerializedPaints(properties[key], context)
+        : properties[key];
+    setSerializedProperty(node, key, value, context);
+  }
+
+  if (geometry && data.geometry) {
+    setSerializedProperty(node, "rotation", data.geometry.rotation, context);
+    setSerializedProperty(node, "x", data.geometry.x, context);
+    setSerializedProperty(node, "y", data.geometry.y, context);
+  }
+
+  for (const [key, id] of Object.entries(data.styles || {})) {
+    const style = await resolveSerializedStyle(id, context);
+    if (style && typeof node[STYLE_ID_SETTERS[key]] === "function") {
+      await node[STYLE_ID_SETTERS[key]](style.id);
+    }
+  }
+
+  if (data.text) {
+    await applySerializedText(node, data.text, context);
+  }
+
+  for (const [field, id] of Object.entries(data.boundVariables || {})) {
+    const variable = await resolveSerializedVariable(id, context);
+    if (!variable) continue;
+    try {
+      node.setBoundVariable(field, variable);
+    } catch (error) {
+      context.warnings.push({ nodeId: node.id, property: field, message: error.message });
+    }
+  }
+
+  if (data.componentProperties && "setProperties" in node) {
+    try {
+      node.setProperties(data.componentProperties);
+    } catch (error) {
+      context.warnings.push({ nodeId: node.id, property: "componentProperties", message: error.message });
+    }
+  }
+}
+
+function applySerializedParentProperties(node, data, context) {
+  for (const key of SERIALIZED_PARENT_PROPERTIES) {
+    if (key in (data.properties || {})) {
+      setSerializedProperty(node, key, data.properties[key], context);
+    }
+  }
+}
+
+// The component by id in this file, or imported by key
+async function resolveSerializedComponent(reference) {
+  const component = reference.id ? await figma.getNodeByIdAsync(reference.id) : null;
+  if (component && component.type === "COMPONENT" && (!reference.key || component.key === reference.key)) {
+    return component;
+  }
+  return reference.key
+    ? await figma.importComponentByKeyAsync(reference.key).catch(() => null)
+    : null;
+}
+
+async function createSerializedInstance(data, context) {
+  const reference = data.component || {};
+  const component = await resolveSerializedComponent(reference);
+  if (!component) {
+    context.warnings.push({
+      nodeId: data.id,
+      message: `Component ${reference.name || reference.key || "unknown"} is not available; rebuilt ${data.name} as a frame`,
+    });
+    return null;
+  }
+  return component.createInstance();
+}
+
+// Instance children come from the component; apply the serialized values
+// to them as overrides, pairing layers by position
+async function applySerializedOverrides(node, data, context) {
+  const children = data.children || [];
+  for (let index = 0; index < children.length; index++) {
+    const child = node.children[index];
+    const childData = children[index];
+    if (!child || child.type !== childData.type) {
+      context.warnings.push({
+        nodeId: childData.id,
+        message: `No matching layer for ${childData.name} in instance ${node.name}`,
+      });
+      continue;
+    }
+    context.idMap[childData.id] = child.id;
+    setSerializedProperty(child, "name", childData.name, context);
+    await applySerializedProperties(child, childData, context, { geometry: false });
+    if ("children" in child) {
+      await applySerializedOverrides(child, childData, context);
+    }
+    reportDeserializeProgress(context);
+  }
+}
+
+// Figma names re-added properties with a new "#id" suffix; the new names
+// go into context.propertyNames for the layers that reference them
+function addSerializedComponentProperties(node, data, context) {
+  for (const [name, definition] of Object.entries(data.componentPropertyDefinitions || {})) {
+    const defaultValue = definition.type === "INSTANCE_SWAP"
+      ? context.idMap[definition.defaultValue] || definition.defaultValue
+      : definition.defaultValue;
+    const options = definition.preferredValues ? { preferredValues: definition.preferredValues } : undefined;
+    try {
+      context.propertyNames[name] = node.addComponentProperty(
+        name.replace(/#[^#]*$/, ""),
+        definition.type,
+        defaultValue,
+        options
+      );
+    } catch (error) {
+      context.warnings.push({
+        nodeId: node.id,
+        property: "componentPropertyDefinitions",
+        message: `Could not add property ${name}: ${error.message}`,
+      });
+    }
+  }
+}
+
+// Runs once the whole tree is built, since component sets get their
+// definitions after their variants' layers exist
+function applySerializedPropertyReferences(context) {
+  for (const { node, references } of context.propertyReferences) {
+    const remapped = {};
+    for (const [field, name] of Object.entries(references)) {
+      if (context.propertyNames[name]) {
+        remapped[field] = context.propertyNames[name];
+      } else {
+        context.warnings.push({
+          nodeId: node.id,
+          property: "componentPropertyReferences",
+          message: `Property ${name} is not defined in the rebuilt tree; ${node.name} no longer follows it`,
+        });
+      }
+    }
+    if (Object.keys(remapped).length === 0) continue;
+    try {
+      node.componentPropertyReferences = remapped;
+    } catch (error) {
+      context.warnings.push({ nodeId: node.id, property: "componentPropertyReferences", message: error.message });
+    }
+  }
+}
+
+function reportDeserializeProgress(context) {
+  context.nodeCount++;
+  // Rollback rebuilds nodes without a command to report to
+  if (context.commandId && context.nodeCount % 50 === 0) {
+    sendProgressUpdate(
+      context.commandId,
+      "deserialize_node",
+      "in_progress",
+      Math.round((context.nodeCount / context.totalNodes) * 100),
+      context.totalNodes,
+      context.nodeCount,
+      `Rebuilt ${context.nodeCount} of ${context.totalNodes} nodes`
+    );
+  }
+}
+
+// Groups, boolean operations and component sets wrap children built first
+async function buildSerializedWrapper(data, parent, context) {
+  const children = [];
+  for (const childData of data.children || []) {
+    const child = await buildSerializedNode(childData, parent, context);
+    if (child) children.push(child);
+  }
+  if (children.length === 0) {
+    context.warnings.push({ nodeId: data.id, message: `Skipped empty ${data.type} ${data.name}` });
+    return null;
+  }
+
+  let node;
+  if (data.type === "GROUP") {
+    node = figma.group(children, parent);
+  } else if (data.type === "COMPONENT_SET") {
+    node = figma.combineAsVariants(children, parent);
+  } else {
+    const operation = BOOLEAN_OPERATIONS[(data.properties || {}).booleanOperation] || "union";
+    node = figma[operation](children, parent);
+  }
+  trackCreatedNode(node);
+  context.createdNodes.push(node);
+  context.idMap[data.id] = node.id;
+  node.name = data.name;
+  await applySerializedProperties(node, data, context, {
+    geometry: data.type === "COMPONENT_SET",
+  });
+  addSerializedComponentProperties(node, data, context);
+  if (data.componentPropertyReferences) {
+    context.propertyReferences.push({ node, references: data.componentPropertyReferences });
+  }
+  applySerializedParentProperties(node, data, context);
+  reportDeserializeProgress(context);
+  return node;
+}
+
+async function buildSerializedNode(data, parent, context) {
+  let node;
+  switch (data.type) {
+    case "GROUP":
+    case "BOOLEAN_OPERATION":
+    case "COMPONENT_SET":
+      return await buildSerializedWrapper(data, parent, context);
+    case "FRAME":
+      node = figma.createFrame();
+      break;
+    case "COMPONENT":
+      node = figma.createComponent();
+      break;
+    case "INSTANCE":
+      node = (await createSerializedInstance(data, context)) || figma.createFrame();
+      break;
+    case "RECTANGLE":
+      node = figma.createRectangle();
+      break;
+    case "ELLIPSE":
+      node = figma.createEllipse();
+      break;
+    case "LINE":
+      node = figma.createLine();
+      break;
+    case "POLYGON":
+      node = figma.createPolygon();
+      break;
+    case "STAR":
+      node = figma.createStar();
+      break;
+    case "VECTOR":
+      node = figma.createVector();
+      break;
+    case "TEXT":
+      node = figma.createText();
+      break;
+    default:
+      context.warnings.push({
+        nodeId: data.id,
+        message: `Skipped ${data.type} ${data.name}: this node type cannot be rebuilt`,
+      });
+      return null;
+  }
+
+  trackCreatedNode(node);
+  context.createdNodes.push(node);
+  parent.appendChild(node);
+  context.idMap[data.id] = node.id;
+  node.name = data.name;
+  await applySerializedProperties(node, data, context);
+  addSerializedComponentProperties(node, data, context);
+  if (data.componentPropertyReferences) {
+    context.propertyReferences.push({ node, references: data.componentPropertyReferences });
+  }
+
+  if (data.type === "INSTANCE" && node.type === "INSTANCE") {
+    await applySerializedOverrides(node, data, context);
+  } else {
+    for (const childData of data.children || []) {
+      await buildSerializedNode(childData, node, context);
+    }
+  }
+
+  applySerializedParentProperties(node, data, context);
+  reportDeserializeProgress(context);
+  return node;
+}
+
+function countSerializedNodes(data) {
+  return (data.children || []).reduce(
+    (count, child) => count + countSerializedNodes(child),
+    1
+  );
+}
+
+/**
+ * Rebuild a subtree from a serialize_node document
+ * @param {Object} params
+ * @param {Object|string} params.data - The document, as an object or JSON string
+ * @param {string} [params.parentId] - Node to build the subtree in (defaults to the current page)
+ * @param {number} [params.x] - Override the root's x position
+ * @param {number} [params.y] - Override the root's y position
+ * @returns {Object} The new root, a map from serialized to new node ids, and warnings for
+ *   anything that could not be restored exactly
+ */
+async function deserializeNode(params) {
+  const { data, parentId, x, y, commandId = generateCommandId() } = params || {};
+
+  if (!data) {
+    throw new Error("Missing data parameter");
+  }
+
+  let document = data;
+  if (typeof data === "string") {
+    try {
+      document = JSON.parse(data);
+    } catch (error) {
+      throw new CommandError("invalid_params", `Invalid data parameter: ${error.message}`);
+    }
+  }
+  if (!document || document.format !== SERIALIZATION_FORMAT || !document.root) {
+    throw new CommandError(
+      "invalid_params",
+      `Invalid data parameter: expected a "${SERIALIZATION_FORMAT}" document from serialize_node`
+    );
+  }
+  if (!(document.version <= SERIALIZATION_VERSION)) {
+    throw new CommandError(
+      "invalid_params",
+      `Unsupported serialization version ${document.version}; this plugin reads up to version ${SERIALIZATION_VERSION}`
+    );
+  }
+
+  let parent = figma.currentPage;
+  if (parentId) {
+    parent = await figma.getNodeByIdAsync(parentId);
+    if (!parent) {
+      throw new Error(`Parent node not found with ID: ${parentId}`);
+    }
+    if (!("appendChild" in parent)) {
+      throw new Error(`Parent node does not support children: ${parentId}`);
+    }
+  }
+
+  const context = {
+    document,
+    commandId,
+    totalNodes: countSerializedNodes(document.root),
+    nodeCount: 0,
+    idMap: {},
+    createdNodes: [],
+    warnings: [],
+    imageHashes: {},
+    variableCache: {},
+    styleCache: {},
+    propertyNames: {},
+    propertyReferences: [],
+  };
+
+  sendProgressUpdate(
+    commandId,
+    "deserialize_node",
+    "started",
+    0,
+    context.totalNodes,
+    0,
+    `Rebuilding ${context.totalNodes} nodes`
+  );
+
+  // Import embedded images first so paints can point at their new hashes
+  for (const [hash, base64] of Object.entries(document.images || {})) {
+    context.imageHashes[hash] = figma.createImage(figma.base64Decode(base64)).hash;
   }
 
-  if (!("fills" in node)) {
-    throw new Error(`Node does not support fills: ${nodeId}`);
+  let root;
+  try {
+    root = await buildSerializedNode(document.root, parent, context);
+    applySerializedPropertyReferences(context);
+  } catch (error) {
+    // Don't leave a half-built subtree behind. Children of groups and
+    // component sets are built into the parent before their wrapper exists
+    for (const node of context.createdNodes.reverse()) {
+      if (!node.removed) node.remove();
+    }
+    throw error;
+  }
+  if (!root) {
+    throw new CommandError(
+      "unsupported_node",
+      `Cannot rebuild a ${document.root.type} node`,
+      { warnings: context.warnings }
+    );
   }
 
-  // Create RGBA color
-  const rgbColor = {
-    r: parseFloat(r) || 0,
-    g: parseFloat(g) || 0,
-    b: parseFloat(b) || 0,
-    a: parseFloat(a) || 1,
-  };
-
-  // Set fill
-  const paintStyle = {
-    type: "SOLID",
-    color: {
-      r: parseFloat(rgbColor.r),
-      g: parseFloat(rgbColor.g),
-      b: parseFloat(rgbColor.b),
-    },
-    opacity: parseFloat(rgbColor.a),
-  };
-
-  console.log("paintStyle", paintStyle);
+  if (x !== undefined) root.x = x;
+  if (y !== undefined) root.y = y;
 
-  node.fills = [paintStyle];
+  sendProgressUpdate(
+    commandId,
+    "deserialize_node",
+    "completed",
+    100,
+    context.totalNodes,
+    context.nodeCount,
+    `Rebuilt ${context.nodeCount} nodes`
+  );
 
   return {
-    id: node.id,
-    name: node.name,
-    fills: [paintStyle],
+    id: root.id,
+    name: root.name,
+    type: root.type,
+    nodeCount: context.nodeCount,
+    idMap: context.idMap,
+    warnings: context.warnings,
   };
 }
 
-async function setStrokeColor(params) {
-  const {
-    nodeId,
-    color: { r, g, b, a },
-    weight = 1,
-  } = params || {};
+async function setCornerRadius(params) {
+  const { nodeId, radius, corners } = params || {};
 
   if (!nodeId) {
     throw new Error("Missing nodeId parameter");
   }
 
+  if (radius === undefined) {
+    throw new Error("Missing radius parameter");
+  }
+
   const node = await figma.getNodeByIdAsync(nodeId);
   if (!node) {
     throw new Error(`Node not found with ID: ${nodeId}`);
   }
 
-  if (!("strokes" in node)) {
-    throw new Error(`Node does not support strokes: ${nodeId}`);
+  // Check if node supports corner radius
+  if (!("cornerRadius" in node)) {
+    throw new Error(`Node does not support corner radius: ${nodeId}`);
   }
 
-  // Create RGBA color
-  const rgbColor = {
-    r: r !== undefined ? r : 0,
-    g: g !== undefined ? g : 0,
-    b: b !== undefined ? b : 0,
-    a: a !== undefined ? a : 1,
-  };
+  // If corners array is provided, set individual corner radii
+  if (corners && Array.isArray(corners) && corners.length === 4) {
+    if ("topLeftRadius" in node) {
+      // Node supports individual corner radii
+      if (corners[0]) node.topLeftRadius = radius;
+      if (corners[1]) node.topRightRadius = radius;
+      if (corners[2]) node.bottomRightRadius = radius;
+      if (corners[3]) node.bottomLeftRadius = radius;
+    } else {
+      // Node only supports uniform corner radius
+      node.cornerRadius = radius;
+    }
+  } else {
+    // Set uniform corner radius
+    node.cornerRadius = radius;
+  }
 
-  // Set stroke
-  const paintStyle = {
-    type: "SOLID",
-    color: {
-      r: rgbColor.r,
-      g: rgbColor.g,
-      b: rgbColor.b,
-    },
-    opacity: rgbColor.a,
+  return {
+    id: node.id,
+    name: node.name,
+    cornerRadius: "cornerRadius" in node ? node.cornerRadius : undefined,
+    topLeftRadius: "topLeftRadius" in node ? node.topLeftRadius : undefined,
+    topRightRadius: "topRightRadius" in node ? node.topRightRadius : undefined,
+    bottomRightRadius:
+      "bottomRightRadius" in node ? node.bottomRightRadius : undefined,
+    bottomLeftRadius:
+      "bottomLeftRadius" in node ? node.bottomLeftRadius : undefined,
   };
+}
 
-  node.strokes = [paintStyle];
+const EFFECT_TYPES = ["DROP_SHADOW", "INNER_SHADOW", "LAYER_BLUR", "BACKGROUND_BLUR"];
 
-  // Set stroke weight if available
-  if ("strokeWeight" in node) {
-    node.strokeWeight = weight;
+// Figma wants every field of an effect; fill in the editor's defaults
+function buildEffect(spec, index) {
+  if (!spec || !EFFECT_TYPES.includes(spec.type)) {
+    throw new Error(`effects[${index}].type must be one of ${EFFECT_TYPES.join(", ")}`);
+  }
+  const radius = spec.radius !== undefined ? spec.radius : 4;
+  if (typeof radius !== "number" || radius < 0) {
+    throw new Error(`effects[${index}].radius must be a number of at least 0`);
   }
+  const visible = spec.visible !== undefined ? spec.visible : true;
 
-  return {
-    id: node.id,
-    name: node.name,
-    strokes: node.strokes,
-    strokeWeight: "strokeWeight" in node ? node.strokeWeight : undefined,
+  if (spec.type === "LAYER_BLUR" || spec.type === "BACKGROUND_BLUR") {
+    return { type: spec.type, radius, visible };
+  }
+
+  const color = spec.color || { r: 0, g: 0, b: 0, a: 0.25 };
+  if ([color.r, color.g, color.b].some((channel) => typeof channel !== "number")) {
+    throw new Error(`effects[${index}].color must have numeric r, g and b`);
+  }
+  const offset = spec.offset || { x: 0, y: 4 };
+  const effect = {
+    type: spec.type,
+    color: { r: color.r, g: color.g, b: color.b, a: color.a !== undefined ? color.a : 1 },
+    offset: { x: offset.x || 0, y: offset.y || 0 },
+    radius,
+    spread: spec.spread || 0,
+    visible,
+    blendMode: spec.blendMode || "NORMAL",
   };
+  if (spec.type === "DROP_SHADOW") {
+    effect.showShadowBehindNode = Boolean(spec.showShadowBehindNode);
+  }
+  return effect;
 }
 
-async function moveNode(params) {
-  const { nodeId, x, y } = params || {};
+/**
+ * Replace, add to or remove from a node's effects
+ * @param {Object} params
+ * @param {string} params.nodeId
+ * @param {Array<Object>} params.effects - Effects to set or add; for "remove",
+ *   only each entry's type is used
+ * @param {string} [params.mode] - "replace" (default), "add" or "remove"
+ */
+async function setEffects(params) {
+  const { nodeId, effects, mode = "replace" } = params || {};
 
   if (!nodeId) {
     throw new Error("Missing nodeId parameter");
   }
-
-  if (x === undefined || y === undefined) {
-    throw new Error("Missing x or y parameters");
+  if (!Array.isArray(effects)) {
+    throw new Error("Missing effects parameter");
+  }
+  if (!["replace", "add", "remove"].includes(mode)) {
+    throw new Error("mode must be one of replace, add, remove");
   }
 
   const node = await figma.getNodeByIdAsync(nodeId);
   if (!node) {
     throw new Error(`Node not found with ID: ${nodeId}`);
   }
-
-  if (!("x" in node) || !("y" in node)) {
-    throw new Error(`Node does not support position: ${nodeId}`);
+  if (!("effects" in node)) {
+    throw new Error(`Node does not support effects: ${nodeId}`);
   }
 
-  node.x = x;
-  node.y = y;
+  if (mode === "remove") {
+    const types = effects.map((effect, index) => {
+      if (!effect || !EFFECT_TYPES.includes(effect.type)) {
+        throw new Error(`effects[${index}].type must be one of ${EFFECT_TYPES.join(", ")}`);
+      }
+      return effect.type;
+    });
+    node.effects = node.effects.filter((effect) => !types.includes(effect.type));
+  } else {
+    const built = effects.map(buildEffect);
+    node.effects = mode === "add" ? node.effects.concat(built) : built;
+  }
 
   return {
     id: node.id,
     name: node.name,
-    x: node.x,
-    y: node.y,
+    effects: node.effects.map((effect) =>
+      effect.color ? Object.assign({}, effect, { color: rgbaToHex(effect.color) }) : Object.assign({}, effect)
+    ),
   };
 }
 
-async function resizeNode(params) {
-  const { nodeId, width, height } = params || {};
+async function setTextContent(params) {
+  const { nodeId, text } = params || {};
 
   if (!nodeId) {
     throw new Error("Missing nodeId parameter");
   }
 
-  if (width === undefined || height === undefined) {
-    throw new Error("Missing width or height parameters");
+  if (text === undefined) {
+    throw new Error("Missing text parameter");
   }
 
   const node = await figma.getNodeByIdAsync(nodeId);
@@ -1008,22 +5303,94 @@ async function resizeNode(params) {
     throw new Error(`Node not found with ID: ${nodeId}`);
   }
 
-  if (!("resize" in node)) {
-    throw new Error(`Node does not support resizing: ${nodeId}`);
+  if (node.type !== "TEXT") {
+    throw new Error(`Node is not a text node: ${nodeId}`);
   }
 
-  node.resize(width, height);
+  try {
+    await figma.loadFontAsync(node.fontName);
+
+    await setCharacters(node, text);
+
+    return {
+      id: node.id,
+      name: node.name,
+      characters: node.characters,
+      fontName: node.fontName,
+    };
+  } catch (error) {
+    throw new Error(`Error setting text content: ${error.message}`);
+  }
+}
+
+// Per-character properties and the range setter for each
+const TEXT_STYLE_RANGE_PROPERTIES = {
+  fontSize: "setRangeFontSize",
+  lineHeight: "setRangeLineHeight",
+  letterSpacing: "setRangeLetterSpacing",
+  textCase: "setRangeTextCase",
+  textDecoration: "setRangeTextDecoration",
+};
+
+// Paragraph properties always apply to the whole node
+const TEXT_STYLE_NODE_PROPERTIES = [
+  "paragraphSpacing",
+  "paragraphIndent",
+  "textAlignHorizontal",
+  "textAlignVertical",
+  "textAutoResize",
+  "textTruncation",
+  "maxLines",
+];
+
+// 24 -> 24px, "AUTO" -> auto line height, objects are passed through
+function readTextMeasure(value, name) {
+  if (typeof value === "number") {
+    return { value, unit: "PIXELS" };
+  }
+  if (value === "AUTO" && name === "lineHeight") {
+    return { unit: "AUTO" };
+  }
+  if (value && typeof value.value === "number" && (value.unit === "PIXELS" || value.unit === "PERCENT")) {
+    return { value: value.value, unit: value.unit };
+  }
+  throw new Error(`${name} must be a number of pixels, { value, unit: "PIXELS" | "PERCENT" }${name === "lineHeight" ? ' or "AUTO"' : ""}`);
+}
+
+const fontLabel = (font) => `${font.family} ${font.style}`;
 
+// Loads each font once; fonts that fail are collected in missingFonts
+function createFontLoader() {
+  const loaded = new Set();
+  const missingFonts = [];
   return {
-    id: node.id,
-    name: node.name,
-    width: node.width,
-    height: node.height,
+    missingFonts,
+    async load(font) {
+      if (loaded.has(fontLabel(font))) return true;
+      if (missingFonts.some((missing) => fontLabel(missing) === fontLabel(font))) return false;
+      try {
+        await figma.loadFontAsync(font);
+        loaded.add(fontLabel(font));
+        return true;
+      } catch (error) {
+        missingFonts.push(font);
+        return false;
+      }
+    },
   };
 }
 
-async function deleteNode(params) {
-  const { nodeId } = params || {};
+/**
+ * Set typography on a text node, or on the characters from start to end.
+ * Fonts that cannot be loaded are reported in missingFonts, and the parts
+ * of the text that need them are left unchanged and listed in skipped
+ * @param {Object} params
+ * @param {string} params.nodeId
+ * @param {number} [params.start=0]
+ * @param {number} [params.end] - Defaults to the end of the text
+ */
+async function setTextStyle(params) {
+  const { nodeId, fontFamily, fontStyle } = params || {};
 
   if (!nodeId) {
     throw new Error("Missing nodeId parameter");
@@ -1033,186 +5400,576 @@ async function deleteNode(params) {
   if (!node) {
     throw new Error(`Node not found with ID: ${nodeId}`);
   }
+  if (node.type !== "TEXT") {
+    throw new Error(`Node is not a text node: ${nodeId}`);
+  }
 
-  // Save node info before deleting
-  const nodeInfo = {
-    id: node.id,
-    name: node.name,
-    type: node.type,
-  };
+  const length = node.characters.length;
+  const start = params.start !== undefined ? params.start : 0;
+  const end = params.end !== undefined ? params.end : length;
+  if (!(Number.isInteger(start) && Number.isInteger(end) && start >= 0 && end <= length && start <= end)) {
+    throw new Error(`start and end must be a range within 0..${length}, got ${start}..${end}`);
+  }
 
-  node.remove();
+  const rangeValues = {};
+  for (const property of Object.keys(TEXT_STYLE_RANGE_PROPERTIES)) {
+    if (params[property] === undefined) continue;
+    rangeValues[property] =
+      property === "lineHeight" || property === "letterSpacing"
+        ? readTextMeasure(params[property], property)
+        : params[property];
+  }
+  const nodeValues = {};
+  for (const property of TEXT_STYLE_NODE_PROPERTIES) {
+    if (params[property] !== undefined) nodeValues[property] = params[property];
+  }
+  if (!fontFamily && !fontStyle && Object.keys(rangeValues).length === 0 && Object.keys(nodeValues).length === 0) {
+    throw new Error("Missing text style properties to set");
+  }
+  // Paragraph properties alone also apply to empty text
+  if (start === end && (fontFamily || fontStyle || Object.keys(rangeValues).length > 0)) {
+    throw new Error(`Fonts and character styles need a non-empty range, got ${start}..${end}`);
+  }
 
-  return nodeInfo;
-}
+  // Each run of the range keeps its own family or style unless replaced
+  const runs = node
+    .getStyledTextSegments(["fontName"])
+    .filter((segment) => segment.end > start && segment.start < end)
+    .map((segment) => ({
+      start: Math.max(segment.start, start),
+      end: Math.min(segment.end, end),
+      current: segment.fontName,
+      font: {
+        family: fontFamily || segment.fontName.family,
+        style: fontStyle || segment.fontName.style,
+      },
+    }));
 
-async function getStyles() {
-  const styles = {
-    colors: await figma.getLocalPaintStylesAsync(),
-    texts: await figma.getLocalTextStylesAsync(),
-    effects: await figma.getLocalEffectStylesAsync(),
-    grids: await figma.getLocalGridStylesAsync(),
-  };
+  const fonts = createFontLoader();
+
+  const skipped = [];
+  for (const run of runs) {
+    if (!(await fonts.load(run.font))) {
+      skipped.push({ start: run.start, end: run.end, reason: `Font ${fontLabel(run.font)} is not available` });
+      continue;
+    }
+    if (fontLabel(run.font) !== fontLabel(run.current)) {
+      node.setRangeFontName(run.start, run.end, run.font);
+    }
+    for (const [property, value] of Object.entries(rangeValues)) {
+      node[TEXT_STYLE_RANGE_PROPERTIES[property]](run.start, run.end, value);
+    }
+  }
+
+  // Paragraph properties re-lay out the whole text, so they need every font
+  if (Object.keys(nodeValues).length > 0) {
+    let unavailable = null;
+    const nodeFonts = length > 0
+      ? node.getStyledTextSegments(["fontName"]).map((segment) => segment.fontName)
+      : [node.fontName];
+    for (const font of nodeFonts) {
+      if (!(await fonts.load(font))) {
+        unavailable = unavailable || font;
+      }
+    }
+    if (unavailable) {
+      skipped.push({
+        properties: Object.keys(nodeValues),
+        reason: `Font ${fontLabel(unavailable)} is not available`,
+      });
+    } else {
+      for (const [property, value] of Object.entries(nodeValues)) {
+        node[property] = value;
+      }
+    }
+  }
 
   return {
-    colors: styles.colors.map((style) => ({
-      id: style.id,
-      name: style.name,
-      key: style.key,
-      paint: style.paints[0],
-    })),
-    texts: styles.texts.map((style) => ({
-      id: style.id,
-      name: style.name,
-      key: style.key,
-      fontSize: style.fontSize,
-      fontName: style.fontName,
-    })),
-    effects: styles.effects.map((style) => ({
-      id: style.id,
-      name: style.name,
-      key: style.key,
-    })),
-    grids: styles.grids.map((style) => ({
-      id: style.id,
-      name: style.name,
-      key: style.key,
-    })),
+    id: node.id,
+    name: node.name,
+    start,
+    end,
+    segments: node.getStyledTextSegments([
+      "fontName",
+      "fontSize",
+      "lineHeight",
+      "letterSpacing",
+      "textCase",
+      "textDecoration",
+    ]),
+    missingFonts: fonts.missingFonts,
+    skipped,
   };
 }
 
-async function getLocalComponents() {
-  await figma.loadAllPagesAsync();
+// Markdown
+
+// Heading sizes relative to the body size, h1 to h6
+const MARKDOWN_HEADING_SCALE = [2, 1.5, 1.25, 1, 0.875, 0.85];
+
+// Headings, list items, fenced code lines and paragraphs; each becomes one
+// line of the text node. Lines inside a paragraph or list item are joined
+function parseMarkdownBlocks(markdown) {
+  const blocks = [];
+  let current = null;
+  let inFence = false;
+
+  for (const line of markdown.replace(/\r\n?/g, "\n").split("\n")) {
+    if (/^\s*```/.test(line)) {
+      inFence = !inFence;
+      current = null;
+      continue;
+    }
+    if (inFence) {
+      blocks.push({ kind: "code", text: line });
+      continue;
+    }
+    if (!line.trim()) {
+      current = null;
+      continue;
+    }
+
+    const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/);
+    const item = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+    if (heading) {
+      blocks.push({ kind: "heading", level: heading[1].length, text: heading[2] });
+      current = null;
+    } else if (item) {
+      current = {
+        kind: "list",
+        ordered: /\d/.test(item[2]),
+        level: Math.floor(item[1].replace(/\t/g, "  ").length / 2),
+        text: item[3],
+      };
+      blocks.push(current);
+    } else if (current) {
+      current.text += ` ${line.trim()}`;
+    } else {
+      current = { kind: "paragraph", text: line.trim() };
+      blocks.push(current);
+    }
+  }
+
+  return blocks;
+}
 
-  const components = figma.root.findAllWithCriteria({
-    types: ["COMPONENT"],
-  });
+// A single * or _ must not close on half of a ** or __
+function findMarkdownClose(text, marker, from) {
+  let close = text.indexOf(marker, from);
+  while (marker.length === 1 && close !== -1 && text[close + 1] === marker) {
+    close = text.indexOf(marker, close + 2);
+  }
+  return close;
+}
 
-  return {
-    count: components.length,
-    components: components.map((component) => ({
-      id: component.id,
-      name: component.name,
-      key: "key" in component ? component.key : null,
-    })),
+// "Some **bold** [link](url)" -> runs of text with bold, italic, code and link
+function parseMarkdownInline(text, style) {
+  const runs = [];
+  let plain = "";
+  const flush = () => {
+    if (plain) runs.push(Object.assign({ text: plain }, style));
+    plain = "";
   };
-}
 
-async function createComponentInstance(params) {
-  const { componentKey, x = 0, y = 0 } = params || {};
+  let index = 0;
+  while (index < text.length) {
+    const rest = text.slice(index);
+    const char = text[index];
 
-  if (!componentKey) {
-    throw new Error("Missing componentKey parameter");
-  }
+    if (char === "\\" && /^[\\`*_[\]()#+\-.!]/.test(rest.slice(1))) {
+      plain += rest[1];
+      index += 2;
+      continue;
+    }
 
-  try {
-    const component = await figma.importComponentByKeyAsync(componentKey);
-    const instance = component.createInstance();
+    if (char === "`") {
+      const close = text.indexOf("`", index + 1);
+      if (close > index + 1) {
+        flush();
+        runs.push(Object.assign({}, style, { text: text.slice(index + 1, close), code: true }));
+        index = close + 1;
+        continue;
+      }
+    }
 
-    instance.x = x;
-    instance.y = y;
+    const link = rest.match(/^\[([^\]]+)\]\(([^)\s]+)\)/);
+    if (link) {
+      flush();
+      runs.push(...parseMarkdownInline(link[1], Object.assign({}, style, { link: link[2] })));
+      index += link[0].length;
+      continue;
+    }
 
-    figma.currentPage.appendChild(instance);
+    const marker = /^(\*\*|__)/.test(rest) ? rest.slice(0, 2) : char === "*" || char === "_" ? char : null;
+    // Underscores inside words (snake_case) are not emphasis
+    if (marker && !(char === "_" && /\w/.test(text[index - 1] || ""))) {
+      const close = findMarkdownClose(text, marker, index + marker.length);
+      if (close > index + marker.length) {
+        flush();
+        const emphasis = marker.length === 2 ? { bold: true } : { italic: true };
+        runs.push(
+          ...parseMarkdownInline(text.slice(index + marker.length, close), Object.assign({}, style, emphasis))
+        );
+        index = close + marker.length;
+        continue;
+      }
+    }
 
-    return {
-      id: instance.id,
-      name: instance.name,
-      x: instance.x,
-      y: instance.y,
-      width: instance.width,
-      height: instance.height,
-      componentId: instance.componentId,
-    };
-  } catch (error) {
-    throw new Error(`Error creating component instance: ${error.message}`);
+    plain += char;
+    index++;
   }
+
+  flush();
+  return runs;
 }
 
-async function setCornerRadius(params) {
-  const { nodeId, radius, corners } = params || {};
+/**
+ * Replace a text node's content with rendered Markdown: headings, bold,
+ * italics, inline and fenced code, links and bulleted or numbered lists
+ * @param {Object} params
+ * @param {string} params.nodeId
+ * @param {string} params.markdown
+ * @param {Object} [params.fonts] - Font families for body, heading and code text
+ * @param {number} [params.fontSize] - Body size; headings are scaled from it
+ */
+async function setTextMarkdown(params) {
+  const { nodeId, markdown, fonts: families = {} } = params || {};
 
   if (!nodeId) {
     throw new Error("Missing nodeId parameter");
   }
-
-  if (radius === undefined) {
-    throw new Error("Missing radius parameter");
+  if (typeof markdown !== "string") {
+    throw new Error("Missing markdown parameter");
   }
 
   const node = await figma.getNodeByIdAsync(nodeId);
   if (!node) {
     throw new Error(`Node not found with ID: ${nodeId}`);
   }
-
-  // Check if node supports corner radius
-  if (!("cornerRadius" in node)) {
-    throw new Error(`Node does not support corner radius: ${nodeId}`);
+  if (node.type !== "TEXT") {
+    throw new Error(`Node is not a text node: ${nodeId}`);
   }
 
-  // If corners array is provided, set individual corner radii
-  if (corners && Array.isArray(corners) && corners.length === 4) {
-    if ("topLeftRadius" in node) {
-      // Node supports individual corner radii
-      if (corners[0]) node.topLeftRadius = radius;
-      if (corners[1]) node.topRightRadius = radius;
-      if (corners[2]) node.bottomRightRadius = radius;
-      if (corners[3]) node.bottomLeftRadius = radius;
-    } else {
-      // Node only supports uniform corner radius
-      node.cornerRadius = radius;
+  const body = families.body || "Inter";
+  const familyFor = {
+    body,
+    heading: families.heading || body,
+    code: families.code || "Roboto Mono",
+  };
+  const fontSize =
+    params.fontSize !== undefined ? params.fontSize : typeof node.fontSize === "number" ? node.fontSize : 16;
+
+  // Lay the blocks out as lines and remember where every run landed
+  const blocks = parseMarkdownBlocks(markdown);
+  const runs = [];
+  let characters = "";
+  blocks.forEach((block, index) => {
+    if (index > 0) characters += "\n";
+    block.start = characters.length;
+    const blockRuns =
+      block.kind === "code"
+        ? [{ text: block.text, code: true }]
+        : parseMarkdownInline(block.text, block.kind === "heading" ? { heading: block.level } : {});
+    for (const run of blockRuns) {
+      run.start = characters.length;
+      characters += run.text;
+      run.end = characters.length;
+      if (run.end > run.start) runs.push(run);
+    }
+    block.end = characters.length;
+  });
+
+  // Each element's font falls back to a plainer style of its family, then body text
+  const fonts = createFontLoader();
+  const fontSubstitutions = [];
+  const resolved = {};
+  const resolveFont = async (run) => {
+    const family = run.code ? familyFor.code : run.heading ? familyFor.heading : familyFor.body;
+    const weight = run.bold || run.heading ? "Bold" : "Regular";
+    const style = run.italic ? (weight === "Bold" ? "Bold Italic" : "Italic") : weight;
+    const wanted = { family, style };
+    if (resolved[fontLabel(wanted)]) return resolved[fontLabel(wanted)];
+
+    const candidates = uniqBy(
+      [wanted, { family, style: weight }, { family, style: "Regular" }, { family: body, style: "Regular" }],
+      fontLabel
+    );
+    for (const candidate of candidates) {
+      if (await fonts.load(candidate)) {
+        if (candidate !== wanted) fontSubstitutions.push({ requested: wanted, used: candidate });
+        resolved[fontLabel(wanted)] = candidate;
+        return candidate;
+      }
     }
+    throw new Error(`No usable font for ${fontLabel(wanted)}; missing: ${fonts.missingFonts.map(fontLabel).join(", ")}`);
+  };
+
+  // Switching to the body font first means the old fonts need not be loaded
+  const bodyFont = await resolveFont({});
+  if (node.characters.length > 0) {
+    node.setRangeFontName(0, node.characters.length, bodyFont);
   } else {
-    // Set uniform corner radius
-    node.cornerRadius = radius;
+    node.fontName = bodyFont;
+  }
+  node.characters = characters;
+
+  if (characters.length > 0) {
+    const end = characters.length;
+    node.setRangeFontSize(0, end, fontSize);
+    node.setRangeTextDecoration(0, end, "NONE");
+    node.setRangeHyperlink(0, end, null);
+    node.setRangeListOptions(0, end, { type: "NONE" });
+    node.setRangeIndentation(0, end, 0);
+  }
+
+  for (const run of runs) {
+    const font = await resolveFont(run);
+    if (fontLabel(font) !== fontLabel(bodyFont)) {
+      node.setRangeFontName(run.start, run.end, font);
+    }
+    if (run.heading) {
+      node.setRangeFontSize(run.start, run.end, Math.round(fontSize * MARKDOWN_HEADING_SCALE[run.heading - 1]));
+    }
+    if (run.link) {
+      node.setRangeHyperlink(run.start, run.end, { type: "URL", value: run.link });
+      node.setRangeTextDecoration(run.start, run.end, "UNDERLINE");
+    }
+  }
+
+  for (const block of blocks) {
+    if (block.kind !== "list" || block.end === block.start) continue;
+    node.setRangeListOptions(block.start, block.end, { type: block.ordered ? "ORDERED" : "UNORDERED" });
+    node.setRangeIndentation(block.start, block.end, block.level + 1);
   }
 
   return {
     id: node.id,
     name: node.name,
-    cornerRadius: "cornerRadius" in node ? node.cornerRadius : undefined,
-    topLeftRadius: "topLeftRadius" in node ? node.topLeftRadius : undefined,
-    topRightRadius: "topRightRadius" in node ? node.topRightRadius : undefined,
-    bottomRightRadius:
-      "bottomRightRadius" in node ? node.bottomRightRadius : undefined,
-    bottomLeftRadius:
-      "bottomLeftRadius" in node ? node.bottomLeftRadius : undefined,
+    characters: node.characters,
+    blockCount: blocks.length,
+    missingFonts: fonts.missingFonts,
+    fontSubstitutions,
   };
 }
 
-async function setTextContent(params) {
-  const { nodeId, text } = params || {};
+// Fonts
 
-  if (!nodeId) {
-    throw new Error("Missing nodeId parameter");
+const FONT_PROGRESS_INTERVAL = 50;
+
+async function listAvailableFonts(params) {
+  const { family } = params || {};
+  const query = family ? family.toLowerCase() : null;
+
+  const families = {};
+  for (const { fontName } of await figma.listAvailableFontsAsync()) {
+    if (query && !fontName.family.toLowerCase().includes(query)) continue;
+    families[fontName.family] = families[fontName.family] || [];
+    families[fontName.family].push(fontName.style);
   }
 
-  if (text === undefined) {
-    throw new Error("Missing text parameter");
+  return {
+    familyCount: Object.keys(families).length,
+    families: Object.entries(families).map(([name, styles]) => ({ family: name, styles })),
+  };
+}
+
+// Text nodes under nodeId, on pageId, or in the whole document
+async function collectScopeTextNodes(params) {
+  const { nodeId, pageId } = params || {};
+  if (nodeId) {
+    const node = await figma.getNodeByIdAsync(nodeId);
+    if (!node) {
+      throw new Error(`Node not found with ID: ${nodeId}`);
+    }
+    if (node.type === "TEXT") return [node];
+    return "findAllWithCriteria" in node ? node.findAllWithCriteria({ types: ["TEXT"] }) : [];
   }
+  if (pageId) {
+    return (await resolvePage(pageId)).findAllWithCriteria({ types: ["TEXT"] });
+  }
+  await figma.loadAllPagesAsync();
+  return figma.root.findAllWithCriteria({ types: ["TEXT"] });
+}
 
-  const node = await figma.getNodeByIdAsync(nodeId);
-  if (!node) {
-    throw new Error(`Node not found with ID: ${nodeId}`);
+// Report every FONT_PROGRESS_INTERVAL items, then yield so the update
+// reaches the UI before the next chunk. [from, to] is the share of the
+// progress bar this pass covers
+async function reportFontProgress(commandId, commandType, processed, total, message, [from, to] = [0, 100]) {
+  if (processed % FONT_PROGRESS_INTERVAL !== 0 || processed === total) return;
+  sendProgressUpdate(
+    commandId,
+    commandType,
+    "in_progress",
+    Math.round(from + (processed / total) * (to - from)),
+    total,
+    processed,
+    message
+  );
+  await delay(5);
+}
+
+async function findMissingFonts(params) {
+  const { commandId = generateCommandId() } = params || {};
+  const textNodes = await collectScopeTextNodes(params);
+
+  const available = new Set(
+    (await figma.listAvailableFontsAsync()).map(({ fontName }) => fontLabel(fontName))
+  );
+  sendProgressUpdate(
+    commandId,
+    "find_missing_fonts",
+    "started",
+    0,
+    textNodes.length,
+    0,
+    `Checking ${textNodes.length} text nodes for missing fonts`
+  );
+
+  const missing = {};
+  const nodes = [];
+  for (let index = 0; index < textNodes.length; index++) {
+    const node = textNodes[index];
+    if (node.hasMissingFont) {
+      const fonts = uniqBy(
+        node
+          .getStyledTextSegments(["fontName"])
+          .map((segment) => segment.fontName)
+          .filter((font) => !available.has(fontLabel(font))),
+        fontLabel
+      );
+      for (const font of fonts) {
+        const key = fontLabel(font);
+        missing[key] = missing[key] || { family: font.family, style: font.style, nodeCount: 0 };
+        missing[key].nodeCount++;
+      }
+      nodes.push({ id: node.id, name: node.name, fonts });
+    }
+    await reportFontProgress(
+      commandId,
+      "find_missing_fonts",
+      index + 1,
+      textNodes.length,
+      `Checked ${index + 1} of ${textNodes.length} text nodes`
+    );
   }
 
-  if (node.type !== "TEXT") {
-    throw new Error(`Node is not a text node: ${nodeId}`);
+  sendProgressUpdate(
+    commandId,
+    "find_missing_fonts",
+    "completed",
+    100,
+    textNodes.length,
+    textNodes.length,
+    `Found ${nodes.length} text nodes with missing fonts`
+  );
+
+  return {
+    scannedTextNodes: textNodes.length,
+    missingFonts: Object.values(missing),
+    nodes,
+  };
+}
+
+/**
+ * Swap fonts on every text node in scope. A replacement without from.style
+ * matches every style of the family; one without to.style keeps each
+ * run's style
+ * @param {Object} params
+ * @param {Array<{from: FontName, to: FontName}>} params.replacements
+ * @param {string} [params.nodeId] - Limit to this subtree
+ * @param {string} [params.pageId] - Limit to this page
+ */
+async function replaceFonts(params) {
+  const { replacements, commandId = generateCommandId() } = params || {};
+
+  if (!Array.isArray(replacements) || replacements.length === 0) {
+    throw new Error("Missing replacements parameter");
   }
+  replacements.forEach(({ from, to }, index) => {
+    if (!from || !from.family || !to || !to.family) {
+      throw new Error(`replacements[${index}] must have from.family and to.family`);
+    }
+  });
 
-  try {
-    await figma.loadFontAsync(node.fontName);
+  const textNodes = await collectScopeTextNodes(params);
+  const replacementFor = (font) => {
+    const match = replacements.find(
+      ({ from }) => from.family === font.family && (!from.style || from.style === font.style)
+    );
+    return match ? { family: match.to.family, style: match.to.style || font.style } : null;
+  };
 
-    await setCharacters(node, text);
+  sendProgressUpdate(
+    commandId,
+    "replace_fonts",
+    "started",
+    0,
+    textNodes.length,
+    0,
+    `Finding text ranges to change in ${textNodes.length} text nodes`
+  );
 
-    return {
-      id: node.id,
-      name: node.name,
-      characters: node.characters,
-      fontName: node.fontName,
-    };
-  } catch (error) {
-    throw new Error(`Error setting text content: ${error.message}`);
+  // Work out every target font first so a missing one stops the command
+  // before any text has changed. This pass is the first half of the progress
+  const runs = [];
+  for (let index = 0; index < textNodes.length; index++) {
+    const node = textNodes[index];
+    for (const segment of node.getStyledTextSegments(["fontName"])) {
+      const font = replacementFor(segment.fontName);
+      if (font && fontLabel(font) !== fontLabel(segment.fontName)) {
+        runs.push({ node, start: segment.start, end: segment.end, font });
+      }
+    }
+    await reportFontProgress(
+      commandId,
+      "replace_fonts",
+      index + 1,
+      textNodes.length,
+      `Checked ${index + 1} of ${textNodes.length} text nodes`,
+      [0, 50]
+    );
+  }
+  const fonts = createFontLoader();
+  for (const font of uniqBy(runs.map((run) => run.font), fontLabel)) {
+    await fonts.load(font);
+  }
+  if (fonts.missingFonts.length > 0) {
+    throw new Error(`Replacement fonts are not available: ${fonts.missingFonts.map(fontLabel).join(", ")}`);
+  }
+
+  // Found by walking the scope, so the transaction has not seen them yet
+  await trackTouchedNodes(uniqBy(runs.map((run) => run.node), (node) => node.id));
+
+  const nodeIds = new Set();
+  for (let index = 0; index < runs.length; index++) {
+    const run = runs[index];
+    run.node.setRangeFontName(run.start, run.end, run.font);
+    nodeIds.add(run.node.id);
+    await reportFontProgress(
+      commandId,
+      "replace_fonts",
+      index + 1,
+      runs.length,
+      `Replaced ${index + 1} of ${runs.length} ranges`,
+      [50, 100]
+    );
   }
+
+  sendProgressUpdate(
+    commandId,
+    "replace_fonts",
+    "completed",
+    100,
+    runs.length,
+    runs.length,
+    `Replaced fonts in ${nodeIds.size} text nodes`
+  );
+
+  return {
+    scannedTextNodes: textNodes.length,
+    replacedRanges: runs.length,
+    nodeIds: [...nodeIds],
+  };
 }
 
 // Initialize settings on load
@@ -1220,11 +5977,27 @@ async function setTextContent(params) {
   try {
     const savedSettings = await figma.clientStorage.getAsync("settings");
     if (savedSettings) {
+      if (savedSettings.serverHost) {
+        state.serverHost = savedSettings.serverHost;
+      }
       if (savedSettings.serverPort) {
         state.serverPort = savedSettings.serverPort;
       }
+      if (savedSettings.useTls !== undefined) {
+        state.useTls = savedSettings.useTls;
+      }
     }
 
+    // Restore the connection settings in the UI
+    figma.ui.postMessage({
+      type: "init-settings",
+      settings: {
+        serverHost: state.serverHost,
+        serverPort: state.serverPort,
+        useTls: state.useTls,
+      },
+    });
+
     // Set up selection change listener
     figma.on('selectionchange', () => {
       logSelectionInfo();
@@ -1471,6 +6244,7 @@ async function cloneNode(params) {
 
   // Clone the node
   const clone = node.clone();
+  trackCreatedNode(clone);
 
   // If x and y are provided, move the clone to that position
   if (x !== undefined && y !== undefined) {
@@ -2192,7 +6966,7 @@ function generateCommandId() {
 
 async function getAnnotations(params) {
   try {
-    const { nodeId, includeCategories = true } = params;
+    const { nodeId, pageId, includeCategories = true } = params;
 
     // Get categories first if needed
     let categoriesMap = {};
@@ -2232,7 +7006,8 @@ async function getAnnotations(params) {
 
       return result;
     } else {
-      // Get all annotations in the current page
+      // Get all annotations in the requested page (defaults to the current page)
+      const page = await resolvePage(pageId);
       const annotations = [];
       const processNode = async (node) => {
         if (
@@ -2253,10 +7028,10 @@ async function getAnnotations(params) {
         }
       };
 
-      // Start from current page
-      await processNode(figma.currentPage);
+      await processNode(page);
 
       const result = {
+        pageId: page.id,
         annotatedNodes: annotations,
       };
 
@@ -2373,19 +7148,24 @@ async function setAnnotation(params) {
 /**
  * Scan for nodes with specific types within a node
  * @param {Object} params - Parameters object
- * @param {string} params.nodeId - ID of the node to scan within
+ * @param {string} [params.nodeId] - ID of the node to scan within
+ * @param {string} [params.pageId] - ID of the page to scan when no nodeId is given (defaults to the current page)
  * @param {Array<string>} params.types - Array of node types to find (e.g. ['COMPONENT', 'FRAME'])
  * @returns {Object} - Object containing found nodes
  */
 async function scanNodesByTypes(params) {
-  console.log(`Starting to scan nodes by types from node ID: ${params.nodeId}`);
-  const { nodeId, types = [] } = params || {};
+  const { nodeId, pageId, types = [] } = params || {};
+  console.log(
+    `Starting to scan nodes by types from ${nodeId ? `node ID: ${nodeId}` : `page ID: ${pageId || figma.currentPage.id}`}`
+  );
 
   if (!types || types.length === 0) {
     throw new Error("No types specified to search for");
   }
 
-  const node = await figma.getNodeByIdAsync(nodeId);
+  const node = nodeId
+    ? await figma.getNodeByIdAsync(nodeId)
+    : await resolvePage(pageId);
 
   if (!node) {
     throw new Error(`Node with ID ${nodeId} not found`);
@@ -2668,7 +7448,7 @@ async function deleteMultipleNodes(params) {
         };
 
         // Delete the node
-        node.remove();
+        removeNode(node);
 
         console.log(`Successfully deleted node: ${nodeId}`);
         return {
@@ -3103,11 +7883,39 @@ async function analyzeSelection() {
   return result;
 }
 
+/**
+ * Resolve the nodes a selection-based command should operate on
+ * @param {Object} params - Command parameters
+ * @param {string} [params.nodeId] - Single node ID to target
+ * @param {Array<string>} [params.nodeIds] - Node IDs to target
+ * @returns {Array<SceneNode>} - The requested nodes, or the current selection when no IDs are given
+ */
+async function getTargetNodes(params) {
+  const { nodeId, nodeIds } = params || {};
+  const ids = nodeIds && nodeIds.length > 0 ? nodeIds : nodeId ? [nodeId] : null;
+
+  if (!ids) {
+    return figma.currentPage.selection;
+  }
+
+  const nodes = await Promise.all(ids.map((id) => figma.getNodeByIdAsync(id)));
+  const missingIds = ids.filter((id, index) => !nodes[index]);
+  if (missingIds.length > 0) {
+    throw new CommandError(
+      "not_found",
+      `Node not found with ID: ${missingIds.join(', ')}`,
+      { nodeIds: missingIds }
+    );
+  }
+
+  return nodes;
+}
+
 async function convertToFrame(params = {}) {
   console.log('🎯 Converting selection to frame...', params);
   
-  // Get current selection
-  const selection = figma.currentPage.selection;
+  // Get target nodes (explicit IDs or current selection)
+  const selection = await getTargetNodes(params);
   console.log(`📝 Current selection: ${selection.length} items`);
   
   if (selection.length === 0) {
@@ -3126,6 +7934,7 @@ async function convertToFrame(params = {}) {
   // Create new auto-layout frame
   console.log('📦 Creating new auto-layout frame...');
   const frame = figma.createFrame();
+  trackCreatedNode(frame);
   frame.name = 'Sprite Frame';
   
   // Make it square based on the larger dimension
@@ -3188,6 +7997,36 @@ async function convertToFrame(params = {}) {
   };
 }
 
+// Square auto-layout tile centered on the selection, or on the viewport
+// when nothing is selected
+async function createCenteredTile(params) {
+  const { tileSize = 32 } = params || {};
+  if (!Number.isInteger(tileSize) || tileSize <= 0 || tileSize % 8 !== 0) {
+    throw new Error("Tile size must be a positive multiple of 8");
+  }
+
+  const selection = figma.currentPage.selection;
+  let center = figma.viewport.center;
+  if (selection.length > 0) {
+    const left = Math.min(...selection.map((node) => node.x));
+    const top = Math.min(...selection.map((node) => node.y));
+    const right = Math.max(...selection.map((node) => node.x + node.width));
+    const bottom = Math.max(...selection.map((node) => node.y + node.height));
+    center = { x: (left + right) / 2, y: (top + bottom) / 2 };
+  }
+
+  return await createFrame({
+    x: center.x - tileSize / 2,
+    y: center.y - tileSize / 2,
+    width: tileSize,
+    height: tileSize,
+    name: "Centered Tile",
+    layoutMode: "VERTICAL",
+    primaryAxisAlignItems: "CENTER",
+    counterAxisAlignItems: "CENTER",
+  });
+}
+
 async function createGridFrame(params) {
   console.log('🎯 Creating grid frame...');
   
@@ -3207,6 +8046,7 @@ async function createGridFrame(params) {
     });
     
     const frame = figma.createFrame();
+    trackCreatedNode(frame);
     frame.name = 'Grid Frame';
     frame.resize(
       params.width || 1200,
@@ -3262,11 +8102,60 @@ async function createGridFrame(params) {
   }
 }
 
+async function generateTiles(params = {}) {
+  const {
+    tileWidth = 32,
+    tileHeight = 32,
+    columns = 4,
+    rows = 4,
+    spacing = 0,
+  } = params;
+
+  const frame = figma.createFrame();
+  trackCreatedNode(frame);
+  frame.name = 'Tile Grid';
+  frame.layoutMode = 'HORIZONTAL';
+  frame.counterAxisSizingMode = 'AUTO';
+  frame.primaryAxisSizingMode = 'AUTO';
+  frame.layoutWrap = 'WRAP';
+  frame.itemSpacing = spacing;
+  frame.counterAxisSpacing = spacing;
+
+  // Generate tiles
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < columns; col++) {
+      const tile = figma.createRectangle();
+      tile.name = `Tile ${row + 1}-${col + 1}`;
+      tile.resize(tileWidth, tileHeight);
+      frame.appendChild(tile);
+    }
+  }
+
+  // Position the frame in the center of the viewport
+  const { x, y } = figma.viewport.center;
+  frame.x = x - (frame.width / 2);
+  frame.y = y - (frame.height / 2);
+
+  // Select the frame and zoom to it
+  figma.currentPage.selection = [frame];
+  figma.viewport.scrollAndZoomIntoView([frame]);
+
+  return {
+    success: true,
+    frame: {
+      id: frame.id,
+      name: frame.name,
+      width: frame.width,
+      height: frame.height
+    }
+  };
+}
+
 async function snapToGrid(params) {
   console.log('🎯 Starting grid snap operation...');
   
   try {
-    const selection = figma.currentPage.selection;
+    const selection = await getTargetNodes(params);
     console.log(`📝 Current selection: ${selection.length} items`);
     
     if (selection.length === 0) {
@@ -3324,8 +8213,8 @@ async function exportPhaserMap(params) {
       throw new Error('Missing required parameters');
     }
 
-    // Get current selection
-    const selection = figma.currentPage.selection;
+    // Get target nodes (explicit ID or current selection)
+    const selection = await getTargetNodes(params);
     if (!selection || selection.length === 0) {
       throw new Error('No selection found');
     }
@@ -3396,6 +8285,7 @@ async function exportPhaserMap(params) {
 
     // Create the terminal-style frame
     const terminalFrame = figma.createFrame();
+    trackCreatedNode(terminalFrame);
     terminalFrame.name = `${mapName}.json`;
     
     // Position in the center of the viewport
@@ -3630,8 +8520,8 @@ async function handleExportSelection(msg) {
 async function createAtlas(params = {}) {
   console.log('🗺️ Creating atlas from selection...', params);
   
-  // Get current selection
-  const selection = figma.currentPage.selection;
+  // Get target nodes (explicit IDs or current selection)
+  const selection = await getTargetNodes(params);
   console.log(`📝 Current selection: ${selection.length} items`);
   
   if (selection.length < 2) {
@@ -3713,6 +8603,7 @@ async function createAtlas(params = {}) {
   // Create new atlas frame with calculated dimensions
   console.log('📦 Creating atlas frame with dimensions:', { width: atlasWidth, height: atlasHeight });
   const atlas = figma.createFrame();
+  trackCreatedNode(atlas);
   atlas.name = 'Sprite Atlas';
   atlas.resize(atlasWidth, atlasHeight);
   
@@ -3845,6 +8736,7 @@ async function convertToBasicFrame(params = {}) {
   // Create new frame
   console.log('📦 Creating new frame...');
   const frame = figma.createFrame();
+  trackCreatedNode(frame);
   frame.name = 'Basic Frame';
   
   // Make it square based on the larger dimension
@@ -3897,6 +8789,7 @@ async function frameUp() {
 
   // Create a frame that will contain all selected items
   const frame = figma.createFrame();
+  trackCreatedNode(frame);
   frame.name = "Aspect Frame";
   
   // Calculate the bounding box of all selected items
@@ -3966,19 +8859,18 @@ function logStep(step, details = '') {
   console.log(message);
 }
 
-async function exportTileMap(params) {
+async function exportTileMap(params = {}) {
   logStep('🚀 Starting the export function');
-  const selection = figma.currentPage.selection;
+  const selection = await getTargetNodes(params);
   
   if (selection.length !== 1 || selection[0].type !== 'FRAME') {
-    console.error('Please select a single frame to export');
-    return;
+    throw new Error('Please select a single frame to export');
   }
 
   const selectedFrame = selection[0];
   logStep('📋 Selected frame', `${selectedFrame.name}`);
 
-  const TILE_SIZE = 32;
+  const TILE_SIZE = params.tileSize || 32;
   const WIDTH = Math.ceil(selectedFrame.width / TILE_SIZE);
   const HEIGHT = Math.ceil(selectedFrame.height / TILE_SIZE);
 
@@ -4112,6 +9004,14 @@ async function exportTileMap(params) {
 // Add selection change listener
 figma.on('selectionchange', () => {
   logSelectionInfo();
+  figma.ui.postMessage({
+    type: "selection-changed",
+    selection: figma.currentPage.selection.map((node) => ({
+      id: node.id,
+      name: node.name,
+      type: node.type,
+    })),
+  });
 });
 
 // Function to log selection information
@@ -1,8 +1,129 @@
 import { Server, ServerWebSocket } from "bun";
+import { timingSafeEqual } from "node:crypto";
 
 // Store clients by channel
 const channels = new Map<string, Set<ServerWebSocket<any>>>();
 
+// Tokens claimed by the first client to join each channel
+const channelTokens = new Map<string, string>();
+
+// Clients that joined as the Figma plugin; commands are routed to them
+const pluginClients = new Set<ServerWebSocket<any>>();
+
+// The client that sent each in-flight command, keyed by request id, so
+// results and progress updates go back to that client only
+const REQUEST_TTL_MS = 10 * 60 * 1000;
+const requestOrigins = new Map<string, {
+  client: ServerWebSocket<any>;
+  channel: string;
+  createdAt: number;
+}>();
+
+// Forget requests whose result never arrived
+function pruneRequestOrigins() {
+  const now = Date.now();
+  requestOrigins.forEach((origin, requestId) => {
+    if (now - origin.createdAt > REQUEST_TTL_MS) {
+      requestOrigins.delete(requestId);
+    }
+  });
+}
+
+function sendToClient(client: ServerWebSocket<any>, payload: object) {
+  if (client.readyState === WebSocket.OPEN) {
+    client.send(JSON.stringify(payload));
+  }
+}
+
+// Read a --name=value flag, falling back to an environment variable
+const args = process.argv.slice(2);
+function getConfigValue(flag: string, envVar: string): string | undefined {
+  const prefix = `--${flag}=`;
+  const arg = args.find(arg => arg.startsWith(prefix));
+  return arg ? arg.slice(prefix.length) : process.env[envVar];
+}
+
+// Optional shared secret required from every client at join time.
+// When set, it replaces per-channel tokens.
+const sharedSecret = getConfigValue('secret', 'TALK_TO_FIGMA_SECRET') || null;
+
+// Listening address. Use --host=0.0.0.0 to accept connections from WSL or the LAN.
+const port = Number(getConfigValue('port', 'TALK_TO_FIGMA_PORT') || 3055);
+const hostname = getConfigValue('host', 'TALK_TO_FIGMA_HOST') || 'localhost';
+
+// Optional TLS termination; both the certificate and the key are required
+const tlsCert = getConfigValue('tls-cert', 'TALK_TO_FIGMA_TLS_CERT');
+const tlsKey = getConfigValue('tls-key', 'TALK_TO_FIGMA_TLS_KEY');
+if (Boolean(tlsCert) !== Boolean(tlsKey)) {
+  console.error("Both --tls-cert and --tls-key are required to enable TLS");
+  process.exit(1);
+}
+if (!Number.isInteger(port) || port < 1 || port > 65535) {
+  console.error(`Invalid port: ${port}`);
+  process.exit(1);
+}
+
+// Compare tokens without leaking their contents through timing
+function tokensMatch(expected: string, provided: unknown): boolean {
+  if (typeof provided !== "string") {
+    return false;
+  }
+  const expectedBuffer = Buffer.from(expected);
+  const providedBuffer = Buffer.from(provided);
+  return expectedBuffer.length === providedBuffer.length &&
+    timingSafeEqual(expectedBuffer, providedBuffer);
+}
+
+// Check a join request against the shared secret or the channel's token
+function authorizeJoin(channelName: string, token: unknown): string | null {
+  if (sharedSecret) {
+    return tokensMatch(sharedSecret, token)
+      ? null
+      : "Invalid or missing token: this relay requires a shared secret to join";
+  }
+
+  const channelToken = channelTokens.get(channelName);
+  if (channelToken && !tokensMatch(channelToken, token)) {
+    return `Invalid or missing token for channel: ${channelName}`;
+  }
+
+  return null;
+}
+
+// Drop a channel and its token once its last client has left, and tell the
+// plugins in it when a client goes away so they can end its transaction
+function removeClientFromChannels(ws: ServerWebSocket<any>) {
+  const wasPlugin = pluginClients.delete(ws);
+  requestOrigins.forEach((origin, requestId) => {
+    if (origin.client === ws) {
+      requestOrigins.delete(requestId);
+    }
+  });
+
+  channels.forEach((clients, channelName) => {
+    if (!clients.delete(ws)) {
+      return;
+    }
+    if (!wasPlugin) {
+      clients.forEach((client) => {
+        if (pluginClients.has(client)) {
+          sendToClient(client, {
+            type: "system",
+            event: "client_left",
+            message: "A client has left the channel",
+            clientId: ws.data.clientId,
+            channel: channelName
+          });
+        }
+      });
+    }
+    if (clients.size === 0) {
+      channels.delete(channelName);
+      channelTokens.delete(channelName);
+    }
+  });
+}
+
 function handleConnection(ws: ServerWebSocket<any>) {
   // Don't add to clients immediately - wait for channel join
   console.log("New client connected");
@@ -37,9 +158,11 @@ function handleConnection(ws: ServerWebSocket<any>) {
 }
 
 const server = Bun.serve({
-  port: 3055,
-  // uncomment this to allow connections in windows wsl
-  // hostname: "0.0.0.0",
+  port,
+  hostname,
+  ...(tlsCert && tlsKey
+    ? { tls: { cert: Bun.file(tlsCert), key: Bun.file(tlsKey) } }
+    : {}),
   fetch(req: Request, server: Server) {
     // Handle CORS preflight
     if (req.method === "OPTIONS") {
@@ -54,6 +177,8 @@ const server = Bun.serve({
 
     // Handle WebSocket upgrade
     const success = server.upgrade(req, {
+      // Lets the plugin tell clients apart, e.g. to tie a transaction to one
+      data: { clientId: crypto.randomUUID() },
       headers: {
         "Access-Control-Allow-Origin": "*",
       },
@@ -87,14 +212,33 @@ const server = Bun.serve({
             return;
           }
 
-          // Create channel if it doesn't exist
+          const authError = authorizeJoin(channelName, data.token);
+          if (authError) {
+            console.warn(`Rejected join for channel: ${channelName}`);
+            ws.send(JSON.stringify({
+              type: "error",
+              code: "unauthorized",
+              id: data.id,
+              message: authError,
+              channel: channelName
+            }));
+            return;
+          }
+
+          // Create channel if it doesn't exist; the first client's token protects it
           if (!channels.has(channelName)) {
             channels.set(channelName, new Set());
+            if (!sharedSecret && typeof data.token === "string" && data.token) {
+              channelTokens.set(channelName, data.token);
+            }
           }
 
           // Add client to channel
           const channelClients = channels.get(channelName)!;
           channelClients.add(ws);
+          if (data.role === "plugin") {
+            pluginClients.add(ws);
+          }
 
           // Notify client they joined successfully
           ws.send(JSON.stringify({
@@ -127,8 +271,8 @@ const server = Bun.serve({
           return;
         }
 
-        // Handle regular messages
-        if (data.type === "message") {
+        // Handle channel traffic
+        if (data.type === "message" || data.type === "progress_update" || data.type === "broadcast") {
           const channelName = data.channel;
           if (!channelName || typeof channelName !== "string") {
             ws.send(JSON.stringify({
@@ -147,16 +291,71 @@ const server = Bun.serve({
             return;
           }
 
-          // Broadcast to all clients in the channel
+          const requestId = data.message && data.message.id;
+          const origin = requestId ? requestOrigins.get(requestId) : undefined;
+
+          // Progress updates go to the client that sent the command
+          if (data.type === "progress_update") {
+            if (origin && origin.channel === channelName) {
+              sendToClient(origin.client, { ...data, channel: channelName });
+            }
+            return;
+          }
+
+          // Results and errors go to the client that sent the command
+          if (data.type === "message" && origin && origin.channel === channelName &&
+            ("result" in data.message || "error" in data.message)) {
+            requestOrigins.delete(requestId);
+            console.log("Routing result to client for request:", requestId);
+            sendToClient(origin.client, {
+              type: "message",
+              message: data.message,
+              channel: channelName
+            });
+            return;
+          }
+
+          // Commands go to the plugin clients in the channel, or to every other
+          // client when no plugin has identified itself
+          if (data.type === "message" && data.message && data.message.command) {
+            pruneRequestOrigins();
+            if (requestId) {
+              requestOrigins.set(requestId, {
+                client: ws,
+                channel: channelName,
+                createdAt: Date.now()
+              });
+            }
+
+            const plugins = [...channelClients].filter(
+              (client) => client !== ws && pluginClients.has(client)
+            );
+            const recipients = plugins.length > 0
+              ? plugins
+              : [...channelClients].filter((client) => client !== ws);
+            recipients.forEach((client) => {
+              console.log("Routing command to client:", data.message.command);
+              sendToClient(client, {
+                type: "message",
+                message: data.message,
+                clientId: ws.data.clientId,
+                channel: channelName
+              });
+            });
+            return;
+          }
+
+          // Explicit broadcasts (e.g. selection changes) and unmatched messages
+          // go to every other client in the channel
           channelClients.forEach((client) => {
-            if (client.readyState === WebSocket.OPEN) {
+            if (client !== ws) {
               console.log("Broadcasting message to client:", data.message);
-              client.send(JSON.stringify({
+              sendToClient(client, {
                 type: "broadcast",
                 message: data.message,
-                sender: client === ws ? "You" : "User",
+                sender: "User",
                 channel: channelName
-              }));
+              });
             }
           });
         }
@@ -166,11 +365,12 @@ const server = Bun.serve({
     },
     close(ws: ServerWebSocket<any>) {
       // Remove client from their channel
-      channels.forEach((clients) => {
-        clients.delete(ws);
-      });
+      removeClientFromChannels(ws);
     }
   }
 });
 
-console.log(`WebSocket server running on port ${server.port}`);
+console.log(`WebSocket server running on ${tlsCert ? "wss" : "ws"}://${hostname}:${server.port}`);
+if (sharedSecret) {
+  console.log("Shared secret required to join channels");
+}
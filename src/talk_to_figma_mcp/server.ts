@@ -5,12 +5,76 @@ import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js"
 import { z } from "zod";
 import WebSocket from "ws";
 import { v4 as uuidv4 } from "uuid";
+import { readFileSync } from "fs";
 
 // Define TypeScript interfaces for Figma responses
 interface FigmaResponse {
   id: string;
   result?: any;
-  error?: string;
+  error?: string | FigmaErrorEnvelope;
+}
+
+// Define interface for structured errors reported by the plugin
+interface FigmaErrorEnvelope {
+  code: string;
+  message: string;
+  command?: string;
+  nodeId?: string;
+  details?: unknown;
+}
+
+// Error raised when Figma (or the relay) reports a failed command
+class FigmaCommandError extends Error {
+  code: string;
+  command?: string;
+  nodeId?: string;
+  details?: unknown;
+
+  constructor({ code, message, command, nodeId, details }: FigmaErrorEnvelope) {
+    super(message);
+    this.name = "FigmaCommandError";
+    this.code = code;
+    this.command = command;
+    this.nodeId = nodeId;
+    this.details = details;
+  }
+
+  // Older plugin builds report errors as plain strings
+  static fromResponse(error: string | FigmaErrorEnvelope, command?: string) {
+    if (typeof error === "string") {
+      return new FigmaCommandError({ code: "command_failed", message: error, command });
+    }
+    return new FigmaCommandError({
+      ...error,
+      code: error.code || "command_failed",
+      message: error.message || "Error executing command",
+      command: error.command || command,
+    });
+  }
+}
+
+// Format an error for a tool result, including the plugin's error code and node
+function formatError(error: unknown): string {
+  if (error instanceof FigmaCommandError) {
+    const context = [`code: ${error.code}`];
+    if (error.nodeId) context.push(`nodeId: ${error.nodeId}`);
+    if (error.details !== undefined) context.push(`details: ${JSON.stringify(error.details)}`);
+    return `${error.message} (${context.join(", ")})`;
+  }
+  return error instanceof Error ? error.message : String(error);
+}
+
+// Define interface for export_node_as_image results
+interface ExportedImage {
+  nodeId: string;
+  name: string;
+  format: "PNG" | "JPG" | "SVG" | "PDF";
+  mimeType: string;
+  scale: number;
+  width: number;
+  height: number;
+  byteLength: number;
+  imageData: string; // base64-encoded bytes
 }
 
 // Define interface for command progress updates
@@ -42,6 +106,7 @@ const logger = {
 // WebSocket connection and request tracking
 let ws: WebSocket | null = null;
 const pendingRequests = new Map<string, {
+  command: string;
   resolve: (value: unknown) => void;
   reject: (reason: unknown) => void;
   timeout: ReturnType<typeof setTimeout>;
@@ -50,6 +115,8 @@ const pendingRequests = new Map<string, {
 
 // Track which channel each client is in
 let currentChannel: string | null = null;
+// Last channel joined, rejoined automatically after a reconnect
+let lastJoin: { channel: string; token?: string } | null = null;
 
 // Create MCP server
 const server = new McpServer({
@@ -59,18 +126,94 @@ const server = new McpServer({
 
 // Add command line argument parsing
 const args = process.argv.slice(2);
-const serverArg = args.find(arg => arg.startsWith('--server='));
-const serverUrl = serverArg ? serverArg.split('=')[1] : 'localhost';
-const WS_URL = serverUrl === 'localhost' ? `ws://${serverUrl}` : `wss://${serverUrl}`;
+
+// Read a --name=value flag, falling back to an environment variable
+function getConfigValue(flag: string, envVar: string): string | undefined {
+  const prefix = `--${flag}=`;
+  const arg = args.find(arg => arg.startsWith(prefix));
+  return arg ? arg.slice(prefix.length) : process.env[envVar];
+}
+
+// Relay address. --ws-url wins; --server=<host> is kept for remote relays behind wss.
+const serverUrl = getConfigValue('server', 'TALK_TO_FIGMA_SERVER') || 'localhost';
+const relayHost = getConfigValue('host', 'TALK_TO_FIGMA_HOST') || serverUrl;
+const relayPort = Number(getConfigValue('port', 'TALK_TO_FIGMA_PORT') || 3055);
+if (!Number.isInteger(relayPort) || relayPort < 1 || relayPort > 65535) {
+  logger.error(`Invalid port: ${getConfigValue('port', 'TALK_TO_FIGMA_PORT')}`);
+  process.exit(1);
+}
+// Certificate of a relay terminating TLS locally; trusted as a CA and implies wss
+const relayTlsCert = getConfigValue('tls-cert', 'TALK_TO_FIGMA_TLS_CERT');
+const WS_URL = getConfigValue('ws-url', 'TALK_TO_FIGMA_WS_URL') ||
+  (serverUrl !== 'localhost'
+    ? `wss://${serverUrl}`
+    : `${relayTlsCert ? 'wss' : 'ws'}://${relayHost}:${relayPort}`);
+
+// Read the certificate once at startup; reconnects reuse it, and a missing
+// file is a configuration error rather than a failure on every retry
+let relayTlsCa: Buffer | undefined;
+if (relayTlsCert) {
+  try {
+    relayTlsCa = readFileSync(relayTlsCert);
+  } catch (error) {
+    logger.error(`Cannot read TLS certificate ${relayTlsCert}: ${error instanceof Error ? error.message : String(error)}`);
+    process.exit(1);
+  }
+}
+
+// Token sent when joining a channel (relay shared secret or per-channel token)
+const channelToken = getConfigValue('token', 'TALK_TO_FIGMA_TOKEN');
+
+// How long to wait for a command result; progress updates extend the wait to twice this
+const commandTimeoutMs = Number(getConfigValue('timeout', 'TALK_TO_FIGMA_TIMEOUT') || 30000);
+if (!Number.isFinite(commandTimeoutMs) || commandTimeoutMs <= 0) {
+  logger.error(`Invalid timeout: ${getConfigValue('timeout', 'TALK_TO_FIGMA_TIMEOUT')}`);
+  process.exit(1);
+}
 
 // Document Info Tool
 server.tool(
   "get_document_info",
-  "Get detailed information about the current Figma document",
-  {},
-  async () => {
+  "Get detailed information about the current page and list every page in the Figma document with its id, name and child count. By default only the current page is loaded, so other pages report childCount: null; pass includeChildCounts: true to load every page and get all counts (slow in large files).",
+  {
+    includeChildCounts: z.boolean().optional().describe("Load every page so each one reports its child count instead of null (slow in large files; default false)"),
+  },
+  async ({ includeChildCounts }) => {
+    try {
+      const result = await sendCommandToFigma("get_document_info", { includeChildCounts });
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error getting document info: ${formatError(error)
+              }`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+// Get Page Tool
+server.tool(
+  "get_page",
+  "Get a page and its top-level children. Defaults to the page currently open in the editor.",
+  {
+    pageId: z.string().optional().describe("ID of the page to inspect (defaults to the current page)"),
+  },
+  async ({ pageId }) => {
     try {
-      const result = await sendCommandToFigma("get_document_info");
+      const result = await sendCommandToFigma("get_page", { pageId });
       return {
         content: [
           {
@@ -84,10 +227,45 @@ server.tool(
         content: [
           {
             type: "text",
-            text: `Error getting document info: ${error instanceof Error ? error.message : String(error)
+            text: `Error getting page: ${formatError(error)
+              }`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+// Set Current Page Tool
+server.tool(
+  "set_current_page",
+  "Switch the page open in the Figma editor. Selection-based tools act on the current page.",
+  {
+    pageId: z.string().describe("ID of the page to switch to"),
+  },
+  async ({ pageId }) => {
+    try {
+      const result = await sendCommandToFigma("set_current_page", { pageId });
+      const typedResult = result as { id: string; name: string; childCount: number };
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Switched to page "${typedResult.name}" (${typedResult.id}) with ${typedResult.childCount} top-level nodes`,
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error setting current page: ${formatError(error)
               }`,
           },
         ],
+        isError: true,
       };
     }
   }
@@ -114,23 +292,53 @@ server.tool(
         content: [
           {
             type: "text",
-            text: `Error getting selection: ${error instanceof Error ? error.message : String(error)
+            text: `Error getting selection: ${formatError(error)
               }`,
           },
         ],
+        isError: true,
       };
     }
   }
 );
 
+// Options shared by the node info tools to keep large trees out of the context
+const nodeInfoOptions = {
+  depth: z.number().int().min(0).optional().describe("How many levels of children to include (0 = the node only). Nodes at the limit report a childCount instead of children. Unlimited by default"),
+  fields: z.object({
+    include: z.array(z.string()).optional().describe("Only return these properties (id, name and type are always kept), e.g. [\"fills\", \"absoluteBoundingBox\"]"),
+    exclude: z.array(z.string()).optional().describe("Leave out these properties, e.g. [\"style\", \"strokes\"]"),
+  }).optional().describe("Restrict which node properties are returned"),
+  maxNodes: z.number().int().min(1).optional().describe("Return at most this many nodes per page. Paged results have the shape { nodes, nodeCount, nextCursor }"),
+  cursor: z.string().optional().describe("nextCursor from a previous page; pass the same node(s) and options to continue"),
+};
+
+// Paged results carry top-level nodes with parentId/index for stitching
+function filterNodeInfoResult(result: any) {
+  if (!result || !Array.isArray(result.nodes)) {
+    return filterFigmaNode(result);
+  }
+  return {
+    ...result,
+    nodes: result.nodes.map((node: any) => {
+      const filtered = filterFigmaNode(node);
+      if (filtered && node.parentId !== undefined) {
+        filtered.parentId = node.parentId;
+        filtered.index = node.index;
+      }
+      return filtered;
+    }),
+  };
+}
+
 // Read My Design Tool
 server.tool(
   "read_my_design",
-  "Get detailed information about the current selection in Figma, including all node details",
-  {},
-  async () => {
+  "Get detailed information about the current selection in Figma, including all node details. Use depth, fields and maxNodes to keep large selections small",
+  nodeInfoOptions,
+  async (options) => {
     try {
-      const result = await sendCommandToFigma("read_my_design", {});
+      const result = await sendCommandToFigma("read_my_design", options);
       return {
         content: [
           {
@@ -144,10 +352,11 @@ server.tool(
         content: [
           {
             type: "text",
-            text: `Error getting node info: ${error instanceof Error ? error.message : String(error)
+            text: `Error getting node info: ${formatError(error)
               }`,
           },
         ],
+        isError: true,
       };
     }
   }
@@ -156,18 +365,19 @@ server.tool(
 // Node Info Tool
 server.tool(
   "get_node_info",
-  "Get detailed information about a specific node in Figma",
+  "Get detailed information about a specific node in Figma. Use depth, fields and maxNodes to keep large subtrees small",
   {
     nodeId: z.string().describe("The ID of the node to get information about"),
+    ...nodeInfoOptions,
   },
-  async ({ nodeId }) => {
+  async ({ nodeId, ...options }) => {
     try {
-      const result = await sendCommandToFigma("get_node_info", { nodeId });
+      const result = await sendCommandToFigma("get_node_info", { nodeId, ...options });
       return {
         content: [
           {
             type: "text",
-            text: JSON.stringify(filterFigmaNode(result))
+            text: JSON.stringify(filterNodeInfoResult(result))
           }
         ]
       };
@@ -176,10 +386,11 @@ server.tool(
         content: [
           {
             type: "text",
-            text: `Error getting node info: ${error instanceof Error ? error.message : String(error)
+            text: `Error getting node info: ${formatError(error)
               }`,
           },
         ],
+        isError: true,
       };
     }
   }
@@ -199,6 +410,39 @@ function rgbaToHex(color: any): string {
   return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}${a === 255 ? '' : a.toString(16).padStart(2, '0')}`;
 }
 
+// Summary properties copied as they come from the plugin, which fills in
+// defaults before applying the requested fields
+const PASSTHROUGH_PROPERTIES = [
+  "opacity",
+  "blendMode",
+  "rotation",
+  "constraints",
+  "layoutMode",
+  "layoutWrap",
+  "paddingTop",
+  "paddingRight",
+  "paddingBottom",
+  "paddingLeft",
+  "itemSpacing",
+  "counterAxisSpacing",
+  "primaryAxisSizingMode",
+  "counterAxisSizingMode",
+  "primaryAxisAlignItems",
+  "counterAxisAlignItems",
+  "layoutAlign",
+  "layoutGrow",
+  "layoutPositioning",
+  "layoutSizingHorizontal",
+  "layoutSizingVertical",
+  "componentId",
+  "componentProperties",
+  "componentPropertyDefinitions",
+  "variantProperties",
+  "boundVariables",
+  "explicitVariableModes",
+  "instance",
+];
+
 function filterFigmaNode(node: any) {
   // Skip VECTOR type nodes
   if (node.type === "VECTOR") {
@@ -260,10 +504,29 @@ function filterFigmaNode(node: any) {
     filtered.cornerRadius = node.cornerRadius;
   }
 
+  if (node.effects && node.effects.length > 0) {
+    filtered.effects = node.effects.map((effect: any) => {
+      const processedEffect = { ...effect };
+      // Remove boundVariables
+      delete processedEffect.boundVariables;
+      // Convert shadow colors to hex
+      if (processedEffect.color) {
+        processedEffect.color = rgbaToHex(processedEffect.color);
+      }
+      return processedEffect;
+    });
+  }
+
   if (node.absoluteBoundingBox) {
     filtered.absoluteBoundingBox = node.absoluteBoundingBox;
   }
 
+  for (const property of PASSTHROUGH_PROPERTIES) {
+    if (node[property] !== undefined) {
+      filtered[property] = node[property];
+    }
+  }
+
   if (node.characters) {
     filtered.characters = node.characters;
   }
@@ -286,29 +549,34 @@ function filterFigmaNode(node: any) {
       .filter((child: any) => child !== null); // Remove null children (VECTOR nodes)
   }
 
+  // Set by the plugin when children were cut off by the depth limit
+  if (node.childCount !== undefined) {
+    filtered.childCount = node.childCount;
+  }
+
   return filtered;
 }
 
 // Nodes Info Tool
 server.tool(
   "get_nodes_info",
-  "Get detailed information about multiple nodes in Figma",
+  "Get detailed information about multiple nodes in Figma. Use depth, fields and maxNodes to keep large subtrees small",
   {
-    nodeIds: z.array(z.string()).describe("Array of node IDs to get information about")
+    nodeIds: z.array(z.string()).describe("Array of node IDs to get information about"),
+    ...nodeInfoOptions,
   },
-  async ({ nodeIds }) => {
+  async ({ nodeIds, ...options }) => {
     try {
-      const results = await Promise.all(
-        nodeIds.map(async (nodeId) => {
-          const result = await sendCommandToFigma('get_node_info', { nodeId });
-          return { nodeId, info: result };
-        })
-      );
+      const result: any = await sendCommandToFigma("get_nodes_info", { nodeIds, ...options });
       return {
         content: [
           {
             type: "text",
-            text: JSON.stringify(results.map((result) => filterFigmaNode(result.info)))
+            text: JSON.stringify(
+              Array.isArray(result)
+                ? result.map((entry: any) => filterFigmaNode(entry.document))
+                : filterNodeInfoResult(result)
+            )
           }
         ]
       };
@@ -317,9 +585,10 @@ server.tool(
         content: [
           {
             type: "text",
-            text: `Error getting nodes info: ${error instanceof Error ? error.message : String(error)}`
+            text: `Error getting nodes info: ${formatError(error)}`
           }
-        ]
+        ],
+        isError: true,
       };
     }
   }
@@ -363,10 +632,11 @@ server.tool(
         content: [
           {
             type: "text",
-            text: `Error creating rectangle: ${error instanceof Error ? error.message : String(error)
+            text: `Error creating rectangle: ${formatError(error)
               }`,
           },
         ],
+        isError: true,
       };
     }
   }
@@ -492,10 +762,11 @@ server.tool(
         content: [
           {
             type: "text",
-            text: `Error creating frame: ${error instanceof Error ? error.message : String(error)
+            text: `Error creating frame: ${formatError(error)
               }`,
           },
         ],
+        isError: true,
       };
     }
   }
@@ -563,10 +834,189 @@ server.tool(
         content: [
           {
             type: "text",
-            text: `Error creating text: ${error instanceof Error ? error.message : String(error)
+            text: `Error creating text: ${formatError(error)
               }`,
           },
         ],
+        isError: true,
+      };
+    }
+  }
+);
+
+// Create From Spec Tool
+const specColorSchema = z.object({
+  r: z.number().min(0).max(1).describe("Red component (0-1)"),
+  g: z.number().min(0).max(1).describe("Green component (0-1)"),
+  b: z.number().min(0).max(1).describe("Blue component (0-1)"),
+  a: z.number().min(0).max(1).optional().describe("Alpha component (0-1)"),
+});
+
+// Paints, shared with set_paints
+const transformSchema = z
+  .array(z.array(z.number()).length(3))
+  .length(2)
+  .describe("2x3 affine transform [[a, b, tx], [c, d, ty]] from the node's unit square to paint space");
+
+const paintCommonSchema = {
+  opacity: z.number().min(0).max(1).optional().describe("Paint opacity (0-1)"),
+  visible: z.boolean().optional().describe("Whether the paint is shown (default true)"),
+  blendMode: z.string().optional().describe("Paint blend mode, e.g. NORMAL, MULTIPLY or SCREEN"),
+};
+
+const paintSchema = z.union([
+  z.object({
+    type: z.literal("SOLID"),
+    color: specColorSchema.describe("Color; alpha is used as opacity unless opacity is given"),
+    ...paintCommonSchema,
+  }),
+  z.object({
+    type: z.enum(["GRADIENT_LINEAR", "GRADIENT_RADIAL", "GRADIENT_ANGULAR", "GRADIENT_DIAMOND"]),
+    gradientStops: z
+      .array(z.object({ position: z.number().min(0).max(1), color: specColorSchema }))
+      .min(2)
+      .describe("Color stops, position 0-1 along the gradient"),
+    gradientTransform: transformSchema.optional(),
+    angle: z
+      .number()
+      .optional()
+      .describe("Linear gradients only: CSS angle in degrees (0 = bottom to top, 90 = left to right) when no gradientTransform is given"),
+    ...paintCommonSchema,
+  }),
+  z.object({
+    type: z.literal("IMAGE"),
+    imageBytes: z.string().optional().describe("Base64-encoded PNG, JPEG or GIF"),
+    imageHash: z.string().optional().describe("Hash of an image already in the file, instead of imageBytes"),
+    scaleMode: z.enum(["FILL", "FIT", "CROP", "TILE"]).optional().describe("How the image fits the node (default FILL)"),
+    scalingFactor: z.number().positive().optional().describe("TILE only: image scale"),
+    rotation: z.number().optional().describe("FILL and FIT only: rotation in multiples of 90 degrees"),
+    imageTransform: transformSchema.optional(),
+    ...paintCommonSchema,
+  }),
+]);
+
+// Line height and letter spacing, shared with set_text_style
+const textMeasureSchema = z.union([
+  z.number(),
+  z.object({ value: z.number(), unit: z.enum(["PIXELS", "PERCENT"]) }),
+]);
+
+interface NodeSpec {
+  type: "FRAME" | "TEXT" | "RECTANGLE";
+  key?: string;
+  name?: string;
+  x?: number;
+  y?: number;
+  width?: number;
+  height?: number;
+  fillColor?: z.infer<typeof specColorSchema>;
+  strokeColor?: z.infer<typeof specColorSchema>;
+  strokeWeight?: number;
+  cornerRadius?: number;
+  layoutMode?: "NONE" | "HORIZONTAL" | "VERTICAL";
+  layoutWrap?: "NO_WRAP" | "WRAP";
+  padding?: number | { top?: number; right?: number; bottom?: number; left?: number };
+  itemSpacing?: number;
+  primaryAxisAlignItems?: "MIN" | "MAX" | "CENTER" | "SPACE_BETWEEN";
+  counterAxisAlignItems?: "MIN" | "MAX" | "CENTER" | "BASELINE";
+  layoutSizingHorizontal?: "FIXED" | "HUG" | "FILL";
+  layoutSizingVertical?: "FIXED" | "HUG" | "FILL";
+  text?: string;
+  fontSize?: number;
+  fontWeight?: number;
+  fontColor?: z.infer<typeof specColorSchema>;
+  fontFamily?: string;
+  fontStyle?: string;
+  lineHeight?: z.infer<typeof textMeasureSchema> | "AUTO";
+  letterSpacing?: z.infer<typeof textMeasureSchema>;
+  textAlignHorizontal?: "LEFT" | "CENTER" | "RIGHT" | "JUSTIFIED";
+  fills?: z.infer<typeof paintSchema>[];
+  children?: NodeSpec[];
+}
+
+const nodeSpecSchema: z.ZodType<NodeSpec> = z.lazy(() =>
+  z
+    .object({
+      type: z.enum(["FRAME", "TEXT", "RECTANGLE"]).describe("Node type"),
+      key: z.string().optional().describe("Key for this node in the returned nodeIds map (defaults to its path, e.g. root.0.1)"),
+      name: z.string().optional().describe("Layer name"),
+      x: z.number().optional().describe("X position"),
+      y: z.number().optional().describe("Y position"),
+      width: z.number().positive().optional().describe("Width; on text, a fixed width that wraps"),
+      height: z.number().positive().optional().describe("Height (frames and rectangles)"),
+      fillColor: specColorSchema.optional().describe("Fill color (frames and rectangles)"),
+      strokeColor: specColorSchema.optional().describe("Stroke color (frames and rectangles)"),
+      strokeWeight: z.number().positive().optional().describe("Stroke weight"),
+      cornerRadius: z.number().min(0).optional().describe("Corner radius (frames and rectangles)"),
+      layoutMode: z.enum(["NONE", "HORIZONTAL", "VERTICAL"]).optional().describe("Auto-layout mode (frames)"),
+      layoutWrap: z.enum(["NO_WRAP", "WRAP"]).optional().describe("Auto-layout wrapping (frames)"),
+      padding: z
+        .union([
+          z.number(),
+          z.object({
+            top: z.number().optional(),
+            right: z.number().optional(),
+            bottom: z.number().optional(),
+            left: z.number().optional(),
+          }),
+        ])
+        .optional()
+        .describe("Auto-layout padding: one number for all sides or per side"),
+      itemSpacing: z.number().optional().describe("Distance between auto-layout children"),
+      primaryAxisAlignItems: z.enum(["MIN", "MAX", "CENTER", "SPACE_BETWEEN"]).optional().describe("Primary axis alignment (frames)"),
+      counterAxisAlignItems: z.enum(["MIN", "MAX", "CENTER", "BASELINE"]).optional().describe("Counter axis alignment (frames)"),
+      layoutSizingHorizontal: z.enum(["FIXED", "HUG", "FILL"]).optional().describe("Horizontal sizing inside an auto-layout parent"),
+      layoutSizingVertical: z.enum(["FIXED", "HUG", "FILL"]).optional().describe("Vertical sizing inside an auto-layout parent"),
+      text: z.string().optional().describe("Text content (text)"),
+      fontSize: z.number().positive().optional().describe("Font size (text)"),
+      fontWeight: z.number().optional().describe("Font weight, e.g. 400 or 700 (text)"),
+      fontColor: specColorSchema.optional().describe("Text color (text)"),
+      fontFamily: z.string().optional().describe("Font family, e.g. \"Roboto\" (text; default Inter)"),
+      fontStyle: z.string().optional().describe("Font style, e.g. \"Semi Bold\" (text; defaults to the style for fontWeight)"),
+      lineHeight: z
+        .union([textMeasureSchema, z.literal("AUTO")])
+        .optional()
+        .describe("Line height: pixels, { value, unit }, or \"AUTO\" (text)"),
+      letterSpacing: textMeasureSchema.optional().describe("Letter spacing: pixels or { value, unit } (text)"),
+      textAlignHorizontal: z.enum(["LEFT", "CENTER", "RIGHT", "JUSTIFIED"]).optional().describe("Horizontal alignment (text)"),
+      fills: z
+        .array(paintSchema)
+        .optional()
+        .describe("Solid, gradient and image paints as in set_paints, bottom to top; replaces fillColor and fontColor"),
+      children: z.array(nodeSpecSchema).optional().describe("Child specs (frames only)"),
+    })
+    .refine((spec) => !spec.children || spec.type === "FRAME", {
+      message: "Only FRAME specs can have children",
+    })
+);
+
+server.tool(
+  "create_from_spec",
+  "Create a whole node tree in Figma from a nested JSON spec in one call. Each spec node takes the same properties as create_frame, create_text or create_rectangle, plus padding, cornerRadius, fills (as in set_paints) and children; text nodes also take fontFamily, fontStyle, lineHeight, letterSpacing and textAlignHorizontal. Fonts that cannot be loaded are listed in missingFonts. Returns the root node ID and a map from spec keys to created node IDs. If any node fails, the partial tree is removed.",
+  {
+    spec: nodeSpecSchema.describe("Root node spec"),
+    parentId: z.string().optional().describe("Optional parent node ID to build the tree in (defaults to the current page)"),
+  },
+  async ({ spec, parentId }) => {
+    try {
+      const result = await sendCommandToFigma("create_from_spec", { spec, parentId });
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error creating from spec: ${formatError(error)}`,
+          },
+        ],
+        isError: true,
       };
     }
   }
@@ -604,10 +1054,11 @@ server.tool(
         content: [
           {
             type: "text",
-            text: `Error setting fill color: ${error instanceof Error ? error.message : String(error)
+            text: `Error setting fill color: ${formatError(error)
               }`,
           },
         ],
+        isError: true,
       };
     }
   }
@@ -647,10 +1098,59 @@ server.tool(
         content: [
           {
             type: "text",
-            text: `Error setting stroke color: ${error instanceof Error ? error.message : String(error)
+            text: `Error setting stroke color: ${formatError(error)
               }`,
           },
         ],
+        isError: true,
+      };
+    }
+  }
+);
+
+// Set Paints Tool
+server.tool(
+  "set_paints",
+  "Set a node's fills or strokes to a stack of solid, gradient (linear, radial, angular, diamond) and image paints, and optionally its stroke weight, alignment, dash pattern, caps and joins",
+  {
+    nodeId: z.string().describe("The ID of the node to modify"),
+    target: z.enum(["fill", "stroke"]).optional().describe("Which paints to set (default fill)"),
+    paints: z
+      .array(paintSchema)
+      .optional()
+      .describe("Paints from bottom to top; an empty array removes them, leaving it out keeps them"),
+    strokeWeight: z.number().min(0).optional().describe("Stroke weight"),
+    strokeAlign: z.enum(["INSIDE", "OUTSIDE", "CENTER"]).optional().describe("Stroke alignment"),
+    dashPattern: z
+      .array(z.number().min(0))
+      .optional()
+      .describe("Alternating dash and gap lengths, e.g. [4, 2]; an empty array makes the stroke solid"),
+    strokeCap: z
+      .enum(["NONE", "ROUND", "SQUARE", "ARROW_LINES", "ARROW_EQUILATERAL"])
+      .optional()
+      .describe("Stroke cap (open paths and dashes)"),
+    strokeJoin: z.enum(["MITER", "BEVEL", "ROUND"]).optional().describe("Stroke join"),
+  },
+  async (params) => {
+    try {
+      const result = await sendCommandToFigma("set_paints", params);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error setting paints: ${formatError(error)}`,
+          },
+        ],
+        isError: true,
       };
     }
   }
@@ -682,10 +1182,11 @@ server.tool(
         content: [
           {
             type: "text",
-            text: `Error moving node: ${error instanceof Error ? error.message : String(error)
+            text: `Error moving node: ${formatError(error)
               }`,
           },
         ],
+        isError: true,
       };
     }
   }
@@ -717,9 +1218,10 @@ server.tool(
         content: [
           {
             type: "text",
-            text: `Error cloning node: ${error instanceof Error ? error.message : String(error)}`
+            text: `Error cloning node: ${formatError(error)}`
           }
-        ]
+        ],
+        isError: true,
       };
     }
   }
@@ -755,10 +1257,11 @@ server.tool(
         content: [
           {
             type: "text",
-            text: `Error resizing node: ${error instanceof Error ? error.message : String(error)
+            text: `Error resizing node: ${formatError(error)
               }`,
           },
         ],
+        isError: true,
       };
     }
   }
@@ -787,10 +1290,11 @@ server.tool(
         content: [
           {
             type: "text",
-            text: `Error deleting node: ${error instanceof Error ? error.message : String(error)
+            text: `Error deleting node: ${formatError(error)
               }`,
           },
         ],
+        isError: true,
       };
     }
   }
@@ -819,10 +1323,11 @@ server.tool(
         content: [
           {
             type: "text",
-            text: `Error deleting multiple nodes: ${error instanceof Error ? error.message : String(error)
+            text: `Error deleting multiple nodes: ${formatError(error)
               }`,
           },
         ],
+        isError: true,
       };
     }
   }
@@ -831,14 +1336,14 @@ server.tool(
 // Export Node as Image Tool
 server.tool(
   "export_node_as_image",
-  "Export a node as an image from Figma",
+  "Export a node as an image from Figma. PNG and JPG are returned as image content, SVG as markup text and PDF as an embedded resource.",
   {
     nodeId: z.string().describe("The ID of the node to export"),
     format: z
       .enum(["PNG", "JPG", "SVG", "PDF"])
       .optional()
       .describe("Export format"),
-    scale: z.number().positive().optional().describe("Export scale"),
+    scale: z.number().positive().optional().describe("Export scale (PNG and JPG only)"),
   },
   async ({ nodeId, format, scale }) => {
     try {
@@ -847,12 +1352,45 @@ server.tool(
         format: format || "PNG",
         scale: scale || 1,
       });
-      const typedResult = result as { imageData: string; mimeType: string };
+      const typedResult = result as ExportedImage;
+      const summary = {
+        type: "text" as const,
+        text: `Exported node "${typedResult.name}" (${typedResult.nodeId}) as ${typedResult.format} at scale ${typedResult.scale}: ${typedResult.width}x${typedResult.height}, ${typedResult.byteLength} bytes`,
+      };
+
+      if (typedResult.format === "SVG") {
+        return {
+          content: [
+            summary,
+            {
+              type: "text" as const,
+              text: Buffer.from(typedResult.imageData, "base64").toString("utf-8"),
+            },
+          ],
+        };
+      }
+
+      if (typedResult.format === "PDF") {
+        return {
+          content: [
+            summary,
+            {
+              type: "resource" as const,
+              resource: {
+                uri: `figma://node/${encodeURIComponent(typedResult.nodeId)}/export.pdf`,
+                mimeType: typedResult.mimeType,
+                blob: typedResult.imageData,
+              },
+            },
+          ],
+        };
+      }
 
       return {
         content: [
+          summary,
           {
-            type: "image",
+            type: "image" as const,
             data: typedResult.imageData,
             mimeType: typedResult.mimeType || "image/png",
           },
@@ -863,35 +1401,35 @@ server.tool(
         content: [
           {
             type: "text",
-            text: `Error exporting node as image: ${error instanceof Error ? error.message : String(error)
+            text: `Error exporting node as image: ${formatError(error)
               }`,
           },
         ],
+        isError: true,
       };
     }
   }
 );
 
-// Set Text Content Tool
+// Serialize Node Tool
 server.tool(
-  "set_text_content",
-  "Set the text content of an existing text node in Figma",
+  "serialize_node",
+  "Serialize a node and its subtree to a versioned JSON document that deserialize_node can rebuild, in this file or another one. Unlike get_node_info it keeps everything needed to recreate the nodes: layout, constraints, effects, vector paths, per-range text styles, bound variables, style and component references, component property definitions and the layers bound to them, and image fill bytes.",
   {
-    nodeId: z.string().describe("The ID of the text node to modify"),
-    text: z.string().describe("New text content"),
+    nodeId: z.string().describe("The ID of the root node to serialize"),
+    includeImages: z
+      .boolean()
+      .optional()
+      .describe("Embed image fill bytes as base64 so the document works in other files (default: true)"),
   },
-  async ({ nodeId, text }) => {
+  async ({ nodeId, includeImages }) => {
     try {
-      const result = await sendCommandToFigma("set_text_content", {
-        nodeId,
-        text,
-      });
-      const typedResult = result as { name: string };
+      const result = await sendCommandToFigma("serialize_node", { nodeId, includeImages });
       return {
         content: [
           {
             type: "text",
-            text: `Updated text content of node "${typedResult.name}" to "${text}"`,
+            text: JSON.stringify(result),
           },
         ],
       };
@@ -900,89 +1438,134 @@ server.tool(
         content: [
           {
             type: "text",
-            text: `Error setting text content: ${error instanceof Error ? error.message : String(error)
-              }`,
+            text: `Error serializing node: ${formatError(error)}`,
           },
         ],
+        isError: true,
       };
     }
   }
 );
 
-// Get Styles Tool
+// Deserialize Node Tool
 server.tool(
-  "get_styles",
-  "Get all styles from the current Figma document",
-  {},
-  async () => {
+  "deserialize_node",
+  "Rebuild a subtree from a serialize_node document. Returns the new root node, a map from serialized node IDs to new ones, and warnings for anything that could not be restored exactly (missing fonts, components, styles or variables).",
+  {
+    data: z
+      .union([
+        z.string(),
+        z
+          .object({
+            format: z.literal("talk-to-figma/node"),
+            version: z.number(),
+            root: z.record(z.any()),
+          })
+          .passthrough(),
+      ])
+      .describe("The document returned by serialize_node, as an object or JSON string"),
+    parentId: z.string().optional().describe("Optional parent node ID to build the subtree in (defaults to the current page)"),
+    x: z.number().optional().describe("Optional X position for the rebuilt root"),
+    y: z.number().optional().describe("Optional Y position for the rebuilt root"),
+  },
+  async ({ data, parentId, x, y }) => {
     try {
-      const result = await sendCommandToFigma("get_styles");
+      const result = await sendCommandToFigma("deserialize_node", { data, parentId, x, y });
       return {
         content: [
           {
             type: "text",
-            text: JSON.stringify(result)
-          }
-        ]
+            text: JSON.stringify(result),
+          },
+        ],
       };
     } catch (error) {
       return {
         content: [
           {
             type: "text",
-            text: `Error getting styles: ${error instanceof Error ? error.message : String(error)
-              }`,
+            text: `Error deserializing node: ${formatError(error)}`,
           },
         ],
+        isError: true,
       };
     }
   }
 );
 
-// Get Local Components Tool
+// Set Text Content Tool
 server.tool(
-  "get_local_components",
-  "Get all local components from the Figma document",
-  {},
-  async () => {
+  "set_text_content",
+  "Set the text content of an existing text node in Figma",
+  {
+    nodeId: z.string().describe("The ID of the text node to modify"),
+    text: z.string().describe("New text content"),
+  },
+  async ({ nodeId, text }) => {
     try {
-      const result = await sendCommandToFigma("get_local_components");
+      const result = await sendCommandToFigma("set_text_content", {
+        nodeId,
+        text,
+      });
+      const typedResult = result as { name: string };
       return {
         content: [
           {
             type: "text",
-            text: JSON.stringify(result)
-          }
-        ]
+            text: `Updated text content of node "${typedResult.name}" to "${text}"`,
+          },
+        ],
       };
     } catch (error) {
       return {
         content: [
           {
             type: "text",
-            text: `Error getting local components: ${error instanceof Error ? error.message : String(error)
+            text: `Error setting text content: ${formatError(error)
               }`,
           },
         ],
+        isError: true,
       };
     }
   }
 );
 
-// Get Annotations Tool
+// Set Text Style Tool
 server.tool(
-  "get_annotations",
-  "Get all annotations in the current document or specific node",
+  "set_text_style",
+  "Set typography on a text node, or on the characters from start to end: font family and style, size, line height, letter spacing, case and decoration. Paragraph spacing, alignment, auto-resize and truncation always apply to the whole node. Fonts are loaded as needed; unavailable ones are listed in missingFonts and the text that needs them is left unchanged",
   {
-    nodeId: z.string().optional().describe("Optional node ID to get annotations for specific node"),
-    includeCategories: z.boolean().optional().default(true).describe("Whether to include category information")
+    nodeId: z.string().describe("The ID of the text node to modify"),
+    start: z.number().int().min(0).optional().describe("First character to style (default 0)"),
+    end: z.number().int().min(0).optional().describe("Character after the last one to style (default the end of the text)"),
+    fontFamily: z.string().optional().describe("Font family, e.g. \"Inter\"; each run keeps its style unless fontStyle is given"),
+    fontStyle: z.string().optional().describe("Font style, e.g. \"Regular\", \"Semi Bold\" or \"Italic\""),
+    fontSize: z.number().positive().optional().describe("Font size in pixels"),
+    lineHeight: z
+      .union([textMeasureSchema, z.literal("AUTO")])
+      .optional()
+      .describe("Line height: pixels, { value, unit }, or \"AUTO\""),
+    letterSpacing: textMeasureSchema.optional().describe("Letter spacing: pixels or { value, unit }"),
+    textCase: z
+      .enum(["ORIGINAL", "UPPER", "LOWER", "TITLE", "SMALL_CAPS", "SMALL_CAPS_FORCED"])
+      .optional()
+      .describe("Text case"),
+    textDecoration: z.enum(["NONE", "UNDERLINE", "STRIKETHROUGH"]).optional().describe("Text decoration"),
+    paragraphSpacing: z.number().min(0).optional().describe("Space between paragraphs in pixels"),
+    paragraphIndent: z.number().min(0).optional().describe("First-line indent of each paragraph in pixels"),
+    textAlignHorizontal: z.enum(["LEFT", "CENTER", "RIGHT", "JUSTIFIED"]).optional().describe("Horizontal alignment"),
+    textAlignVertical: z.enum(["TOP", "CENTER", "BOTTOM"]).optional().describe("Vertical alignment"),
+    textAutoResize: z
+      .enum(["NONE", "WIDTH_AND_HEIGHT", "HEIGHT", "TRUNCATE"])
+      .optional()
+      .describe("How the text box resizes to fit its content"),
+    textTruncation: z.enum(["DISABLED", "ENDING"]).optional().describe("ENDING cuts overflowing text with an ellipsis"),
+    maxLines: z.number().int().min(1).nullable().optional().describe("Lines shown before truncating; null for no limit"),
   },
-  async ({ nodeId, includeCategories }) => {
+  async (params) => {
     try {
-      const result = await sendCommandToFigma("get_annotations", {
-        nodeId,
-        includeCategories
-      });
+      const result = await sendCommandToFigma("set_text_style", params);
       return {
         content: [
           {
@@ -996,9 +1579,622 @@ server.tool(
         content: [
           {
             type: "text",
-            text: `Error getting annotations: ${error instanceof Error ? error.message : String(error)}`
-          }
-        ]
+            text: `Error setting text style: ${formatError(error)}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+// Set Text Markdown Tool
+server.tool(
+  "set_text_markdown",
+  "Replace a text node's content with Markdown rendered as rich text: # headings, **bold**, *italic*, `inline code`, ``` code blocks, [links](url) as hyperlinks, and - bulleted or 1. numbered lists (indent by two spaces to nest). Fonts that are missing fall back to a plainer style and are reported",
+  {
+    nodeId: z.string().describe("The ID of the text node to modify"),
+    markdown: z.string().describe("Markdown source"),
+    fonts: z
+      .object({
+        body: z.string().optional().describe("Font family for body text (default Inter)"),
+        heading: z.string().optional().describe("Font family for headings (default the body family)"),
+        code: z.string().optional().describe("Font family for code (default Roboto Mono)"),
+      })
+      .optional()
+      .describe("Font families per element; bold and italic use the family's Bold, Italic and Bold Italic styles"),
+    fontSize: z
+      .number()
+      .positive()
+      .optional()
+      .describe("Body font size; headings are scaled from it (default the node's current size)"),
+  },
+  async (params) => {
+    try {
+      const result = await sendCommandToFigma("set_text_markdown", params);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error setting text from Markdown: ${formatError(error)}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+// List Available Fonts Tool
+server.tool(
+  "list_available_fonts",
+  "List the font families available to Figma, with their styles",
+  {
+    family: z.string().optional().describe("Only families whose name contains this text (case-insensitive)"),
+  },
+  async (params) => {
+    try {
+      const result = await sendCommandToFigma("list_available_fonts", params);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error listing available fonts: ${formatError(error)}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+const fontScopeSchema = {
+  nodeId: z.string().optional().describe("Only text inside this node"),
+  pageId: z.string().optional().describe("Only text on this page (default the whole document)"),
+};
+
+// Find Missing Fonts Tool
+server.tool(
+  "find_missing_fonts",
+  "Find text nodes that use fonts which are not available, in a subtree, a page or the whole document",
+  fontScopeSchema,
+  async (params) => {
+    try {
+      const result = await sendCommandToFigma("find_missing_fonts", params);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error finding missing fonts: ${formatError(error)}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+// Replace Fonts Tool
+const fontNameSchema = z.object({
+  family: z.string().describe("Font family"),
+  style: z.string().optional().describe("Font style, e.g. \"Bold\""),
+});
+
+server.tool(
+  "replace_fonts",
+  "Replace fonts across a subtree, a page or the whole document, e.g. to fix missing fonts. Leaving out from.style matches every style of the family; leaving out to.style keeps each text run's style. Fails without changing anything if a replacement font is unavailable",
+  {
+    replacements: z
+      .array(z.object({ from: fontNameSchema, to: fontNameSchema }))
+      .min(1)
+      .describe("Font pairs to replace; the first matching pair wins"),
+    ...fontScopeSchema,
+  },
+  async (params) => {
+    try {
+      const result = await sendCommandToFigma("replace_fonts", params);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error replacing fonts: ${formatError(error)}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+// Get Styles Tool
+server.tool(
+  "get_styles",
+  "Get all styles from the current Figma document",
+  {},
+  async () => {
+    try {
+      const result = await sendCommandToFigma("get_styles");
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error getting styles: ${formatError(error)
+              }`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+// Apply Style Tool
+server.tool(
+  "apply_style",
+  "Apply a local paint, text, effect or grid style to a node by style ID or name, keeping the node linked to the style",
+  {
+    nodeId: z.string().describe("The ID of the node to style"),
+    styleId: z.string().optional().describe("ID of the style (from get_styles)"),
+    styleName: z.string().optional().describe("Exact style name, e.g. \"Brand/Primary\"; used when styleId is not given"),
+    target: z
+      .enum(["fill", "stroke", "text", "effect", "grid"])
+      .optional()
+      .describe("What the style sets. Defaults to fill for paint styles; pass stroke to apply a paint style to strokes"),
+  },
+  async (params) => {
+    try {
+      const result = await sendCommandToFigma("apply_style", params);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error applying style: ${formatError(error)}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+// Create Style Tool
+server.tool(
+  "create_style",
+  "Create a local style from a node's current fills, strokes, text properties, effects or layout grids, and link the node to it",
+  {
+    nodeId: z.string().describe("The ID of the node to take the values from"),
+    target: z.enum(["fill", "stroke", "text", "effect", "grid"]).describe("Which of the node's properties become the style"),
+    name: z.string().describe("Name of the new style; use / to group, e.g. \"Brand/Primary\""),
+    description: z.string().optional().describe("Style description"),
+    link: z.boolean().optional().describe("Apply the new style to the node (default true)"),
+  },
+  async (params) => {
+    try {
+      const result = await sendCommandToFigma("create_style", params);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error creating style: ${formatError(error)}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+// Export Design Tokens Tool
+server.tool(
+  "export_design_tokens",
+  "Export local paint, text and effect styles and local variables (collections, modes and aliases) as W3C Design Tokens JSON, CSS custom properties and a Tailwind theme, all in one response",
+  {},
+  async () => {
+    try {
+      const result = await sendCommandToFigma("export_design_tokens");
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error exporting design tokens: ${formatError(error)}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+// A variable value: a color, number, string or boolean matching the
+// variable's type, or an alias to another variable
+const variableValueSchema = z.union([
+  z.object({
+    type: z.literal("VARIABLE_ALIAS"),
+    id: z.string().describe("ID of the variable to alias"),
+  }),
+  specColorSchema,
+  z.number(),
+  z.string(),
+  z.boolean(),
+]);
+
+const variableValuesSchema = z
+  .record(variableValueSchema)
+  .describe("Values keyed by mode name or mode ID, e.g. { \"Light\": { \"r\": 1, \"g\": 1, \"b\": 1 }, \"Dark\": { \"type\": \"VARIABLE_ALIAS\", \"id\": \"VariableID:1:2\" } }");
+
+// Get Variables Tool
+server.tool(
+  "get_variables",
+  "List local variable collections with their modes, and the variables in them with values per mode",
+  {
+    collectionId: z.string().optional().describe("Only list this collection and its variables"),
+    resolvedType: z.enum(["COLOR", "FLOAT", "STRING", "BOOLEAN"]).optional().describe("Only list variables of this type"),
+  },
+  async ({ collectionId, resolvedType }) => {
+    try {
+      const result = await sendCommandToFigma("get_variables", { collectionId, resolvedType });
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error getting variables: ${formatError(error)}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+// Create Variable Collection Tool
+server.tool(
+  "create_variable_collection",
+  "Create a variable collection with the given modes",
+  {
+    name: z.string().describe("Name of the collection"),
+    modes: z.array(z.string()).optional().describe("Mode names, e.g. [\"Light\", \"Dark\"]. The first becomes the default mode"),
+  },
+  async ({ name, modes }) => {
+    try {
+      const result = await sendCommandToFigma("create_variable_collection", { name, modes });
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error creating variable collection: ${formatError(error)}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+// Create Variable Tool
+server.tool(
+  "create_variable",
+  "Create a variable in a collection, optionally with values for its modes",
+  {
+    collectionId: z.string().describe("ID of the collection to add the variable to"),
+    name: z.string().describe("Variable name; use / to group, e.g. \"Brand/Primary\""),
+    resolvedType: z.enum(["COLOR", "FLOAT", "STRING", "BOOLEAN"]).describe("Type of the variable"),
+    values: variableValuesSchema.optional(),
+    description: z.string().optional().describe("Variable description"),
+    scopes: z.array(z.string()).optional().describe("Where the variable can be used, e.g. [\"CORNER_RADIUS\"] or [\"ALL_FILLS\"]"),
+  },
+  async (params) => {
+    try {
+      const result = await sendCommandToFigma("create_variable", params);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error creating variable: ${formatError(error)}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+// Update Variable Tool
+server.tool(
+  "update_variable",
+  "Rename a variable or change its values, description or scopes",
+  {
+    variableId: z.string().describe("ID of the variable to update"),
+    name: z.string().optional().describe("New name"),
+    values: variableValuesSchema.optional(),
+    description: z.string().optional().describe("New description"),
+    scopes: z.array(z.string()).optional().describe("New scopes"),
+  },
+  async (params) => {
+    try {
+      const result = await sendCommandToFigma("update_variable", params);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error updating variable: ${formatError(error)}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+// Bind Variable Tool
+server.tool(
+  "bind_variable",
+  "Bind a variable to a node property so the node follows the token instead of a hardcoded value. fill/stroke need COLOR variables, characters a STRING, visible a BOOLEAN, and the rest FLOAT",
+  {
+    nodeId: z.string().describe("The ID of the node to bind"),
+    property: z
+      .enum([
+        "fill",
+        "stroke",
+        "width",
+        "height",
+        "minWidth",
+        "maxWidth",
+        "minHeight",
+        "maxHeight",
+        "itemSpacing",
+        "counterAxisSpacing",
+        "padding",
+        "paddingTop",
+        "paddingRight",
+        "paddingBottom",
+        "paddingLeft",
+        "cornerRadius",
+        "topLeftRadius",
+        "topRightRadius",
+        "bottomLeftRadius",
+        "bottomRightRadius",
+        "strokeWeight",
+        "opacity",
+        "characters",
+        "visible",
+      ])
+      .describe("Property to bind. padding and cornerRadius bind all four sides or corners"),
+    variableId: z.string().nullable().describe("ID of the variable, or null to unbind"),
+    paintIndex: z.number().int().min(0).optional().describe("Which fill or stroke to bind (default 0); a solid paint is added when binding one past the end"),
+  },
+  async (params) => {
+    try {
+      const result = await sendCommandToFigma("bind_variable", params);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error binding variable: ${formatError(error)}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+// Set Variable Mode Tool
+server.tool(
+  "set_variable_mode",
+  "Set which mode of a variable collection a frame (and its children) uses, e.g. switch a screen to Dark",
+  {
+    nodeId: z.string().describe("The ID of the frame, component, instance or group"),
+    collectionId: z.string().describe("ID of the variable collection"),
+    mode: z.string().nullable().describe("Mode name or ID, or null to inherit the mode from the parent again"),
+  },
+  async (params) => {
+    try {
+      const result = await sendCommandToFigma("set_variable_mode", params);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error setting variable mode: ${formatError(error)}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+// Get Local Components Tool
+server.tool(
+  "get_local_components",
+  "Get all local components from the Figma document, or from a single page",
+  {
+    pageId: z.string().optional().describe("Optional page ID to limit the search to one page"),
+  },
+  async ({ pageId }) => {
+    try {
+      const result = await sendCommandToFigma("get_local_components", { pageId });
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error getting local components: ${formatError(error)
+              }`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+// Get Annotations Tool
+server.tool(
+  "get_annotations",
+  "Get all annotations in the current document or specific node",
+  {
+    nodeId: z.string().optional().describe("Optional node ID to get annotations for specific node"),
+    pageId: z.string().optional().describe("Optional page ID to scan when no nodeId is given (defaults to the current page)"),
+    includeCategories: z.boolean().optional().default(true).describe("Whether to include category information")
+  },
+  async ({ nodeId, pageId, includeCategories }) => {
+    try {
+      const result = await sendCommandToFigma("get_annotations", {
+        nodeId,
+        pageId,
+        includeCategories
+      });
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error getting annotations: ${formatError(error)}`
+          }
+        ],
+        isError: true,
       };
     }
   }
@@ -1039,9 +2235,10 @@ server.tool(
         content: [
           {
             type: "text",
-            text: `Error setting annotation: ${error instanceof Error ? error.message : String(error)}`
+            text: `Error setting annotation: ${formatError(error)}`
           }
-        ]
+        ],
+        isError: true,
       };
     }
   }
@@ -1162,10 +2359,11 @@ server.tool(
         content: [
           {
             type: "text",
-            text: `Error setting multiple annotations: ${error instanceof Error ? error.message : String(error)
+            text: `Error setting multiple annotations: ${formatError(error)
               }`,
           },
         ],
+        isError: true,
       };
     }
   }
@@ -1201,10 +2399,260 @@ server.tool(
         content: [
           {
             type: "text",
-            text: `Error creating component instance: ${error instanceof Error ? error.message : String(error)
+            text: `Error creating component instance: ${formatError(error)
               }`,
           },
         ],
+        isError: true,
+      };
+    }
+  }
+);
+
+// Create Component Tool
+server.tool(
+  "create_component",
+  "Convert a frame into a component in place, keeping its children and position. Returns the component's id and key",
+  {
+    nodeId: z.string().describe("The ID of the frame to convert"),
+    name: z.string().optional().describe("New name for the component"),
+  },
+  async (params) => {
+    try {
+      const result = await sendCommandToFigma("create_component", params);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error creating component: ${formatError(error)}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+// Combine As Variants Tool
+server.tool(
+  "combine_as_variants",
+  "Combine components into a component set. Each component can be given variant property values (e.g. { \"Size\": \"Large\", \"State\": \"Hover\" }), which become its name; no two variants may share the same values",
+  {
+    componentIds: z.array(z.string()).min(1).describe("IDs of the components to combine"),
+    variantProperties: z
+      .record(z.string(), z.record(z.string(), z.string()))
+      .optional()
+      .describe("Variant property values keyed by component ID; components left out keep their current names"),
+    name: z.string().optional().describe("Name of the component set"),
+    parentId: z.string().optional().describe("Where to place the set (defaults to the first component's parent)"),
+  },
+  async (params) => {
+    try {
+      const result = await sendCommandToFigma("combine_as_variants", params);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error combining components as variants: ${formatError(error)}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+// Add Component Property Tool
+server.tool(
+  "add_component_property",
+  "Add a BOOLEAN, TEXT, INSTANCE_SWAP or VARIANT property to a component or component set, optionally linking layers inside it (BOOLEAN drives visibility, TEXT drives a text layer's characters, INSTANCE_SWAP drives a nested instance). Returns the property's full name (e.g. \"Label#12:0\")",
+  {
+    nodeId: z.string().describe("ID of a component set, or of a component that is not a variant"),
+    name: z.string().describe("Property name"),
+    type: z.enum(["BOOLEAN", "TEXT", "INSTANCE_SWAP", "VARIANT"]).describe("Property type; VARIANT only applies to component sets"),
+    defaultValue: z
+      .union([z.boolean(), z.string()])
+      .describe("Default value: a boolean, text, the ID of a component for INSTANCE_SWAP, or a variant value"),
+    preferredValues: z
+      .array(z.string())
+      .optional()
+      .describe("For INSTANCE_SWAP: IDs of components or component sets to offer as swaps"),
+    targetNodeIds: z
+      .array(z.string())
+      .optional()
+      .describe("Layers inside the component that the property controls"),
+  },
+  async (params) => {
+    try {
+      const result = await sendCommandToFigma("add_component_property", params);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error adding component property: ${formatError(error)}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+// Set Instance Properties Tool
+server.tool(
+  "set_instance_properties",
+  "Set component properties on an instance: variant values (switching to the matching variant), text, booleans, or a component ID for instance-swap properties. Property names may omit their \"#id\" suffix when unambiguous; get_node_info on the instance lists the available properties",
+  {
+    nodeId: z.string().describe("The ID of the instance"),
+    properties: z
+      .record(z.string(), z.union([z.string(), z.boolean()]))
+      .describe("Values by property name, e.g. { \"Size\": \"Large\", \"Label\": \"Buy now\", \"Show icon\": false }"),
+  },
+  async (params) => {
+    try {
+      const result = await sendCommandToFigma("set_instance_properties", params);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error setting instance properties: ${formatError(error)}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+// Swap Component Tool
+server.tool(
+  "swap_component",
+  "Point an instance at another component, keeping overrides that still apply. A component set ID swaps to its default variant",
+  {
+    nodeId: z.string().describe("The ID of the instance"),
+    componentId: z.string().optional().describe("ID of a local component or component set"),
+    componentKey: z.string().optional().describe("Key of a component to import, e.g. from a library"),
+  },
+  async (params) => {
+    try {
+      const result = await sendCommandToFigma("swap_component", params);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error swapping component: ${formatError(error)}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+// Reset Overrides Tool
+server.tool(
+  "reset_overrides",
+  "Reset all overrides on an instance so it matches its main component again",
+  {
+    nodeId: z.string().describe("The ID of the instance"),
+  },
+  async (params) => {
+    try {
+      const result = await sendCommandToFigma("reset_overrides", params);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error resetting overrides: ${formatError(error)}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+// Detach Instance Tool
+server.tool(
+  "detach_instance",
+  "Detach an instance from its component, turning it into a plain frame. The frame gets a new ID, which is returned",
+  {
+    nodeId: z.string().describe("The ID of the instance"),
+  },
+  async (params) => {
+    try {
+      const result = await sendCommandToFigma("detach_instance", params);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error detaching instance: ${formatError(error)}`,
+          },
+        ],
+        isError: true,
       };
     }
   }
@@ -1246,10 +2694,62 @@ server.tool(
         content: [
           {
             type: "text",
-            text: `Error setting corner radius: ${error instanceof Error ? error.message : String(error)
-              }`,
+            text: `Error setting corner radius: ${formatError(error)
+              }`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+// Set Effects Tool
+const effectSchema = z.object({
+  type: z.enum(["DROP_SHADOW", "INNER_SHADOW", "LAYER_BLUR", "BACKGROUND_BLUR"]).describe("Effect type"),
+  color: specColorSchema.optional().describe("Shadow color (default black at 25% alpha)"),
+  offset: z
+    .object({ x: z.number(), y: z.number() })
+    .optional()
+    .describe("Shadow offset in pixels (default 0, 4)"),
+  radius: z.number().min(0).optional().describe("Blur radius in pixels (default 4)"),
+  spread: z.number().optional().describe("Shadow spread in pixels (default 0)"),
+  visible: z.boolean().optional().describe("Whether the effect is shown (default true)"),
+  blendMode: z.string().optional().describe("Shadow blend mode, e.g. NORMAL or MULTIPLY (default NORMAL)"),
+  showShadowBehindNode: z
+    .boolean()
+    .optional()
+    .describe("Drop shadows only: show the shadow behind translucent fills (default false)"),
+});
+
+server.tool(
+  "set_effects",
+  "Set drop shadows, inner shadows, layer blur and background blur on a node. Replaces the node's effects by default; use mode \"add\" to append, or \"remove\" to drop every effect of the listed types",
+  {
+    nodeId: z.string().describe("The ID of the node to modify"),
+    effects: z.array(effectSchema).describe("Effects to apply, bottom to top; with mode \"remove\" only each type is used"),
+    mode: z.enum(["replace", "add", "remove"]).optional().describe("How to combine with existing effects (default replace)"),
+  },
+  async (params) => {
+    try {
+      const result = await sendCommandToFigma("set_effects", params);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error setting effects: ${formatError(error)}`,
           },
         ],
+        isError: true,
       };
     }
   }
@@ -1295,10 +2795,15 @@ server.prompt(
 5. Element Creation:
    - Use create_frame() for containers and input fields
    - Use create_text() for labels, buttons text, and links
+   - Use create_from_spec() to build a whole screen or component tree in one call
    - Set appropriate colors and styles:
      * Use fillColor for backgrounds
      * Use strokeColor for borders
      * Set proper fontWeight for different text elements
+     * Use set_effects() for elevation: a soft DROP_SHADOW for cards, a larger one for modals
+     * Check list_available_fonts() before using a font family other than Inter
+   - When the file has variables (check get_variables()), use bind_variable() instead of hardcoding colors, spacing and radii
+   - When it has styles (check get_styles()), use apply_style() so nodes stay linked to the style library
 
 6. Mofifying existing elements:
   - use set_text_content() to modify text content.
@@ -1317,6 +2822,8 @@ server.prompt(
    - Use parentId to maintain proper hierarchy
    - Group related elements together in frames
    - Keep consistent spacing and alignment
+   - Wrap multi-step builds in begin_transaction() / commit_transaction(), and call rollback_transaction() if a step fails
+   - Send runs of related edits with execute_batch(), using "$stepN.id" to refer to nodes created by earlier steps
 
 Example Login Screen Structure:
 - Login Screen (main frame)
@@ -1435,10 +2942,11 @@ server.tool(
         content: [
           {
             type: "text",
-            text: `Error scanning text nodes: ${error instanceof Error ? error.message : String(error)
+            text: `Error scanning text nodes: ${formatError(error)
               }`,
           },
         ],
+        isError: true,
       };
     }
   }
@@ -1447,12 +2955,13 @@ server.tool(
 // Node Type Scanning Tool
 server.tool(
   "scan_nodes_by_types",
-  "Scan for nodes with specific types in the selected Figma node",
+  "Scan for nodes with specific types in the selected Figma node, or across a whole page",
   {
-    nodeId: z.string().describe("ID of the node to scan"),
+    nodeId: z.string().optional().describe("ID of the node to scan (omit to scan a whole page)"),
+    pageId: z.string().optional().describe("ID of the page to scan when nodeId is omitted (defaults to the current page)"),
     types: z.array(z.string()).describe("Array of node types to find (e.g. ['COMPONENT', 'FRAME'])")
   },
-  async ({ nodeId, types }) => {
+  async ({ nodeId, pageId, types }) => {
     try {
       // Initial response to indicate we're starting the process
       const initialStatus = {
@@ -1463,6 +2972,7 @@ server.tool(
       // Use the plugin's scan_nodes_by_types function
       const result = await sendCommandToFigma("scan_nodes_by_types", {
         nodeId,
+        pageId,
         types
       });
 
@@ -1517,10 +3027,11 @@ server.tool(
         content: [
           {
             type: "text",
-            text: `Error scanning nodes by types: ${error instanceof Error ? error.message : String(error)
+            text: `Error scanning nodes by types: ${formatError(error)
               }`,
           },
         ],
+        isError: true,
       };
     }
   }
@@ -1760,10 +3271,11 @@ server.tool(
         content: [
           {
             type: "text",
-            text: `Error setting multiple text contents: ${error instanceof Error ? error.message : String(error)
+            text: `Error setting multiple text contents: ${formatError(error)
               }`,
           },
         ],
+        isError: true,
       };
     }
   }
@@ -1919,35 +3431,313 @@ if (annotationsToApply.length > 0) {
 
 This strategy focuses on practical implementation based on real-world usage patterns, emphasizing the importance of handling various UI elements as annotation targets, not just text nodes.`
           },
-        },
-      ],
-      description: "Strategy for converting manual annotations to Figma's native annotations",
-    };
+        },
+      ],
+      description: "Strategy for converting manual annotations to Figma's native annotations",
+    };
+  }
+);
+
+// Set Layout Mode Tool
+server.tool(
+  "set_layout_mode",
+  "Set the layout mode and wrap behavior of a frame in Figma",
+  {
+    nodeId: z.string().describe("The ID of the frame to modify"),
+    layoutMode: z.enum(["NONE", "HORIZONTAL", "VERTICAL"]).describe("Layout mode for the frame"),
+    layoutWrap: z.enum(["NO_WRAP", "WRAP"]).optional().describe("Whether the auto-layout frame wraps its children")
+  },
+  async ({ nodeId, layoutMode, layoutWrap }) => {
+    try {
+      const result = await sendCommandToFigma("set_layout_mode", {
+        nodeId,
+        layoutMode,
+        layoutWrap: layoutWrap || "NO_WRAP"
+      });
+      const typedResult = result as { name: string };
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Set layout mode of frame "${typedResult.name}" to ${layoutMode}${layoutWrap ? ` with ${layoutWrap}` : ''}`,
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error setting layout mode: ${formatError(error)}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+// Set Padding Tool
+server.tool(
+  "set_padding",
+  "Set padding values for an auto-layout frame in Figma",
+  {
+    nodeId: z.string().describe("The ID of the frame to modify"),
+    paddingTop: z.number().optional().describe("Top padding value"),
+    paddingRight: z.number().optional().describe("Right padding value"),
+    paddingBottom: z.number().optional().describe("Bottom padding value"),
+    paddingLeft: z.number().optional().describe("Left padding value"),
+  },
+  async ({ nodeId, paddingTop, paddingRight, paddingBottom, paddingLeft }) => {
+    try {
+      const result = await sendCommandToFigma("set_padding", {
+        nodeId,
+        paddingTop,
+        paddingRight,
+        paddingBottom,
+        paddingLeft,
+      });
+      const typedResult = result as { name: string };
+
+      // Create a message about which padding values were set
+      const paddingMessages = [];
+      if (paddingTop !== undefined) paddingMessages.push(`top: ${paddingTop}`);
+      if (paddingRight !== undefined) paddingMessages.push(`right: ${paddingRight}`);
+      if (paddingBottom !== undefined) paddingMessages.push(`bottom: ${paddingBottom}`);
+      if (paddingLeft !== undefined) paddingMessages.push(`left: ${paddingLeft}`);
+
+      const paddingText = paddingMessages.length > 0
+        ? `padding (${paddingMessages.join(', ')})`
+        : "padding";
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Set ${paddingText} for frame "${typedResult.name}"`,
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error setting padding: ${formatError(error)}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+// Set Axis Align Tool
+server.tool(
+  "set_axis_align",
+  "Set primary and counter axis alignment for an auto-layout frame in Figma",
+  {
+    nodeId: z.string().describe("The ID of the frame to modify"),
+    primaryAxisAlignItems: z
+      .enum(["MIN", "MAX", "CENTER", "SPACE_BETWEEN"])
+      .optional()
+      .describe("Primary axis alignment (MIN/MAX = left/right in horizontal, top/bottom in vertical). Note: When set to SPACE_BETWEEN, itemSpacing will be ignored as children will be evenly spaced."),
+    counterAxisAlignItems: z
+      .enum(["MIN", "MAX", "CENTER", "BASELINE"])
+      .optional()
+      .describe("Counter axis alignment (MIN/MAX = top/bottom in horizontal, left/right in vertical)")
+  },
+  async ({ nodeId, primaryAxisAlignItems, counterAxisAlignItems }) => {
+    try {
+      const result = await sendCommandToFigma("set_axis_align", {
+        nodeId,
+        primaryAxisAlignItems,
+        counterAxisAlignItems
+      });
+      const typedResult = result as { name: string };
+
+      // Create a message about which alignments were set
+      const alignMessages = [];
+      if (primaryAxisAlignItems !== undefined) alignMessages.push(`primary: ${primaryAxisAlignItems}`);
+      if (counterAxisAlignItems !== undefined) alignMessages.push(`counter: ${counterAxisAlignItems}`);
+
+      const alignText = alignMessages.length > 0
+        ? `axis alignment (${alignMessages.join(', ')})`
+        : "axis alignment";
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Set ${alignText} for frame "${typedResult.name}"`,
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error setting axis alignment: ${formatError(error)}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+// Set Layout Sizing Tool
+server.tool(
+  "set_layout_sizing",
+  "Set horizontal and vertical sizing modes for an auto-layout frame in Figma",
+  {
+    nodeId: z.string().describe("The ID of the frame to modify"),
+    layoutSizingHorizontal: z
+      .enum(["FIXED", "HUG", "FILL"])
+      .optional()
+      .describe("Horizontal sizing mode (HUG for frames/text only, FILL for auto-layout children only)"),
+    layoutSizingVertical: z
+      .enum(["FIXED", "HUG", "FILL"])
+      .optional()
+      .describe("Vertical sizing mode (HUG for frames/text only, FILL for auto-layout children only)")
+  },
+  async ({ nodeId, layoutSizingHorizontal, layoutSizingVertical }) => {
+    try {
+      const result = await sendCommandToFigma("set_layout_sizing", {
+        nodeId,
+        layoutSizingHorizontal,
+        layoutSizingVertical
+      });
+      const typedResult = result as { name: string };
+
+      // Create a message about which sizing modes were set
+      const sizingMessages = [];
+      if (layoutSizingHorizontal !== undefined) sizingMessages.push(`horizontal: ${layoutSizingHorizontal}`);
+      if (layoutSizingVertical !== undefined) sizingMessages.push(`vertical: ${layoutSizingVertical}`);
+
+      const sizingText = sizingMessages.length > 0
+        ? `layout sizing (${sizingMessages.join(', ')})`
+        : "layout sizing";
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Set ${sizingText} for frame "${typedResult.name}"`,
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error setting layout sizing: ${formatError(error)}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+// Set Item Spacing Tool
+server.tool(
+  "set_item_spacing",
+  "Set distance between children in an auto-layout frame",
+  {
+    nodeId: z.string().describe("The ID of the frame to modify"),
+    itemSpacing: z.number().describe("Distance between children. Note: This value will be ignored if primaryAxisAlignItems is set to SPACE_BETWEEN.")
+  },
+  async ({ nodeId, itemSpacing }) => {
+    try {
+      const result = await sendCommandToFigma("set_item_spacing", {
+        nodeId,
+        itemSpacing
+      });
+      const typedResult = result as { name: string };
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Set item spacing to ${itemSpacing} for frame "${typedResult.name}"`,
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error setting item spacing: ${formatError(error)}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+// Create Grid Frame Tool
+server.tool(
+  "create_grid_frame",
+  "Create a frame with a visible pixel grid, centered in the Figma viewport",
+  {
+    width: z.number().positive().optional().describe("Width of the frame (default: 1200)"),
+    height: z.number().positive().optional().describe("Height of the frame (default: 900)"),
+    gridSize: z.number().positive().optional().describe("Size of each grid cell in pixels (default: 8)"),
+  },
+  async ({ width, height, gridSize }) => {
+    try {
+      const result = await sendCommandToFigma("create_grid_frame", {
+        width,
+        height,
+        gridSize,
+      });
+      const typedResult = result as { frame: { id: string; name: string; width: number; height: number; gridSize: number } };
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Created grid frame "${typedResult.frame.name}" with ID: ${typedResult.frame.id} (${typedResult.frame.width}x${typedResult.frame.height}, grid ${typedResult.frame.gridSize}px)`,
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error creating grid frame: ${formatError(error)}`,
+          },
+        ],
+        isError: true,
+      };
+    }
   }
 );
 
-// Set Layout Mode Tool
+// Convert To Frame Tool
 server.tool(
-  "set_layout_mode",
-  "Set the layout mode and wrap behavior of a frame in Figma",
+  "convert_to_frame",
+  "Wrap a node in a square, centered auto-layout sprite frame with a pixel grid. Uses the current selection when nodeId is omitted.",
   {
-    nodeId: z.string().describe("The ID of the frame to modify"),
-    layoutMode: z.enum(["NONE", "HORIZONTAL", "VERTICAL"]).describe("Layout mode for the frame"),
-    layoutWrap: z.enum(["NO_WRAP", "WRAP"]).optional().describe("Whether the auto-layout frame wraps its children")
+    nodeId: z.string().optional().describe("ID of the node to wrap (defaults to the first selected node)"),
+    gridSize: z.number().positive().optional().describe("Size of each grid cell in pixels (default: 8)"),
   },
-  async ({ nodeId, layoutMode, layoutWrap }) => {
+  async ({ nodeId, gridSize }) => {
     try {
-      const result = await sendCommandToFigma("set_layout_mode", {
+      const result = await sendCommandToFigma("convert_to_frame", {
         nodeId,
-        layoutMode,
-        layoutWrap: layoutWrap || "NO_WRAP"
+        gridSize,
       });
-      const typedResult = result as { name: string };
       return {
         content: [
           {
             type: "text",
-            text: `Set layout mode of frame "${typedResult.name}" to ${layoutMode}${layoutWrap ? ` with ${layoutWrap}` : ''}`,
+            text: JSON.stringify(result),
           },
         ],
       };
@@ -1956,52 +3746,38 @@ server.tool(
         content: [
           {
             type: "text",
-            text: `Error setting layout mode: ${error instanceof Error ? error.message : String(error)}`,
+            text: `Error converting to frame: ${formatError(error)}`,
           },
         ],
+        isError: true,
       };
     }
   }
 );
 
-// Set Padding Tool
+// Create Atlas Tool
 server.tool(
-  "set_padding",
-  "Set padding values for an auto-layout frame in Figma",
+  "create_atlas",
+  "Pack frames into a single sprite atlas frame and return the atlas JSON (free-tex-packer format). Uses the current selection when nodeIds is omitted.",
   {
-    nodeId: z.string().describe("The ID of the frame to modify"),
-    paddingTop: z.number().optional().describe("Top padding value"),
-    paddingRight: z.number().optional().describe("Right padding value"),
-    paddingBottom: z.number().optional().describe("Bottom padding value"),
-    paddingLeft: z.number().optional().describe("Left padding value"),
+    nodeIds: z
+      .array(z.string())
+      .min(2)
+      .optional()
+      .describe("IDs of the frames to pack (at least 2; defaults to the current selection)"),
+    gridSize: z.number().positive().optional().describe("Grid size frame dimensions and positions are snapped to (default: 8)"),
   },
-  async ({ nodeId, paddingTop, paddingRight, paddingBottom, paddingLeft }) => {
+  async ({ nodeIds, gridSize }) => {
     try {
-      const result = await sendCommandToFigma("set_padding", {
-        nodeId,
-        paddingTop,
-        paddingRight,
-        paddingBottom,
-        paddingLeft,
+      const result = await sendCommandToFigma("create_atlas", {
+        nodeIds,
+        gridSize,
       });
-      const typedResult = result as { name: string };
-
-      // Create a message about which padding values were set
-      const paddingMessages = [];
-      if (paddingTop !== undefined) paddingMessages.push(`top: ${paddingTop}`);
-      if (paddingRight !== undefined) paddingMessages.push(`right: ${paddingRight}`);
-      if (paddingBottom !== undefined) paddingMessages.push(`bottom: ${paddingBottom}`);
-      if (paddingLeft !== undefined) paddingMessages.push(`left: ${paddingLeft}`);
-
-      const paddingText = paddingMessages.length > 0
-        ? `padding (${paddingMessages.join(', ')})`
-        : "padding";
-
       return {
         content: [
           {
             type: "text",
-            text: `Set ${paddingText} for frame "${typedResult.name}"`,
+            text: JSON.stringify(result),
           },
         ],
       };
@@ -2010,52 +3786,124 @@ server.tool(
         content: [
           {
             type: "text",
-            text: `Error setting padding: ${error instanceof Error ? error.message : String(error)}`,
+            text: `Error creating atlas: ${formatError(error)}`,
           },
         ],
+        isError: true,
       };
     }
   }
 );
 
-// Set Axis Align Tool
+// Snap To Grid Tool
 server.tool(
-  "set_axis_align",
-  "Set primary and counter axis alignment for an auto-layout frame in Figma",
+  "snap_to_grid",
+  "Snap node positions to the nearest grid point. Uses the current selection when nodeIds is omitted.",
   {
-    nodeId: z.string().describe("The ID of the frame to modify"),
-    primaryAxisAlignItems: z
-      .enum(["MIN", "MAX", "CENTER", "SPACE_BETWEEN"])
+    nodeIds: z
+      .array(z.string())
       .optional()
-      .describe("Primary axis alignment (MIN/MAX = left/right in horizontal, top/bottom in vertical). Note: When set to SPACE_BETWEEN, itemSpacing will be ignored as children will be evenly spaced."),
-    counterAxisAlignItems: z
-      .enum(["MIN", "MAX", "CENTER", "BASELINE"])
-      .optional()
-      .describe("Counter axis alignment (MIN/MAX = top/bottom in horizontal, left/right in vertical)")
+      .describe("IDs of the nodes to snap (defaults to the current selection)"),
+    gridSize: z.number().positive().optional().describe("Grid size in pixels (default: 32)"),
   },
-  async ({ nodeId, primaryAxisAlignItems, counterAxisAlignItems }) => {
+  async ({ nodeIds, gridSize }) => {
     try {
-      const result = await sendCommandToFigma("set_axis_align", {
-        nodeId,
-        primaryAxisAlignItems,
-        counterAxisAlignItems
+      const result = await sendCommandToFigma("snap_to_grid", {
+        nodeIds,
+        gridSize,
       });
-      const typedResult = result as { name: string };
-
-      // Create a message about which alignments were set
-      const alignMessages = [];
-      if (primaryAxisAlignItems !== undefined) alignMessages.push(`primary: ${primaryAxisAlignItems}`);
-      if (counterAxisAlignItems !== undefined) alignMessages.push(`counter: ${counterAxisAlignItems}`);
+      const typedResult = result as { snappedCount: number; nodes: Array<any> };
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Snapped ${typedResult.snappedCount} nodes to grid: ${JSON.stringify(typedResult.nodes)}`,
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error snapping to grid: ${formatError(error)}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
 
-      const alignText = alignMessages.length > 0
-        ? `axis alignment (${alignMessages.join(', ')})`
-        : "axis alignment";
+// Export Phaser Map Tool
+server.tool(
+  "export_phaser_map",
+  "Generate a Phaser/Tiled tilemap JSON from a frame and render it as a terminal-style frame on the canvas. Uses the first selected frame when nodeId is omitted.",
+  {
+    nodeId: z.string().optional().describe("ID of the frame to export (defaults to the first selected node)"),
+    tileWidth: z.number().positive().describe("Tile width in pixels"),
+    tileHeight: z.number().positive().describe("Tile height in pixels"),
+    tilesetName: z.string().describe("Name of the tileset (also used as the tileset image name)"),
+    mapName: z.string().describe("Name of the map"),
+  },
+  async ({ nodeId, tileWidth, tileHeight, tilesetName, mapName }) => {
+    try {
+      const result = await sendCommandToFigma("export_phaser_map", {
+        nodeId,
+        tileWidth,
+        tileHeight,
+        tilesetName,
+        mapName,
+      });
+      const typedResult = result as { mapData: any };
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(typedResult.mapData),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error exporting Phaser map: ${formatError(error)}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
 
+// Generate Tiles Tool
+server.tool(
+  "generate_tiles",
+  "Generate a wrapping auto-layout frame filled with a grid of rectangle tiles",
+  {
+    tileWidth: z.number().positive().describe("Tile width in pixels"),
+    tileHeight: z.number().positive().describe("Tile height in pixels"),
+    columns: z.number().int().positive().describe("Number of tile columns"),
+    rows: z.number().int().positive().describe("Number of tile rows"),
+    spacing: z.number().min(0).optional().describe("Spacing between tiles in pixels (default: 0)"),
+  },
+  async ({ tileWidth, tileHeight, columns, rows, spacing }) => {
+    try {
+      const result = await sendCommandToFigma("generate-tiles", {
+        tileWidth,
+        tileHeight,
+        columns,
+        rows,
+        spacing: spacing || 0,
+      });
+      const typedResult = result as { frame: { id: string; name: string } };
       return {
         content: [
           {
             type: "text",
-            text: `Set ${alignText} for frame "${typedResult.name}"`,
+            text: `Generated ${columns * rows} tiles in frame "${typedResult.frame.name}" with ID: ${typedResult.frame.id}`,
           },
         ],
       };
@@ -2064,52 +3912,128 @@ server.tool(
         content: [
           {
             type: "text",
-            text: `Error setting axis alignment: ${error instanceof Error ? error.message : String(error)}`,
+            text: `Error generating tiles: ${formatError(error)}`,
           },
         ],
+        isError: true,
       };
     }
   }
 );
 
-// Set Layout Sizing Tool
+// Export Tile Map Tool
 server.tool(
-  "set_layout_sizing",
-  "Set horizontal and vertical sizing modes for an auto-layout frame in Figma",
+  "export_tile_map",
+  "Export a frame as a Tiled map JSON with an empty ground layer and a collision object per child. Uses the selected frame when nodeId is omitted.",
   {
-    nodeId: z.string().describe("The ID of the frame to modify"),
-    layoutSizingHorizontal: z
-      .enum(["FIXED", "HUG", "FILL"])
-      .optional()
-      .describe("Horizontal sizing mode (HUG for frames/text only, FILL for auto-layout children only)"),
-    layoutSizingVertical: z
-      .enum(["FIXED", "HUG", "FILL"])
-      .optional()
-      .describe("Vertical sizing mode (HUG for frames/text only, FILL for auto-layout children only)")
+    nodeId: z.string().optional().describe("ID of the frame to export (defaults to the selected frame)"),
+    tileSize: z.number().positive().optional().describe("Tile size in pixels (default: 32)"),
   },
-  async ({ nodeId, layoutSizingHorizontal, layoutSizingVertical }) => {
+  async ({ nodeId, tileSize }) => {
     try {
-      const result = await sendCommandToFigma("set_layout_sizing", {
+      const result = await sendCommandToFigma("export-tile-map", {
         nodeId,
-        layoutSizingHorizontal,
-        layoutSizingVertical
+        tileSize,
       });
-      const typedResult = result as { name: string };
+      const typedResult = result as { mapData: any };
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(typedResult.mapData),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error exporting tile map: ${formatError(error)}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
 
-      // Create a message about which sizing modes were set
-      const sizingMessages = [];
-      if (layoutSizingHorizontal !== undefined) sizingMessages.push(`horizontal: ${layoutSizingHorizontal}`);
-      if (layoutSizingVertical !== undefined) sizingMessages.push(`vertical: ${layoutSizingVertical}`);
+// Begin Transaction Tool
+server.tool(
+  "begin_transaction",
+  "Start a transaction in Figma. Nodes touched by the following commands are snapshotted, created nodes are tracked and deletions are deferred until commit_transaction, which records the whole batch as a single undo step. Use rollback_transaction to revert the batch instead. Only one transaction can be open at a time, and only the connection that opened it can send commands until it ends. The plugin rolls it back when that connection drops, when the plugin closes, or after timeoutSeconds without a command.",
+  {
+    name: z.string().optional().describe("Optional label for the transaction, e.g. the component being built"),
+    timeoutSeconds: z.number().positive().optional().describe("Roll the transaction back after this many seconds without a command (default: 300)"),
+  },
+  async ({ name, timeoutSeconds }) => {
+    try {
+      const result = await sendCommandToFigma("begin_transaction", { name, timeoutSeconds });
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error beginning transaction: ${formatError(error)}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
 
-      const sizingText = sizingMessages.length > 0
-        ? `layout sizing (${sizingMessages.join(', ')})`
-        : "layout sizing";
+// Commit Transaction Tool
+server.tool(
+  "commit_transaction",
+  "Commit the open transaction: apply deferred deletions and close the undo step, so the designer can undo the whole batch at once",
+  {},
+  async () => {
+    try {
+      const result = await sendCommandToFigma("commit_transaction", {});
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error committing transaction: ${formatError(error)}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
 
+// Rollback Transaction Tool
+server.tool(
+  "rollback_transaction",
+  "Roll back the open transaction: remove nodes, variables, collections and styles created since begin_transaction, restore deleted nodes, rebuild frames made into components and detached instances (under new ids, listed in rebuiltNodeIds), swap instances back to their component with their property values and overrides, put touched nodes back to their snapshotted parent, position, properties, styles and variable bindings, and restore edited variables. Anything that could not be restored is listed in errors",
+  {},
+  async () => {
+    try {
+      const result = await sendCommandToFigma("rollback_transaction", {});
       return {
         content: [
           {
             type: "text",
-            text: `Set ${sizingText} for frame "${typedResult.name}"`,
+            text: JSON.stringify(result),
           },
         ],
       };
@@ -2118,46 +4042,68 @@ server.tool(
         content: [
           {
             type: "text",
-            text: `Error setting layout sizing: ${error instanceof Error ? error.message : String(error)}`,
+            text: `Error rolling back transaction: ${formatError(error)}`,
           },
         ],
+        isError: true,
       };
     }
   }
 );
 
-// Set Item Spacing Tool
+// Tool names that differ from the plugin command they send
+const BATCH_COMMAND_ALIASES: Record<string, string> = {
+  generate_tiles: "generate-tiles",
+  export_tile_map: "export-tile-map",
+};
+
+// Execute Batch Tool
 server.tool(
-  "set_item_spacing",
-  "Set distance between children in an auto-layout frame",
+  "execute_batch",
+  "Run several Figma commands in order in a single round trip. Step params are passed to the plugin as-is, and a string of the form \"$stepN.path\" (steps numbered from 1) is replaced by that value from an earlier step's result, e.g. \"$step1.id\" as a parentId. Returns a result or structured error for every step.",
   {
-    nodeId: z.string().describe("The ID of the frame to modify"),
-    itemSpacing: z.number().describe("Distance between children. Note: This value will be ignored if primaryAxisAlignItems is set to SPACE_BETWEEN.")
+    steps: z
+      .array(
+        z.object({
+          command: z.string().describe("Command or tool name to run, e.g. create_frame"),
+          params: z.record(z.any()).optional().describe("Parameters for the command"),
+        })
+      )
+      .min(1)
+      .describe("Ordered steps to run"),
+    onError: z
+      .enum(["stop", "continue"])
+      .optional()
+      .describe("Stop at the first failed step and skip the rest (default), or continue with the remaining steps"),
   },
-  async ({ nodeId, itemSpacing }) => {
+  async ({ steps, onError }) => {
     try {
-      const result = await sendCommandToFigma("set_item_spacing", {
-        nodeId,
-        itemSpacing
-      });
-      const typedResult = result as { name: string };
-
+      const result = (await sendCommandToFigma("execute_batch", {
+        steps: steps.map((step) => ({
+          ...step,
+          command: BATCH_COMMAND_ALIASES[step.command] || step.command,
+        })),
+        onError,
+      })) as { failedSteps: number };
       return {
         content: [
           {
             type: "text",
-            text: `Set item spacing to ${itemSpacing} for frame "${typedResult.name}"`,
+            text: JSON.stringify(result),
           },
         ],
+        // Failed steps are listed in the result; flag the call so they are not missed
+        isError: result.failedSteps > 0,
       };
     } catch (error) {
       return {
         content: [
           {
             type: "text",
-            text: `Error setting item spacing: ${error instanceof Error ? error.message : String(error)}`,
+            text: `Error executing batch: ${formatError(error)}`,
           },
         ],
+        isError: true,
       };
     }
   }
@@ -2166,6 +4112,8 @@ server.tool(
 // Define command types and parameters
 type FigmaCommand =
   | "get_document_info"
+  | "get_page"
+  | "set_current_page"
   | "get_selection"
   | "get_node_info"
   | "get_nodes_info"
@@ -2173,20 +4121,46 @@ type FigmaCommand =
   | "create_rectangle"
   | "create_frame"
   | "create_text"
+  | "create_from_spec"
   | "set_fill_color"
   | "set_stroke_color"
+  | "set_paints"
   | "move_node"
   | "resize_node"
   | "delete_node"
   | "delete_multiple_nodes"
   | "get_styles"
+  | "apply_style"
+  | "create_style"
+  | "export_design_tokens"
+  | "get_variables"
+  | "create_variable_collection"
+  | "create_variable"
+  | "update_variable"
+  | "bind_variable"
+  | "set_variable_mode"
   | "get_local_components"
   | "create_component_instance"
+  | "create_component"
+  | "combine_as_variants"
+  | "add_component_property"
+  | "set_instance_properties"
+  | "swap_component"
+  | "reset_overrides"
+  | "detach_instance"
   | "export_node_as_image"
+  | "serialize_node"
+  | "deserialize_node"
   | "join"
   | "set_corner_radius"
+  | "set_effects"
   | "clone_node"
   | "set_text_content"
+  | "set_text_style"
+  | "set_text_markdown"
+  | "list_available_fonts"
+  | "find_missing_fonts"
+  | "replace_fonts"
   | "scan_text_nodes"
   | "set_multiple_text_contents"
   | "get_annotations"
@@ -2197,24 +4171,42 @@ type FigmaCommand =
   | "set_padding"
   | "set_axis_align"
   | "set_layout_sizing"
-  | "set_item_spacing";
+  | "set_item_spacing"
+  | "create_grid_frame"
+  | "convert_to_frame"
+  | "create_atlas"
+  | "snap_to_grid"
+  | "export_phaser_map"
+  | "generate-tiles"
+  | "export-tile-map"
+  | "begin_transaction"
+  | "commit_transaction"
+  | "rollback_transaction"
+  | "execute_batch";
 
 // Update the connectToFigma function
-function connectToFigma(port: number = 3055) {
+function connectToFigma(wsUrl: string = WS_URL) {
   // If already connected, do nothing
   if (ws && ws.readyState === WebSocket.OPEN) {
     logger.info('Already connected to Figma');
     return;
   }
 
-  const wsUrl = serverUrl === 'localhost' ? `${WS_URL}:${port}` : WS_URL;
   logger.info(`Connecting to Figma socket server at ${wsUrl}...`);
-  ws = new WebSocket(wsUrl);
+  ws = new WebSocket(wsUrl, relayTlsCa ? { ca: relayTlsCa } : undefined);
 
   ws.on('open', () => {
     logger.info('Connected to Figma socket server');
     // Reset channel on new connection
     currentChannel = null;
+
+    if (lastJoin) {
+      const { channel, token } = lastJoin;
+      logger.info(`Rejoining channel: ${channel}`);
+      joinChannel(channel, token).catch(() => {
+        // joinChannel already logged the failure; the agent can join again manually
+      });
+    }
   });
 
   ws.on("message", (data: any) => {
@@ -2229,6 +4221,23 @@ function connectToFigma(port: number = 3055) {
 
       const json = JSON.parse(data) as ProgressMessage;
 
+      // Handle errors raised by the relay itself (e.g. a rejected join)
+      if (json.type === 'error') {
+        const requestId = json.id || '';
+        logger.error(`Relay error: ${typeof json.message === 'string' ? json.message : JSON.stringify(json.message)}`);
+        if (requestId && pendingRequests.has(requestId)) {
+          const request = pendingRequests.get(requestId)!;
+          clearTimeout(request.timeout);
+          pendingRequests.delete(requestId);
+          request.reject(new FigmaCommandError({
+            code: json.code || "relay_error",
+            message: String(json.message),
+            command: request.command,
+          }));
+        }
+        return;
+      }
+
       // Handle progress updates
       if (json.type === 'progress_update') {
         const progressData = json.message.data as CommandProgressUpdate;
@@ -2250,7 +4259,7 @@ function connectToFigma(port: number = 3055) {
               pendingRequests.delete(requestId);
               request.reject(new Error('Request to Figma timed out'));
             }
-          }, 60000); // 60 second timeout for inactivity
+          }, commandTimeoutMs * 2); // Longer timeout for inactivity between updates
 
           // Log progress
           logger.info(`Progress update for ${progressData.commandType}: ${progressData.progress}% - ${progressData.message}`);
@@ -2273,22 +4282,22 @@ function connectToFigma(port: number = 3055) {
       logger.debug(`Received message: ${JSON.stringify(myResponse)}`);
       logger.log('myResponse' + JSON.stringify(myResponse));
 
-      // Handle response to a request
+      // Handle response to a request (results may legitimately be falsy)
       if (
+        myResponse &&
         myResponse.id &&
         pendingRequests.has(myResponse.id) &&
-        myResponse.result
+        ("result" in myResponse || "error" in myResponse)
       ) {
         const request = pendingRequests.get(myResponse.id)!;
         clearTimeout(request.timeout);
 
         if (myResponse.error) {
-          logger.error(`Error from Figma: ${myResponse.error}`);
-          request.reject(new Error(myResponse.error));
+          const error = FigmaCommandError.fromResponse(myResponse.error, request.command);
+          logger.error(`Error from Figma: ${formatError(error)}`);
+          request.reject(error);
         } else {
-          if (myResponse.result) {
-            request.resolve(myResponse.result);
-          }
+          request.resolve(myResponse.result);
         }
 
         pendingRequests.delete(myResponse.id);
@@ -2318,19 +4327,20 @@ function connectToFigma(port: number = 3055) {
 
     // Attempt to reconnect
     logger.info('Attempting to reconnect in 2 seconds...');
-    setTimeout(() => connectToFigma(port), 2000);
+    setTimeout(() => connectToFigma(wsUrl), 2000);
   });
 }
 
 // Function to join a channel
-async function joinChannel(channelName: string): Promise<void> {
+async function joinChannel(channelName: string, token: string | undefined = channelToken): Promise<void> {
   if (!ws || ws.readyState !== WebSocket.OPEN) {
     throw new Error("Not connected to Figma");
   }
 
   try {
-    await sendCommandToFigma("join", { channel: channelName });
+    await sendCommandToFigma("join", { channel: channelName, token });
     currentChannel = channelName;
+    lastJoin = { channel: channelName, token };
     logger.info(`Joined channel: ${channelName}`);
   } catch (error) {
     logger.error(`Failed to join channel: ${error instanceof Error ? error.message : String(error)}`);
@@ -2342,7 +4352,7 @@ async function joinChannel(channelName: string): Promise<void> {
 function sendCommandToFigma(
   command: FigmaCommand,
   params: unknown = {},
-  timeoutMs: number = 30000
+  timeoutMs: number = commandTimeoutMs
 ): Promise<unknown> {
   return new Promise((resolve, reject) => {
     // If not connected, try to connect first
@@ -2364,13 +4374,15 @@ function sendCommandToFigma(
       id,
       type: command === "join" ? "join" : "message",
       ...(command === "join"
-        ? { channel: (params as any).channel }
+        ? { channel: (params as any).channel, token: (params as any).token }
         : { channel: currentChannel }),
       message: {
         id,
         command,
         params: {
-          ...(params as any),
+          ...(command === "join"
+            ? { channel: (params as any).channel }
+            : (params as any)),
           commandId: id, // Include the command ID in params
         },
       },
@@ -2381,12 +4393,13 @@ function sendCommandToFigma(
       if (pendingRequests.has(id)) {
         pendingRequests.delete(id);
         logger.error(`Request ${id} to Figma timed out after ${timeoutMs / 1000} seconds`);
-        reject(new Error('Request to Figma timed out'));
+        reject(new FigmaCommandError({ code: "timeout", message: 'Request to Figma timed out', command }));
       }
     }, timeoutMs);
 
     // Store the promise callbacks to resolve/reject later
     pendingRequests.set(id, {
+      command,
       resolve,
       reject,
       timeout,
@@ -2395,7 +4408,8 @@ function sendCommandToFigma(
 
     // Send the request
     logger.info(`Sending command to Figma: ${command}`);
-    logger.debug(`Request details: ${JSON.stringify(request)}`);
+    // Keep channel tokens out of the logs
+    logger.debug(`Request details: ${JSON.stringify({ ...request, token: undefined })}`);
     ws.send(JSON.stringify(request));
   });
 }
@@ -2406,8 +4420,12 @@ server.tool(
   "Join a specific channel to communicate with Figma",
   {
     channel: z.string().describe("The name of the channel to join").default(""),
+    token: z
+      .string()
+      .optional()
+      .describe("Token for the channel, as shown in the Figma plugin (defaults to --token or TALK_TO_FIGMA_TOKEN)"),
   },
-  async ({ channel }) => {
+  async ({ channel, token }) => {
     try {
       if (!channel) {
         // If no channel provided, ask the user for input
@@ -2425,7 +4443,7 @@ server.tool(
         };
       }
 
-      await joinChannel(channel);
+      await joinChannel(channel, token ?? channelToken);
       return {
         content: [
           {
@@ -2439,10 +4457,11 @@ server.tool(
         content: [
           {
             type: "text",
-            text: `Error joining channel: ${error instanceof Error ? error.message : String(error)
+            text: `Error joining channel: ${formatError(error)
               }`,
           },
         ],
+        isError: true,
       };
     }
   }
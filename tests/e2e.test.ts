@@ -0,0 +1,213 @@
+import { afterAll, beforeAll, describe, expect, test } from "bun:test";
+import { startStack, waitFor, type E2eStack } from "./support/e2e";
+import type { FakeFrameNode, FakeTextNode } from "./support/fake-figma";
+
+// MCP server ↔ relay ↔ simulated plugin, all over real sockets and stdio.
+// A short command timeout keeps the timeout and progress cases fast.
+const COMMAND_TIMEOUT_MS = 1000;
+
+let stack: E2eStack;
+
+beforeAll(async () => {
+  stack = await startStack({ serverArgs: [`--timeout=${COMMAND_TIMEOUT_MS}`] });
+}, 20000);
+
+afterAll(async () => {
+  await stack?.stop();
+});
+
+describe("MCP server ↔ relay ↔ plugin", () => {
+  test("tool calls round-trip to the plugin", async () => {
+    const result = await stack.mcp.callTool("create_rectangle", {
+      x: 10,
+      y: 20,
+      width: 30,
+      height: 40,
+      name: "Box",
+    });
+
+    expect(result.isError).toBe(false);
+    const [rect] = stack.plugin.figma.currentPage.children;
+    expect(result.text).toContain(rect.id);
+    expect([rect.name, rect.x, rect.y, rect.width, rect.height]).toEqual(["Box", 10, 20, 30, 40]);
+  });
+
+  test("plugin results come back as tool output", async () => {
+    const frame = stack.plugin.figma.createFrame();
+    frame.name = "Hero";
+
+    const result = await stack.mcp.callTool("get_node_info", { nodeId: frame.id });
+
+    expect(result.isError).toBe(false);
+    expect(JSON.parse(result.text)).toMatchObject({ id: frame.id, name: "Hero", type: "FRAME" });
+  });
+
+  test("node info options reach the plugin and survive the server's filtering", async () => {
+    const { figma } = stack.plugin;
+    const frame = figma.createFrame() as FakeFrameNode;
+    frame.layoutMode = "VERTICAL";
+    frame.appendChild(figma.createRectangle());
+    frame.appendChild(figma.createRectangle());
+
+    const shallow = await stack.mcp.callTool("get_node_info", { nodeId: frame.id, depth: 0 });
+    const page = await stack.mcp.callTool("get_nodes_info", { nodeIds: [frame.id], maxNodes: 2 });
+    const rest = await stack.mcp.callTool("get_nodes_info", {
+      nodeIds: [frame.id],
+      maxNodes: 2,
+      cursor: JSON.parse(page.text).nextCursor,
+    });
+
+    expect(JSON.parse(shallow.text)).toMatchObject({
+      id: frame.id,
+      childCount: 2,
+      layoutMode: "VERTICAL",
+      itemSpacing: 0,
+    });
+    expect(JSON.parse(page.text).nodes[0].children).toHaveLength(1);
+    expect(JSON.parse(rest.text)).toMatchObject({
+      nodes: [{ type: "RECTANGLE", parentId: frame.id, index: 1, layoutSizingVertical: "FIXED" }],
+      nextCursor: null,
+    });
+  });
+
+  test("plugin errors surface as isError results with their code", async () => {
+    const result = await stack.mcp.callTool("move_node", { nodeId: "9:999", x: 0, y: 0 });
+
+    expect(result.isError).toBe(true);
+    expect(result.text).toContain("Node not found with ID: 9:999");
+    expect(result.text).toContain("code: not_found");
+  });
+
+  test("progress updates keep long-running commands alive", async () => {
+    const { figma } = stack.plugin;
+    await figma.loadFontAsync({ family: "Inter", style: "Regular" });
+    const frame = figma.createFrame() as FakeFrameNode;
+    for (let index = 0; index < 15; index++) {
+      const text = figma.createText() as FakeTextNode;
+      text.characters = `Label ${index}`;
+      frame.appendChild(text);
+    }
+
+    // Scanning takes longer than the command timeout; only progress updates
+    // routed back through the relay keep the request from timing out
+    const started = Date.now();
+    const result = await stack.mcp.callTool("scan_text_nodes", { nodeId: frame.id });
+
+    expect(Date.now() - started).toBeGreaterThan(COMMAND_TIMEOUT_MS);
+    expect(result.isError).toBe(false);
+    expect(result.text).toContain("Found 15 text nodes");
+  }, 15000);
+
+  test("batches run in one round trip and flag failed steps", async () => {
+    const received = stack.plugin.received.length;
+
+    const result = await stack.mcp.callTool("execute_batch", {
+      onError: "continue",
+      steps: [
+        { command: "create_frame", params: { name: "Screen" } },
+        { command: "create_text", params: { text: "Title", parentId: "$step1.id" } },
+        { command: "delete_node", params: { nodeId: "9:999" } },
+      ],
+    });
+
+    expect(stack.plugin.received.length - received).toBe(1);
+    expect(result.isError).toBe(true);
+    const batch = JSON.parse(result.text);
+    expect(batch).toMatchObject({ succeededSteps: 2, failedSteps: 1 });
+    const screen = stack.plugin.figma.currentPage.children.find((node) => node.name === "Screen") as FakeFrameNode;
+    expect(screen.children.map((child) => child.name)).toEqual(["Title"]);
+  });
+
+  test("spec trees are validated by the server and built by the plugin", async () => {
+    const received = stack.plugin.received.length;
+    await expect(
+      stack.mcp.callTool("create_from_spec", { spec: { type: "FRAME", children: [{ type: "CIRCLE" }] } })
+    ).rejects.toThrow("Invalid arguments for tool create_from_spec");
+    expect(stack.plugin.received.length).toBe(received);
+
+    const result = await stack.mcp.callTool("create_from_spec", {
+      spec: { type: "FRAME", key: "list", layoutMode: "VERTICAL", children: [{ type: "TEXT", text: "Item" }] },
+    });
+
+    expect(result.isError).toBe(false);
+    const { nodeIds } = JSON.parse(result.text);
+    const list = (await stack.plugin.figma.getNodeByIdAsync(nodeIds.list)) as FakeFrameNode;
+    expect(list.children.map((child) => child.id)).toEqual([nodeIds["root.0"]]);
+  });
+
+  test("serialized subtrees can be rebuilt through the tools", async () => {
+    const { figma } = stack.plugin;
+    const frame = figma.createFrame();
+    frame.name = "Original";
+    frame.appendChild(figma.createEllipse());
+
+    const serialized = await stack.mcp.callTool("serialize_node", { nodeId: frame.id });
+    const rebuilt = await stack.mcp.callTool("deserialize_node", { data: serialized.text, x: 500 });
+
+    expect(rebuilt.isError).toBe(false);
+    const { id } = JSON.parse(rebuilt.text);
+    const copy = (await figma.getNodeByIdAsync(id)) as FakeFrameNode;
+    expect([copy.name, copy.x, copy.children[0].type]).toEqual(["Original", 500, "ELLIPSE"]);
+  });
+
+  test("variables can be created and bound through the tools", async () => {
+    const collection = JSON.parse(
+      (await stack.mcp.callTool("create_variable_collection", { name: "Tokens", modes: ["Light", "Dark"] })).text
+    );
+    const base = JSON.parse(
+      (
+        await stack.mcp.callTool("create_variable", {
+          collectionId: collection.id,
+          name: "Ink",
+          resolvedType: "COLOR",
+          values: { Light: { r: 0, g: 0, b: 0 }, Dark: { r: 1, g: 1, b: 1 } },
+        })
+      ).text
+    );
+    const text = await stack.mcp.callTool("create_variable", {
+      collectionId: collection.id,
+      name: "Text",
+      resolvedType: "COLOR",
+      values: { Light: { type: "VARIABLE_ALIAS", id: base.id }, Dark: { type: "VARIABLE_ALIAS", id: base.id } },
+    });
+    const frame = stack.plugin.figma.createFrame();
+
+    const bound = await stack.mcp.callTool("bind_variable", {
+      nodeId: frame.id,
+      property: "fill",
+      variableId: JSON.parse(text.text).id,
+    });
+
+    expect(bound.isError).toBe(false);
+    expect(JSON.parse(bound.text).boundVariables).toEqual({ fills: [JSON.parse(text.text).id] });
+  });
+
+  test("unanswered commands time out", async () => {
+    stack.plugin.paused = true;
+    try {
+      const result = await stack.mcp.callTool("get_selection");
+
+      expect(result.isError).toBe(true);
+      expect(result.text).toContain("Request to Figma timed out");
+      expect(result.text).toContain("code: timeout");
+      expect(stack.plugin.received.at(-1)?.command).toBe("get_selection");
+    } finally {
+      stack.plugin.paused = false;
+    }
+  });
+
+  test("the server reconnects and rejoins its channel after a relay restart", async () => {
+    await stack.relay.stop();
+    await stack.relay.start();
+    await stack.plugin.connect();
+
+    // The server retries every 2 seconds and rejoins the last channel by itself
+    const result = await waitFor(async () => {
+      const selection = await stack.mcp.callTool("get_selection");
+      if (selection.isError) throw new Error(selection.text);
+      return selection;
+    }, 15000, 250);
+
+    expect(JSON.parse(result.text)).toEqual({ selectionCount: 0, selection: [] });
+  }, 20000);
+});
@@ -0,0 +1,2797 @@
+import { beforeEach, describe, expect, test } from "bun:test";
+import { loadPlugin, type LoadedPlugin } from "./support/plugin";
+import { DEFAULT_AVAILABLE_FONTS, type FakeFrameNode, type FakeTextNode } from "./support/fake-figma";
+
+let plugin: LoadedPlugin;
+
+const run = (command: string, params?: unknown) => plugin.handleCommand(command, params);
+
+const progressUpdates = (commandType: string) =>
+  plugin.figma.ui.messages.filter(
+    (message) => message.type === "command_progress" && message.commandType === commandType
+  );
+
+async function createTextNode(characters: string, parent?: FakeFrameNode) {
+  const { figma } = plugin;
+  await figma.loadFontAsync({ family: "Inter", style: "Regular" });
+  const text = figma.createText();
+  text.characters = characters;
+  text.name = characters;
+  if (parent) parent.appendChild(text);
+  return text;
+}
+
+function createAutoLayoutFrame(layoutMode = "VERTICAL") {
+  const frame = plugin.figma.createFrame();
+  frame.layoutMode = layoutMode;
+  return frame;
+}
+
+beforeEach(async () => {
+  plugin = await loadPlugin({ pageNames: ["Home", "Archive"] });
+});
+
+describe("document and pages", () => {
+  test("get_document_info lists every page and the current page's children", async () => {
+    const frame = plugin.figma.createFrame();
+
+    const result = await run("get_document_info");
+
+    expect(result.name).toBe("Home");
+    expect(result.type).toBe("PAGE");
+    expect(result.document).toMatchObject({ name: "Test Document", type: "DOCUMENT" });
+    expect(result.pageCount).toBe(2);
+    expect(result.pages.map((page: any) => page.name)).toEqual(["Home", "Archive"]);
+    expect(result.pages[0].isCurrent).toBe(true);
+    expect(result.children).toEqual([{ id: frame.id, name: "Frame", type: "FRAME" }]);
+  });
+
+  test("get_document_info only loads other pages when child counts are requested", async () => {
+    const archive = plugin.figma.root.children[1];
+    archive.appendChild(plugin.figma.createFrame());
+
+    const summary = await run("get_document_info");
+    expect(archive.loaded).toBe(false);
+    expect(summary.pages[1].childCount).toBeNull();
+
+    const detailed = await run("get_document_info", { includeChildCounts: true });
+    expect(archive.loaded).toBe(true);
+    expect(detailed.pages[1].childCount).toBe(1);
+  });
+
+  test("get_page returns another page's children", async () => {
+    const archive = plugin.figma.root.children[1];
+    const frame = plugin.figma.createFrame();
+    archive.appendChild(frame);
+
+    const result = await run("get_page", { pageId: archive.id });
+
+    expect(result.isCurrent).toBe(false);
+    expect(result.children.map((child: any) => child.id)).toEqual([frame.id]);
+  });
+
+  test("get_page rejects unknown pages", async () => {
+    await expect(run("get_page", { pageId: "1:999" })).rejects.toThrow("Page not found with ID: 1:999");
+  });
+
+  test("set_current_page switches pages", async () => {
+    const archive = plugin.figma.root.children[1];
+
+    const result = await run("set_current_page", { pageId: archive.id });
+
+    expect(result.name).toBe("Archive");
+    expect(plugin.figma.currentPage).toBe(archive);
+  });
+
+  test("set_current_page requires a pageId", async () => {
+    await expect(run("set_current_page", {})).rejects.toThrow("Missing pageId parameter");
+  });
+});
+
+describe("reading nodes", () => {
+  test("get_selection summarizes the selection", async () => {
+    const rect = plugin.figma.createRectangle();
+    plugin.figma.currentPage.selection = [rect];
+
+    const result = await run("get_selection");
+
+    expect(result.selectionCount).toBe(1);
+    expect(result.selection[0]).toEqual({ id: rect.id, name: "Rectangle", type: "RECTANGLE", visible: true });
+  });
+
+  test("get_node_info returns a filtered node tree with hex colors", async () => {
+    const frame = plugin.figma.createFrame();
+    const rect = plugin.figma.createRectangle();
+    rect.fills = [{ type: "SOLID", color: { r: 1, g: 0, b: 0 } }];
+    frame.appendChild(rect);
+
+    const result = await run("get_node_info", { nodeId: frame.id });
+
+    expect(result.id).toBe(frame.id);
+    expect(result.children[0].type).toBe("RECTANGLE");
+    expect(result.children[0].fills[0].color).toBe("#ff0000");
+  });
+
+  test("get_node_info validates its nodeId", async () => {
+    await expect(run("get_node_info", {})).rejects.toThrow("Missing nodeId parameter");
+    await expect(run("get_node_info", { nodeId: "1:999" })).rejects.toThrow("Node not found with ID: 1:999");
+  });
+
+  test("get_nodes_info skips nodes that do not exist", async () => {
+    const frame = plugin.figma.createFrame();
+
+    const result = await run("get_nodes_info", { nodeIds: [frame.id, "1:999"] });
+
+    expect(result).toHaveLength(1);
+    expect(result[0].nodeId).toBe(frame.id);
+  });
+
+  test("get_nodes_info requires an array of IDs", async () => {
+    await expect(run("get_nodes_info", { nodeIds: "1:2" })).rejects.toThrow(
+      "Missing or invalid nodeIds parameter"
+    );
+  });
+
+  test("read_my_design returns the selected nodes", async () => {
+    const frame = plugin.figma.createFrame();
+    plugin.figma.currentPage.selection = [frame];
+
+    const result = await run("read_my_design");
+
+    expect(result.map((entry: any) => entry.nodeId)).toEqual([frame.id]);
+  });
+
+  // Screen > [Header > [Title], Body > [Row 1, Row 2]]
+  function createScreen() {
+    const { figma } = plugin;
+    const frame = (name: string, parent?: FakeFrameNode) => {
+      const node = figma.createFrame();
+      node.name = name;
+      if (parent) parent.appendChild(node);
+      return node;
+    };
+    const screen = frame("Screen");
+    frame("Title", frame("Header", screen));
+    const body = frame("Body", screen);
+    frame("Row 1", body);
+    frame("Row 2", body);
+    return screen;
+  }
+
+  test("depth limits the tree and reports how many children were cut off", async () => {
+    const screen = createScreen();
+
+    const result = await run("get_node_info", { nodeId: screen.id, depth: 1 });
+
+    expect(result.children.map((child: any) => [child.name, child.childCount])).toEqual([
+      ["Header", 1],
+      ["Body", 2],
+    ]);
+    expect(result.children[0].children).toBeUndefined();
+    expect((await run("get_node_info", { nodeId: screen.id, depth: 0 })).childCount).toBe(2);
+  });
+
+  test("fields include and exclude node properties", async () => {
+    const rect = plugin.figma.createRectangle();
+    rect.fills = [{ type: "SOLID", color: { r: 1, g: 0, b: 0 } }];
+
+    const included = await run("get_node_info", { nodeId: rect.id, fields: { include: ["fills"] } });
+    const excluded = await run("get_nodes_info", { nodeIds: [rect.id], fields: { exclude: ["fills", "visible"] } });
+
+    expect(Object.keys(included)).toEqual(["id", "name", "type", "fills"]);
+    expect(excluded[0].document.fills).toBeUndefined();
+    expect(excluded[0].document.visible).toBeUndefined();
+    expect(excluded[0].document.absoluteBoundingBox).toBeDefined();
+  });
+
+  test("maxNodes pages through the tree with a cursor", async () => {
+    const screen = createScreen();
+
+    const first = await run("get_node_info", { nodeId: screen.id, maxNodes: 3 });
+    const second = await run("get_node_info", { nodeId: screen.id, maxNodes: 3, cursor: first.nextCursor });
+
+    expect(first.nodeCount).toBe(3);
+    expect(first.nodes).toHaveLength(1);
+    expect(first.nodes[0].children.map((child: any) => child.name)).toEqual(["Header"]);
+    expect(first.nodes[0].children[0].children.map((child: any) => child.name)).toEqual(["Title"]);
+    // Body continues under Screen; its rows stay nested on this page
+    expect(second.nodes.map((node: any) => [node.name, node.parentId, node.index])).toEqual([
+      ["Body", screen.id, 1],
+    ]);
+    expect(second.nodes[0].children.map((child: any) => child.name)).toEqual(["Row 1", "Row 2"]);
+    expect(second.nextCursor).toBeNull();
+  });
+
+  test("read_my_design pages across selected nodes", async () => {
+    const screen = createScreen();
+    const rect = plugin.figma.createRectangle();
+    plugin.figma.currentPage.selection = [screen, rect];
+
+    const pages = [];
+    let cursor: string | undefined;
+    do {
+      const page = await run("read_my_design", { maxNodes: 2, depth: 1, cursor });
+      pages.push(page.nodes.map((node: any) => node.name));
+      cursor = page.nextCursor ?? undefined;
+    } while (cursor);
+
+    expect(pages).toEqual([["Screen"], ["Body", "Rectangle"]]);
+  });
+
+  test("node summaries include layout, constraints and effects", async () => {
+    const frame = plugin.figma.createFrame();
+    const child = plugin.figma.createRectangle();
+    frame.appendChild(child);
+    await run("set_layout_mode", { nodeId: frame.id, layoutMode: "HORIZONTAL", layoutWrap: "WRAP" });
+    await run("set_padding", { nodeId: frame.id, paddingTop: 8, paddingLeft: 16 });
+    await run("set_item_spacing", { nodeId: frame.id, itemSpacing: 12 });
+    frame.opacity = 0.5;
+    frame.effects = [
+      { type: "DROP_SHADOW", color: { r: 0, g: 0, b: 0, a: 0.25 }, offset: { x: 0, y: 2 }, radius: 4, visible: true, blendMode: "NORMAL" },
+    ];
+
+    const result = await run("get_node_info", { nodeId: frame.id });
+
+    expect(result).toMatchObject({
+      opacity: 0.5,
+      blendMode: "PASS_THROUGH",
+      rotation: 0,
+      constraints: { horizontal: "MIN", vertical: "MIN" },
+      layoutMode: "HORIZONTAL",
+      layoutWrap: "WRAP",
+      paddingTop: 8,
+      paddingRight: 0,
+      paddingLeft: 16,
+      itemSpacing: 12,
+      primaryAxisSizingMode: "AUTO",
+      counterAxisAlignItems: "MIN",
+    });
+    expect(result.effects[0].color).toBe("#00000040");
+    expect(result.children[0]).toMatchObject({ layoutSizingHorizontal: "FIXED", layoutGrow: 0 });
+    expect(result.children[0].layoutMode).toBeUndefined();
+  });
+
+  test("node summaries include component and variant data", async () => {
+    const { figma } = plugin;
+    const large = figma.createComponent();
+    large.name = "Size=Large, State=Hover";
+    const small = figma.createComponent();
+    small.name = "Size=Small, State=Hover";
+    const set = figma.combineAsVariants([large, small], figma.currentPage);
+    const label = set.addComponentProperty("Label", "TEXT", "Buy");
+    const instance = large.createInstance();
+
+    const [main, copy] = await run("get_nodes_info", { nodeIds: [large.id, instance.id] });
+
+    expect(main.document.variantProperties).toEqual({ Size: "Large", State: "Hover" });
+    expect(copy.document).toMatchObject({
+      componentId: large.id,
+      componentProperties: { [label]: { type: "TEXT", value: "Buy" }, Size: { type: "VARIANT", value: "Large" } },
+      variantProperties: { Size: "Large", State: "Hover" },
+    });
+  });
+
+  test("invalid node info options are rejected", async () => {
+    const frame = plugin.figma.createFrame();
+
+    await expect(run("get_node_info", { nodeId: frame.id, depth: -1 })).rejects.toMatchObject({
+      code: "invalid_params",
+    });
+    await expect(run("get_node_info", { nodeId: frame.id, cursor: "nonsense" })).rejects.toThrow(
+      "Invalid cursor: nonsense"
+    );
+    await expect(run("get_node_info", { nodeId: frame.id, cursor: `${frame.id}@4` })).rejects.toThrow(
+      "no longer matches the document"
+    );
+  });
+});
+
+describe("creating nodes", () => {
+  test("create_rectangle appends to the given parent", async () => {
+    const frame = plugin.figma.createFrame();
+
+    const result = await run("create_rectangle", { x: 10, y: 20, width: 30, height: 40, parentId: frame.id });
+
+    expect(result).toMatchObject({ x: 10, y: 20, width: 30, height: 40, parentId: frame.id });
+    expect(frame.children.map((child) => child.id)).toEqual([result.id]);
+  });
+
+  test("create_rectangle rejects missing or non-container parents", async () => {
+    const rect = plugin.figma.createRectangle();
+
+    await expect(run("create_rectangle", { parentId: "1:999" })).rejects.toThrow(
+      "Parent node not found with ID: 1:999"
+    );
+    await expect(run("create_rectangle", { parentId: rect.id })).rejects.toThrow(
+      `Parent node does not support children: ${rect.id}`
+    );
+  });
+
+  test("create_frame applies geometry, fills and auto-layout", async () => {
+    const result = await run("create_frame", {
+      x: 5,
+      y: 6,
+      width: 300,
+      height: 200,
+      name: "Card",
+      fillColor: { r: 0, g: 0.5, b: 1, a: 0.5 },
+      layoutMode: "VERTICAL",
+      paddingTop: 16,
+      itemSpacing: 8,
+    });
+
+    const frame = (await plugin.figma.getNodeByIdAsync(result.id)) as FakeFrameNode;
+    expect(result).toMatchObject({ name: "Card", x: 5, y: 6, width: 300, height: 200, layoutMode: "VERTICAL" });
+    expect(frame.fills[0]).toEqual({ type: "SOLID", color: { r: 0, g: 0.5, b: 1 }, opacity: 0.5 });
+    expect(frame.paddingTop).toBe(16);
+    expect(frame.itemSpacing).toBe(8);
+    expect(frame.parent).toBe(plugin.figma.currentPage);
+  });
+
+  test("create_frame rejects a missing parent", async () => {
+    await expect(run("create_frame", { parentId: "1:999" })).rejects.toThrow(
+      "Parent node not found with ID: 1:999"
+    );
+  });
+
+  test("create_text loads the font and sets the characters", async () => {
+    const frame = plugin.figma.createFrame();
+
+    const result = await run("create_text", { text: "Hello", fontSize: 20, fontWeight: 700, parentId: frame.id });
+
+    expect(result.characters).toBe("Hello");
+    expect(result.fontName).toEqual({ family: "Inter", style: "Bold" });
+    expect(result.fontSize).toBe(20);
+    expect(result.parentId).toBe(frame.id);
+  });
+
+  test("create_text rejects a missing parent", async () => {
+    await expect(run("create_text", { text: "Hi", parentId: "1:999" })).rejects.toThrow(
+      "Parent node not found with ID: 1:999"
+    );
+  });
+
+  test("clone_node copies a node next to the original", async () => {
+    const frame = plugin.figma.createFrame();
+    const rect = plugin.figma.createRectangle();
+    frame.appendChild(rect);
+
+    const result = await run("clone_node", { nodeId: rect.id, x: 50, y: 60 });
+
+    expect(result.id).not.toBe(rect.id);
+    expect(result).toMatchObject({ x: 50, y: 60 });
+    expect(frame.children).toHaveLength(2);
+  });
+
+  test("clone_node rejects unknown nodes", async () => {
+    await expect(run("clone_node", { nodeId: "1:999" })).rejects.toThrow("Node not found with ID: 1:999");
+  });
+});
+
+describe("create_from_spec", () => {
+  const cardSpec = {
+    type: "FRAME",
+    key: "card",
+    name: "Card",
+    width: 320,
+    height: 200,
+    layoutMode: "VERTICAL",
+    padding: { top: 24, right: 16, bottom: 24, left: 16 },
+    itemSpacing: 12,
+    fillColor: { r: 1, g: 1, b: 1 },
+    cornerRadius: 8,
+    children: [
+      { type: "TEXT", key: "title", text: "Welcome", fontSize: 24, fontWeight: 700 },
+      { type: "TEXT", text: "Body copy", width: 200, layoutSizingHorizontal: "FILL" },
+      {
+        type: "RECTANGLE",
+        name: "Divider",
+        width: 288,
+        height: 1,
+        fillColor: { r: 0.9, g: 0.9, b: 0.9 },
+        strokeColor: { r: 0, g: 0, b: 0 },
+      },
+    ],
+  };
+
+  test("builds the tree and maps spec keys to node ids", async () => {
+    const { figma } = plugin;
+
+    const result = await run("create_from_spec", { spec: cardSpec });
+
+    expect(result.nodeCount).toBe(4);
+    expect(Object.keys(result.nodeIds)).toEqual(["card", "title", "root.1", "root.2"]);
+    const card = (await figma.getNodeByIdAsync(result.nodeIds.card)) as FakeFrameNode;
+    expect(result.id).toBe(card.id);
+    expect(card.parent).toBe(figma.currentPage);
+    expect([card.layoutMode, card.paddingTop, card.paddingLeft, card.itemSpacing, card.cornerRadius]).toEqual([
+      "VERTICAL",
+      24,
+      16,
+      12,
+      8,
+    ]);
+    expect(card.children.map((child) => child.id)).toEqual([
+      result.nodeIds.title,
+      result.nodeIds["root.1"],
+      result.nodeIds["root.2"],
+    ]);
+
+    const [title, body, divider] = card.children as any[];
+    expect([title.characters, title.fontSize, title.fontName.style]).toEqual(["Welcome", 24, "Bold"]);
+    expect([body.width, body.textAutoResize, body.layoutSizingHorizontal]).toEqual([200, "HEIGHT", "FILL"]);
+    expect(divider.fills[0].color).toEqual({ r: 0.9, g: 0.9, b: 0.9 });
+    expect(divider.strokes).toHaveLength(1);
+  });
+
+  test("specs set typography and paint stacks", async () => {
+    const fills = [
+      { type: "SOLID", color: { r: 1, g: 1, b: 1 } },
+      {
+        type: "GRADIENT_LINEAR",
+        angle: 90,
+        gradientStops: [
+          { position: 0, color: { r: 1, g: 0, b: 0, a: 1 } },
+          { position: 1, color: { r: 0, g: 0, b: 1, a: 1 } },
+        ],
+      },
+    ];
+    const spec = {
+      type: "FRAME",
+      fills,
+      children: [
+        {
+          type: "TEXT",
+          key: "title",
+          text: "Welcome",
+          fontStyle: "Semi Bold",
+          lineHeight: 32,
+          letterSpacing: { value: 2, unit: "PERCENT" },
+          textAlignHorizontal: "CENTER",
+          fills: [{ type: "SOLID", color: { r: 0, g: 0.5, b: 0 } }],
+        },
+        { type: "TEXT", key: "body", text: "Body", fontFamily: "Roboto" },
+        { type: "RECTANGLE", key: "swatch", fillColor: { r: 0, g: 0, b: 0 }, fills: [fills[1]] },
+      ],
+    };
+
+    const result = await run("create_from_spec", { spec });
+
+    const root = (await plugin.figma.getNodeByIdAsync(result.id)) as any;
+    const [title, body, swatch] = root.children as any[];
+    expect(root.fills.map((paint: any) => paint.type)).toEqual(["SOLID", "GRADIENT_LINEAR"]);
+    expect([title.fontName, title.lineHeight, title.letterSpacing, title.textAlignHorizontal]).toEqual([
+      { family: "Inter", style: "Semi Bold" },
+      { value: 32, unit: "PIXELS" },
+      { value: 2, unit: "PERCENT" },
+      "CENTER",
+    ]);
+    expect(title.fills[0].color).toEqual({ r: 0, g: 0.5, b: 0 });
+    expect(body.fontName).toEqual({ family: "Inter", style: "Regular" });
+    expect(result.missingFonts).toEqual([{ family: "Roboto", style: "Regular" }]);
+    expect(swatch.fills).toHaveLength(1);
+    expect(swatch.fills[0].type).toBe("GRADIENT_LINEAR");
+  });
+
+  test("builds inside the given parent", async () => {
+    const parent = plugin.figma.createFrame();
+
+    const result = await run("create_from_spec", { parentId: parent.id, spec: { type: "RECTANGLE" } });
+
+    expect(result.nodeIds).toEqual({ root: parent.children[0].id });
+  });
+
+  test("removes the partial tree when a node fails", async () => {
+    const spec = {
+      type: "FRAME",
+      children: [{ type: "TEXT", text: "Ok" }, { type: "ELLIPSE" }],
+    };
+
+    await expect(run("create_from_spec", { spec })).rejects.toMatchObject({
+      code: "invalid_params",
+      message: "Invalid spec type at root.1: ELLIPSE. Must be one of FRAME, TEXT, RECTANGLE",
+    });
+    expect(plugin.figma.currentPage.children).toHaveLength(0);
+  });
+
+  test("rejects children on leaf specs and duplicate keys", async () => {
+    await expect(
+      run("create_from_spec", { spec: { type: "TEXT", children: [{ type: "TEXT" }] } })
+    ).rejects.toThrow("Only FRAME specs can have children (at root)");
+    await expect(
+      run("create_from_spec", {
+        spec: { type: "FRAME", key: "a", children: [{ type: "TEXT", key: "a" }] },
+      })
+    ).rejects.toThrow("Duplicate spec key: a");
+  });
+
+  test("requires a spec", async () => {
+    await expect(run("create_from_spec", {})).rejects.toThrow("Missing spec parameter");
+  });
+});
+
+describe("styling nodes", () => {
+  test("set_fill_color replaces the fills", async () => {
+    const rect = plugin.figma.createRectangle();
+
+    await run("set_fill_color", { nodeId: rect.id, color: { r: 0, g: 0.5, b: 1, a: 0.25 } });
+
+    expect(rect.fills).toEqual([{ type: "SOLID", color: { r: 0, g: 0.5, b: 1 }, opacity: 0.25 }]);
+  });
+
+  test("set_fill_color validates its target", async () => {
+    const page = plugin.figma.currentPage;
+    const color = { r: 1, g: 0, b: 0 };
+
+    await expect(run("set_fill_color", { color })).rejects.toThrow("Missing nodeId parameter");
+    await expect(run("set_fill_color", { nodeId: page.id, color })).rejects.toThrow(
+      `Node does not support fills: ${page.id}`
+    );
+  });
+
+  test("set_stroke_color sets strokes and weight", async () => {
+    const rect = plugin.figma.createRectangle();
+
+    const result = await run("set_stroke_color", { nodeId: rect.id, color: { r: 1, g: 0, b: 0, a: 1 }, weight: 3 });
+
+    expect(result.strokeWeight).toBe(3);
+    expect(rect.strokes[0].color).toEqual({ r: 1, g: 0, b: 0 });
+  });
+
+  test("set_stroke_color rejects unknown nodes", async () => {
+    await expect(run("set_stroke_color", { nodeId: "1:999", color: { r: 1, g: 0, b: 0 } })).rejects.toThrow(
+      "Node not found with ID: 1:999"
+    );
+  });
+
+  test("set_corner_radius sets uniform or per-corner radii", async () => {
+    const rect = plugin.figma.createRectangle();
+
+    await run("set_corner_radius", { nodeId: rect.id, radius: 4 });
+    expect(rect.cornerRadius).toBe(4);
+
+    await run("set_corner_radius", { nodeId: rect.id, radius: 8, corners: [true, false, true, false] });
+    expect([rect.topLeftRadius, rect.topRightRadius, rect.bottomRightRadius, rect.bottomLeftRadius]).toEqual([
+      8, 4, 8, 4,
+    ]);
+  });
+
+  test("set_corner_radius validates its input", async () => {
+    const text = await createTextNode("Label");
+
+    await expect(run("set_corner_radius", { nodeId: text.id })).rejects.toThrow("Missing radius parameter");
+    await expect(run("set_corner_radius", { nodeId: text.id, radius: 4 })).rejects.toThrow(
+      `Node does not support corner radius: ${text.id}`
+    );
+  });
+
+  test("get_styles lists local styles", async () => {
+    const style = plugin.figma.createPaintStyle();
+    style.name = "Brand/Primary";
+    style.paints = [{ type: "SOLID", color: { r: 0, g: 0, b: 1 } }];
+
+    const result = await run("get_styles");
+
+    expect(result.colors).toEqual([
+      { id: style.id, name: "Brand/Primary", key: style.key, paint: style.paints[0] },
+    ]);
+    expect(result.texts).toEqual([]);
+  });
+
+  test("set_paints stacks gradient and image fills", async () => {
+    const rect = plugin.figma.createRectangle();
+    const imageBytes = Buffer.from([137, 80, 78, 71, 1, 2, 3]).toString("base64");
+
+    const result = await run("set_paints", {
+      nodeId: rect.id,
+      paints: [
+        { type: "IMAGE", imageBytes, scaleMode: "TILE", scalingFactor: 0.5 },
+        {
+          type: "GRADIENT_LINEAR",
+          angle: 180,
+          opacity: 0.8,
+          blendMode: "MULTIPLY",
+          gradientStops: [
+            { position: 0, color: { r: 0, g: 0, b: 0, a: 0 } },
+            { position: 1, color: { r: 0, g: 0, b: 0 } },
+          ],
+        },
+      ],
+    });
+
+    const [image, gradient] = rect.fills;
+    expect(image).toMatchObject({ type: "IMAGE", scaleMode: "TILE", scalingFactor: 0.5 });
+    expect(plugin.figma.getImageByHash(image.imageHash)).not.toBeNull();
+    expect(gradient.gradientTransform).toEqual([
+      [0, 1, 0],
+      [-1, 0, 1],
+    ]);
+    expect(result.fills[1]).toMatchObject({
+      opacity: 0.8,
+      blendMode: "MULTIPLY",
+      gradientStops: [
+        { position: 0, color: "#00000000" },
+        { position: 1, color: "#000000" },
+      ],
+    });
+  });
+
+  test("set_paints sets strokes and stroke properties", async () => {
+    const rect = plugin.figma.createRectangle();
+
+    const result = await run("set_paints", {
+      nodeId: rect.id,
+      target: "stroke",
+      paints: [{ type: "SOLID", color: { r: 1, g: 0, b: 0, a: 0.5 } }],
+      strokeWeight: 2,
+      strokeAlign: "OUTSIDE",
+      dashPattern: [4, 2],
+      strokeCap: "ROUND",
+    });
+
+    expect(rect.strokes).toEqual([{ type: "SOLID", color: { r: 1, g: 0, b: 0 }, opacity: 0.5 }]);
+    expect(result).toMatchObject({
+      strokes: [{ type: "SOLID", color: "#ff0000" }],
+      strokeWeight: 2,
+      strokeAlign: "OUTSIDE",
+      dashPattern: [4, 2],
+      strokeCap: "ROUND",
+      strokeJoin: "MITER",
+    });
+  });
+
+  test("rollback restores stroke weights, dashes, caps and joins", async () => {
+    const frame = plugin.figma.createFrame();
+    frame.strokeTopWeight = 4;
+    frame.strokeJoin = "ROUND";
+
+    await run("begin_transaction");
+    await run("set_paints", {
+      nodeId: frame.id,
+      target: "stroke",
+      paints: [{ type: "SOLID", color: { r: 1, g: 0, b: 0 } }],
+      strokeWeight: 2,
+      dashPattern: [4, 2],
+      strokeCap: "ROUND",
+      strokeJoin: "BEVEL",
+    });
+    const result = await run("rollback_transaction");
+
+    expect(result.errors).toEqual([]);
+    expect(frame.strokes).toEqual([]);
+    expect([frame.strokeTopWeight, frame.strokeRightWeight, frame.strokeBottomWeight, frame.strokeLeftWeight]).toEqual([
+      4, 1, 1, 1,
+    ]);
+    expect([frame.dashPattern, frame.strokeCap, frame.strokeJoin]).toEqual([[], "NONE", "ROUND"]);
+  });
+
+  test("set_paints leaves the node alone when a paint is invalid", async () => {
+    const rect = plugin.figma.createRectangle();
+    rect.fills = [{ type: "SOLID", color: { r: 0, g: 0, b: 1 } }];
+
+    await expect(
+      run("set_paints", {
+        nodeId: rect.id,
+        paints: [
+          { type: "SOLID", color: { r: 1, g: 1, b: 1 } },
+          { type: "GRADIENT_RADIAL", gradientStops: [{ position: 0, color: { r: 0, g: 0, b: 0 } }] },
+        ],
+      })
+    ).rejects.toThrow("paints[1].gradientStops must have at least two stops");
+    await expect(
+      run("set_paints", { nodeId: rect.id, paints: [{ type: "IMAGE", imageHash: "missing" }] })
+    ).rejects.toThrow("paints[0] needs imageBytes (base64) or the imageHash of an image in this file");
+    expect(rect.fills).toEqual([{ type: "SOLID", color: { r: 0, g: 0, b: 1 } }]);
+  });
+
+  test("set_effects fills in defaults and replaces, adds or removes effects", async () => {
+    const frame = plugin.figma.createFrame();
+
+    await run("set_effects", {
+      nodeId: frame.id,
+      effects: [{ type: "DROP_SHADOW", color: { r: 0, g: 0, b: 0, a: 0.1 }, offset: { x: 0, y: 8 }, radius: 24 }],
+    });
+    const added = await run("set_effects", {
+      nodeId: frame.id,
+      mode: "add",
+      effects: [{ type: "BACKGROUND_BLUR", radius: 12 }],
+    });
+
+    expect(frame.effects).toEqual([
+      {
+        type: "DROP_SHADOW",
+        color: { r: 0, g: 0, b: 0, a: 0.1 },
+        offset: { x: 0, y: 8 },
+        radius: 24,
+        spread: 0,
+        visible: true,
+        blendMode: "NORMAL",
+        showShadowBehindNode: false,
+      },
+      { type: "BACKGROUND_BLUR", radius: 12, visible: true },
+    ]);
+    expect(added.effects[0].color).toBe("#0000001a");
+
+    const removed = await run("set_effects", { nodeId: frame.id, mode: "remove", effects: [{ type: "DROP_SHADOW" }] });
+    expect(removed.effects).toEqual([{ type: "BACKGROUND_BLUR", radius: 12, visible: true }]);
+  });
+
+  test("set_effects validates effects", async () => {
+    const frame = plugin.figma.createFrame();
+    await expect(run("set_effects", { nodeId: frame.id, effects: [{ type: "GLOW" }] })).rejects.toThrow(
+      "effects[0].type must be one of DROP_SHADOW, INNER_SHADOW, LAYER_BLUR, BACKGROUND_BLUR"
+    );
+    await expect(
+      run("set_effects", { nodeId: frame.id, effects: [{ type: "LAYER_BLUR", radius: -1 }] })
+    ).rejects.toThrow("effects[0].radius must be a number of at least 0");
+    expect(frame.effects).toEqual([]);
+  });
+});
+
+describe("apply_style and create_style", () => {
+  test("apply_style links fills, strokes and text to styles by ID or name", async () => {
+    const { figma } = plugin;
+    const paint = figma.createPaintStyle();
+    paint.name = "Brand/Primary";
+    paint.paints = [{ type: "SOLID", color: { r: 0, g: 0, b: 1 } }];
+    const heading = figma.createTextStyle();
+    heading.name = "Heading";
+    heading.fontName = { family: "Inter", style: "Bold" };
+    heading.fontSize = 32;
+    const rect = figma.createRectangle();
+    const text = await createTextNode("Title");
+
+    const fill = await run("apply_style", { nodeId: rect.id, styleName: "Brand/Primary" });
+    await run("apply_style", { nodeId: rect.id, styleId: paint.id, target: "stroke" });
+    await run("apply_style", { nodeId: text.id, styleName: "Heading" });
+
+    expect(fill).toEqual({ id: rect.id, name: "Rectangle", target: "fill", styleId: paint.id, styleName: "Brand/Primary" });
+    expect([rect.fillStyleId, rect.strokeStyleId]).toEqual([paint.id, paint.id]);
+    expect(rect.strokes).toEqual(paint.paints);
+    expect([text.textStyleId, text.fontSize, text.fontName]).toEqual([heading.id, 32, { family: "Inter", style: "Bold" }]);
+  });
+
+  test("apply_style rejects ambiguous names and mismatched targets", async () => {
+    const { figma } = plugin;
+    figma.createPaintStyle().name = "Accent";
+    const effect = figma.createEffectStyle();
+    effect.name = "Accent";
+    const rect = figma.createRectangle();
+
+    await expect(run("apply_style", { nodeId: rect.id, styleName: "Accent" })).rejects.toThrow(
+      "Several styles are named Accent (PAINT, EFFECT); pass a target or the styleId"
+    );
+    await expect(run("apply_style", { nodeId: rect.id, styleId: effect.id, target: "fill" })).rejects.toThrow(
+      "Style Accent has type EFFECT and cannot be applied as fill"
+    );
+    await expect(run("apply_style", { nodeId: rect.id, styleName: "Missing" })).rejects.toThrow(
+      "Style not found with name: Missing"
+    );
+
+    await run("apply_style", { nodeId: rect.id, styleName: "Accent", target: "effect" });
+    expect(rect.effectStyleId).toBe(effect.id);
+  });
+
+  test("create_style promotes a node's paints, text and effects into linked styles", async () => {
+    const rect = plugin.figma.createRectangle();
+    rect.fills = [{ type: "SOLID", color: { r: 1, g: 0, b: 0 } }];
+    rect.effects = [{ type: "LAYER_BLUR", radius: 4, visible: true }];
+    const text = await createTextNode("Body");
+    text.fontSize = 18;
+
+    const fill = await run("create_style", { nodeId: rect.id, target: "fill", name: "Alert", description: "Errors" });
+    const blur = await run("create_style", { nodeId: rect.id, target: "effect", name: "Blur", link: false });
+    const body = await run("create_style", { nodeId: text.id, target: "text", name: "Body" });
+
+    const [alert, blurStyle, bodyStyle] = plugin.figma.styles;
+    expect(fill).toMatchObject({ id: alert.id, name: "Alert", type: "PAINT", linked: true });
+    expect([alert.description, alert.paints]).toEqual(["Errors", rect.fills]);
+    expect(rect.fillStyleId).toBe(alert.id);
+    expect(blur.linked).toBe(false);
+    expect([blurStyle.effects, rect.effectStyleId]).toEqual([rect.effects, ""]);
+    expect(body.type).toBe("TEXT");
+    expect([bodyStyle.fontSize, text.textStyleId]).toEqual([18, bodyStyle.id]);
+  });
+
+  test("create_style refuses mixed values and duplicate names", async () => {
+    const text = await createTextNode("Two sizes");
+    text.setRangeFontSize(0, 3, 24);
+    const rect = plugin.figma.createRectangle();
+    await run("create_style", { nodeId: rect.id, target: "fill", name: "Grey" });
+
+    await expect(run("create_style", { nodeId: text.id, target: "text", name: "Mixed" })).rejects.toThrow(
+      "Node has mixed fontSize values; cannot create a text style from it"
+    );
+    await expect(run("create_style", { nodeId: rect.id, target: "fill", name: "Grey" })).rejects.toThrow(
+      "A PAINT style named Grey already exists"
+    );
+    await expect(run("create_style", { nodeId: rect.id, target: "text", name: "Nope" })).rejects.toThrow(
+      `Node does not support text styles: ${rect.id}`
+    );
+    expect(plugin.figma.styles).toHaveLength(1);
+  });
+
+  test("rollback detaches applied styles and removes created ones", async () => {
+    const { figma } = plugin;
+    const brand = figma.createPaintStyle();
+    brand.paints = [{ type: "SOLID", color: { r: 0, g: 0, b: 1 } }];
+    const shadow = figma.createEffectStyle();
+    shadow.effects = [{ type: "LAYER_BLUR", radius: 2, visible: true }];
+    const rect = figma.createRectangle();
+    rect.fills = [{ type: "SOLID", color: { r: 1, g: 0, b: 0 } }];
+    await rect.setEffectStyleIdAsync(shadow.id);
+    const card = figma.createFrame();
+
+    await run("begin_transaction");
+    await run("apply_style", { nodeId: rect.id, styleId: brand.id });
+    await run("set_effects", { nodeId: rect.id, effects: [] });
+    await run("create_style", { nodeId: card.id, target: "fill", name: "Card" });
+    const result = await run("rollback_transaction");
+
+    expect(result).toMatchObject({ removedResourceCount: 1, errors: [] });
+    expect([rect.fillStyleId, rect.effectStyleId, card.fillStyleId]).toEqual(["", shadow.id, ""]);
+    expect(rect.fills).toEqual([{ type: "SOLID", color: { r: 1, g: 0, b: 0 } }]);
+    expect(rect.effects).toEqual(shadow.effects);
+    expect(figma.styles).toEqual([brand, shadow]);
+  });
+});
+
+describe("export_design_tokens", () => {
+  test("styles become color, gradient, typography and shadow tokens", async () => {
+    const { figma } = plugin;
+    const primary = figma.createPaintStyle();
+    primary.name = "Brand/Primary";
+    primary.description = "Main brand color";
+    primary.paints = [{ type: "SOLID", color: { r: 0, g: 0, b: 1 }, opacity: 0.5 }];
+    const fade = figma.createPaintStyle();
+    fade.name = "Brand/Fade";
+    fade.paints = [
+      {
+        type: "GRADIENT_LINEAR",
+        gradientTransform: [[0, 1, 0], [-1, 0, 1]],
+        gradientStops: [
+          { color: { r: 1, g: 1, b: 1, a: 1 }, position: 0 },
+          { color: { r: 0, g: 0, b: 0, a: 1 }, position: 1 },
+        ],
+      },
+    ];
+    const heading = figma.createTextStyle();
+    heading.name = "Heading/H1";
+    heading.fontName = { family: "Inter", style: "Semi Bold" };
+    heading.fontSize = 32;
+    heading.lineHeight = { unit: "PIXELS", value: 40 };
+    const card = figma.createEffectStyle();
+    card.name = "Card";
+    card.effects = [
+      { type: "DROP_SHADOW", color: { r: 0, g: 0, b: 0, a: 0.25 }, offset: { x: 0, y: 2 }, radius: 4, visible: true, blendMode: "NORMAL" },
+    ];
+
+    const result = await run("export_design_tokens");
+
+    expect(result.tokenCount).toBe(4);
+    expect(result.tokens.Brand.Primary).toEqual({
+      $type: "color",
+      $value: "#0000ff80",
+      $description: "Main brand color",
+      $extensions: { "com.figma": { styleId: primary.id, styleKey: primary.key } },
+    });
+    expect(result.tokens.Heading.H1.$value).toEqual({
+      fontFamily: "Inter",
+      fontWeight: 600,
+      fontSize: "32px",
+      lineHeight: 1.25,
+    });
+    expect(result.css).toContain("--brand-fade: linear-gradient(180deg, #ffffff 0%, #000000 100%);");
+    expect(result.css).toContain("--heading-h1-font-weight: 600;");
+    expect(result.css).toContain("--card: 0px 2px 4px 0px #00000040;");
+    expect(result.tailwind.theme.extend).toEqual({
+      colors: { "brand-primary": "var(--brand-primary)" },
+      backgroundImage: { "brand-fade": "var(--brand-fade)" },
+      fontFamily: { "heading-h1": "var(--heading-h1-font-family)" },
+      fontSize: {
+        "heading-h1": [
+          "var(--heading-h1-font-size)",
+          { fontWeight: "var(--heading-h1-font-weight)", lineHeight: "var(--heading-h1-line-height)" },
+        ],
+      },
+      boxShadow: { card: "var(--card)" },
+    });
+  });
+
+  test("variables keep their modes and aliases", async () => {
+    const { variables } = plugin.figma;
+    const palette = variables.createVariableCollection("Palette");
+    const blue = variables.createVariable("Blue/500", palette, "COLOR");
+    blue.setValueForMode(palette.defaultModeId, { r: 0, g: 0, b: 1, a: 1 });
+    const theme = variables.createVariableCollection("Theme");
+    theme.renameMode(theme.defaultModeId, "Light");
+    const dark = theme.addMode("Dark");
+    const accent = variables.createVariable("Accent", theme, "COLOR");
+    accent.setValueForMode(theme.defaultModeId, variables.createVariableAlias(blue));
+    accent.setValueForMode(dark, { r: 1, g: 1, b: 1, a: 1 });
+    const radius = variables.createVariable("Radius/Card", theme, "FLOAT");
+    radius.scopes = ["CORNER_RADIUS"];
+    radius.setValueForMode(theme.defaultModeId, 8);
+    radius.setValueForMode(dark, 12);
+
+    const result = await run("export_design_tokens");
+
+    expect(result.tokens.Theme.Accent).toMatchObject({
+      $type: "color",
+      $value: "{Palette.Blue.500}",
+      $extensions: { "com.figma": { collection: "Theme", modes: { Light: "{Palette.Blue.500}", Dark: "#ffffff" } } },
+    });
+    expect(result.tokens.Theme.Radius.Card.$value).toBe("8px");
+    expect(result.css).toBe(
+      [
+        ":root {",
+        "  --palette-blue-500: #0000ff;",
+        "  --theme-accent: var(--palette-blue-500);",
+        "  --theme-radius-card: 8px;",
+        "}",
+        "",
+        '[data-theme="dark"] {',
+        "  --theme-accent: #ffffff;",
+        "  --theme-radius-card: 12px;",
+        "}",
+        "",
+      ].join("\n")
+    );
+    expect(result.tailwind.theme.extend.borderRadius).toEqual({ "theme-radius-card": "var(--theme-radius-card)" });
+  });
+
+  test("styles without a token type and clashing names are reported", async () => {
+    const { figma } = plugin;
+    const photo = figma.createPaintStyle();
+    photo.name = "Photo";
+    photo.paints = [{ type: "IMAGE", scaleMode: "FILL", imageHash: "abc" }];
+    const first = figma.createPaintStyle();
+    first.name = "Ink";
+    first.paints = [{ type: "SOLID", color: { r: 0, g: 0, b: 0 } }];
+    const second = figma.createPaintStyle();
+    second.name = "ink";
+    second.paints = [{ type: "SOLID", color: { r: 1, g: 1, b: 1 } }];
+    const nested = figma.createPaintStyle();
+    nested.name = "Ink/Muted/Light";
+    nested.paints = [{ type: "SOLID", color: { r: 0.5, g: 0.5, b: 0.5 } }];
+
+    const result = await run("export_design_tokens");
+
+    expect(result.tokenCount).toBe(1);
+    expect(result.warnings).toEqual([
+      'Skipped paint style "Photo": no token type matches its contents',
+      'Skipped "ink": its name clashes with another token',
+      'Skipped "Ink/Muted/Light": its path clashes with another token',
+    ]);
+    expect(Object.keys(result.tokens)).toEqual(["Ink"]);
+    expect(Object.keys(result.tokens.Ink).filter((key) => !key.startsWith("$"))).toEqual([]);
+  });
+});
+
+describe("variables", () => {
+  async function createThemeCollection() {
+    const collection = await run("create_variable_collection", { name: "Theme", modes: ["Light", "Dark"] });
+    const brand = await run("create_variable", {
+      collectionId: collection.id,
+      name: "Brand/Primary",
+      resolvedType: "COLOR",
+      values: { Light: { r: 0, g: 0, b: 1 }, Dark: { r: 1, g: 1, b: 1 } },
+    });
+    return { collection, brand };
+  }
+
+  test("collections, variables and aliases are created and listed by mode name", async () => {
+    const { collection, brand } = await createThemeCollection();
+    const accent = await run("create_variable", {
+      collectionId: collection.id,
+      name: "Accent",
+      resolvedType: "COLOR",
+      values: { Light: { type: "VARIABLE_ALIAS", id: brand.id } },
+    });
+    await run("update_variable", { variableId: accent.id, name: "Brand/Accent", values: { Dark: { r: 1, g: 0, b: 0, a: 0.5 } } });
+
+    const result = await run("get_variables", { collectionId: collection.id });
+
+    expect(result.collections).toEqual([
+      {
+        id: collection.id,
+        name: "Theme",
+        key: collection.key,
+        defaultModeId: collection.modes[0].modeId,
+        modes: collection.modes,
+        variableCount: 2,
+      },
+    ]);
+    expect(collection.modes.map((mode: any) => mode.name)).toEqual(["Light", "Dark"]);
+    expect(result.variables[1]).toMatchObject({
+      name: "Brand/Accent",
+      resolvedType: "COLOR",
+      valuesByMode: {
+        Light: { type: "VARIABLE_ALIAS", id: brand.id },
+        Dark: { r: 1, g: 0, b: 0, a: 0.5 },
+      },
+    });
+  });
+
+  test("variable values are checked against the variable type", async () => {
+    const { collection, brand } = await createThemeCollection();
+    const spacing = await run("create_variable", { collectionId: collection.id, name: "Space", resolvedType: "FLOAT" });
+
+    await expect(
+      run("create_variable", { collectionId: collection.id, name: "Bad", resolvedType: "FLOAT", values: { Light: "8" } })
+    ).rejects.toThrow("Value for Light must be a float value or a variable alias");
+    await expect(
+      run("update_variable", { variableId: spacing.id, values: { Light: { type: "VARIABLE_ALIAS", id: brand.id } } })
+    ).rejects.toThrow("Cannot alias FLOAT variable Space to COLOR variable Brand/Primary");
+    await expect(run("update_variable", { variableId: spacing.id, values: { Sepia: 4 } })).rejects.toThrow(
+      "Mode not found in collection Theme: Sepia"
+    );
+
+    // The failed create left nothing behind
+    expect((await run("get_variables")).variables.map((variable: any) => variable.name)).toEqual([
+      "Brand/Primary",
+      "Space",
+    ]);
+  });
+
+  test("bind_variable binds fills, padding and text, and node summaries show it", async () => {
+    const { collection, brand } = await createThemeCollection();
+    const space = await run("create_variable", {
+      collectionId: collection.id,
+      name: "Space/M",
+      resolvedType: "FLOAT",
+      values: { Light: 16, Dark: 16 },
+    });
+    const label = await run("create_variable", {
+      collectionId: collection.id,
+      name: "Label",
+      resolvedType: "STRING",
+      values: { Light: "Buy now", Dark: "Buy now" },
+    });
+    const frame = createAutoLayoutFrame();
+    const text = await createTextNode("Buy", frame);
+
+    await run("bind_variable", { nodeId: frame.id, property: "fill", variableId: brand.id });
+    const padded = await run("bind_variable", { nodeId: frame.id, property: "padding", variableId: space.id });
+    await run("bind_variable", { nodeId: text.id, property: "characters", variableId: label.id });
+
+    expect(frame.fills[0].color).toEqual({ r: 0, g: 0, b: 1 });
+    expect([frame.paddingTop, frame.paddingLeft]).toEqual([16, 16]);
+    expect(text.characters).toBe("Buy now");
+    expect(padded.boundVariables).toEqual({
+      fills: [brand.id],
+      paddingTop: space.id,
+      paddingRight: space.id,
+      paddingBottom: space.id,
+      paddingLeft: space.id,
+    });
+    const info = await run("get_node_info", { nodeId: frame.id });
+    expect(info.boundVariables.fills).toEqual([brand.id]);
+    expect(info.children[0].boundVariables).toEqual({ characters: label.id });
+
+    await run("bind_variable", { nodeId: frame.id, property: "fill", variableId: null });
+    expect(frame.boundVariables.fills).toBeUndefined();
+  });
+
+  test("bind_variable rejects variables of the wrong type and unsupported nodes", async () => {
+    const { brand } = await createThemeCollection();
+    const rect = plugin.figma.createRectangle();
+    const text = await createTextNode("Label");
+
+    await expect(run("bind_variable", { nodeId: rect.id, property: "cornerRadius", variableId: brand.id })).rejects.toThrow(
+      "cornerRadius needs a FLOAT variable, but Brand/Primary is COLOR"
+    );
+    await expect(run("bind_variable", { nodeId: text.id, property: "itemSpacing", variableId: null })).rejects.toThrow(
+      `Node does not support itemSpacing: ${text.id}`
+    );
+    await expect(run("bind_variable", { nodeId: rect.id, property: "fill", variableId: "VariableID:9:9" })).rejects.toThrow(
+      "Variable not found with ID: VariableID:9:9"
+    );
+  });
+
+  test("set_variable_mode sets and clears a frame's mode", async () => {
+    const { collection } = await createThemeCollection();
+    const frame = plugin.figma.createFrame();
+
+    const result = await run("set_variable_mode", { nodeId: frame.id, collectionId: collection.id, mode: "Dark" });
+
+    expect(result.explicitVariableModes).toEqual({ [collection.id]: collection.modes[1].modeId });
+    expect((await run("get_node_info", { nodeId: frame.id })).explicitVariableModes).toEqual(result.explicitVariableModes);
+
+    await run("set_variable_mode", { nodeId: frame.id, collectionId: collection.id, mode: null });
+    expect(frame.explicitVariableModes).toEqual({});
+    await expect(
+      run("set_variable_mode", { nodeId: plugin.figma.createRectangle().id, collectionId: collection.id, mode: "Dark" })
+    ).rejects.toThrow("does not support variable modes");
+  });
+
+  test("rollback removes created variables and restores values, bindings and modes", async () => {
+    const { figma } = plugin;
+    const { collection, brand } = await createThemeCollection();
+    const frame = createAutoLayoutFrame();
+    frame.itemSpacing = 4;
+    await run("bind_variable", { nodeId: frame.id, property: "fill", variableId: brand.id });
+
+    await run("begin_transaction");
+    const sizes = await run("create_variable_collection", { name: "Sizes" });
+    const gap = await run("create_variable", {
+      collectionId: sizes.id,
+      name: "Gap",
+      resolvedType: "FLOAT",
+      values: { "Mode 1": 24 },
+    });
+    await run("bind_variable", { nodeId: frame.id, property: "itemSpacing", variableId: gap.id });
+    await run("bind_variable", { nodeId: frame.id, property: "fill", variableId: null });
+    await run("update_variable", { variableId: brand.id, name: "Brand/Renamed", values: { Light: { r: 1, g: 0, b: 0 } } });
+    await run("set_variable_mode", { nodeId: frame.id, collectionId: collection.id, mode: "Dark" });
+    const result = await run("rollback_transaction");
+
+    expect(result).toMatchObject({ removedResourceCount: 2, errors: [] });
+    expect(await figma.variables.getVariableCollectionByIdAsync(sizes.id)).toBeNull();
+    expect(await figma.variables.getVariableByIdAsync(gap.id)).toBeNull();
+    const restored = (await run("get_variables", { collectionId: collection.id })).variables[0];
+    expect(restored).toMatchObject({ name: "Brand/Primary", valuesByMode: { Light: { r: 0, g: 0, b: 1, a: 1 } } });
+    expect(frame.boundVariables).toEqual({ fills: [{ type: "VARIABLE_ALIAS", id: brand.id }] });
+    expect(frame.itemSpacing).toBe(4);
+    expect(frame.explicitVariableModes).toEqual({});
+  });
+});
+
+describe("editing nodes", () => {
+  test("move_node and resize_node update geometry", async () => {
+    const rect = plugin.figma.createRectangle();
+
+    await run("move_node", { nodeId: rect.id, x: 12, y: 34 });
+    await run("resize_node", { nodeId: rect.id, width: 56, height: 78 });
+
+    expect([rect.x, rect.y, rect.width, rect.height]).toEqual([12, 34, 56, 78]);
+  });
+
+  test("move_node and resize_node validate their input", async () => {
+    const rect = plugin.figma.createRectangle();
+    const page = plugin.figma.currentPage;
+
+    await expect(run("move_node", { nodeId: rect.id, x: 1 })).rejects.toThrow("Missing x or y parameters");
+    await expect(run("resize_node", { nodeId: rect.id, width: 1 })).rejects.toThrow(
+      "Missing width or height parameters"
+    );
+    await expect(run("resize_node", { nodeId: page.id, width: 1, height: 1 })).rejects.toThrow(
+      `Node does not support resizing: ${page.id}`
+    );
+  });
+
+  test("delete_node removes the node", async () => {
+    const rect = plugin.figma.createRectangle();
+
+    const result = await run("delete_node", { nodeId: rect.id });
+
+    expect(result).toEqual({ id: rect.id, name: "Rectangle", type: "RECTANGLE" });
+    expect(await plugin.figma.getNodeByIdAsync(rect.id)).toBeNull();
+  });
+
+  test("delete_node rejects unknown nodes", async () => {
+    await expect(run("delete_node", { nodeId: "1:999" })).rejects.toThrow("Node not found with ID: 1:999");
+  });
+
+  test("delete_multiple_nodes reports per-node results and progress", async () => {
+    const first = plugin.figma.createRectangle();
+    const second = plugin.figma.createRectangle();
+
+    const result = await run("delete_multiple_nodes", { nodeIds: [first.id, "1:999", second.id] });
+
+    expect(result).toMatchObject({ nodesDeleted: 2, nodesFailed: 1, totalNodes: 3 });
+    expect(plugin.figma.currentPage.children).toHaveLength(0);
+    expect(progressUpdates("delete_multiple_nodes").at(-1)?.status).toBe("completed");
+  });
+
+  test("delete_multiple_nodes requires node IDs", async () => {
+    await expect(run("delete_multiple_nodes", { nodeIds: [] })).rejects.toThrow(
+      "Missing or invalid nodeIds parameter"
+    );
+  });
+});
+
+describe("serialize_node and deserialize_node", () => {
+  // Builds a card exercising everything the serializer has to carry
+  async function createRichCard() {
+    const { figma } = plugin;
+    await figma.loadFontAsync({ family: "Inter", style: "Regular" });
+    await figma.loadFontAsync({ family: "Inter", style: "Bold" });
+
+    const collection = figma.variables.createVariableCollection("Tokens");
+    const brand = figma.variables.createVariable("brand", collection, "COLOR");
+    brand.setValueForMode(collection.defaultModeId, { r: 0, g: 0.4, b: 1, a: 1 });
+    const spacing = figma.variables.createVariable("spacing", collection, "FLOAT");
+    spacing.setValueForMode(collection.defaultModeId, 24);
+    const shadow = figma.createEffectStyle();
+    shadow.effects = [
+      { type: "DROP_SHADOW", color: { r: 0, g: 0, b: 0, a: 0.2 }, offset: { x: 0, y: 2 }, radius: 4, visible: true, blendMode: "NORMAL" },
+    ];
+
+    const card = createAutoLayoutFrame("VERTICAL");
+    card.name = "Card";
+    card.itemSpacing = 8;
+    card.cornerRadius = 12;
+    card.fills = [figma.variables.setBoundVariableForPaint({ type: "SOLID", color: { r: 1, g: 1, b: 1 } }, "color", brand)];
+    card.setBoundVariable("paddingTop", spacing);
+    await card.setEffectStyleIdAsync(shadow.id);
+
+    const title = await createTextNode("Hello world", card);
+    title.setRangeFontName(6, 11, { family: "Inter", style: "Bold" });
+    title.setRangeFontSize(6, 11, 20);
+    title.setRangeFills(0, 5, [{ type: "SOLID", color: { r: 1, g: 0, b: 0 } }]);
+
+    const icon = figma.createVector();
+    icon.vectorPaths = [{ windingRule: "NONZERO", data: "M 0 0 L 10 0 L 5 8 Z" }];
+    card.appendChild(icon);
+
+    const ring = figma.createEllipse();
+    ring.arcData = { startingAngle: 0, endingAngle: Math.PI, innerRadius: 0.5 };
+    card.appendChild(ring);
+
+    const photo = figma.createRectangle();
+    const image = figma.createImage(new Uint8Array([1, 2, 3, 4]));
+    photo.fills = [{ type: "IMAGE", imageHash: image.hash, scaleMode: "FILL" }];
+    card.appendChild(photo);
+
+    const left = figma.createRectangle();
+    const right = figma.createRectangle();
+    right.x = 150;
+    figma.group([left, right], card);
+
+    const component = figma.createComponent();
+    component.name = "Badge";
+    await createTextNode("New", component);
+    const badge = component.createInstance();
+    await figma.loadFontAsync({ family: "Inter", style: "Regular" });
+    (badge.children[0] as FakeTextNode).characters = "Sale";
+    card.appendChild(badge);
+
+    return card;
+  }
+
+  // Serialized documents without node ids, for comparing copies
+  const withoutIds = (value: any): any => {
+    if (Array.isArray(value)) return value.map(withoutIds);
+    if (value && typeof value === "object") {
+      return Object.fromEntries(
+        Object.entries(value)
+          .filter(([key]) => key !== "id" || "format" in value)
+          .map(([key, item]) => [key, withoutIds(item)])
+      );
+    }
+    return value;
+  };
+
+  test("round-trips a subtree through JSON", async () => {
+    const { figma } = plugin;
+    const card = await createRichCard();
+
+    const serialized = await run("serialize_node", { nodeId: card.id });
+    const archive = figma.root.children[1];
+    const result = await run("deserialize_node", { data: JSON.stringify(serialized), parentId: archive.id });
+
+    expect(result).toMatchObject({ type: "FRAME", name: "Card", nodeCount: serialized.nodeCount, warnings: [] });
+    const copy = (await figma.getNodeByIdAsync(result.id)) as FakeFrameNode;
+    expect(copy.parent).toBe(archive);
+    expect(Object.keys(result.idMap)).toHaveLength(serialized.nodeCount);
+    expect(result.idMap[card.id]).toBe(copy.id);
+
+    const reserialized = await run("serialize_node", { nodeId: copy.id });
+    expect(withoutIds(reserialized)).toEqual(withoutIds(serialized));
+  });
+
+  test("round-trips component properties and the layers bound to them", async () => {
+    const { figma } = plugin;
+    const frame = figma.createFrame();
+    const label = await createTextNode("Buy", frame);
+    const button = figma.createComponentFromNode(frame);
+    const text = await run("add_component_property", {
+      nodeId: button.id,
+      name: "Label",
+      type: "TEXT",
+      defaultValue: "Buy",
+      targetNodeIds: [label.id],
+    });
+    const shown = await run("add_component_property", {
+      nodeId: button.id,
+      name: "Shown",
+      type: "BOOLEAN",
+      defaultValue: true,
+      targetNodeIds: [label.id],
+    });
+
+    const serialized = await run("serialize_node", { nodeId: button.id });
+    const result = await run("deserialize_node", { data: serialized });
+
+    expect(serialized.root.componentPropertyDefinitions).toEqual(button.componentPropertyDefinitions);
+    expect(result.warnings).toEqual([]);
+    const copy = (await figma.getNodeByIdAsync(result.id)) as any;
+    const definitions = copy.componentPropertyDefinitions;
+    const [labelName, shownName] = Object.keys(definitions);
+    expect([labelName, shownName]).not.toEqual([text.propertyName, shown.propertyName]);
+    expect(Object.values(definitions)).toEqual(Object.values(button.componentPropertyDefinitions));
+    expect(copy.children[0].componentPropertyReferences).toEqual({ characters: labelName, visible: shownName });
+
+    const instance = copy.createInstance();
+    instance.setProperties({ [labelName]: "Sell", [shownName]: false });
+    expect([instance.children[0].characters, instance.children[0].visible]).toEqual(["Sell", false]);
+  });
+
+  test("keeps what filterFigmaNode drops", async () => {
+    const card = await createRichCard();
+
+    const { root, variables, styles, images } = await run("serialize_node", { nodeId: card.id });
+
+    expect(root.boundVariables).toEqual({ paddingTop: expect.stringMatching(/^VariableID:/) });
+    expect(root.properties.fills[0].boundVariables.color.type).toBe("VARIABLE_ALIAS");
+    expect(Object.values(variables).map((variable: any) => variable.name).sort()).toEqual(["brand", "spacing"]);
+    expect(Object.values(styles)).toEqual([expect.objectContaining({ type: "EFFECT" })]);
+
+    const [title, icon, ring, photo, group, badge] = root.children;
+    expect(title.text.segments.map((segment: any) => [segment.start, segment.end, segment.fontName.style])).toEqual([
+      [0, 5, "Regular"],
+      [5, 6, "Regular"],
+      [6, 11, "Bold"],
+    ]);
+    expect(icon.properties.vectorPaths).toEqual([{ windingRule: "NONZERO", data: "M 0 0 L 10 0 L 5 8 Z" }]);
+    expect(ring.properties.arcData.innerRadius).toBe(0.5);
+    expect(images[photo.properties.fills[0].imageHash]).toBe(Buffer.from([1, 2, 3, 4]).toString("base64"));
+    expect(group.children).toHaveLength(2);
+    expect(badge.component).toMatchObject({ name: "Badge", key: expect.any(String) });
+    expect(badge.children[0].text.characters).toBe("Sale");
+  });
+
+  test("leaves images out when asked", async () => {
+    const card = await createRichCard();
+
+    const { images } = await run("serialize_node", { nodeId: card.id, includeImages: false });
+
+    expect(images).toEqual({});
+  });
+
+  test("rebuilds instances of missing components as frames and skips unknown types", async () => {
+    const data = {
+      format: "talk-to-figma/node",
+      version: 1,
+      root: {
+        id: "5:1",
+        type: "FRAME",
+        name: "Wrapper",
+        properties: {},
+        children: [
+          { id: "5:2", type: "INSTANCE", name: "Button", component: { id: "5:99", key: "gone", name: "Button" }, children: [] },
+          { id: "5:3", type: "SLICE", name: "Export area" },
+        ],
+      },
+    };
+
+    const result = await run("deserialize_node", { data, x: 40, y: 50 });
+
+    const wrapper = (await plugin.figma.getNodeByIdAsync(result.id)) as FakeFrameNode;
+    expect([wrapper.x, wrapper.y]).toEqual([40, 50]);
+    expect(wrapper.children.map((child) => child.type)).toEqual(["FRAME"]);
+    expect(result.warnings.map((warning: any) => [warning.nodeId, warning.message])).toEqual([
+      ["5:2", "Component Button is not available; rebuilt Button as a frame"],
+      ["5:3", "Skipped SLICE Export area: this node type cannot be rebuilt"],
+    ]);
+  });
+
+  test("warns about fonts that are not available", async () => {
+    const text = await createTextNode("Hi");
+    const serialized = await run("serialize_node", { nodeId: text.id });
+    serialized.root.text.segments[0].fontName = { family: "Comic Sans", style: "Regular" };
+
+    const result = await run("deserialize_node", { data: serialized });
+
+    expect(result.warnings).toEqual([
+      expect.objectContaining({ message: "Font Comic Sans Regular is not available; kept Hi's current font" }),
+    ]);
+    const copy = (await plugin.figma.getNodeByIdAsync(result.id)) as FakeTextNode;
+    expect(copy.characters).toBe("Hi");
+  });
+
+  test("removes every node it built when rebuilding fails", async () => {
+    const data = {
+      format: "talk-to-figma/node",
+      version: 1,
+      root: {
+        id: "1:1",
+        type: "GROUP",
+        name: "Group",
+        children: [
+          { id: "1:2", type: "RECTANGLE", name: "Box" },
+          // Text without its segments cannot be rebuilt
+          { id: "1:3", type: "TEXT", name: "Label", text: { characters: "Hi" } },
+        ],
+      },
+    };
+
+    await expect(run("deserialize_node", { data })).rejects.toThrow();
+    expect(plugin.figma.currentPage.children).toHaveLength(0);
+  });
+
+  test("rejects documents it cannot read", async () => {
+    await expect(run("deserialize_node", { data: "{nope" })).rejects.toMatchObject({ code: "invalid_params" });
+    await expect(run("deserialize_node", { data: { format: "other", root: {} } })).rejects.toThrow(
+      'expected a "talk-to-figma/node" document from serialize_node'
+    );
+    await expect(
+      run("deserialize_node", { data: { format: "talk-to-figma/node", version: 2, root: {} } })
+    ).rejects.toThrow("Unsupported serialization version 2; this plugin reads up to version 1");
+  });
+
+  test("serialize_node validates its target", async () => {
+    await expect(run("serialize_node", {})).rejects.toThrow("Missing nodeId parameter");
+    await expect(run("serialize_node", { nodeId: plugin.figma.currentPage.id })).rejects.toMatchObject({
+      code: "unsupported_node",
+    });
+  });
+});
+
+describe("text", () => {
+  test("set_text_content replaces the characters", async () => {
+    const text = await createTextNode("Before");
+
+    const result = await run("set_text_content", { nodeId: text.id, text: "After" });
+
+    expect(result.characters).toBe("After");
+    expect(text.characters).toBe("After");
+  });
+
+  test("set_text_content only accepts text nodes", async () => {
+    const rect = plugin.figma.createRectangle();
+
+    await expect(run("set_text_content", { nodeId: rect.id })).rejects.toThrow("Missing text parameter");
+    await expect(run("set_text_content", { nodeId: rect.id, text: "x" })).rejects.toThrow(
+      `Node is not a text node: ${rect.id}`
+    );
+  });
+
+  test("set_text_style styles a character range", async () => {
+    const text = await createTextNode("Hello world");
+
+    const result = await run("set_text_style", {
+      nodeId: text.id,
+      start: 6,
+      end: 11,
+      fontStyle: "Bold",
+      fontSize: 20,
+      letterSpacing: { value: 2, unit: "PERCENT" },
+      lineHeight: 28,
+      textDecoration: "UNDERLINE",
+    });
+
+    expect(result.missingFonts).toEqual([]);
+    expect(text.getStyledTextSegments(["fontName", "fontSize"]).map((segment: any) => segment.fontName.style)).toEqual([
+      "Regular",
+      "Bold",
+    ]);
+    expect(result.segments[1]).toMatchObject({
+      characters: "world",
+      fontSize: 20,
+      lineHeight: { value: 28, unit: "PIXELS" },
+      letterSpacing: { value: 2, unit: "PERCENT" },
+      textDecoration: "UNDERLINE",
+    });
+  });
+
+  test("set_text_style sets paragraph properties on the whole node", async () => {
+    const text = await createTextNode("Long paragraph");
+
+    await run("set_text_style", {
+      nodeId: text.id,
+      textAlignHorizontal: "CENTER",
+      textAutoResize: "HEIGHT",
+      textTruncation: "ENDING",
+      maxLines: 2,
+      paragraphSpacing: 8,
+    });
+
+    expect(text.textAlignHorizontal).toBe("CENTER");
+    expect([text.textAutoResize, text.textTruncation, text.maxLines, text.paragraphSpacing]).toEqual([
+      "HEIGHT",
+      "ENDING",
+      2,
+      8,
+    ]);
+    await expect(run("set_text_style", { nodeId: text.id, start: 3, end: 99, fontSize: 4 })).rejects.toThrow(
+      "start and end must be a range within 0..14, got 3..99"
+    );
+  });
+
+  test("set_text_style sets paragraph properties on empty text", async () => {
+    const text = await createTextNode("");
+
+    const result = await run("set_text_style", { nodeId: text.id, textAlignHorizontal: "RIGHT", paragraphSpacing: 4 });
+
+    expect([result.start, result.end, result.skipped]).toEqual([0, 0, []]);
+    expect([text.textAlignHorizontal, text.paragraphSpacing]).toEqual(["RIGHT", 4]);
+    await expect(run("set_text_style", { nodeId: text.id, fontSize: 20 })).rejects.toThrow(
+      "Fonts and character styles need a non-empty range, got 0..0"
+    );
+  });
+
+  test("set_text_style reports missing fonts and leaves their text alone", async () => {
+    const text = await createTextNode("Title body");
+
+    const result = await run("set_text_style", {
+      nodeId: text.id,
+      start: 0,
+      end: 5,
+      fontFamily: "Roboto",
+      fontSize: 32,
+      textAlignHorizontal: "RIGHT",
+    });
+
+    expect(result.missingFonts).toEqual([{ family: "Roboto", style: "Regular" }]);
+    expect(result.skipped).toEqual([{ start: 0, end: 5, reason: "Font Roboto Regular is not available" }]);
+    // The text kept Inter, so paragraph properties could still be applied
+    expect([text.fontName, text.fontSize, text.textAlignHorizontal]).toEqual([
+      { family: "Inter", style: "Regular" },
+      12,
+      "RIGHT",
+    ]);
+  });
+
+  test("rollback restores per-range text styles and paragraph properties", async () => {
+    const { figma } = plugin;
+    await figma.loadFontAsync({ family: "Inter", style: "Bold" });
+    const heading = figma.createTextStyle();
+    heading.name = "Heading";
+    heading.fontSize = 24;
+    const text = await createTextNode("Hello world");
+    await text.setRangeTextStyleIdAsync(0, 5, heading.id);
+    text.setRangeFontName(6, 11, { family: "Inter", style: "Bold" });
+    text.setRangeTextDecoration(6, 11, "UNDERLINE");
+    const fields = ["fontName", "fontSize", "textDecoration", "textStyleId"];
+    const before = text.getStyledTextSegments(fields);
+
+    await run("begin_transaction");
+    await run("set_text_style", {
+      nodeId: text.id,
+      start: 3,
+      end: 8,
+      fontStyle: "Regular",
+      fontSize: 40,
+      textDecoration: "STRIKETHROUGH",
+      textAlignHorizontal: "CENTER",
+      paragraphSpacing: 12,
+    });
+    await run("apply_style", { nodeId: text.id, styleId: heading.id });
+    const result = await run("rollback_transaction");
+
+    expect(result.errors).toEqual([]);
+    expect(text.getStyledTextSegments(fields)).toEqual(before);
+    expect([text.textAlignHorizontal, text.paragraphSpacing]).toEqual(["LEFT", 0]);
+  });
+
+  test("set_text_markdown renders headings, emphasis, code, links and lists", async () => {
+    plugin = await loadPlugin({
+      availableFonts: [
+        ...DEFAULT_AVAILABLE_FONTS,
+        { family: "Inter", style: "Italic" },
+        { family: "Inter", style: "Bold Italic" },
+        { family: "Roboto Mono", style: "Regular" },
+      ],
+    });
+    const text = await createTextNode("Old copy");
+
+    const result = await run("set_text_markdown", {
+      nodeId: text.id,
+      fontSize: 16,
+      markdown: [
+        "# Release notes",
+        "",
+        "Some **bold _and italic_** text,",
+        "`code` and [a link](https://example.com).",
+        "",
+        "- First",
+        "  - Nested",
+        "1. Step",
+      ].join("\n"),
+    });
+
+    expect(result.characters).toBe(
+      "Release notes\nSome bold and italic text, code and a link.\nFirst\nNested\nStep"
+    );
+    expect(result.missingFonts).toEqual([]);
+    const segments = text.getStyledTextSegments(["fontName", "fontSize", "hyperlink", "listOptions", "indentation"]);
+    const find = (characters: string) => segments.find((segment: any) => segment.characters.includes(characters));
+    expect(find("Release")).toMatchObject({ fontName: { style: "Bold" }, fontSize: 32 });
+    expect(find("bold ")).toMatchObject({ fontName: { style: "Bold" }, fontSize: 16 });
+    expect(find("and italic").fontName).toEqual({ family: "Inter", style: "Bold Italic" });
+    expect(find("code").fontName).toEqual({ family: "Roboto Mono", style: "Regular" });
+    expect(find("a link").hyperlink).toEqual({ type: "URL", value: "https://example.com" });
+    expect(find("First")).toMatchObject({ listOptions: { type: "UNORDERED" }, indentation: 1 });
+    expect(find("Nested")).toMatchObject({ listOptions: { type: "UNORDERED" }, indentation: 2 });
+    expect(find("Step")).toMatchObject({ listOptions: { type: "ORDERED" }, indentation: 1 });
+  });
+
+  test("rollback restores the text and ranges set_text_markdown replaced", async () => {
+    const { figma } = plugin;
+    await figma.loadFontAsync({ family: "Inter", style: "Bold" });
+    const text = await createTextNode("Read the docs\nThen ship");
+    text.setRangeFontName(0, 4, { family: "Inter", style: "Bold" });
+    text.setRangeHyperlink(9, 13, { type: "URL", value: "https://example.com/docs" });
+    text.setRangeListOptions(14, 23, { type: "ORDERED" });
+    text.setRangeIndentation(14, 23, 1);
+    const fields = ["fontName", "fontSize", "textDecoration", "hyperlink", "listOptions", "indentation"];
+    const before = text.getStyledTextSegments(fields);
+
+    await run("begin_transaction");
+    await run("set_text_markdown", {
+      nodeId: text.id,
+      markdown: "# Changelog\n\n- **Fixed** [rollback](https://example.com)\n  - Nested",
+    });
+    const result = await run("rollback_transaction");
+
+    expect(result.errors).toEqual([]);
+    expect(text.characters).toBe("Read the docs\nThen ship");
+    expect(text.getStyledTextSegments(fields)).toEqual(before);
+  });
+
+  test("set_text_markdown falls back from missing fonts", async () => {
+    const text = await createTextNode("");
+
+    const result = await run("set_text_markdown", {
+      nodeId: text.id,
+      markdown: "Use `npm test` or *rerun*; snake_case stays",
+      fonts: { code: "Fira Code" },
+    });
+
+    expect(result.characters).toBe("Use npm test or rerun; snake_case stays");
+    expect(result.missingFonts).toEqual([
+      { family: "Fira Code", style: "Regular" },
+      { family: "Inter", style: "Italic" },
+    ]);
+    expect(result.fontSubstitutions).toEqual([
+      { requested: { family: "Fira Code", style: "Regular" }, used: { family: "Inter", style: "Regular" } },
+      { requested: { family: "Inter", style: "Italic" }, used: { family: "Inter", style: "Regular" } },
+    ]);
+  });
+
+  test("list_available_fonts groups styles by family", async () => {
+    const result = await run("list_available_fonts", { family: "inter" });
+
+    expect(result.familyCount).toBe(1);
+    expect(result.families[0]).toEqual({
+      family: "Inter",
+      styles: DEFAULT_AVAILABLE_FONTS.map((font) => font.style),
+    });
+    expect((await run("list_available_fonts", { family: "Roboto" })).families).toEqual([]);
+  });
+
+  test("find_missing_fonts and replace_fonts fix text using unavailable fonts", async () => {
+    const { figma } = plugin;
+    const roboto = [
+      { family: "Roboto", style: "Regular" },
+      { family: "Roboto", style: "Bold" },
+    ];
+    figma.availableFonts = [...DEFAULT_AVAILABLE_FONTS, ...roboto];
+    const frame = figma.createFrame();
+    const title = await createTextNode("Title body", frame);
+    const caption = await createTextNode("Caption", frame);
+    await createTextNode("Fine", frame);
+    await Promise.all(roboto.map((font) => figma.loadFontAsync(font)));
+    title.setRangeFontName(0, 5, roboto[1]);
+    title.setRangeFontName(5, 10, roboto[0]);
+    caption.fontName = roboto[0];
+    figma.availableFonts = DEFAULT_AVAILABLE_FONTS;
+
+    const missing = await run("find_missing_fonts", { nodeId: frame.id });
+    expect(missing).toEqual({
+      scannedTextNodes: 3,
+      missingFonts: [
+        { family: "Roboto", style: "Bold", nodeCount: 1 },
+        { family: "Roboto", style: "Regular", nodeCount: 2 },
+      ],
+      nodes: [
+        { id: title.id, name: "Title body", fonts: [roboto[1], roboto[0]] },
+        { id: caption.id, name: "Caption", fonts: [roboto[0]] },
+      ],
+    });
+
+    await expect(
+      run("replace_fonts", { replacements: [{ from: { family: "Roboto" }, to: { family: "Lato" } }] })
+    ).rejects.toThrow("Replacement fonts are not available: Lato Bold, Lato Regular");
+    expect(title.hasMissingFont).toBe(true);
+
+    const replaced = await run("replace_fonts", {
+      pageId: figma.currentPage.id,
+      commandId: "fonts-1",
+      replacements: [{ from: { family: "Roboto" }, to: { family: "Inter" } }],
+    });
+
+    expect(replaced).toEqual({ scannedTextNodes: 3, replacedRanges: 3, nodeIds: [title.id, caption.id] });
+    expect(title.getRangeFontName(0, 5)).toEqual({ family: "Inter", style: "Bold" });
+    expect((await run("find_missing_fonts")).nodes).toEqual([]);
+    const updates = progressUpdates("replace_fonts").filter((update) => update.commandId === "fonts-1");
+    expect(updates.map((update) => update.status)).toEqual(["started", "completed"]);
+  });
+
+  test("font commands report progress while they run", async () => {
+    const { figma } = plugin;
+    const frame = figma.createFrame();
+    for (let index = 0; index < 120; index++) {
+      await createTextNode(`Line ${index}`, frame);
+    }
+
+    // Resolves once an in_progress update has been posted, or the command is done
+    const progressBeforeResult = async (commandType: string, pending: Promise<unknown>) => {
+      let done = false;
+      pending.then(() => (done = true));
+      while (!done && !progressUpdates(commandType).some((update) => update.status === "in_progress")) {
+        await new Promise((resolve) => setTimeout(resolve, 1));
+      }
+      const sawProgress = !done;
+      await pending;
+      return sawProgress;
+    };
+
+    expect(await progressBeforeResult("find_missing_fonts", run("find_missing_fonts", { nodeId: frame.id }))).toBe(true);
+    const replacing = run("replace_fonts", {
+      nodeId: frame.id,
+      replacements: [{ from: { family: "Inter" }, to: { family: "Inter", style: "Bold" } }],
+    });
+    expect(await progressBeforeResult("replace_fonts", replacing)).toBe(true);
+    expect(progressUpdates("replace_fonts").map((update) => [update.status, update.progress])).toEqual([
+      ["started", 0],
+      ["in_progress", 21],
+      ["in_progress", 42],
+      ["in_progress", 71],
+      ["in_progress", 92],
+      ["completed", 100],
+    ]);
+  });
+
+  test("rollback restores the fonts replace_fonts swapped", async () => {
+    const { figma } = plugin;
+    const roboto = { family: "Roboto", style: "Regular" };
+    figma.availableFonts = [...DEFAULT_AVAILABLE_FONTS, roboto];
+    const frame = figma.createFrame();
+    const title = await createTextNode("Title body", frame);
+    const caption = await createTextNode("Caption", frame);
+    await figma.loadFontAsync(roboto);
+    title.setRangeFontName(0, 5, roboto);
+    caption.fontName = roboto;
+
+    await run("begin_transaction");
+    await run("replace_fonts", {
+      nodeId: frame.id,
+      replacements: [{ from: { family: "Roboto" }, to: { family: "Inter" } }],
+    });
+    const result = await run("rollback_transaction");
+
+    expect(result.errors).toEqual([]);
+    expect(title.getStyledTextSegments(["fontName"]).map((segment: any) => segment.fontName)).toEqual([
+      roboto,
+      { family: "Inter", style: "Regular" },
+    ]);
+    expect(caption.fontName).toEqual(roboto);
+  });
+
+  test("scan_text_nodes finds visible text in chunks", async () => {
+    const frame = plugin.figma.createFrame();
+    const visible = await createTextNode("Visible", frame);
+    const hidden = await createTextNode("Hidden", frame);
+    hidden.visible = false;
+
+    const result = await run("scan_text_nodes", { nodeId: frame.id, chunkSize: 1, commandId: "scan-1" });
+
+    expect(result.textNodes.map((node: any) => node.id)).toEqual([visible.id]);
+    expect(result.textNodes[0].path).toBe("Frame > Visible");
+    const updates = progressUpdates("scan_text_nodes");
+    expect(updates.every((update) => update.commandId === "scan-1")).toBe(true);
+    expect(updates.at(-1)?.status).toBe("completed");
+  });
+
+  test("scan_text_nodes reports unknown nodes", async () => {
+    await expect(run("scan_text_nodes", { nodeId: "1:999" })).rejects.toThrow("Node with ID 1:999 not found");
+    expect(progressUpdates("scan_text_nodes").at(-1)?.status).toBe("error");
+  });
+
+  test("set_multiple_text_contents applies each replacement", async () => {
+    const frame = plugin.figma.createFrame();
+    const text = await createTextNode("Hello", frame);
+
+    const result = await run("set_multiple_text_contents", {
+      nodeId: frame.id,
+      text: [
+        { nodeId: text.id, text: "Bonjour" },
+        { nodeId: "1:999", text: "Missing" },
+      ],
+    });
+
+    expect(result).toMatchObject({ replacementsApplied: 1, replacementsFailed: 1 });
+    expect(text.characters).toBe("Bonjour");
+  });
+
+  test("set_multiple_text_contents requires a text array", async () => {
+    await expect(run("set_multiple_text_contents", { nodeId: "1:2" })).rejects.toThrow(
+      "Missing required parameters: nodeId and text array"
+    );
+  });
+});
+
+describe("auto layout", () => {
+  test("set_layout_mode enables auto-layout", async () => {
+    const frame = plugin.figma.createFrame();
+
+    const result = await run("set_layout_mode", { nodeId: frame.id, layoutMode: "HORIZONTAL", layoutWrap: "WRAP" });
+
+    expect(result).toMatchObject({ layoutMode: "HORIZONTAL", layoutWrap: "WRAP" });
+  });
+
+  test("set_layout_mode rejects nodes without auto-layout", async () => {
+    const rect = plugin.figma.createRectangle();
+
+    await expect(run("set_layout_mode", { nodeId: rect.id, layoutMode: "VERTICAL" })).rejects.toThrow(
+      "Node type RECTANGLE does not support layoutMode"
+    );
+  });
+
+  test("set_padding sets the provided sides", async () => {
+    const frame = createAutoLayoutFrame();
+
+    const result = await run("set_padding", { nodeId: frame.id, paddingTop: 4, paddingLeft: 8 });
+
+    expect(result).toMatchObject({ paddingTop: 4, paddingRight: 0, paddingBottom: 0, paddingLeft: 8 });
+  });
+
+  test("set_padding requires an auto-layout frame", async () => {
+    const frame = plugin.figma.createFrame();
+
+    await expect(run("set_padding", { nodeId: frame.id, paddingTop: 4 })).rejects.toThrow(
+      "Padding can only be set on auto-layout frames"
+    );
+  });
+
+  test("set_axis_align sets both axes", async () => {
+    const frame = createAutoLayoutFrame("HORIZONTAL");
+
+    const result = await run("set_axis_align", {
+      nodeId: frame.id,
+      primaryAxisAlignItems: "SPACE_BETWEEN",
+      counterAxisAlignItems: "BASELINE",
+    });
+
+    expect(result).toMatchObject({ primaryAxisAlignItems: "SPACE_BETWEEN", counterAxisAlignItems: "BASELINE" });
+  });
+
+  test("set_axis_align only allows BASELINE on horizontal layouts", async () => {
+    const frame = createAutoLayoutFrame("VERTICAL");
+
+    await expect(run("set_axis_align", { nodeId: frame.id, counterAxisAlignItems: "BASELINE" })).rejects.toThrow(
+      "BASELINE alignment is only valid for horizontal auto-layout frames"
+    );
+  });
+
+  test("set_layout_sizing sets sizing modes", async () => {
+    const frame = createAutoLayoutFrame();
+
+    const result = await run("set_layout_sizing", { nodeId: frame.id, layoutSizingHorizontal: "HUG" });
+
+    expect(result.layoutSizingHorizontal).toBe("HUG");
+  });
+
+  test("set_layout_sizing only allows FILL inside auto-layout parents", async () => {
+    const parent = plugin.figma.createFrame();
+    const child = createAutoLayoutFrame();
+    parent.appendChild(child);
+
+    await expect(run("set_layout_sizing", { nodeId: child.id, layoutSizingVertical: "FILL" })).rejects.toThrow(
+      "FILL sizing is only valid on auto-layout children"
+    );
+  });
+
+  test("set_item_spacing sets the gap", async () => {
+    const frame = createAutoLayoutFrame();
+
+    const result = await run("set_item_spacing", { nodeId: frame.id, itemSpacing: 12 });
+
+    expect(result.itemSpacing).toBe(12);
+  });
+
+  test("set_item_spacing requires a number", async () => {
+    const frame = createAutoLayoutFrame();
+
+    await expect(run("set_item_spacing", { nodeId: frame.id, itemSpacing: "12" })).rejects.toThrow(
+      "Item spacing must be a number"
+    );
+  });
+});
+
+describe("components", () => {
+  test("get_local_components searches the document or a single page", async () => {
+    const [home, archive] = plugin.figma.root.children;
+    const button = plugin.figma.createComponent();
+    const card = plugin.figma.createComponent();
+    archive.appendChild(card);
+
+    expect((await run("get_local_components")).count).toBe(2);
+
+    const result = await run("get_local_components", { pageId: home.id });
+    expect(result.components).toEqual([{ id: button.id, name: "Component", key: button.key }]);
+  });
+
+  test("create_component_instance instantiates a component by key", async () => {
+    const component = plugin.figma.createComponent();
+
+    const result = await run("create_component_instance", { componentKey: component.key, x: 40, y: 50 });
+
+    expect(result).toMatchObject({ componentId: component.id, x: 40, y: 50 });
+  });
+
+  test("create_component_instance validates the key", async () => {
+    await expect(run("create_component_instance", {})).rejects.toThrow("Missing componentKey parameter");
+    await expect(run("create_component_instance", { componentKey: "nope" })).rejects.toThrow(
+      "Error creating component instance"
+    );
+  });
+
+  test("create_component converts a frame in place", async () => {
+    const frame = createAutoLayoutFrame();
+    frame.name = "Button";
+    const label = await createTextNode("Label", frame);
+
+    const result = await run("create_component", { nodeId: frame.id, name: "Button/Primary" });
+
+    const component = await plugin.figma.getNodeByIdAsync(result.id);
+    expect(result).toMatchObject({ type: "COMPONENT", name: "Button/Primary", key: component.key });
+    expect([component.layoutMode, component.children[0]]).toEqual(["VERTICAL", label]);
+    expect(plugin.figma.currentPage.children).toEqual([component]);
+    await expect(run("create_component", { nodeId: label.id })).rejects.toThrow(
+      "Only frames can be converted to components"
+    );
+  });
+
+  test("combine_as_variants names variants from their properties", async () => {
+    const { figma } = plugin;
+    const first = figma.createComponent();
+    const second = figma.createComponent();
+    const values = {
+      [first.id]: { Size: "Large", State: "Default" },
+      [second.id]: { Size: "Small", State: "Default" },
+    };
+
+    const result = await run("combine_as_variants", {
+      componentIds: [first.id, second.id],
+      variantProperties: values,
+      name: "Button",
+    });
+
+    expect(result).toMatchObject({
+      type: "COMPONENT_SET",
+      name: "Button",
+      variantGroupProperties: { Size: { values: ["Large", "Small"] }, State: { values: ["Default"] } },
+      variants: [
+        { id: first.id, name: "Size=Large, State=Default", variantProperties: { Size: "Large", State: "Default" } },
+        { id: second.id, name: "Size=Small, State=Default" },
+      ],
+    });
+    expect(figma.currentPage.children.map((node) => node.id)).toEqual([result.id]);
+  });
+
+  test("combine_as_variants rejects duplicate variant values", async () => {
+    const { figma } = plugin;
+    const first = figma.createComponent();
+    const second = figma.createComponent();
+    const same = { State: "Hover" };
+
+    await expect(
+      run("combine_as_variants", {
+        componentIds: [first.id, second.id],
+        variantProperties: { [first.id]: same, [second.id]: same },
+      })
+    ).rejects.toThrow("Two variants would both be named State=Hover");
+    expect(first.parent).toBe(figma.currentPage);
+  });
+
+  test("add_component_property links layers inside the component", async () => {
+    const { figma } = plugin;
+    const icon = figma.createComponent();
+    const frame = figma.createFrame();
+    const label = await createTextNode("Label", frame);
+    const glyph = icon.createInstance();
+    frame.appendChild(glyph);
+    const button = figma.createComponentFromNode(frame);
+
+    const text = await run("add_component_property", {
+      nodeId: button.id,
+      name: "Label",
+      type: "TEXT",
+      defaultValue: "Buy",
+      targetNodeIds: [label.id],
+    });
+    const swap = await run("add_component_property", {
+      nodeId: button.id,
+      name: "Icon",
+      type: "INSTANCE_SWAP",
+      defaultValue: icon.id,
+      preferredValues: [icon.id],
+      targetNodeIds: [glyph.id],
+    });
+
+    expect(label.componentPropertyReferences).toEqual({ characters: text.propertyName });
+    expect(glyph.componentPropertyReferences).toEqual({ mainComponent: swap.propertyName });
+    expect(swap.componentPropertyDefinitions[swap.propertyName]).toMatchObject({
+      type: "INSTANCE_SWAP",
+      defaultValue: icon.id,
+      preferredValues: [{ type: "COMPONENT", key: icon.key }],
+    });
+    await expect(
+      run("add_component_property", {
+        nodeId: button.id,
+        name: "Shown",
+        type: "BOOLEAN",
+        defaultValue: true,
+        targetNodeIds: [icon.id],
+      })
+    ).rejects.toThrow(`Layer ${icon.id} is not inside`);
+    await expect(
+      run("add_component_property", { nodeId: button.id, name: "Size", type: "VARIANT", defaultValue: "Large" })
+    ).rejects.toThrow("VARIANT properties can only be added to component sets");
+  });
+
+  test("add_component_property adds variant options to a component set", async () => {
+    const { figma } = plugin;
+    const set = figma.combineAsVariants([figma.createComponent(), figma.createComponent()], figma.currentPage);
+
+    const result = await run("add_component_property", { nodeId: set.id, name: "Tone", type: "VARIANT", defaultValue: "Light" });
+
+    expect(result.variantGroupProperties.Tone).toEqual({ values: ["Light"] });
+    await expect(
+      run("add_component_property", { nodeId: set.children[0].id, name: "Shown", type: "BOOLEAN", defaultValue: true })
+    ).rejects.toThrow(`Add properties to the component set ${set.id}`);
+  });
+
+  test("rollback rebuilds frames made into components and drops added properties", async () => {
+    const { figma } = plugin;
+    const icon = figma.createComponent();
+    const card = createAutoLayoutFrame();
+    card.name = "Card";
+    card.paddingTop = 8;
+    card.clipsContent = false;
+    const label = await createTextNode("Label", card);
+    const other = figma.createFrame();
+    other.name = "Other";
+
+    await run("begin_transaction");
+    const first = await run("create_component", { nodeId: card.id });
+    const second = await run("create_component", { nodeId: other.id });
+    const set = await run("combine_as_variants", { componentIds: [first.id, second.id] });
+    await run("add_component_property", { nodeId: set.id, name: "Tone", type: "VARIANT", defaultValue: "Light" });
+    await run("add_component_property", {
+      nodeId: set.id,
+      name: "Text",
+      type: "TEXT",
+      defaultValue: "Buy",
+      targetNodeIds: [label.id],
+    });
+    await run("add_component_property", { nodeId: icon.id, name: "Shown", type: "BOOLEAN", defaultValue: true });
+    const result = await run("rollback_transaction");
+
+    expect(result.errors).toEqual([]);
+    const rebuiltCard = await figma.getNodeByIdAsync(result.rebuiltNodeIds[card.id]);
+    const rebuiltOther = await figma.getNodeByIdAsync(result.rebuiltNodeIds[other.id]);
+    expect(figma.currentPage.children).toEqual([icon, rebuiltCard, rebuiltOther]);
+    expect(rebuiltCard).toMatchObject({ type: "FRAME", name: "Card", layoutMode: "VERTICAL", paddingTop: 8, clipsContent: false });
+    expect(rebuiltCard.children).toEqual([label]);
+    expect(rebuiltOther).toMatchObject({ type: "FRAME", name: "Other" });
+    expect(label.componentPropertyReferences).toBeNull();
+    expect(icon.componentPropertyDefinitions).toEqual({});
+    expect(await figma.getNodeByIdAsync(set.id)).toBeNull();
+  });
+});
+
+describe("instances", () => {
+  // Button set with Size=Large/Small variants, a linked Label text property
+  // and a Show icon boolean linked to an icon instance
+  async function createButtonSet() {
+    const { figma } = plugin;
+    const icon = figma.createComponent();
+    icon.name = "Icon/Star";
+    const otherIcon = figma.createComponent();
+    otherIcon.name = "Icon/Heart";
+    const variants = [];
+    for (const size of ["Large", "Small"]) {
+      const frame = figma.createFrame();
+      await createTextNode("Label", frame);
+      frame.appendChild(icon.createInstance());
+      const variant = figma.createComponentFromNode(frame);
+      variant.name = `Size=${size}`;
+      variants.push(variant);
+    }
+    const set = figma.combineAsVariants(variants, figma.currentPage);
+    set.name = "Button";
+    const label = set.addComponentProperty("Label", "TEXT", "Label");
+    const showIcon = set.addComponentProperty("Show icon", "BOOLEAN", true);
+    for (const variant of variants) {
+      variant.children[0].componentPropertyReferences = { characters: label };
+      variant.children[1].componentPropertyReferences = { visible: showIcon };
+    }
+    return { set, variants, icon, otherIcon, label, showIcon };
+  }
+
+  test("get_node_info describes an instance's properties and overrides", async () => {
+    const { variants, label, showIcon } = await createButtonSet();
+    const instance = variants[0].createInstance();
+    instance.setProperties({ [label]: "Buy" });
+
+    const result = await run("get_node_info", { nodeId: instance.id });
+
+    expect(result.instance).toEqual({
+      mainComponent: { id: variants[0].id, name: "Size=Large", key: variants[0].key },
+      componentSet: { id: variants[0].parent.id, name: "Button", key: variants[0].parent.key },
+      properties: {
+        Size: { type: "VARIANT", value: "Large", defaultValue: "Large", variantOptions: ["Large", "Small"] },
+        [label]: { type: "TEXT", value: "Buy", defaultValue: "Label" },
+        [showIcon]: { type: "BOOLEAN", value: true, defaultValue: true },
+      },
+      overrides: [{ id: instance.children[0].id, overriddenFields: ["characters"] }],
+    });
+  });
+
+  test("set_instance_properties switches variants and keeps text overrides", async () => {
+    const { variants, label } = await createButtonSet();
+    const instance = variants[0].createInstance();
+
+    const result = await run("set_instance_properties", {
+      nodeId: instance.id,
+      properties: { Label: "Buy now", "Show icon": false },
+    });
+    const switched = await run("set_instance_properties", { nodeId: instance.id, properties: { Size: "Small" } });
+
+    expect(result.properties[label].value).toBe("Buy now");
+    expect(switched.mainComponent.id).toBe(variants[1].id);
+    expect(instance.children.map((child) => [child.type, child.visible])).toEqual([
+      ["TEXT", true],
+      ["INSTANCE", false],
+    ]);
+    expect(instance.children[0].characters).toBe("Buy now");
+  });
+
+  test("set_instance_properties validates names, values and variant combinations", async () => {
+    const { variants } = await createButtonSet();
+    const instance = variants[0].createInstance();
+    const set = (properties: Record<string, unknown>) =>
+      run("set_instance_properties", { nodeId: instance.id, properties });
+
+    await expect(set({ Color: "Red" })).rejects.toThrow(`Instance ${instance.id} has no property Color; available: Size`);
+    await expect(set({ "Show icon": "no" })).rejects.toThrow("value must be true or false");
+    await expect(set({ Size: "Huge" })).rejects.toThrow("No variant of Button has Size=Huge");
+    await expect(
+      run("set_instance_properties", { nodeId: variants[0].id, properties: { Size: "Small" } })
+    ).rejects.toThrow("is a COMPONENT, not an instance");
+  });
+
+  test("swap_component, reset_overrides and detach_instance", async () => {
+    const { set, variants, icon, otherIcon } = await createButtonSet();
+    const instance = variants[1].createInstance();
+    const nested = instance.children[1];
+
+    await run("swap_component", { nodeId: nested.id, componentId: otherIcon.id });
+    expect((await run("get_node_info", { nodeId: instance.id })).instance.overrides).toEqual([
+      { id: nested.id, overriddenFields: ["name", "mainComponent"] },
+    ]);
+
+    const reset = await run("reset_overrides", { nodeId: instance.id });
+    expect(reset.overrides).toEqual([]);
+    expect(instance.children[1].mainComponent).toBe(icon);
+
+    const swapped = await run("swap_component", { nodeId: instance.id, componentId: set.id });
+    expect(swapped.mainComponent.id).toBe(variants[0].id);
+
+    const detached = await run("detach_instance", { nodeId: instance.id });
+    const frame = await plugin.figma.getNodeByIdAsync(detached.id);
+    expect([frame.type, detached.detachedFromComponentId, instance.removed]).toEqual(["FRAME", variants[0].id, true]);
+    expect(frame.children.map((child) => child.type)).toEqual(["TEXT", "INSTANCE"]);
+  });
+
+  test("rollback restores instance properties and components, and rebuilds detached instances", async () => {
+    const { figma } = plugin;
+    const { variants, label, showIcon, otherIcon } = await createButtonSet();
+    const instance = variants[0].createInstance();
+    instance.setProperties({ [label]: "Buy" });
+    const swapped = variants[0].createInstance();
+    const detachable = variants[1].createInstance();
+    detachable.setProperties({ [showIcon]: false });
+    detachable.x = 300;
+
+    await run("begin_transaction");
+    await run("set_instance_properties", { nodeId: instance.id, properties: { Label: "Sell", Size: "Small" } });
+    await run("reset_overrides", { nodeId: instance.id });
+    await run("swap_component", { nodeId: swapped.id, componentId: otherIcon.id });
+    const detached = await run("detach_instance", { nodeId: detachable.id });
+    const result = await run("rollback_transaction");
+
+    expect(result.errors).toEqual([]);
+    expect(instance.mainComponent).toBe(variants[0]);
+    expect(instance.componentProperties[label].value).toBe("Buy");
+    expect(instance.children[0].characters).toBe("Buy");
+    expect(swapped.mainComponent).toBe(variants[0]);
+    const rebuilt = await figma.getNodeByIdAsync(result.rebuiltNodeIds[detachable.id]);
+    expect(rebuilt).toMatchObject({ type: "INSTANCE", mainComponent: variants[1], x: 300 });
+    expect(rebuilt.componentProperties[showIcon].value).toBe(false);
+    expect(rebuilt.children[1].visible).toBe(false);
+    expect(figma.currentPage.children.indexOf(rebuilt)).toBe(5);
+    expect(await figma.getNodeByIdAsync(detached.id)).toBeNull();
+  });
+});
+
+describe("export_node_as_image", () => {
+  test("returns base64 PNG bytes at the requested scale", async () => {
+    const rect = plugin.figma.createRectangle();
+    rect.resize(40, 20);
+
+    const result = await run("export_node_as_image", { nodeId: rect.id, format: "PNG", scale: 3 });
+
+    expect(result).toMatchObject({ format: "PNG", mimeType: "image/png", scale: 3, width: 120, height: 60 });
+    expect(Buffer.from(result.imageData, "base64").subarray(1, 4).toString()).toBe("PNG");
+    expect(plugin.figma.exports[0].settings).toEqual({ format: "PNG", constraint: { type: "SCALE", value: 3 } });
+  });
+
+  test("exports vector formats without a scale constraint", async () => {
+    const rect = plugin.figma.createRectangle();
+
+    const result = await run("export_node_as_image", { nodeId: rect.id, format: "SVG" });
+
+    expect(result.scale).toBe(1);
+    expect(Buffer.from(result.imageData, "base64").toString()).toContain("<svg");
+    expect(plugin.figma.exports[0].settings).toEqual({ format: "SVG" });
+  });
+
+  test("validates the node and format", async () => {
+    const rect = plugin.figma.createRectangle();
+
+    await expect(run("export_node_as_image", {})).rejects.toThrow("Missing nodeId parameter");
+    await expect(run("export_node_as_image", { nodeId: rect.id, format: "GIF" })).rejects.toThrow(
+      "Unsupported export format: GIF"
+    );
+    await expect(run("export_node_as_image", { nodeId: "1:999" })).rejects.toThrow("Node not found with ID: 1:999");
+  });
+});
+
+describe("annotations", () => {
+  test("set_annotation and get_annotations round-trip", async () => {
+    const rect = plugin.figma.createRectangle();
+
+    const set = await run("set_annotation", { nodeId: rect.id, labelMarkdown: "**Primary** action" });
+    expect(set.success).toBe(true);
+
+    const forNode = await run("get_annotations", { nodeId: rect.id });
+    expect(forNode.annotations).toEqual([{ labelMarkdown: "**Primary** action" }]);
+    expect(forNode.categories).toHaveLength(2);
+
+    const forPage = await run("get_annotations", { includeCategories: false });
+    expect(forPage.annotatedNodes.map((node: any) => node.nodeId)).toEqual([rect.id]);
+  });
+
+  test("set_annotation reports validation failures in its result", async () => {
+    const rect = plugin.figma.createRectangle();
+
+    expect(await run("set_annotation", { nodeId: rect.id })).toEqual({
+      success: false,
+      error: "Missing labelMarkdown",
+    });
+  });
+
+  test("get_annotations rejects unknown nodes", async () => {
+    await expect(run("get_annotations", { nodeId: "1:999" })).rejects.toThrow("Node not found: 1:999");
+  });
+
+  test("set_multiple_annotations counts successes and failures", async () => {
+    const rect = plugin.figma.createRectangle();
+
+    const result = await run("set_multiple_annotations", {
+      nodeId: rect.id,
+      annotations: [
+        { nodeId: rect.id, labelMarkdown: "Note" },
+        { nodeId: "1:999", labelMarkdown: "Lost" },
+      ],
+    });
+
+    expect(result).toMatchObject({ annotationsApplied: 1, annotationsFailed: 1 });
+  });
+
+  test("set_multiple_annotations requires annotations", async () => {
+    expect(await run("set_multiple_annotations", { nodeId: "1:2", annotations: [] })).toEqual({
+      success: false,
+      error: "No annotations provided",
+    });
+  });
+
+  test("scan_nodes_by_types finds matching visible nodes", async () => {
+    const frame = plugin.figma.createFrame();
+    const rect = plugin.figma.createRectangle();
+    frame.appendChild(rect);
+
+    const result = await run("scan_nodes_by_types", { nodeId: frame.id, types: ["RECTANGLE"] });
+
+    expect(result.matchingNodes.map((node: any) => node.id)).toEqual([rect.id]);
+    expect(progressUpdates("scan_nodes_by_types").at(-1)?.status).toBe("completed");
+  });
+
+  test("scan_nodes_by_types requires types", async () => {
+    await expect(run("scan_nodes_by_types", { types: [] })).rejects.toThrow("No types specified to search for");
+  });
+});
+
+describe("analyze_selection", () => {
+  test("counts layers in the selected node", async () => {
+    const frame = plugin.figma.createFrame();
+    const hidden = plugin.figma.createRectangle();
+    hidden.visible = false;
+    frame.appendChild(hidden);
+    plugin.figma.currentPage.selection = [frame];
+
+    const result = await run("analyze_selection");
+
+    expect(result.statistics).toEqual({ totalLayers: 2, hiddenLayers: 1, lockedLayers: 0, topLevelLayers: 1 });
+  });
+
+  test("reports an empty selection", async () => {
+    expect(await run("analyze_selection")).toEqual({ error: "No element selected" });
+  });
+});
+
+describe("game assets", () => {
+  test("convert_to_frame wraps a node in a square gridded frame", async () => {
+    const rect = plugin.figma.createRectangle();
+    rect.resize(50, 30);
+
+    const result = await run("convert_to_frame", { nodeId: rect.id, gridSize: 4 });
+
+    const frame = (await plugin.figma.getNodeByIdAsync(result.frame.id)) as FakeFrameNode;
+    expect(result.frame).toMatchObject({ width: 50, height: 50, gridSize: 4 });
+    expect(frame.children).toEqual([rect]);
+  });
+
+  test("convert_to_frame needs a target", async () => {
+    await expect(run("convert_to_frame", {})).rejects.toThrow("Please select an element first");
+  });
+
+  test("convert_to_basic_frame wraps the selection", async () => {
+    const rect = plugin.figma.createRectangle();
+    plugin.figma.currentPage.selection = [rect];
+
+    const result = await run("convert_to_basic_frame");
+
+    const frame = (await plugin.figma.getNodeByIdAsync(result.frame.id)) as FakeFrameNode;
+    expect(frame.primaryAxisAlignItems).toBe("MAX");
+    expect(frame.children).toEqual([rect]);
+  });
+
+  test("convert_to_basic_frame needs a selection", async () => {
+    await expect(run("convert_to_basic_frame")).rejects.toThrow("Please select an element first");
+  });
+
+  test("create_atlas packs frames into one atlas", async () => {
+    const first = plugin.figma.createFrame();
+    const second = plugin.figma.createFrame();
+    second.resize(64, 32);
+
+    const result = await run("create_atlas", { nodeIds: [first.id, second.id], gridSize: 8 });
+
+    const atlas = (await plugin.figma.getNodeByIdAsync(result.atlas.id)) as FakeFrameNode;
+    expect(result.atlas.framesCount).toBe(2);
+    expect(atlas.children).toHaveLength(2);
+    expect(result.atlas.json.textures[0].frames).toHaveLength(2);
+  });
+
+  test("create_atlas needs at least two frames", async () => {
+    const frame = plugin.figma.createFrame();
+
+    await expect(run("create_atlas", { nodeIds: [frame.id] })).rejects.toThrow(
+      "Please select at least 2 frames to create an atlas"
+    );
+  });
+
+  test("create_grid_frame creates and selects a gridded frame", async () => {
+    const result = await run("create_grid_frame", { width: 640, height: 480, gridSize: 16 });
+
+    expect(result.frame).toMatchObject({ width: 640, height: 480, gridSize: 16 });
+    expect(plugin.figma.currentPage.selection.map((node) => node.id)).toEqual([result.frame.id]);
+  });
+
+  test("snap_to_grid rounds positions to the grid", async () => {
+    const rect = plugin.figma.createRectangle();
+    rect.x = 30;
+    rect.y = 70;
+
+    const result = await run("snap_to_grid", { nodeIds: [rect.id], gridSize: 32 });
+
+    expect(result.snappedCount).toBe(1);
+    expect([rect.x, rect.y]).toEqual([32, 64]);
+  });
+
+  test("snap_to_grid needs a target", async () => {
+    await expect(run("snap_to_grid", {})).rejects.toThrow("Please select elements to snap to grid");
+  });
+
+  test("export_phaser_map builds Tiled map data from a frame", async () => {
+    const frame = plugin.figma.createFrame();
+    frame.resize(128, 64);
+
+    const result = await run("export_phaser_map", {
+      nodeId: frame.id,
+      tileWidth: 32,
+      tileHeight: 32,
+      tilesetName: "tiles",
+      mapName: "level1",
+    });
+
+    expect(result.mapData).toMatchObject({ width: 4, height: 2 });
+    expect(result.mapData.layers[0].data).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+  });
+
+  test("export_phaser_map requires map parameters", async () => {
+    await expect(run("export_phaser_map", { tileWidth: 32 })).rejects.toThrow("Missing required parameters");
+  });
+
+  test("generate-tiles creates a grid of tiles", async () => {
+    const result = await run("generate-tiles", { columns: 2, rows: 3, tileWidth: 16, tileHeight: 16 });
+
+    const frame = (await plugin.figma.getNodeByIdAsync(result.frame.id)) as FakeFrameNode;
+    expect(frame.children).toHaveLength(6);
+    expect(frame.children[5].name).toBe("Tile 3-2");
+  });
+
+  test("export-tile-map converts children to collision objects", async () => {
+    const frame = plugin.figma.createFrame();
+    frame.resize(96, 64);
+    const rect = plugin.figma.createRectangle();
+    frame.appendChild(rect);
+    rect.x = 8;
+    rect.resize(16, 16);
+
+    const result = await run("export-tile-map", { nodeId: frame.id, tileSize: 32 });
+
+    expect(result.mapData).toMatchObject({ width: 3, height: 2 });
+    expect(result.mapData.layers[1].objects[0]).toMatchObject({ x: 8, y: 0, width: 16, height: 16 });
+  });
+
+  test("export-tile-map needs a single frame", async () => {
+    const rect = plugin.figma.createRectangle();
+
+    await expect(run("export-tile-map", { nodeId: rect.id })).rejects.toThrow(
+      "Please select a single frame to export"
+    );
+  });
+
+  test("frame-up wraps the selection in a frame", async () => {
+    const first = plugin.figma.createRectangle();
+    const second = plugin.figma.createRectangle();
+    second.x = 200;
+    plugin.figma.currentPage.selection = [first, second];
+
+    const result = await run("frame-up");
+
+    const [frame] = plugin.figma.currentPage.selection as FakeFrameNode[];
+    expect(result.success).toBe(true);
+    expect(frame.children).toEqual([first, second]);
+  });
+
+  test("frame-up needs a selection", async () => {
+    await expect(run("frame-up")).rejects.toThrow("Please select at least one item");
+  });
+
+  test("create-centered-tile centers a tile on the selection or the viewport", async () => {
+    const { figma } = plugin;
+    figma.viewport.center = { x: 500, y: 300 };
+
+    const onViewport = await run("create-centered-tile", { tileSize: 32 });
+    const rect = figma.createRectangle();
+    rect.x = 100;
+    figma.currentPage.selection = [rect];
+    const onSelection = await run("create-centered-tile", { tileSize: 64 });
+
+    expect(onViewport).toMatchObject({ name: "Centered Tile", x: 484, y: 284, width: 32, height: 32 });
+    expect(onSelection).toMatchObject({ x: 118, y: 18, width: 64, height: 64 });
+    await expect(run("create-centered-tile", { tileSize: 12 })).rejects.toThrow(
+      "Tile size must be a positive multiple of 8"
+    );
+  });
+});
+
+describe("transactions", () => {
+  test("rollback_transaction reverts every edit made since begin_transaction", async () => {
+    const { figma } = plugin;
+    const card = createAutoLayoutFrame("NONE");
+    const box = figma.createRectangle();
+    box.x = 10;
+    box.fills = [{ type: "SOLID", color: { r: 1, g: 0, b: 0 } }];
+    const label = await createTextNode("Hello", card);
+
+    await run("begin_transaction", { name: "Card" });
+    const created = await run("create_rectangle", { parentId: card.id });
+    await run("set_fill_color", { nodeId: box.id, color: { r: 0, g: 0, b: 1 } });
+    await run("move_node", { nodeId: box.id, x: 200, y: 0 });
+    await run("set_layout_mode", { nodeId: card.id, layoutMode: "VERTICAL" });
+    await run("set_text_content", { nodeId: label.id, text: "Bye" });
+    await run("delete_node", { nodeId: label.id });
+    const result = await run("rollback_transaction");
+
+    expect(result).toMatchObject({ name: "Card", commandCount: 6, removedNodeCount: 1, errors: [] });
+    expect(await figma.getNodeByIdAsync(created.id)).toBeNull();
+    expect(box.x).toBe(10);
+    expect(box.fills).toEqual([{ type: "SOLID", color: { r: 1, g: 0, b: 0 } }]);
+    expect(card.layoutMode).toBe("NONE");
+    expect(card.children).toEqual([label]);
+    expect([label.characters, label.visible, label.removed]).toEqual(["Hello", true, false]);
+    expect(figma.undoCommits).toBe(2);
+  });
+
+  test("rollback moves nodes out of frames created during the transaction", async () => {
+    const { figma } = plugin;
+    const first = figma.createRectangle();
+    const second = figma.createRectangle();
+    second.x = 150;
+    const last = figma.createEllipse();
+    figma.currentPage.selection = [first, second];
+
+    await run("begin_transaction");
+    await run("frame-up");
+    expect(figma.currentPage.children).toHaveLength(2);
+    await run("rollback_transaction");
+
+    expect(figma.currentPage.children).toEqual([first, second, last]);
+    expect(second.x).toBe(150);
+  });
+
+  test("commit_transaction applies deferred deletions and closes one undo step", async () => {
+    const { figma } = plugin;
+    const doomed = figma.createRectangle();
+
+    await run("begin_transaction");
+    const frame = await run("create_frame", { name: "Kept" });
+    await run("delete_node", { nodeId: doomed.id });
+    expect(doomed.removed).toBe(false);
+    const result = await run("commit_transaction");
+
+    expect(result).toMatchObject({
+      commandCount: 2,
+      createdNodeIds: [frame.id],
+      deletedNodeIds: [doomed.id],
+    });
+    expect(doomed.removed).toBe(true);
+    expect(figma.currentPage.children.map((node) => node.id)).toEqual([frame.id]);
+    expect(figma.undoCommits).toBe(2);
+  });
+
+  test("rollback reports nodes it could not restore", async () => {
+    const { figma } = plugin;
+    const box = figma.createRectangle();
+    const kept = figma.createRectangle();
+
+    await run("begin_transaction");
+    await run("move_node", { nodeId: box.id, x: 50, y: 50 });
+    await run("move_node", { nodeId: kept.id, x: 50, y: 50 });
+    // Deleted in the editor while the transaction was open
+    box.remove();
+    const result = await run("rollback_transaction");
+
+    expect(result.errors).toEqual([
+      { nodeId: box.id, message: "Node no longer exists; its changes cannot be rolled back" },
+    ]);
+    expect([kept.x, kept.y]).toEqual([0, 0]);
+  });
+
+  test("only one transaction can be open at a time", async () => {
+    await run("begin_transaction");
+
+    await expect(run("begin_transaction")).rejects.toMatchObject({ code: "transaction_active" });
+  });
+
+  test("commit and rollback require an open transaction", async () => {
+    await expect(run("commit_transaction")).rejects.toMatchObject({ code: "no_transaction" });
+    await expect(run("rollback_transaction")).rejects.toMatchObject({ code: "no_transaction" });
+  });
+
+  test("an open transaction belongs to the client that opened it", async () => {
+    const box = plugin.figma.createRectangle();
+    const owner = { clientId: "agent-a" };
+    const { transactionId } = await plugin.handleCommand("begin_transaction", {}, owner);
+
+    await expect(
+      plugin.handleCommand("move_node", { nodeId: box.id, x: 50, y: 0 }, { clientId: "agent-b" })
+    ).rejects.toMatchObject({ code: "transaction_active", details: { transactionId } });
+    await expect(run("rollback_transaction")).rejects.toMatchObject({ code: "transaction_active" });
+    await plugin.handleCommand("execute_batch", {
+      steps: [{ command: "move_node", params: { nodeId: box.id, x: 20, y: 0 } }],
+    }, owner);
+    expect(box.x).toBe(20);
+
+    await plugin.handleCommand("commit_transaction", {}, owner);
+    await plugin.handleCommand("move_node", { nodeId: box.id, x: 50, y: 0 }, { clientId: "agent-b" });
+    expect(box.x).toBe(50);
+  });
+
+  test("the transaction is rolled back when its client leaves", async () => {
+    const box = plugin.figma.createRectangle();
+    await plugin.handleCommand("begin_transaction", {}, { clientId: "agent-a" });
+    await plugin.handleCommand("delete_node", { nodeId: box.id }, { clientId: "agent-a" });
+
+    await plugin.sendFromUi({ type: "client-left", clientId: "agent-b" });
+    expect(box.visible).toBe(false);
+    await plugin.sendFromUi({ type: "client-left", clientId: "agent-a" });
+
+    expect([box.visible, box.removed]).toEqual([true, false]);
+    await expect(
+      plugin.handleCommand("commit_transaction", {}, { clientId: "agent-a" })
+    ).rejects.toMatchObject({
+      code: "no_transaction",
+      message: expect.stringContaining("the client that opened it disconnected"),
+    });
+  });
+
+  test("idle transactions are rolled back after timeoutSeconds", async () => {
+    const box = plugin.figma.createRectangle();
+    const { timeoutSeconds } = await run("begin_transaction", { timeoutSeconds: 0.05 });
+    await run("move_node", { nodeId: box.id, x: 80, y: 0 });
+    expect(timeoutSeconds).toBe(0.05);
+
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    expect(box.x).toBe(0);
+    await expect(run("rollback_transaction")).rejects.toThrow("no command arrived for 0.05 seconds");
+    await expect(run("begin_transaction", { timeoutSeconds: 0 })).rejects.toMatchObject({ code: "invalid_params" });
+  });
+
+  test("closing the plugin restores deleted nodes", async () => {
+    const { figma } = plugin;
+    const box = figma.createRectangle();
+    await run("begin_transaction");
+    await run("delete_node", { nodeId: box.id });
+
+    figma.emit("close");
+
+    expect(box.visible).toBe(true);
+  });
+});
+
+describe("execute_batch", () => {
+  test("later steps can reference results of earlier ones", async () => {
+    const result = await run("execute_batch", {
+      steps: [
+        { command: "create_frame", params: { name: "Card" } },
+        { command: "create_rectangle", params: { name: "Body", parentId: "$step1.id" } },
+        { command: "set_fill_color", params: { nodeId: "$step2.id", color: { r: 0, g: 1, b: 0 } } },
+      ],
+    });
+
+    expect(result).toMatchObject({ success: true, totalSteps: 3, succeededSteps: 3, failedSteps: 0 });
+    expect(result.results.map((step: any) => step.status)).toEqual(["success", "success", "success"]);
+    const card = (await plugin.figma.getNodeByIdAsync(result.results[0].result.id)) as FakeFrameNode;
+    expect(card.children.map((child) => child.name)).toEqual(["Body"]);
+    expect(result.results[1].result.parentId).toBe(card.id);
+  });
+
+  test("stops at the first failed step by default", async () => {
+    const result = await run("execute_batch", {
+      steps: [
+        { command: "create_rectangle" },
+        { command: "move_node", params: { nodeId: "1:999", x: 0, y: 0 } },
+        { command: "create_rectangle" },
+      ],
+    });
+
+    expect(result).toMatchObject({ success: false, succeededSteps: 1, failedSteps: 1, skippedSteps: 1 });
+    expect(result.results[1]).toMatchObject({
+      step: 2,
+      status: "error",
+      error: { code: "not_found", command: "move_node", nodeId: "1:999" },
+    });
+    expect(result.results[2]).toEqual({ step: 3, command: "create_rectangle", status: "skipped" });
+    expect(plugin.figma.currentPage.children).toHaveLength(1);
+  });
+
+  test("continue mode runs the remaining steps", async () => {
+    const result = await run("execute_batch", {
+      onError: "continue",
+      steps: [
+        { command: "does_not_exist" },
+        { command: "create_rectangle", params: { parentId: "$step1.id" } },
+        { command: "create_rectangle" },
+      ],
+    });
+
+    expect(result).toMatchObject({ success: false, succeededSteps: 1, failedSteps: 2, skippedSteps: 0 });
+    expect(result.results[0].error.code).toBe("unknown_command");
+    expect(result.results[1].error).toMatchObject({
+      code: "invalid_reference",
+      message: "$step1.id refers to step 1, which failed",
+    });
+    expect(result.results[2].status).toBe("success");
+  });
+
+  test("rejects references to missing steps and fields, and nested batches", async () => {
+    const result = await run("execute_batch", {
+      onError: "continue",
+      steps: [
+        { command: "create_rectangle", params: { parentId: "$step3.id" } },
+        { command: "create_rectangle", params: { name: "$step2.nope" } },
+        { command: "execute_batch", params: { steps: [] } },
+        { command: "create_rectangle" },
+        { command: "create_rectangle", params: { parentId: "$step4.nope" } },
+      ],
+    });
+
+    expect(result.results.map((step: any) => step.error?.message)).toEqual([
+      "$step3.id refers to step 3, which has not run yet",
+      "$step2.nope refers to step 2, which has not run yet",
+      "execute_batch cannot be nested",
+      undefined,
+      '$step4.nope does not resolve: no "nope" in the result of step 4',
+    ]);
+    expect(result.results[4].error.code).toBe("invalid_reference");
+  });
+
+  test("reports progress under the batch's command id", async () => {
+    await run("execute_batch", { commandId: "batch-1", steps: [{ command: "create_rectangle" }] });
+
+    const updates = progressUpdates("execute_batch");
+    expect(updates.map((update) => update.status)).toEqual(["started", "in_progress", "completed"]);
+    expect(updates.every((update) => update.commandId === "batch-1")).toBe(true);
+  });
+
+  test("validates its parameters", async () => {
+    await expect(run("execute_batch", { steps: [] })).rejects.toThrow("Missing or invalid steps parameter");
+    await expect(run("execute_batch", { steps: [{ command: "get_selection" }], onError: "retry" })).rejects.toThrow(
+      'Invalid onError value: retry. Must be "stop" or "continue"'
+    );
+  });
+});
+
+describe("command dispatch", () => {
+  test("unknown commands are rejected with a code", async () => {
+    await expect(run("does_not_exist")).rejects.toMatchObject({
+      code: "unknown_command",
+      message: "Unknown command: does_not_exist",
+    });
+  });
+
+  test("execute-command posts results back to the UI", async () => {
+    const rect = plugin.figma.createRectangle();
+
+    await plugin.sendFromUi({ type: "execute-command", id: "req-1", command: "delete_node", params: { nodeId: rect.id } });
+
+    expect(plugin.figma.ui.messages.at(-1)).toEqual({
+      type: "command-result",
+      id: "req-1",
+      result: { id: rect.id, name: "Rectangle", type: "RECTANGLE" },
+    });
+  });
+
+  test("execute-command posts a structured error envelope", async () => {
+    await plugin.sendFromUi({
+      type: "execute-command",
+      id: "req-2",
+      command: "move_node",
+      params: { nodeId: "1:999", x: 0, y: 0 },
+    });
+
+    expect(plugin.figma.ui.messages.at(-1)).toEqual({
+      type: "command-error",
+      id: "req-2",
+      error: {
+        code: "not_found",
+        message: "Node not found with ID: 1:999",
+        command: "move_node",
+        nodeId: "1:999",
+      },
+    });
+  });
+
+  test("selection changes are announced to the UI", async () => {
+    const rect = plugin.figma.createRectangle();
+
+    plugin.figma.currentPage.selection = [rect];
+
+    expect(plugin.figma.ui.messages.at(-1)).toEqual({
+      type: "selection-changed",
+      selection: [{ id: rect.id, name: "Rectangle", type: "RECTANGLE" }],
+    });
+  });
+});
@@ -0,0 +1,162 @@
+import { createServer } from "net";
+import { join } from "path";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
+import { SimulatedPlugin } from "./simulated-plugin";
+
+const ROOT = join(import.meta.dir, "../..");
+const RELAY_PATH = join(ROOT, "src/socket.ts");
+const SERVER_PATH = join(ROOT, "src/talk_to_figma_mcp/server.ts");
+
+const verbose = Boolean(process.env.TALK_TO_FIGMA_TEST_VERBOSE);
+
+export const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Retry until the check passes or the deadline expires
+export async function waitFor<T>(check: () => Promise<T>, timeoutMs = 10000, intervalMs = 100): Promise<T> {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    try {
+      return await check();
+    } catch (error) {
+      if (Date.now() > deadline) throw error;
+      await sleep(intervalMs);
+    }
+  }
+}
+
+export async function getFreePort(): Promise<number> {
+  return new Promise((resolve, reject) => {
+    const probe = createServer();
+    probe.once("error", reject);
+    probe.listen(0, "127.0.0.1", () => {
+      const address = probe.address();
+      probe.close(() => resolve(typeof address === "object" && address ? address.port : 0));
+    });
+  });
+}
+
+export class Relay {
+  readonly port: number;
+  private process: ReturnType<typeof Bun.spawn> | null = null;
+
+  constructor(port: number) {
+    this.port = port;
+  }
+
+  get url() {
+    return `ws://localhost:${this.port}`;
+  }
+
+  async start() {
+    this.process = Bun.spawn([process.execPath, RELAY_PATH, `--port=${this.port}`], {
+      cwd: ROOT,
+      stdout: verbose ? "inherit" : "ignore",
+      stderr: verbose ? "inherit" : "ignore",
+    });
+
+    // The relay is ready once it accepts WebSocket connections
+    await waitFor(
+      () =>
+        new Promise<void>((resolve, reject) => {
+          const socket = new WebSocket(this.url);
+          socket.onopen = () => {
+            socket.close();
+            resolve();
+          };
+          socket.onerror = () => reject(new Error(`Relay not listening on ${this.url}`));
+        }),
+      5000,
+      50
+    );
+  }
+
+  async stop() {
+    if (!this.process) return;
+    this.process.kill();
+    await this.process.exited;
+    this.process = null;
+  }
+}
+
+export interface ToolResult {
+  text: string;
+  isError: boolean;
+  content: any[];
+}
+
+export class McpSession {
+  readonly client = new Client({ name: "talk-to-figma-e2e", version: "1.0.0" });
+  private transport: StdioClientTransport;
+
+  constructor(relayPort: number, serverArgs: string[] = []) {
+    this.transport = new StdioClientTransport({
+      command: process.execPath,
+      args: [SERVER_PATH, `--port=${relayPort}`, ...serverArgs],
+      cwd: ROOT,
+      stderr: verbose ? "inherit" : "ignore",
+    });
+  }
+
+  async start() {
+    await this.client.connect(this.transport);
+  }
+
+  async callTool(name: string, args: Record<string, unknown> = {}): Promise<ToolResult> {
+    const result = (await this.client.callTool({ name, arguments: args })) as any;
+    const content = result.content || [];
+    return {
+      content,
+      isError: Boolean(result.isError),
+      text: content
+        .filter((item: any) => item.type === "text")
+        .map((item: any) => item.text)
+        .join("\n"),
+    };
+  }
+
+  async close() {
+    await this.client.close();
+  }
+}
+
+export interface E2eStack {
+  relay: Relay;
+  mcp: McpSession;
+  plugin: SimulatedPlugin;
+  channel: string;
+  stop: () => Promise<void>;
+}
+
+// Start relay, MCP server (over stdio) and simulated plugin, all on one channel
+export async function startStack({ serverArgs = [] }: { serverArgs?: string[] } = {}): Promise<E2eStack> {
+  const relay = new Relay(await getFreePort());
+  await relay.start();
+
+  const channel = `e2e-${crypto.randomUUID().slice(0, 8)}`;
+  const plugin = new SimulatedPlugin({ url: relay.url, channel });
+  await plugin.start();
+
+  const mcp = new McpSession(relay.port, serverArgs);
+  await mcp.start();
+
+  // The server connects to the relay in the background; join once it is up
+  await waitFor(async () => {
+    const joined = await mcp.callTool("join_channel", { channel });
+    if (joined.isError || !joined.text.includes("Successfully joined")) {
+      throw new Error(joined.text);
+    }
+  });
+
+  return {
+    relay,
+    mcp,
+    plugin,
+    channel,
+    stop: async () => {
+      plugin.close();
+      await mcp.close();
+      await relay.stop();
+    },
+  };
+}
@@ -0,0 +1,2103 @@
+// In-memory stand-in for the subset of the Figma Plugin API used by
+// src/cursor_mcp_plugin/code.js. It keeps a real node tree so commands can be
+// driven headlessly from Bun tests.
+
+import { createHash } from "crypto";
+
+type RGB = { r: number; g: number; b: number };
+type RGBA = RGB & { a: number };
+type FontName = { family: string; style: string };
+
+const MIXED = Symbol("figma.mixed");
+
+const DEFAULT_FONT: FontName = { family: "Inter", style: "Regular" };
+
+// Fonts the fake editor "has installed"; loading anything else rejects
+export const DEFAULT_AVAILABLE_FONTS: FontName[] = [
+  "Thin",
+  "Extra Light",
+  "Light",
+  "Regular",
+  "Medium",
+  "Semi Bold",
+  "Bold",
+  "Extra Bold",
+  "Black",
+].map((style) => ({ family: "Inter", style }));
+
+const fontKey = (font: FontName) => `${font.family}::${font.style}`;
+
+const clone = <T>(value: T): T =>
+  value === undefined ? value : JSON.parse(JSON.stringify(value));
+
+// Figma hands out frozen copies of paints and effects; mirror that so code
+// that mutates them in place fails here as it would in the editor
+const freezeArray = <T>(value: T[]): ReadonlyArray<T> =>
+  Object.freeze(clone(value).map((item) => Object.freeze(item)));
+
+export class FakeNode {
+  id: string;
+  type: string;
+  name: string;
+  parent: FakeContainerNode | null = null;
+  visible = true;
+  locked = false;
+  removed = false;
+  pluginData: Record<string, string> = {};
+  protected figma: FakeFigma;
+
+  constructor(figma: FakeFigma, type: string, name: string) {
+    this.figma = figma;
+    this.id = figma.nextId();
+    this.type = type;
+    this.name = name;
+    figma.registerNode(this);
+  }
+
+  remove() {
+    if (this.parent) {
+      this.parent.removeChild(this);
+    }
+    this.removed = true;
+    this.figma.unregisterNode(this);
+    this.figma.removeFromSelection(this);
+  }
+
+  getPluginData(key: string) {
+    return this.pluginData[key] || "";
+  }
+
+  setPluginData(key: string, value: string) {
+    this.pluginData[key] = value;
+  }
+
+  // Serialize in the shape of exportAsync({ format: "JSON_REST_V1" }).document
+  toRestJson(): Record<string, any> {
+    return { id: this.id, name: this.name, type: this.type, visible: this.visible };
+  }
+}
+
+export class FakeSceneNode extends FakeNode {
+  private _x = 0;
+  private _y = 0;
+  protected _width = 100;
+  protected _height = 100;
+  opacity = 1;
+  blendMode = "PASS_THROUGH";
+  rotation = 0;
+  constraints = { horizontal: "MIN", vertical: "MIN" };
+  constrainProportions = false;
+  layoutAlign = "INHERIT";
+  layoutGrow = 0;
+  layoutPositioning = "AUTO";
+  layoutSizingHorizontal = "FIXED";
+  layoutSizingVertical = "FIXED";
+  annotations: any[] = [];
+  componentPropertyReferences: Record<string, string> | null = null;
+  private _boundVariables: Record<string, { type: "VARIABLE_ALIAS"; id: string }> = {};
+
+  get x() {
+    return this._x;
+  }
+  set x(value: number) {
+    assertNumber("x", value);
+    this._x = value;
+  }
+
+  get y() {
+    return this._y;
+  }
+  set y(value: number) {
+    assertNumber("y", value);
+    this._y = value;
+  }
+
+  get width() {
+    return this._width;
+  }
+
+  get height() {
+    return this._height;
+  }
+
+  resize(width: number, height: number) {
+    assertNumber("width", width);
+    assertNumber("height", height);
+    if (width < 0.01 || height < 0.01) {
+      throw new Error("in resize: Expected width and height to be >= 0.01");
+    }
+    this._width = width;
+    this._height = height;
+  }
+
+  resizeWithoutConstraints(width: number, height: number) {
+    this.resize(width, height);
+  }
+
+  // Node-level bindings, plus the color bindings carried by fills and strokes
+  get boundVariables() {
+    const bound: Record<string, any> = clone(this._boundVariables);
+    for (const field of ["fills", "strokes"]) {
+      const paints = (this as any)[field];
+      if (!Array.isArray(paints)) continue;
+      const aliases = paints.filter((paint) => paint.boundVariables?.color).map((paint) => paint.boundVariables.color);
+      if (aliases.length > 0) bound[field] = clone(aliases);
+    }
+    return bound;
+  }
+
+  setBoundVariable(field: string, variable: FakeVariable | null) {
+    if (!variable) {
+      delete this._boundVariables[field];
+      return;
+    }
+    const value = this.figma.variables.resolveDefaultValue(variable);
+    if (field === "width" || field === "height") {
+      this.resize(field === "width" ? value : this.width, field === "height" ? value : this.height);
+    } else if (field in this) {
+      (this as any)[field] = value;
+    }
+    this._boundVariables[field] = { type: "VARIABLE_ALIAS", id: variable.id };
+  }
+
+  get absoluteBoundingBox() {
+    let x = this.x;
+    let y = this.y;
+    let ancestor = this.parent;
+    while (ancestor && ancestor instanceof FakeSceneNode) {
+      // Children of groups are positioned relative to the group's parent
+      if (ancestor.type !== "GROUP") {
+        x += ancestor.x;
+        y += ancestor.y;
+      }
+      ancestor = ancestor.parent;
+    }
+    return { x, y, width: this.width, height: this.height };
+  }
+
+  get absoluteTransform() {
+    const { x, y } = this.absoluteBoundingBox;
+    return [
+      [1, 0, x],
+      [0, 1, y],
+    ];
+  }
+
+  clone(): FakeSceneNode {
+    // Instances come with their component's children already attached
+    const isInstance = this instanceof FakeInstanceNode;
+    const copy = isInstance
+      ? new FakeInstanceNode(this.figma, (this as unknown as FakeInstanceNode).mainComponent)
+      : (this.figma.instantiate(this.type) as FakeSceneNode);
+    copyProperties(this, copy);
+    if (!isInstance && this instanceof FakeContainerNode && copy instanceof FakeContainerNode) {
+      for (const child of this.children) {
+        copy.appendChild((child as FakeSceneNode).clone());
+      }
+    }
+    // Clones land next to the original until they are re-parented
+    const parent = this.parent || this.figma.currentPage;
+    parent.appendChild(copy);
+    return copy;
+  }
+
+  async exportAsync(settings: Record<string, any> = {}) {
+    const format = settings.format || "PNG";
+    if (format === "JSON_REST_V1") {
+      return { document: this.toRestJson() };
+    }
+    if (!["PNG", "JPG", "SVG", "PDF"].includes(format)) {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+    this.figma.exports.push({ nodeId: this.id, settings: clone(settings) });
+    return fakeExportBytes(format, this);
+  }
+
+  // Like the REST format, defaults are left out and child layout
+  // properties only appear inside auto-layout frames
+  toRestJson(): Record<string, any> {
+    const json: Record<string, any> = {
+      ...super.toRestJson(),
+      blendMode: this.blendMode,
+      absoluteBoundingBox: this.absoluteBoundingBox,
+      constraints: { ...this.constraints },
+    };
+    const boundVariables = this.boundVariables;
+    if (Object.keys(boundVariables).length > 0) json.boundVariables = boundVariables;
+    if (this.opacity !== 1) json.opacity = this.opacity;
+    if (this.rotation !== 0) json.rotation = this.rotation;
+    const parent = this.parent as any;
+    if (parent && parent.layoutMode && parent.layoutMode !== "NONE") {
+      Object.assign(json, {
+        layoutAlign: this.layoutAlign,
+        layoutGrow: this.layoutGrow,
+        layoutSizingHorizontal: this.layoutSizingHorizontal,
+        layoutSizingVertical: this.layoutSizingVertical,
+      });
+      if (this.layoutPositioning !== "AUTO") json.layoutPositioning = this.layoutPositioning;
+    }
+    return json;
+  }
+}
+
+// Shared geometry for shapes, frames and text
+export class FakeGeometryNode extends FakeSceneNode {
+  private _fills: ReadonlyArray<any> = [];
+  private _strokes: ReadonlyArray<any> = [];
+  private _strokeWeight = 1;
+  strokeAlign = "INSIDE";
+  strokeCap = "NONE";
+  strokeJoin = "MITER";
+  private _dashPattern: ReadonlyArray<number> = [];
+  private _effects: ReadonlyArray<any> = [];
+  fillStyleId = "";
+  strokeStyleId = "";
+  effectStyleId = "";
+
+  get fills() {
+    return this._fills;
+  }
+  set fills(value: ReadonlyArray<any> | symbol) {
+    if (!Array.isArray(value)) {
+      throw new Error("in set_fills: Expected an array of paints");
+    }
+    this._fills = freezeArray(value.map(validatePaint));
+  }
+
+  // An empty id detaches the style and keeps its values, as in the editor
+  async setFillStyleIdAsync(styleId: string) {
+    const style = await this.figma.requireStyle(styleId, "PAINT");
+    if (style) this.fills = style.paints;
+    this.fillStyleId = styleId;
+  }
+
+  async setStrokeStyleIdAsync(styleId: string) {
+    const style = await this.figma.requireStyle(styleId, "PAINT");
+    if (style) this.strokes = style.paints;
+    this.strokeStyleId = styleId;
+  }
+
+  async setEffectStyleIdAsync(styleId: string) {
+    const style = await this.figma.requireStyle(styleId, "EFFECT");
+    if (style) this.effects = freezeArray(style.effects);
+    this.effectStyleId = styleId;
+  }
+
+  get strokeWeight(): number | symbol {
+    return this._strokeWeight;
+  }
+  set strokeWeight(value: number | symbol) {
+    assertNumber("strokeWeight", value);
+    this._strokeWeight = value as number;
+  }
+
+  get dashPattern() {
+    return this._dashPattern;
+  }
+  set dashPattern(value: ReadonlyArray<number>) {
+    if (!Array.isArray(value) || value.some((length) => typeof length !== "number" || length < 0)) {
+      throw new Error("in set_dashPattern: Expected an array of non-negative numbers");
+    }
+    this._dashPattern = Object.freeze([...value]);
+  }
+
+  get effects() {
+    return this._effects;
+  }
+  set effects(value: ReadonlyArray<any>) {
+    if (!Array.isArray(value)) {
+      throw new Error("in set_effects: Expected an array of effects");
+    }
+    this._effects = freezeArray(value.map(validateEffect));
+  }
+
+  get strokes() {
+    return this._strokes;
+  }
+  set strokes(value: ReadonlyArray<any>) {
+    if (!Array.isArray(value)) {
+      throw new Error("in set_strokes: Expected an array of paints");
+    }
+    this._strokes = freezeArray(value.map(validatePaint));
+  }
+
+  toRestJson(): Record<string, any> {
+    const json = super.toRestJson();
+    if (this.fills.length > 0) json.fills = restPaints(this.fills);
+    if (this.strokes.length > 0) {
+      json.strokes = restPaints(this.strokes);
+      json.strokeWeight = this.strokeWeight;
+    }
+    if (this.effects.length > 0) json.effects = clone(this.effects);
+    return json;
+  }
+}
+
+export class FakeCornerNode extends FakeGeometryNode {
+  private _radii = [0, 0, 0, 0];
+
+  get cornerRadius(): number | symbol {
+    const [first] = this._radii;
+    return this._radii.every((radius) => radius === first) ? first : MIXED;
+  }
+  set cornerRadius(value: number) {
+    assertNumber("cornerRadius", value);
+    this._radii = [value, value, value, value];
+  }
+
+  get topLeftRadius() {
+    return this._radii[0];
+  }
+  set topLeftRadius(value: number) {
+    this._radii[0] = value;
+  }
+  get topRightRadius() {
+    return this._radii[1];
+  }
+  set topRightRadius(value: number) {
+    this._radii[1] = value;
+  }
+  get bottomRightRadius() {
+    return this._radii[2];
+  }
+  set bottomRightRadius(value: number) {
+    this._radii[2] = value;
+  }
+  get bottomLeftRadius() {
+    return this._radii[3];
+  }
+  set bottomLeftRadius(value: number) {
+    this._radii[3] = value;
+  }
+
+  // Rectangles and frames can weigh each side differently
+  private _strokeWeights = [1, 1, 1, 1];
+
+  get strokeWeight(): number | symbol {
+    const [first] = this._strokeWeights;
+    return this._strokeWeights.every((weight) => weight === first) ? first : MIXED;
+  }
+  set strokeWeight(value: number | symbol) {
+    assertNumber("strokeWeight", value);
+    this._strokeWeights = [value, value, value, value] as number[];
+  }
+
+  get strokeTopWeight() {
+    return this._strokeWeights[0];
+  }
+  set strokeTopWeight(value: number) {
+    this._strokeWeights[0] = value;
+  }
+  get strokeRightWeight() {
+    return this._strokeWeights[1];
+  }
+  set strokeRightWeight(value: number) {
+    this._strokeWeights[1] = value;
+  }
+  get strokeBottomWeight() {
+    return this._strokeWeights[2];
+  }
+  set strokeBottomWeight(value: number) {
+    this._strokeWeights[2] = value;
+  }
+  get strokeLeftWeight() {
+    return this._strokeWeights[3];
+  }
+  set strokeLeftWeight(value: number) {
+    this._strokeWeights[3] = value;
+  }
+
+  toRestJson(): Record<string, any> {
+    const json = super.toRestJson();
+    if (typeof this.cornerRadius === "number" && this.cornerRadius > 0) {
+      json.cornerRadius = this.cornerRadius;
+    }
+    return json;
+  }
+}
+
+export class FakeRectangleNode extends FakeCornerNode {
+  constructor(figma: FakeFigma) {
+    super(figma, "RECTANGLE", "Rectangle");
+    this.fills = [{ type: "SOLID", color: { r: 0.85, g: 0.85, b: 0.85 } }];
+  }
+}
+
+export class FakeEllipseNode extends FakeGeometryNode {
+  arcData = { startingAngle: 0, endingAngle: 2 * Math.PI, innerRadius: 0 };
+
+  constructor(figma: FakeFigma) {
+    super(figma, "ELLIPSE", "Ellipse");
+    this.fills = [{ type: "SOLID", color: { r: 0.85, g: 0.85, b: 0.85 } }];
+  }
+}
+
+export class FakeVectorNode extends FakeGeometryNode {
+  vectorPaths: ReadonlyArray<{ windingRule: string; data: string }> = [];
+
+  constructor(figma: FakeFigma) {
+    super(figma, "VECTOR", "Vector");
+  }
+}
+
+export class FakeContainerNode extends FakeCornerNode {
+  children: FakeSceneNode[] = [];
+
+  appendChild(child: FakeSceneNode) {
+    this.insertChild(this.children.length, child);
+  }
+
+  insertChild(index: number, child: FakeSceneNode) {
+    if (!(child instanceof FakeSceneNode)) {
+      throw new Error("in insertChild: Expected a scene node");
+    }
+    if (child === (this as unknown) || isAncestor(child, this)) {
+      throw new Error("in insertChild: Cannot move node into itself or its descendants");
+    }
+    if (child.parent) {
+      child.parent.removeChild(child);
+    }
+    this.children.splice(Math.min(index, this.children.length), 0, child);
+    child.parent = this;
+  }
+
+  removeChild(child: FakeSceneNode) {
+    const index = this.children.indexOf(child);
+    if (index !== -1) {
+      this.children.splice(index, 1);
+    }
+    child.parent = null;
+  }
+
+  findAll(callback: (node: FakeSceneNode) => boolean = () => true) {
+    return findAllIn(this, callback);
+  }
+
+  findOne(callback: (node: FakeSceneNode) => boolean) {
+    return findAllIn(this, callback)[0] || null;
+  }
+
+  findChildren(callback: (node: FakeSceneNode) => boolean = () => true) {
+    return this.children.filter(callback);
+  }
+
+  findChild(callback: (node: FakeSceneNode) => boolean) {
+    return this.children.find(callback) || null;
+  }
+
+  findAllWithCriteria({ types }: { types?: string[] }) {
+    return findAllIn(this, (node) => !types || types.includes(node.type));
+  }
+
+  // Collection id -> mode id, for collections whose mode is set on this node
+  explicitVariableModes: Record<string, string> = {};
+
+  setExplicitVariableModeForCollection(collection: FakeVariableCollection | string, modeId: string) {
+    const target = typeof collection === "string" ? this.figma.variables.collections.get(collection) : collection;
+    if (!target || !target.modes.some((mode) => mode.modeId === modeId)) {
+      throw new Error(`in setExplicitVariableModeForCollection: Invalid mode ${modeId}`);
+    }
+    this.explicitVariableModes = { ...this.explicitVariableModes, [target.id]: modeId };
+  }
+
+  clearExplicitVariableModeForCollection(collection: FakeVariableCollection | string) {
+    const id = typeof collection === "string" ? collection : collection.id;
+    const { [id]: _cleared, ...rest } = this.explicitVariableModes;
+    this.explicitVariableModes = rest;
+  }
+
+  toRestJson(): Record<string, any> {
+    const json: Record<string, any> = {
+      ...super.toRestJson(),
+      children: this.children.map((child) => child.toRestJson()),
+    };
+    if (Object.keys(this.explicitVariableModes).length > 0) {
+      json.explicitVariableModes = { ...this.explicitVariableModes };
+    }
+    return json;
+  }
+}
+
+export class FakeFrameNode extends FakeContainerNode {
+  layoutMode = "NONE";
+  layoutWrap = "NO_WRAP";
+  primaryAxisSizingMode = "AUTO";
+  counterAxisSizingMode = "AUTO";
+  primaryAxisAlignItems = "MIN";
+  counterAxisAlignItems = "MIN";
+  paddingTop = 0;
+  paddingRight = 0;
+  paddingBottom = 0;
+  paddingLeft = 0;
+  itemSpacing = 0;
+  counterAxisSpacing = 0;
+  clipsContent = true;
+  layoutGrids: ReadonlyArray<any> = [];
+  gridStyleId = "";
+
+  constructor(figma: FakeFigma, type = "FRAME", name = "Frame") {
+    super(figma, type, name);
+    this.fills = [{ type: "SOLID", color: { r: 1, g: 1, b: 1 } }];
+  }
+
+  async setGridStyleIdAsync(styleId: string) {
+    const style = await this.figma.requireStyle(styleId, "GRID");
+    if (style) this.layoutGrids = freezeArray(style.layoutGrids);
+    this.gridStyleId = styleId;
+  }
+
+  toRestJson(): Record<string, any> {
+    const json = super.toRestJson();
+    if (this.layoutMode !== "NONE") {
+      Object.assign(json, {
+        layoutMode: this.layoutMode,
+        itemSpacing: this.itemSpacing,
+        paddingTop: this.paddingTop,
+        paddingRight: this.paddingRight,
+        paddingBottom: this.paddingBottom,
+        paddingLeft: this.paddingLeft,
+        primaryAxisAlignItems: this.primaryAxisAlignItems,
+        counterAxisAlignItems: this.counterAxisAlignItems,
+        primaryAxisSizingMode: this.primaryAxisSizingMode,
+        counterAxisSizingMode: this.counterAxisSizingMode,
+      });
+      if (this.layoutWrap !== "NO_WRAP") {
+        Object.assign(json, { layoutWrap: this.layoutWrap, counterAxisSpacing: this.counterAxisSpacing });
+      }
+    }
+    return json;
+  }
+}
+
+export class FakeGroupNode extends FakeContainerNode {
+  constructor(figma: FakeFigma) {
+    super(figma, "GROUP", "Group");
+  }
+}
+
+export interface ComponentPropertyDefinition {
+  type: string;
+  defaultValue: string | boolean;
+  preferredValues?: Array<{ type: string; key: string }>;
+  variantOptions?: string[];
+}
+
+// "Size=Large, State=Hover" -> { Size: "Large", State: "Hover" }
+export function parseVariantName(name: string): Record<string, string> | null {
+  const pairs = name.split(",").map((pair) => pair.split("="));
+  if (pairs.some((pair) => pair.length !== 2 || !pair[0].trim())) {
+    return null;
+  }
+  return Object.fromEntries(pairs.map(([key, value]) => [key.trim(), value.trim()]));
+}
+
+// Shared by components and component sets
+function addPropertyDefinition(
+  figma: FakeFigma,
+  definitions: Record<string, ComponentPropertyDefinition>,
+  name: string,
+  type: string,
+  defaultValue: string | boolean,
+  options: { preferredValues?: Array<{ type: string; key: string }> } = {}
+) {
+  const expected: Record<string, string> = { BOOLEAN: "boolean", TEXT: "string", INSTANCE_SWAP: "string" };
+  if (!expected[type]) {
+    throw new Error(`in addComponentProperty: Invalid property type ${type}`);
+  }
+  if (typeof defaultValue !== expected[type]) {
+    throw new Error(`in addComponentProperty: Default value for ${type} property must be a ${expected[type]}`);
+  }
+  if (type === "INSTANCE_SWAP" && !(figma.getNodeById(defaultValue as string) instanceof FakeComponentNode)) {
+    throw new Error("in addComponentProperty: Default value for INSTANCE_SWAP property must be a component id");
+  }
+  const key = `${name}#${figma.nextId()}`;
+  definitions[key] = { type, defaultValue };
+  if (options.preferredValues) definitions[key].preferredValues = clone(options.preferredValues);
+  return key;
+}
+
+function deletePropertyDefinition(definitions: Record<string, ComponentPropertyDefinition>, name: string) {
+  if (!definitions[name]) {
+    throw new Error(`in deleteComponentProperty: Property ${name} not found`);
+  }
+  delete definitions[name];
+}
+
+export class FakeComponentNode extends FakeFrameNode {
+  key: string;
+  description = "";
+  propertyDefinitions: Record<string, ComponentPropertyDefinition> = {};
+
+  constructor(figma: FakeFigma) {
+    super(figma, "COMPONENT", "Component");
+    this.key = `component-key-${this.id.replace(":", "-")}`;
+  }
+
+  get isVariant() {
+    return this.parent instanceof FakeComponentSetNode;
+  }
+
+  // Variants share the definitions of their set
+  get componentPropertyDefinitions() {
+    if (this.isVariant) {
+      throw new Error("in get_componentPropertyDefinitions: Can only get definitions of a component set or non-variant component");
+    }
+    return clone(this.propertyDefinitions);
+  }
+
+  get variantProperties() {
+    return this.isVariant ? parseVariantName(this.name) : null;
+  }
+
+  addComponentProperty(
+    name: string,
+    type: string,
+    defaultValue: string | boolean,
+    options?: { preferredValues?: Array<{ type: string; key: string }> }
+  ) {
+    if (this.isVariant) {
+      throw new Error("in addComponentProperty: Can only add component properties to a component set or non-variant component");
+    }
+    return addPropertyDefinition(this.figma, this.propertyDefinitions, name, type, defaultValue, options);
+  }
+
+  deleteComponentProperty(name: string) {
+    if (this.isVariant) {
+      throw new Error("in deleteComponentProperty: Can only delete component properties of a component set or non-variant component");
+    }
+    deletePropertyDefinition(this.propertyDefinitions, name);
+  }
+
+  createInstance() {
+    const instance = new FakeInstanceNode(this.figma, this);
+    this.figma.currentPage.appendChild(instance);
+    return instance;
+  }
+
+  toRestJson(): Record<string, any> {
+    const json = super.toRestJson();
+    if (!this.isVariant && Object.keys(this.propertyDefinitions).length > 0) {
+      json.componentPropertyDefinitions = clone(this.propertyDefinitions);
+    }
+    return json;
+  }
+}
+
+export class FakeComponentSetNode extends FakeFrameNode {
+  key: string;
+  description = "";
+  propertyDefinitions: Record<string, ComponentPropertyDefinition> = {};
+
+  constructor(figma: FakeFigma) {
+    super(figma, "COMPONENT_SET", "Component Set");
+    this.key = `component-set-key-${this.id.replace(":", "-")}`;
+  }
+
+  get variantGroupProperties() {
+    const groups: Record<string, { values: string[] }> = {};
+    for (const child of this.children) {
+      for (const [name, value] of Object.entries(parseVariantName(child.name) || {})) {
+        groups[name] = groups[name] || { values: [] };
+        if (!groups[name].values.includes(value)) groups[name].values.push(value);
+      }
+    }
+    return groups;
+  }
+
+  get defaultVariant() {
+    return this.children[0] as FakeComponentNode;
+  }
+
+  get componentPropertyDefinitions() {
+    const definitions: Record<string, ComponentPropertyDefinition> = {};
+    const defaults = parseVariantName(this.defaultVariant ? this.defaultVariant.name : "") || {};
+    for (const [name, { values }] of Object.entries(this.variantGroupProperties)) {
+      definitions[name] = { type: "VARIANT", defaultValue: defaults[name], variantOptions: values };
+    }
+    return { ...definitions, ...clone(this.propertyDefinitions) };
+  }
+
+  // VARIANT properties are added to every variant's name
+  addComponentProperty(
+    name: string,
+    type: string,
+    defaultValue: string | boolean,
+    options?: { preferredValues?: Array<{ type: string; key: string }> }
+  ) {
+    if (type === "VARIANT") {
+      for (const child of this.children) {
+        child.name = `${child.name}, ${name}=${defaultValue}`;
+      }
+      return name;
+    }
+    return addPropertyDefinition(this.figma, this.propertyDefinitions, name, type, defaultValue, options);
+  }
+
+  deleteComponentProperty(name: string) {
+    deletePropertyDefinition(this.propertyDefinitions, name);
+  }
+
+  toRestJson(): Record<string, any> {
+    return { ...super.toRestJson(), componentPropertyDefinitions: this.componentPropertyDefinitions };
+  }
+}
+
+// Instance sublayer -> the component layer it was copied from
+const instanceSources = new WeakMap<FakeSceneNode, FakeSceneNode>();
+
+// Fields reported in InstanceNode.overrides when they differ from the component
+const OVERRIDABLE_FIELDS = ["name", "visible", "opacity", "characters", "fills", "strokes"];
+
+export class FakeInstanceNode extends FakeFrameNode {
+  mainComponent: FakeComponentNode;
+  // Property values set on this instance, by property key
+  propertyOverrides: Record<string, string | boolean> = {};
+
+  constructor(figma: FakeFigma, mainComponent: FakeComponentNode) {
+    super(figma, "INSTANCE", mainComponent.name);
+    this.mainComponent = mainComponent;
+    this.resize(mainComponent.width, mainComponent.height);
+    this.copyComponentChildren();
+  }
+
+  get componentId() {
+    return this.mainComponent.id;
+  }
+
+  get variantProperties() {
+    return this.mainComponent.variantProperties;
+  }
+
+  // Definitions come from the component, or its set for variants
+  private get propertyOwner() {
+    return this.mainComponent.isVariant ? (this.mainComponent.parent as FakeComponentSetNode) : this.mainComponent;
+  }
+
+  get componentProperties() {
+    const properties: Record<string, { type: string; value: string | boolean }> = {};
+    for (const [name, value] of Object.entries(this.variantProperties || {})) {
+      properties[name] = { type: "VARIANT", value };
+    }
+    for (const [key, definition] of Object.entries(this.propertyOwner.propertyDefinitions)) {
+      const value = key in this.propertyOverrides ? this.propertyOverrides[key] : definition.defaultValue;
+      properties[key] = { type: definition.type, value };
+    }
+    return properties;
+  }
+
+  get overrides() {
+    const overrides: Array<{ id: string; overriddenFields: string[] }> = [];
+    const visit = (node: FakeSceneNode) => {
+      const source = instanceSources.get(node);
+      if (source) {
+        const fields = OVERRIDABLE_FIELDS.filter(
+          (field) => field in node && JSON.stringify((node as any)[field]) !== JSON.stringify((source as any)[field])
+        );
+        if (node instanceof FakeInstanceNode && node.mainComponent !== (source as FakeInstanceNode).mainComponent) {
+          fields.push("mainComponent");
+        }
+        if (fields.length > 0) overrides.push({ id: node.id, overriddenFields: fields });
+      }
+      if (node instanceof FakeContainerNode) node.children.forEach(visit);
+    };
+    this.children.forEach(visit);
+    return overrides;
+  }
+
+  async getMainComponentAsync() {
+    return this.mainComponent;
+  }
+
+  // Variant values pick another variant of the set; other keys are overrides
+  setProperties(properties: Record<string, string | boolean>) {
+    const definitions = this.propertyOwner.propertyDefinitions;
+    const variant = { ...(this.variantProperties || {}) };
+    let variantChanged = false;
+    const overrides: Record<string, string | boolean> = {};
+    for (const [key, value] of Object.entries(properties)) {
+      if (key in variant) {
+        variant[key] = String(value);
+        variantChanged = true;
+      } else if (definitions[key]) {
+        const expected = definitions[key].type === "BOOLEAN" ? "boolean" : "string";
+        if (typeof value !== expected) {
+          throw new Error(`in setProperties: Value for ${key} must be a ${expected}`);
+        }
+        if (definitions[key].type === "INSTANCE_SWAP" && !(this.figma.getNodeById(value as string) instanceof FakeComponentNode)) {
+          throw new Error(`in setProperties: Value for ${key} must be a component id`);
+        }
+        overrides[key] = value;
+      } else {
+        throw new Error(`in setProperties: Property ${key} not found`);
+      }
+    }
+
+    if (variantChanged) {
+      const set = this.mainComponent.parent as FakeComponentSetNode;
+      const match = set.children.find((child) => {
+        const values = parseVariantName(child.name) || {};
+        return Object.keys(variant).every((name) => values[name] === variant[name]);
+      });
+      if (!match) {
+        throw new Error("in setProperties: No variant matches the given property values");
+      }
+      this.swapComponent(match as FakeComponentNode);
+    }
+    Object.assign(this.propertyOverrides, overrides);
+    this.applyPropertyOverrides();
+  }
+
+  // Property values carry over when the new component defines the same key
+  swapComponent(component: FakeComponentNode) {
+    if (!(component instanceof FakeComponentNode)) {
+      throw new Error("in swapComponent: Expected a component");
+    }
+    if (this.name === this.mainComponent.name) this.name = component.name;
+    this.mainComponent = component;
+    const definitions = this.propertyOwner.propertyDefinitions;
+    for (const key of Object.keys(this.propertyOverrides)) {
+      if (!definitions[key]) delete this.propertyOverrides[key];
+    }
+    this.copyComponentChildren();
+    this.applyPropertyOverrides();
+  }
+
+  resetOverrides() {
+    this.propertyOverrides = {};
+    this.copyComponentChildren();
+  }
+
+  // The frame takes the instance's place; nested instances stay instances
+  detachInstance() {
+    const frame = new FakeFrameNode(this.figma);
+    copyProperties(this, frame, ["type", "propertyOverrides"]);
+    const parent = this.parent || this.figma.currentPage;
+    parent.insertChild(parent.children.indexOf(this), frame);
+    for (const child of [...this.children]) {
+      frame.appendChild(child);
+    }
+    this.remove();
+    return frame;
+  }
+
+  private copyComponentChildren() {
+    for (const child of [...this.children]) {
+      child.remove();
+    }
+    const link = (source: FakeSceneNode, copy: FakeSceneNode) => {
+      instanceSources.set(copy, source);
+      if (source instanceof FakeContainerNode && copy instanceof FakeContainerNode) {
+        source.children.forEach((child, index) => link(child as FakeSceneNode, copy.children[index] as FakeSceneNode));
+      }
+    };
+    for (const child of this.mainComponent.children) {
+      const copy = (child as FakeSceneNode).clone();
+      this.appendChild(copy);
+      link(child as FakeSceneNode, copy);
+    }
+  }
+
+  // Push overridden values into the layers that reference them. Nested
+  // instances answer to their own component's properties, so stop there
+  private applyPropertyOverrides() {
+    const visit = (node: FakeSceneNode) => {
+      for (const [field, key] of Object.entries(node.componentPropertyReferences || {})) {
+        if (!(key in this.propertyOverrides)) continue;
+        const value = this.propertyOverrides[key];
+        if (field === "visible") node.visible = value as boolean;
+        if (field === "characters" && node instanceof FakeTextNode) node.replaceCharacters(value as string);
+        if (field === "mainComponent" && node instanceof FakeInstanceNode) {
+          node.swapComponent(this.figma.getNodeById(value as string) as FakeComponentNode);
+        }
+      }
+      if (node instanceof FakeContainerNode && !(node instanceof FakeInstanceNode)) {
+        node.children.forEach((child) => visit(child as FakeSceneNode));
+      }
+    };
+    this.children.forEach((child) => visit(child as FakeSceneNode));
+  }
+
+  toRestJson(): Record<string, any> {
+    const json = { ...super.toRestJson(), componentId: this.componentId };
+    const componentProperties = this.componentProperties;
+    if (Object.keys(componentProperties).length > 0) {
+      json.componentProperties = componentProperties;
+    }
+    return json;
+  }
+}
+
+// Character-level text properties. Every character carries its own values,
+// so ranges can be styled independently as in the editor
+const textStyleDefaults = () => ({
+  fontName: { ...DEFAULT_FONT } as FontName,
+  fontSize: 12,
+  fills: [{ type: "SOLID", color: { r: 0, g: 0, b: 0 } }] as any[],
+  textDecoration: "NONE",
+  textCase: "ORIGINAL",
+  letterSpacing: { unit: "PERCENT", value: 0 } as any,
+  lineHeight: { unit: "AUTO" } as any,
+  hyperlink: null as any,
+  fillStyleId: "",
+  textStyleId: "",
+  listOptions: { type: "NONE" } as any,
+  indentation: 0,
+});
+
+type TextStyleRecord = ReturnType<typeof textStyleDefaults>;
+type TextField = keyof TextStyleRecord;
+
+// Changing these re-lays out the text, which needs the affected fonts loaded
+const LAYOUT_TEXT_FIELDS = new Set<TextField>([
+  "fontSize",
+  "textDecoration",
+  "textCase",
+  "letterSpacing",
+  "lineHeight",
+  "listOptions",
+  "indentation",
+]);
+
+export class FakeTextNode extends FakeGeometryNode {
+  private _characters = "";
+  // Style given to new text, and the style of each current character
+  private _baseStyle: TextStyleRecord = textStyleDefaults();
+  private _charStyles: TextStyleRecord[] = [];
+  textAlignHorizontal = "LEFT";
+  textAlignVertical = "TOP";
+  textAutoResize = "WIDTH_AND_HEIGHT";
+  textTruncation = "DISABLED";
+  maxLines: number | null = null;
+  paragraphSpacing = 0;
+  paragraphIndent = 0;
+
+  constructor(figma: FakeFigma) {
+    super(figma, "TEXT", "Text");
+  }
+
+  get characters() {
+    return this._characters;
+  }
+  set characters(value: string) {
+    this.assertFontsLoaded(0, this._characters.length);
+    this.replaceCharacters(value);
+  }
+
+  get hasMissingFont() {
+    const styles = this._charStyles.length > 0 ? this._charStyles : [this._baseStyle];
+    return styles.some(
+      (style) => !this.figma.availableFonts.some((font) => fontKey(font) === fontKey(style.fontName))
+    );
+  }
+
+  // Text component properties set characters without loading fonts
+  replaceCharacters(value: string) {
+    // Replaced text takes the style of the first character
+    const style = clone(this._charStyles[0] || this._baseStyle);
+    this._baseStyle = style;
+    this._characters = String(value);
+    this._charStyles = Array.from({ length: this._characters.length }, () => clone(style));
+  }
+
+  get fontName(): FontName | symbol {
+    return this.getField("fontName");
+  }
+  set fontName(value: FontName) {
+    this.setField("fontName", assertFontName(value));
+  }
+
+  get fontSize(): number | symbol {
+    return this.getField("fontSize");
+  }
+  set fontSize(value: number) {
+    assertNumber("fontSize", value);
+    this.setField("fontSize", value);
+  }
+
+  get fills(): ReadonlyArray<any> | symbol {
+    const fills = this.getField("fills");
+    return fills === MIXED ? MIXED : freezeArray(fills);
+  }
+  set fills(value: ReadonlyArray<any> | symbol) {
+    if (!Array.isArray(value)) {
+      throw new Error("in set_fills: Expected an array of paints");
+    }
+    this.setField("fills", value.map(validatePaint));
+  }
+
+  get textDecoration() {
+    return this.getField("textDecoration");
+  }
+  set textDecoration(value: string | symbol) {
+    this.setField("textDecoration", value);
+  }
+
+  get textCase() {
+    return this.getField("textCase");
+  }
+  set textCase(value: string | symbol) {
+    this.setField("textCase", value);
+  }
+
+  get letterSpacing() {
+    return this.getField("letterSpacing");
+  }
+  set letterSpacing(value: any) {
+    this.setField("letterSpacing", value);
+  }
+
+  get lineHeight() {
+    return this.getField("lineHeight");
+  }
+  set lineHeight(value: any) {
+    this.setField("lineHeight", value);
+  }
+
+  get hyperlink() {
+    return this.getField("hyperlink");
+  }
+  set hyperlink(value: any) {
+    this.setField("hyperlink", value);
+  }
+
+  get textStyleId() {
+    return this.getField("textStyleId");
+  }
+
+  // Auto-sized text measures its characters; fixed-size text keeps its box
+  get width() {
+    if (this.textAutoResize !== "WIDTH_AND_HEIGHT") return this._width;
+    return Math.max(1, this._characters.length * this.largestFontSize() * 0.6);
+  }
+
+  get height() {
+    if (this.textAutoResize === "NONE") return this._height;
+    const lines = this._characters.split("\n").length;
+    return Math.max(1, lines * this.largestFontSize() * 1.2);
+  }
+
+  resize(width: number, height: number) {
+    super.resize(width, height);
+    this.textAutoResize = "NONE";
+  }
+
+  getRangeFontName(start: number, end: number) {
+    return this.getRange(start, end, "fontName");
+  }
+  setRangeFontName(start: number, end: number, value: FontName) {
+    this.setRange(start, end, "fontName", assertFontName(value));
+  }
+  getRangeAllFontNames(start: number, end: number) {
+    this.assertRange(start, end);
+    const fonts = this._charStyles.slice(start, end).map((style) => style.fontName);
+    return [...new Map(fonts.map((font) => [fontKey(font), clone(font)])).values()];
+  }
+  getRangeFontSize(start: number, end: number) {
+    return this.getRange(start, end, "fontSize");
+  }
+  setRangeFontSize(start: number, end: number, value: number) {
+    assertNumber("fontSize", value);
+    this.setRange(start, end, "fontSize", value);
+  }
+  getRangeFills(start: number, end: number) {
+    return this.getRange(start, end, "fills");
+  }
+  setRangeFills(start: number, end: number, value: any[]) {
+    this.setRange(start, end, "fills", value.map(validatePaint));
+  }
+  getRangeTextDecoration(start: number, end: number) {
+    return this.getRange(start, end, "textDecoration");
+  }
+  setRangeTextDecoration(start: number, end: number, value: string) {
+    this.setRange(start, end, "textDecoration", value);
+  }
+  getRangeTextCase(start: number, end: number) {
+    return this.getRange(start, end, "textCase");
+  }
+  setRangeTextCase(start: number, end: number, value: string) {
+    this.setRange(start, end, "textCase", value);
+  }
+  getRangeLetterSpacing(start: number, end: number) {
+    return this.getRange(start, end, "letterSpacing");
+  }
+  setRangeLetterSpacing(start: number, end: number, value: any) {
+    this.setRange(start, end, "letterSpacing", value);
+  }
+  getRangeLineHeight(start: number, end: number) {
+    return this.getRange(start, end, "lineHeight");
+  }
+  setRangeLineHeight(start: number, end: number, value: any) {
+    this.setRange(start, end, "lineHeight", value);
+  }
+  getRangeHyperlink(start: number, end: number) {
+    return this.getRange(start, end, "hyperlink");
+  }
+  setRangeHyperlink(start: number, end: number, value: any) {
+    this.setRange(start, end, "hyperlink", value);
+  }
+  getRangeListOptions(start: number, end: number) {
+    return this.getRange(start, end, "listOptions");
+  }
+  setRangeListOptions(start: number, end: number, value: any) {
+    this.setRange(start, end, "listOptions", value);
+  }
+  getRangeIndentation(start: number, end: number) {
+    return this.getRange(start, end, "indentation");
+  }
+  setRangeIndentation(start: number, end: number, value: number) {
+    this.setRange(start, end, "indentation", value);
+  }
+  getRangeFillStyleId(start: number, end: number) {
+    return this.getRange(start, end, "fillStyleId");
+  }
+  async setRangeFillStyleIdAsync(start: number, end: number, styleId: string) {
+    const style = await this.figma.requireStyle(styleId, "PAINT");
+    if (style) this.setRange(start, end, "fills", style.paints);
+    this.setRange(start, end, "fillStyleId", styleId);
+  }
+  getRangeTextStyleId(start: number, end: number) {
+    return this.getRange(start, end, "textStyleId");
+  }
+  async setRangeTextStyleIdAsync(start: number, end: number, styleId: string) {
+    const style = await this.figma.requireStyle(styleId, "TEXT");
+    if (style) {
+      this.setRange(start, end, "fontName", style.fontName);
+      this.setRange(start, end, "fontSize", style.fontSize);
+      this.setRange(start, end, "letterSpacing", style.letterSpacing);
+      this.setRange(start, end, "lineHeight", style.lineHeight);
+    }
+    this.setRange(start, end, "textStyleId", styleId);
+  }
+
+  async setTextStyleIdAsync(styleId: string) {
+    await this.setRangeTextStyleIdAsync(0, this._characters.length, styleId);
+    this._baseStyle = clone(this._charStyles[0] || this._baseStyle);
+  }
+
+  async setFillStyleIdAsync(styleId: string) {
+    const style = await this.figma.requireStyle(styleId, "PAINT");
+    if (style) this.setField("fills", style.paints);
+    this.setField("fillStyleId", styleId);
+    this.fillStyleId = styleId;
+  }
+
+  getStyledTextSegments(fields: string[]) {
+    const segments: any[] = [];
+    let current: any = null;
+    let currentKey = "";
+    const valueOf = (style: TextStyleRecord, field: string) =>
+      field === "fontWeight" ? fontWeightFromStyle(style.fontName.style) : (style as any)[field];
+
+    for (let index = 0; index < this._characters.length; index++) {
+      const style = this._charStyles[index];
+      const key = JSON.stringify(fields.map((field) => valueOf(style, field)));
+      if (current && key === currentKey) {
+        current.end = index + 1;
+        current.characters += this._characters[index];
+        continue;
+      }
+      current = { characters: this._characters[index], start: index, end: index + 1 };
+      for (const field of fields) {
+        current[field] = clone(valueOf(style, field));
+      }
+      currentKey = key;
+      segments.push(current);
+    }
+    return segments;
+  }
+
+  private getField(field: TextField): any {
+    if (this._charStyles.length === 0) return clone(this._baseStyle[field]);
+    return this.getRange(0, this._characters.length, field);
+  }
+
+  private setField(field: TextField, value: any) {
+    if (field === "fontName") {
+      this.figma.assertFontLoaded(value);
+    } else if (LAYOUT_TEXT_FIELDS.has(field)) {
+      this.assertFontsLoaded(0, this._characters.length);
+    }
+    (this._baseStyle as any)[field] = clone(value);
+    for (const style of this._charStyles) {
+      (style as any)[field] = clone(value);
+    }
+  }
+
+  private getRange(start: number, end: number, field: TextField): any {
+    this.assertRange(start, end);
+    const first = JSON.stringify(this._charStyles[start][field]);
+    for (let index = start + 1; index < end; index++) {
+      if (JSON.stringify(this._charStyles[index][field]) !== first) return MIXED;
+    }
+    return clone(this._charStyles[start][field]);
+  }
+
+  private setRange(start: number, end: number, field: TextField, value: any) {
+    this.assertRange(start, end);
+    if (field === "fontName") {
+      this.figma.assertFontLoaded(value);
+    } else if (LAYOUT_TEXT_FIELDS.has(field)) {
+      this.assertFontsLoaded(start, end);
+    }
+    for (let index = start; index < end; index++) {
+      (this._charStyles[index] as any)[field] = clone(value);
+    }
+  }
+
+  private assertRange(start: number, end: number) {
+    if (!(start >= 0 && end <= this._characters.length && start < end)) {
+      throw new Error(`in getRange: Expected a range within 0..${this._characters.length}, got ${start}..${end}`);
+    }
+  }
+
+  private assertFontsLoaded(start: number, end: number) {
+    const styles = this._charStyles.length > 0 ? this._charStyles.slice(start, end) : [this._baseStyle];
+    for (const style of styles) {
+      this.figma.assertFontLoaded(style.fontName);
+    }
+  }
+
+  private largestFontSize() {
+    const sizes = this._charStyles.map((style) => style.fontSize);
+    return sizes.length > 0 ? Math.max(...sizes) : this._baseStyle.fontSize;
+  }
+
+  toRestJson(): Record<string, any> {
+    const style = this._charStyles[0] || this._baseStyle;
+    return {
+      ...super.toRestJson(),
+      characters: this._characters,
+      style: {
+        fontFamily: style.fontName.family,
+        fontStyle: style.fontName.style,
+        fontWeight: fontWeightFromStyle(style.fontName.style),
+        fontSize: style.fontSize,
+        textAlignHorizontal: this.textAlignHorizontal,
+        letterSpacing: 0,
+        lineHeightPx: style.fontSize * 1.2,
+      },
+    };
+  }
+}
+
+export class FakePageNode extends FakeNode {
+  children: FakeSceneNode[] = [];
+  private _selection: FakeSceneNode[] = [];
+  loaded = false;
+
+  constructor(figma: FakeFigma, name: string) {
+    super(figma, "PAGE", name);
+  }
+
+  get selection() {
+    return [...this._selection];
+  }
+  set selection(nodes: FakeSceneNode[]) {
+    const previous = this._selection.map((node) => node.id).join(",");
+    this._selection = [...nodes];
+    if (this._selection.map((node) => node.id).join(",") !== previous) {
+      this.figma.emit("selectionchange");
+    }
+  }
+
+  dropFromSelection(node: FakeNode) {
+    this._selection = this._selection.filter((selected) => selected !== node);
+  }
+
+  async loadAsync() {
+    this.loaded = true;
+  }
+
+  appendChild(child: FakeSceneNode) {
+    FakeContainerNode.prototype.appendChild.call(this, child);
+  }
+
+  insertChild(index: number, child: FakeSceneNode) {
+    FakeContainerNode.prototype.insertChild.call(this, index, child);
+  }
+
+  removeChild(child: FakeSceneNode) {
+    FakeContainerNode.prototype.removeChild.call(this, child);
+  }
+
+  findAll(callback: (node: FakeSceneNode) => boolean = () => true) {
+    return findAllIn(this, callback);
+  }
+
+  findOne(callback: (node: FakeSceneNode) => boolean) {
+    return findAllIn(this, callback)[0] || null;
+  }
+
+  findAllWithCriteria({ types }: { types?: string[] }) {
+    return findAllIn(this, (node) => !types || types.includes(node.type));
+  }
+
+  toRestJson(): Record<string, any> {
+    return {
+      ...super.toRestJson(),
+      children: this.children.map((child) => child.toRestJson()),
+    };
+  }
+}
+
+export class FakeDocumentNode extends FakeNode {
+  children: FakePageNode[] = [];
+
+  constructor(figma: FakeFigma, name: string) {
+    super(figma, "DOCUMENT", name);
+  }
+
+  appendChild(page: FakePageNode) {
+    this.children.push(page);
+    (page as any).parent = this;
+  }
+
+  findAll(callback: (node: FakeSceneNode) => boolean = () => true) {
+    return this.children.flatMap((page) => page.findAll(callback));
+  }
+
+  findAllWithCriteria(criteria: { types?: string[] }) {
+    return this.children.flatMap((page) => page.findAllWithCriteria(criteria));
+  }
+}
+
+export class FakeStyle {
+  id: string;
+  key: string;
+  type: string;
+  name: string;
+  description = "";
+  paints: any[] = [];
+  effects: any[] = [];
+  layoutGrids: any[] = [];
+  fontName: FontName = { ...DEFAULT_FONT };
+  fontSize = 12;
+  letterSpacing = { unit: "PERCENT", value: 0 };
+  lineHeight: any = { unit: "AUTO" };
+  private figma: FakeFigma;
+
+  constructor(figma: FakeFigma, type: string) {
+    this.figma = figma;
+    this.type = type;
+    this.id = `S:${figma.nextId().replace(":", "")},`;
+    this.key = `style-key-${this.id.replace(/\W/g, "")}`;
+    this.name = `${type.toLowerCase()} style`;
+  }
+
+  remove() {
+    this.figma.styles = this.figma.styles.filter((style) => style !== this);
+  }
+}
+
+export class FakeImage {
+  constructor(readonly hash: string, private bytes: Uint8Array) {}
+
+  async getBytesAsync() {
+    return new Uint8Array(this.bytes);
+  }
+}
+
+export class FakeVariableCollection {
+  id: string;
+  key: string;
+  name: string;
+  modes: Array<{ modeId: string; name: string }> = [];
+  variableIds: string[] = [];
+  remote = false;
+  hiddenFromPublishing = false;
+  private modeCounter = 0;
+
+  constructor(private api: FakeVariablesApi, id: string, name: string) {
+    this.id = id;
+    this.key = `collection-key-${id.replace(/\W/g, "")}`;
+    this.name = name;
+    this.addMode("Mode 1");
+  }
+
+  get defaultModeId() {
+    return this.modes[0].modeId;
+  }
+
+  addMode(name: string) {
+    this.modeCounter += 1;
+    const modeId = `${this.id.replace("VariableCollectionId:", "")}:${this.modeCounter}`;
+    this.modes.push({ modeId, name });
+    return modeId;
+  }
+
+  renameMode(modeId: string, name: string) {
+    const mode = this.modes.find((candidate) => candidate.modeId === modeId);
+    if (!mode) throw new Error(`in renameMode: Invalid mode ${modeId}`);
+    mode.name = name;
+  }
+
+  removeMode(modeId: string) {
+    this.modes = this.modes.filter((mode) => mode.modeId !== modeId);
+  }
+
+  remove() {
+    this.api.removeCollection(this);
+  }
+}
+
+export class FakeVariable {
+  id: string;
+  key: string;
+  name: string;
+  description = "";
+  resolvedType: string;
+  variableCollectionId: string;
+  valuesByMode: Record<string, any> = {};
+  scopes = ["ALL_SCOPES"];
+  remote = false;
+  hiddenFromPublishing = false;
+
+  constructor(private api: FakeVariablesApi, id: string, name: string, collection: FakeVariableCollection, resolvedType: string) {
+    this.id = id;
+    this.key = `variable-key-${id.replace(/\W/g, "")}`;
+    this.name = name;
+    this.resolvedType = resolvedType;
+    this.variableCollectionId = collection.id;
+  }
+
+  setValueForMode(modeId: string, value: any) {
+    const collection = this.api.collections.get(this.variableCollectionId)!;
+    if (!collection.modes.some((mode) => mode.modeId === modeId)) {
+      throw new Error(`in setValueForMode: Invalid mode ${modeId}`);
+    }
+    this.valuesByMode[modeId] = clone(value);
+  }
+
+  remove() {
+    this.api.removeVariable(this);
+  }
+}
+
+// figma.variables: local collections and variables, plus paint bindings
+export class FakeVariablesApi {
+  collections = new Map<string, FakeVariableCollection>();
+  variables = new Map<string, FakeVariable>();
+
+  constructor(private figma: FakeFigma) {}
+
+  createVariableCollection(name: string) {
+    const collection = new FakeVariableCollection(this, `VariableCollectionId:${this.figma.nextId()}`, name);
+    this.collections.set(collection.id, collection);
+    return collection;
+  }
+
+  createVariable(name: string, collection: FakeVariableCollection | string, resolvedType: string) {
+    const target = typeof collection === "string" ? this.collections.get(collection) : collection;
+    if (!target) {
+      throw new Error("in createVariable: Collection not found");
+    }
+    const variable = new FakeVariable(this, `VariableID:${this.figma.nextId()}`, name, target, resolvedType);
+    target.variableIds.push(variable.id);
+    this.variables.set(variable.id, variable);
+    return variable;
+  }
+
+  async getVariableByIdAsync(id: string) {
+    return this.variables.get(id) || null;
+  }
+
+  async getVariableCollectionByIdAsync(id: string) {
+    return this.collections.get(id) || null;
+  }
+
+  async getLocalVariablesAsync(type?: string) {
+    return [...this.variables.values()].filter((variable) => !type || variable.resolvedType === type);
+  }
+
+  async getLocalVariableCollectionsAsync() {
+    return [...this.collections.values()];
+  }
+
+  async importVariableByKeyAsync(key: string) {
+    const variable = [...this.variables.values()].find((candidate) => candidate.key === key);
+    if (!variable) {
+      throw new Error(`Could not find a published variable with key "${key}"`);
+    }
+    return variable;
+  }
+
+  createVariableAlias(variable: FakeVariable) {
+    return { type: "VARIABLE_ALIAS" as const, id: variable.id };
+  }
+
+  setBoundVariableForPaint(paint: any, field: string, variable: FakeVariable | null) {
+    const bound = clone(paint);
+    const boundVariables = { ...(bound.boundVariables || {}) };
+    if (variable) {
+      boundVariables[field] = this.createVariableAlias(variable);
+      const value = this.resolveDefaultValue(variable);
+      if (field === "color" && value && typeof value === "object") {
+        bound.color = { r: value.r, g: value.g, b: value.b };
+      }
+    } else {
+      delete boundVariables[field];
+    }
+    bound.boundVariables = boundVariables;
+    return bound;
+  }
+
+  // Value in the collection's default mode, following aliases
+  resolveDefaultValue(variable: FakeVariable): any {
+    const collection = this.collections.get(variable.variableCollectionId)!;
+    const value = variable.valuesByMode[collection.defaultModeId];
+    if (value && value.type === "VARIABLE_ALIAS") {
+      const target = this.variables.get(value.id);
+      return target ? this.resolveDefaultValue(target) : undefined;
+    }
+    return value;
+  }
+
+  removeCollection(collection: FakeVariableCollection) {
+    for (const id of collection.variableIds) {
+      this.variables.delete(id);
+    }
+    this.collections.delete(collection.id);
+  }
+
+  removeVariable(variable: FakeVariable) {
+    const collection = this.collections.get(variable.variableCollectionId);
+    if (collection) {
+      collection.variableIds = collection.variableIds.filter((id) => id !== variable.id);
+    }
+    this.variables.delete(variable.id);
+  }
+}
+
+export interface FakeFigmaOptions {
+  documentName?: string;
+  pageNames?: string[];
+  availableFonts?: FontName[];
+}
+
+export interface UiMessage {
+  type: string;
+  [key: string]: any;
+}
+
+export class FakeFigma {
+  mixed = MIXED;
+  root: FakeDocumentNode;
+  currentPage: FakePageNode;
+  styles: FakeStyle[] = [];
+  notifications: Array<{ message: string; options?: any }> = [];
+  exports: Array<{ nodeId: string; settings: any }> = [];
+  // Number of figma.commitUndo() calls, i.e. closed undo steps
+  undoCommits = 0;
+  loadedFonts = new Set<string>();
+  availableFonts: FontName[];
+  images = new Map<string, FakeImage>();
+  variables: FakeVariablesApi;
+  closed = false;
+
+  viewport = {
+    center: { x: 0, y: 0 },
+    zoom: 1,
+    bounds: { x: -500, y: -400, width: 1000, height: 800 },
+    scrollAndZoomIntoView: (_nodes: FakeSceneNode[]) => {},
+  };
+
+  ui = {
+    messages: [] as UiMessage[],
+    onmessage: null as null | ((msg: any) => unknown),
+    postMessage: (message: UiMessage) => {
+      this.ui.messages.push(clone(message));
+    },
+  };
+
+  clientStorage = {
+    data: new Map<string, unknown>(),
+    getAsync: async (key: string) => clone(this.clientStorage.data.get(key)),
+    setAsync: async (key: string, value: unknown) => {
+      this.clientStorage.data.set(key, clone(value));
+    },
+    deleteAsync: async (key: string) => {
+      this.clientStorage.data.delete(key);
+    },
+    keysAsync: async () => [...this.clientStorage.data.keys()],
+  };
+
+  annotations = {
+    categories: [
+      { id: "category-development", label: "Development", color: "blue", isPreset: true },
+      { id: "category-interaction", label: "Interaction", color: "green", isPreset: true },
+    ],
+    getAnnotationCategoriesAsync: async () => clone(this.annotations.categories),
+  };
+
+  private idCounter = 0;
+  private nodes = new Map<string, FakeNode>();
+  private listeners = new Map<string, Set<(...args: any[]) => unknown>>();
+
+  constructor(options: FakeFigmaOptions = {}) {
+    const { documentName = "Test Document", pageNames = ["Page 1"], availableFonts } = options;
+    this.availableFonts = availableFonts || DEFAULT_AVAILABLE_FONTS;
+    this.variables = new FakeVariablesApi(this);
+    this.root = new FakeDocumentNode(this, documentName);
+    for (const pageName of pageNames) {
+      this.root.appendChild(new FakePageNode(this, pageName));
+    }
+    this.currentPage = this.root.children[0];
+  }
+
+  nextId() {
+    this.idCounter += 1;
+    return `1:${this.idCounter}`;
+  }
+
+  registerNode(node: FakeNode) {
+    this.nodes.set(node.id, node);
+  }
+
+  unregisterNode(node: FakeNode) {
+    this.nodes.delete(node.id);
+    if (node instanceof FakeContainerNode) {
+      for (const child of node.children) {
+        this.unregisterNode(child);
+      }
+    }
+  }
+
+  removeFromSelection(node: FakeNode) {
+    for (const page of this.root.children) {
+      page.dropFromSelection(node);
+    }
+  }
+
+  instantiate(type: string): FakeNode {
+    switch (type) {
+      case "FRAME":
+        return this.createFrame();
+      case "GROUP":
+        return new FakeGroupNode(this);
+      case "RECTANGLE":
+        return this.createRectangle();
+      case "ELLIPSE":
+        return this.createEllipse();
+      case "TEXT":
+        return this.createText();
+      case "COMPONENT":
+        return this.createComponent();
+      case "COMPONENT_SET":
+        return new FakeComponentSetNode(this);
+      case "VECTOR":
+        return new FakeVectorNode(this);
+      default:
+        throw new Error(`Cannot create node of type ${type}`);
+    }
+  }
+
+  // Node creation: new nodes are appended to the current page, as in Figma
+  private attach<T extends FakeSceneNode>(node: T): T {
+    this.currentPage.appendChild(node);
+    return node;
+  }
+
+  createFrame() {
+    return this.attach(new FakeFrameNode(this));
+  }
+
+  createRectangle() {
+    return this.attach(new FakeRectangleNode(this));
+  }
+
+  createEllipse() {
+    return this.attach(new FakeEllipseNode(this));
+  }
+
+  createText() {
+    return this.attach(new FakeTextNode(this));
+  }
+
+  createComponent() {
+    return this.attach(new FakeComponentNode(this));
+  }
+
+  createVector() {
+    return this.attach(new FakeVectorNode(this));
+  }
+
+  // The component takes the frame's place, properties and children
+  createComponentFromNode(node: FakeSceneNode) {
+    if (!(node instanceof FakeFrameNode) || node.type !== "FRAME") {
+      throw new Error(`in createComponentFromNode: Cannot create a component from a ${node.type} node`);
+    }
+    const component = new FakeComponentNode(this);
+    copyProperties(node, component, ["type"]);
+    const parent = node.parent || this.currentPage;
+    parent.insertChild(parent.children.indexOf(node), component);
+    for (const child of [...node.children]) {
+      component.appendChild(child);
+    }
+    node.remove();
+    return component;
+  }
+
+  // Variants without "Property=Value" names get a generated one, as in the editor
+  combineAsVariants(nodes: FakeSceneNode[], parent: FakeContainerNode | FakePageNode, index?: number) {
+    if (!nodes || nodes.length === 0) {
+      throw new Error("in combineAsVariants: First argument must be an array of at least one component");
+    }
+    if (nodes.some((node) => !(node instanceof FakeComponentNode) || node.isVariant)) {
+      throw new Error("in combineAsVariants: Can only combine components that are not already variants");
+    }
+    const set = new FakeComponentSetNode(this);
+    parent.insertChild(index === undefined ? parent.children.length : index, set);
+    nodes.forEach((node, position) => {
+      if (!parseVariantName(node.name)) {
+        node.name = `Property 1=${position === 0 ? "Default" : `Variant${position + 1}`}`;
+      }
+      set.appendChild(node);
+    });
+    return set;
+  }
+
+  // Wrap nodes in a group sized to their bounds, inserted where asked
+  group(nodes: FakeSceneNode[], parent: FakeContainerNode | FakePageNode, index?: number) {
+    if (!nodes || nodes.length === 0) {
+      throw new Error("in group: First argument must be an array of at least one node");
+    }
+    const group = new FakeGroupNode(this);
+    parent.insertChild(index === undefined ? parent.children.length : index, group);
+    const left = Math.min(...nodes.map((node) => node.x));
+    const top = Math.min(...nodes.map((node) => node.y));
+    const right = Math.max(...nodes.map((node) => node.x + node.width));
+    const bottom = Math.max(...nodes.map((node) => node.y + node.height));
+    for (const node of nodes) {
+      group.appendChild(node);
+    }
+    group.x = left;
+    group.y = top;
+    group.resize(Math.max(right - left, 0.01), Math.max(bottom - top, 0.01));
+    return group;
+  }
+
+  createImage(bytes: Uint8Array) {
+    const hash = createHash("sha1").update(bytes).digest("hex");
+    if (!this.images.has(hash)) {
+      this.images.set(hash, new FakeImage(hash, bytes));
+    }
+    return this.images.get(hash)!;
+  }
+
+  getImageByHash(hash: string) {
+    return this.images.get(hash) || null;
+  }
+
+  createPage() {
+    const page = new FakePageNode(this, "Page");
+    this.root.appendChild(page);
+    return page;
+  }
+
+  createPaintStyle() {
+    return this.addStyle(new FakeStyle(this, "PAINT"));
+  }
+
+  createTextStyle() {
+    return this.addStyle(new FakeStyle(this, "TEXT"));
+  }
+
+  createEffectStyle() {
+    return this.addStyle(new FakeStyle(this, "EFFECT"));
+  }
+
+  createGridStyle() {
+    return this.addStyle(new FakeStyle(this, "GRID"));
+  }
+
+  private addStyle(style: FakeStyle) {
+    this.styles.push(style);
+    return style;
+  }
+
+  async getLocalPaintStylesAsync() {
+    return this.styles.filter((style) => style.type === "PAINT");
+  }
+
+  async getLocalTextStylesAsync() {
+    return this.styles.filter((style) => style.type === "TEXT");
+  }
+
+  async getLocalEffectStylesAsync() {
+    return this.styles.filter((style) => style.type === "EFFECT");
+  }
+
+  async getLocalGridStylesAsync() {
+    return this.styles.filter((style) => style.type === "GRID");
+  }
+
+  async getStyleByIdAsync(id: string) {
+    return this.styles.find((style) => style.id === id) || null;
+  }
+
+  async importStyleByKeyAsync(key: string) {
+    const style = this.styles.find((candidate) => candidate.key === key);
+    if (!style) {
+      throw new Error(`Could not find a published style with key "${key}"`);
+    }
+    return style;
+  }
+
+  // Null for "", which detaches a node from its style
+  async requireStyle(id: string, type: string) {
+    if (id === "") return null;
+    const style = await this.getStyleByIdAsync(id);
+    if (!style || style.type !== type) {
+      throw new Error(`in setStyleIdAsync: Could not find a ${type.toLowerCase()} style with id ${id}`);
+    }
+    return style;
+  }
+
+  async getNodeByIdAsync(id: string) {
+    return this.nodes.get(id) || null;
+  }
+
+  getNodeById(id: string) {
+    return this.nodes.get(id) || null;
+  }
+
+  async importComponentByKeyAsync(key: string) {
+    const component = this.root
+      .findAllWithCriteria({ types: ["COMPONENT"] })
+      .find((node) => (node as FakeComponentNode).key === key);
+    if (!component) {
+      throw new Error(`Could not find a published component with key "${key}"`);
+    }
+    return component as FakeComponentNode;
+  }
+
+  async loadFontAsync(font: FontName) {
+    // Font loading is never synchronous in the editor; code that forgets to
+    // await it should see the font as unloaded
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    const available = this.availableFonts.some((candidate) => fontKey(candidate) === fontKey(font));
+    if (!available) {
+      throw new Error(`The font "${font.family} ${font.style}" could not be loaded`);
+    }
+    this.loadedFonts.add(fontKey(font));
+  }
+
+  async listAvailableFontsAsync() {
+    return this.availableFonts.map((fontName) => ({ fontName: { ...fontName } }));
+  }
+
+  assertFontLoaded(font: FontName) {
+    if (!this.loadedFonts.has(fontKey(font))) {
+      throw new Error(
+        `in set_characters: Cannot write to node with unloaded font "${font.family} ${font.style}". Please call figma.loadFontAsync`
+      );
+    }
+  }
+
+  async loadAllPagesAsync() {
+    for (const page of this.root.children) {
+      await page.loadAsync();
+    }
+  }
+
+  async setCurrentPageAsync(page: FakePageNode) {
+    if (!(page instanceof FakePageNode)) {
+      throw new Error("in setCurrentPageAsync: Expected a PageNode");
+    }
+    await page.loadAsync();
+    this.currentPage = page;
+    this.emit("currentpagechange");
+  }
+
+  base64Encode(bytes: Uint8Array) {
+    return Buffer.from(bytes).toString("base64");
+  }
+
+  base64Decode(data: string) {
+    return new Uint8Array(Buffer.from(data, "base64"));
+  }
+
+  showUI(_html: string, _options?: unknown) {}
+
+  notify(message: string, options?: unknown) {
+    this.notifications.push({ message, options });
+    return { cancel: () => {} };
+  }
+
+  closePlugin() {
+    this.closed = true;
+  }
+
+  commitUndo() {
+    this.undoCommits++;
+  }
+
+  on(event: string, callback: (...args: any[]) => unknown) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event)!.add(callback);
+  }
+
+  off(event: string, callback: (...args: any[]) => unknown) {
+    this.listeners.get(event)?.delete(callback);
+  }
+
+  emit(event: string, ...args: unknown[]) {
+    for (const callback of this.listeners.get(event) || []) {
+      callback(...args);
+    }
+  }
+}
+
+function assertNumber(property: string, value: unknown) {
+  if (typeof value !== "number" || Number.isNaN(value)) {
+    throw new Error(`in set_${property}: Expected a number, got ${String(value)}`);
+  }
+}
+
+function assertFontName(value: FontName) {
+  if (!value || typeof value !== "object" || !value.family || !value.style) {
+    throw new Error("in set_fontName: Expected a FontName");
+  }
+  return { family: value.family, style: value.style };
+}
+
+function validatePaint(paint: any) {
+  if (!paint || typeof paint !== "object" || !paint.type) {
+    throw new Error("in set_fills: Expected a Paint with a type");
+  }
+  if (paint.type === "SOLID") {
+    const { r, g, b } = paint.color || {};
+    if ([r, g, b].some((channel) => typeof channel !== "number")) {
+      throw new Error("in set_fills: Expected color with numeric r, g and b");
+    }
+    if ("a" in paint.color) {
+      throw new Error('in set_fills: Unrecognized key(s) in object: "a" at [0].color');
+    }
+  } else if (paint.type.startsWith("GRADIENT_")) {
+    if (!GRADIENT_TYPES.includes(paint.type)) {
+      throw new Error(`in set_fills: Invalid paint type ${paint.type}`);
+    }
+    const transform = paint.gradientTransform;
+    if (!Array.isArray(transform) || transform.length !== 2 || transform.some((row: any) => row.length !== 3)) {
+      throw new Error("in set_fills: Required value missing at .gradientTransform");
+    }
+    const stops = paint.gradientStops;
+    if (!Array.isArray(stops) || stops.some((stop: any) => typeof stop.position !== "number" || !stop.color || typeof stop.color.a !== "number")) {
+      throw new Error("in set_fills: Expected gradientStops with a position and an RGBA color");
+    }
+  } else if (paint.type === "IMAGE") {
+    if (!["FILL", "FIT", "CROP", "TILE"].includes(paint.scaleMode)) {
+      throw new Error("in set_fills: Required value missing at .scaleMode");
+    }
+  } else {
+    throw new Error(`in set_fills: Invalid paint type ${paint.type}`);
+  }
+  return paint;
+}
+
+const GRADIENT_TYPES = ["GRADIENT_LINEAR", "GRADIENT_RADIAL", "GRADIENT_ANGULAR", "GRADIENT_DIAMOND"];
+
+// Figma rejects effects with missing fields rather than filling in defaults
+const EFFECT_FIELDS: Record<string, string[]> = {
+  DROP_SHADOW: ["color", "offset", "radius", "visible", "blendMode"],
+  INNER_SHADOW: ["color", "offset", "radius", "visible", "blendMode"],
+  LAYER_BLUR: ["radius", "visible"],
+  BACKGROUND_BLUR: ["radius", "visible"],
+};
+
+function validateEffect(effect: any) {
+  const required = effect && EFFECT_FIELDS[effect.type];
+  if (!required) {
+    throw new Error(`in set_effects: Invalid effect type ${effect && effect.type}`);
+  }
+  const missing = required.find((field) => effect[field] === undefined);
+  if (missing) {
+    throw new Error(`in set_effects: Required value missing at .${missing}`);
+  }
+  if (effect.color && typeof effect.color.a !== "number") {
+    throw new Error("in set_effects: Expected color with numeric r, g, b and a");
+  }
+  if (effect.radius < 0) {
+    throw new Error("in set_effects: radius must be at least 0");
+  }
+  return effect;
+}
+
+function restPaints(paints: ReadonlyArray<any>) {
+  return paints.map((paint) => {
+    const json = clone(paint);
+    if (json.color) {
+      json.color = { ...json.color, a: json.opacity !== undefined ? json.opacity : 1 };
+    }
+    return json;
+  });
+}
+
+function copyProperties(source: FakeSceneNode, target: FakeSceneNode, alsoSkip: string[] = []) {
+  const skip = new Set(["id", "parent", "children", "figma", "removed", "mainComponent", "key", ...alsoSkip]);
+  for (const key of Object.keys(source)) {
+    if (!skip.has(key)) {
+      (target as any)[key] = clone((source as any)[key]);
+    }
+  }
+}
+
+function isAncestor(node: FakeNode, candidate: FakeNode | null): boolean {
+  let current = candidate ? candidate.parent : null;
+  while (current) {
+    if (current === node) return true;
+    current = current.parent;
+  }
+  return false;
+}
+
+function findAllIn(root: { children: FakeSceneNode[] }, callback: (node: FakeSceneNode) => boolean) {
+  const found: FakeSceneNode[] = [];
+  const visit = (node: FakeSceneNode) => {
+    if (callback(node)) found.push(node);
+    if (node instanceof FakeContainerNode) {
+      node.children.forEach(visit);
+    }
+  };
+  root.children.forEach(visit);
+  return found;
+}
+
+function fontWeightFromStyle(style: string) {
+  const weights: Record<string, number> = {
+    Thin: 100,
+    "Extra Light": 200,
+    Light: 300,
+    Regular: 400,
+    Medium: 500,
+    "Semi Bold": 600,
+    Bold: 700,
+    "Extra Bold": 800,
+    Black: 900,
+  };
+  return weights[style] || 400;
+}
+
+// Recognizable bytes per format so tests can assert on what was exported
+function fakeExportBytes(format: string, node: FakeSceneNode) {
+  switch (format) {
+    case "PNG":
+      return new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    case "JPG":
+      return new Uint8Array([0xff, 0xd8, 0xff, 0xe0]);
+    case "SVG":
+      return new TextEncoder().encode(
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${node.width}" height="${node.height}"></svg>`
+      );
+    default:
+      return new TextEncoder().encode("%PDF-1.4\n%%EOF");
+  }
+}
+
+export function createFakeFigma(options?: FakeFigmaOptions) {
+  return new FakeFigma(options);
+}
+
+export type { FontName, RGB, RGBA };
@@ -0,0 +1,59 @@
+import { readFileSync } from "fs";
+import { join } from "path";
+import { createFakeFigma, FakeFigma, type FakeFigmaOptions } from "./fake-figma";
+
+const PLUGIN_SOURCE_PATH = join(import.meta.dir, "../../src/cursor_mcp_plugin/code.js");
+
+export interface LoadedPlugin {
+  figma: FakeFigma;
+  handleCommand: (command: string, params?: unknown, origin?: { clientId?: string }) => Promise<any>;
+  // Simulates the UI iframe posting a message to the plugin sandbox
+  sendFromUi: (message: Record<string, unknown>) => Promise<unknown>;
+  logs: Array<{ level: string; args: unknown[] }>;
+}
+
+// Console handed to the plugin; code.js is chatty, so keep its output
+// unless TALK_TO_FIGMA_TEST_VERBOSE is set
+function createConsole(logs: LoadedPlugin["logs"]) {
+  const verbose = Boolean(process.env.TALK_TO_FIGMA_TEST_VERBOSE);
+  const record =
+    (level: string) =>
+    (...args: unknown[]) => {
+      logs.push({ level, args });
+      if (verbose) {
+        (console as any)[level](...args);
+      }
+    };
+  return {
+    log: record("log"),
+    info: record("info"),
+    warn: record("warn"),
+    error: record("error"),
+    debug: record("debug"),
+  };
+}
+
+// Evaluate code.js against a fake `figma` global, as the plugin sandbox would
+export async function loadPlugin(options: FakeFigmaOptions = {}): Promise<LoadedPlugin> {
+  const figma = createFakeFigma(options);
+  const logs: LoadedPlugin["logs"] = [];
+  const source = readFileSync(PLUGIN_SOURCE_PATH, "utf8");
+
+  const factory = new Function(
+    "figma",
+    "__html__",
+    "console",
+    `${source}\nreturn { handleCommand };`
+  );
+  const { handleCommand } = factory(figma, "<html></html>", createConsole(logs));
+
+  // Let initializePlugin() finish restoring settings
+  await new Promise((resolve) => setTimeout(resolve, 0));
+
+  return {
+    figma,
+    handleCommand,
+    logs,
+    sendFromUi: async (message) => figma.ui.onmessage?.(message),
+  };
+}
@@ -0,0 +1,138 @@
+import { loadPlugin, type LoadedPlugin } from "./plugin";
+import type { FakeFigmaOptions } from "./fake-figma";
+
+export interface SimulatedPluginOptions extends FakeFigmaOptions {
+  url: string;
+  channel: string;
+  token?: string;
+}
+
+// Stands in for the Figma plugin UI: joins the relay as the plugin and
+// bridges socket commands to code.js running against the fake Figma API,
+// using the same message shapes as ui.html
+export class SimulatedPlugin {
+  readonly url: string;
+  readonly channel: string;
+  readonly token?: string;
+  plugin!: LoadedPlugin;
+  // Commands received while paused are dropped, simulating an unresponsive plugin
+  paused = false;
+  received: any[] = [];
+  private socket: WebSocket | null = null;
+  private options: FakeFigmaOptions;
+
+  constructor({ url, channel, token, ...options }: SimulatedPluginOptions) {
+    this.url = url;
+    this.channel = channel;
+    this.token = token;
+    this.options = options;
+  }
+
+  get figma() {
+    return this.plugin.figma;
+  }
+
+  async start() {
+    this.plugin = await loadPlugin(this.options);
+    this.bridgePluginMessages();
+    await this.connect();
+  }
+
+  // Open the socket and join the channel; also used to reconnect after a relay restart
+  async connect() {
+    const socket = new WebSocket(this.url);
+    await new Promise<void>((resolve, reject) => {
+      socket.onopen = () => resolve();
+      socket.onerror = () => reject(new Error(`Could not connect to ${this.url}`));
+    });
+    this.socket = socket;
+
+    const joined = new Promise<void>((resolve, reject) => {
+      socket.onmessage = (event) => {
+        const data = JSON.parse(String(event.data));
+        if (data.type === "error") {
+          reject(new Error(data.message));
+        } else if (data.type === "system" && data.message && data.message.result) {
+          socket.onmessage = (next) => this.handleSocketMessage(JSON.parse(String(next.data)));
+          resolve();
+        }
+      };
+    });
+    socket.send(
+      JSON.stringify({
+        id: crypto.randomUUID(),
+        type: "join",
+        channel: this.channel,
+        token: this.token,
+        role: "plugin",
+      })
+    );
+    await joined;
+  }
+
+  close() {
+    this.socket?.close();
+    this.socket = null;
+  }
+
+  private send(payload: Record<string, unknown>) {
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify(payload));
+    }
+  }
+
+  private handleSocketMessage(payload: any) {
+    const data = payload.message;
+    if (!data || !data.command) {
+      return;
+    }
+
+    this.received.push(data);
+    if (this.paused) {
+      return;
+    }
+
+    this.plugin.sendFromUi({
+      type: "execute-command",
+      id: data.id,
+      command: data.command,
+      params: data.params,
+    });
+  }
+
+  // Forward what code.js posts to the UI back over the socket
+  private bridgePluginMessages() {
+    const { ui } = this.plugin.figma;
+    const postMessage = ui.postMessage;
+    ui.postMessage = (message) => {
+      postMessage(message);
+
+      switch (message.type) {
+        case "command-result":
+          this.send({
+            id: message.id,
+            type: "message",
+            channel: this.channel,
+            message: { id: message.id, result: message.result },
+          });
+          break;
+        case "command-error":
+          this.send({
+            id: message.id,
+            type: "message",
+            channel: this.channel,
+            message: { id: message.id, error: message.error },
+          });
+          break;
+        case "command_progress":
+          this.send({
+            id: message.commandId,
+            type: "progress_update",
+            channel: this.channel,
+            message: { id: message.commandId, type: "progress_update", data: message },
+          });
+          break;
+      }
+    };
+  }
+}